@@ -0,0 +1,47 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+
+// What the audit log records:
+//   business_verified     a customer gave a registration number and accepted the end-use declaration
+//   verification_updated  an admin revoked or reinstated a verification
+//   restricted_order      an order with restricted products was placed
+//   restricted_quote      a quote was requested for a restricted product
+const AUDIT_TYPES = ['business_verified', 'verification_updated', 'restricted_order', 'restricted_quote'];
+
+// Append-only compliance log, persisted to a JSON file; entries are never changed or pruned
+const createAuditStore = ({ filePath }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, entries: [] });
+  const save = () => writeJsonFile(filePath, data);
+
+  const record = async ({ type, customer, ...details }) => {
+    if (!AUDIT_TYPES.includes(type)) {
+      throw new Error(`Unknown audit entry type: ${type}`);
+    }
+    const entry = {
+      id: `AUD-${String(data.nextSequence++).padStart(6, '0')}`,
+      type,
+      customer,
+      ...details,
+      at: new Date().toISOString()
+    };
+    data.entries.push(entry);
+    await save();
+    return entry;
+  };
+
+  // Newest first
+  const listEntries = ({ type, customer } = {}) => data.entries
+    .filter(entry => !type || entry.type === type)
+    .filter(entry => !customer || entry.customer === customer)
+    .slice()
+    .reverse();
+
+  return {
+    record,
+    listEntries
+  };
+};
+
+module.exports = {
+  AUDIT_TYPES,
+  createAuditStore
+};
@@ -0,0 +1,95 @@
+const express = require('express');
+const { CampaignValidationError, CampaignNotFoundError } = require('./campaign_store');
+const { CONSENT_STATUSES } = require('./consent_store');
+const { findAudience, summarizeCampaign } = require('./campaigns');
+const { logger } = require('./logger');
+
+// Admin REST API for broadcast campaigns and marketing consent; mount behind requireApiKey.
+// deps: runner (campaigns.js), messageStatusStore for delivery stats, stores to preview audiences with.
+const createCampaignRouter = (campaignStore, { runner, messageStatusStore, stores }) => {
+  const router = express.Router();
+  const { consentStore } = stores;
+
+  // Helper function to get a campaign or raise CampaignNotFoundError
+  const findCampaign = (id) => {
+    const campaign = campaignStore.getCampaign(id);
+    if (!campaign) {
+      throw new CampaignNotFoundError(id);
+    }
+    return campaign;
+  };
+
+  const withStats = (campaign) => ({ ...campaign, stats: summarizeCampaign(campaign, messageStatusStore) });
+
+  router.get('/campaigns', (req, res) => {
+    const campaigns = campaignStore.listCampaigns({ status: req.query.status, tenantId: req.query.tenant });
+    // The recipient lists can be long; GET /campaigns/:id has them
+    res.json({ campaigns: campaigns.map(({ recipients, ...campaign }) => ({ ...campaign, stats: summarizeCampaign({ recipients }, messageStatusStore) })) });
+  });
+
+  // { "name": "...", "tenantId": "acme", "template": { "name": "new_shades", "language": "en", "parameters": ["..."] },
+  //   "audience": { "categories": [...], "countries": [...], "purchasedProducts": [...] }, "scheduledAt": "..." }
+  router.post('/campaigns', async (req, res) => {
+    res.status(201).json({ campaign: withStats(await campaignStore.createCampaign(req.body || {})) });
+  });
+
+  router.get('/campaigns/:id', (req, res) => {
+    res.json({ campaign: withStats(findCampaign(req.params.id)) });
+  });
+
+  router.patch('/campaigns/:id', async (req, res) => {
+    res.json({ campaign: withStats(await campaignStore.updateCampaign(req.params.id, req.body || {})) });
+  });
+
+  // Who the campaign would go to if it started now (opted-out customers are already left out)
+  router.get('/campaigns/:id/audience', (req, res) => {
+    const customers = findAudience(findCampaign(req.params.id), stores);
+    res.json({ count: customers.length, customers });
+  });
+
+  // Start sending now instead of at scheduledAt; sending carries on in the background
+  router.post('/campaigns/:id/send', (req, res) => {
+    const campaign = findCampaign(req.params.id);
+    if (campaign.status !== 'scheduled') {
+      throw new CampaignValidationError([`campaign is ${campaign.status}; only scheduled campaigns can be sent`]);
+    }
+    runner.sendCampaign(campaign.id)
+      .catch(error => logger.error('Error sending campaign', { campaignId: campaign.id, error }));
+    res.status(202).json({ campaign: withStats(campaign) });
+  });
+
+  router.post('/campaigns/:id/cancel', async (req, res) => {
+    res.json({ campaign: withStats(await campaignStore.cancelCampaign(req.params.id)) });
+  });
+
+  router.get('/consents', (req, res) => {
+    res.json({ consents: consentStore.listConsents({ status: req.query.status, tenantId: req.query.tenant }) });
+  });
+
+  // Record consent given or withdrawn outside WhatsApp: { "status": "opted_in" } or { "status": "opted_out" };
+  // ?tenant=<id> for another brand than the default one
+  router.put('/consents/:customer', async (req, res) => {
+    const { status } = req.body || {};
+    if (!CONSENT_STATUSES.includes(status)) {
+      throw new CampaignValidationError([`status must be one of: ${CONSENT_STATUSES.join(', ')}`]);
+    }
+    const update = status === 'opted_in' ? consentStore.optIn : consentStore.optOut;
+    res.json({ consent: await update(req.params.customer, { source: 'admin', tenantId: req.query.tenant }) });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof CampaignValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof CampaignNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createCampaignRouter
+};
@@ -0,0 +1,219 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { buildTemplateMessage, validateMessage } = require('./message_builder');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+// scheduled -> sending -> sent; scheduled campaigns can also be cancelled
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled'];
+
+// Audience filters; a customer must match every filter given, and any one value within a filter
+const AUDIENCE_FILTERS = ['categories', 'countries', 'purchasedProducts'];
+
+// Raised when a campaign definition is malformed; carries one message per problem
+class CampaignValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid campaign: ${errors.join('; ')}`);
+    this.name = 'CampaignValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a campaign id does not exist
+class CampaignNotFoundError extends Error {
+  constructor(id) {
+    super(`Campaign ${id} not found`);
+    this.name = 'CampaignNotFoundError';
+  }
+}
+
+// Helper function to check a campaign and normalize it; returns { errors, campaign }. Shape:
+//   name          for the admin API, e.g. "New shades, June"
+//   tenantId      the brand it is from (default "default"): its customers, catalog and number
+//   template      approved template: { name, language (default "en"), parameters: ["..."] }
+//   audience      { categories: ["reactive"], countries: ["91"], purchasedProducts: ["dye-001"] }
+//   scheduledAt   ISO date and time to start sending (default: now)
+// catalogFor(tenantId) is the tenant's catalog, or null for a tenant that doesn't exist.
+const validateCampaign = (input, catalogFor) => {
+  const errors = [];
+  const { name, tenantId = DEFAULT_TENANT_ID, template = {}, audience = {}, scheduledAt } = input || {};
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name is required');
+  }
+  const catalog = catalogFor(tenantId);
+  if (!catalog) {
+    errors.push(`tenantId: unknown tenant '${tenantId}'`);
+  }
+
+  const parameters = template.parameters || [];
+  if (!Array.isArray(parameters)) {
+    errors.push('template.parameters must be a list of texts');
+  }
+  const templateErrors = validateMessage(buildTemplateMessage(template.name, template.language || 'en', Array.isArray(parameters) ? parameters : []));
+  errors.push(...templateErrors);
+
+  Object.keys(audience).filter(key => !AUDIENCE_FILTERS.includes(key)).forEach(key => {
+    errors.push(`audience.${key} is not a filter (use ${AUDIENCE_FILTERS.join(', ')})`);
+  });
+  AUDIENCE_FILTERS.filter(key => audience[key] !== undefined).forEach(key => {
+    if (!Array.isArray(audience[key]) || audience[key].length === 0) {
+      errors.push(`audience.${key} must be a non-empty list`);
+    }
+  });
+  if (catalog && Array.isArray(audience.categories)) {
+    audience.categories.filter(category => !catalog.getCategory(category)).forEach(category => {
+      errors.push(`audience.categories: unknown category '${category}'`);
+    });
+  }
+  if (Array.isArray(audience.countries)) {
+    audience.countries.filter(code => !/^\d{1,4}$/.test(String(code))).forEach(code => {
+      errors.push(`audience.countries: '${code}' is not a country calling code such as 91`);
+    });
+  }
+  if (catalog && Array.isArray(audience.purchasedProducts)) {
+    audience.purchasedProducts.filter(id => !catalog.getProduct(id)).forEach(id => {
+      errors.push(`audience.purchasedProducts: unknown product '${id}'`);
+    });
+  }
+
+  const scheduled = scheduledAt === undefined ? new Date() : new Date(scheduledAt);
+  if (Number.isNaN(scheduled.getTime())) {
+    errors.push('scheduledAt must be a date and time such as 2024-06-01T09:00:00+05:30');
+  }
+
+  return {
+    errors,
+    campaign: errors.length > 0 ? null : {
+      name: name.trim(),
+      tenantId,
+      template: { name: template.name, language: template.language || 'en', parameters: parameters.map(String) },
+      audience: Object.fromEntries(AUDIENCE_FILTERS.filter(key => audience[key]).map(key => [key, audience[key].map(String)])),
+      scheduledAt: scheduled.toISOString()
+    }
+  };
+};
+
+// Broadcast campaigns and who each one went to, persisted to a JSON file. Recipients are fixed when
+// sending starts: { customer, status: pending/sent/failed/skipped, messageId, reason }.
+// catalogFor(tenantId) gives each tenant's catalog to check audiences against (null for unknown tenants).
+const createCampaignStore = ({ filePath, catalogFor }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, campaigns: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const getCampaign = (id) => data.campaigns[String(id || '').toUpperCase()] || null;
+
+  // Helper function to get a campaign or raise CampaignNotFoundError
+  const findCampaign = (id) => {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+      throw new CampaignNotFoundError(id);
+    }
+    return campaign;
+  };
+
+  const listCampaigns = ({ status, tenantId } = {}) => Object.values(data.campaigns)
+    .filter(campaign => !status || campaign.status === status)
+    .filter(campaign => !tenantId || (campaign.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const createCampaign = async (input) => {
+    const { errors, campaign: details } = validateCampaign(input, catalogFor);
+    if (errors.length > 0) {
+      throw new CampaignValidationError(errors);
+    }
+    const now = new Date().toISOString();
+    const campaign = {
+      id: `CMP-${String(data.nextSequence++).padStart(5, '0')}`,
+      ...details,
+      status: 'scheduled',
+      recipients: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    data.campaigns[campaign.id] = campaign;
+    await save();
+    return campaign;
+  };
+
+  // Campaigns that have not started sending yet can be rescheduled or changed
+  const updateCampaign = async (id, changes = {}) => {
+    const campaign = findCampaign(id);
+    if (campaign.status !== 'scheduled') {
+      throw new CampaignValidationError([`campaign is ${campaign.status}; only scheduled campaigns can be changed`]);
+    }
+    const { name, tenantId, template, audience, scheduledAt } = { ...campaign, ...changes };
+    const { errors, campaign: details } = validateCampaign({ name, tenantId, template, audience, scheduledAt }, catalogFor);
+    if (errors.length > 0) {
+      throw new CampaignValidationError(errors);
+    }
+    Object.assign(campaign, details, { updatedAt: new Date().toISOString() });
+    await save();
+    return campaign;
+  };
+
+  const cancelCampaign = async (id) => {
+    const campaign = findCampaign(id);
+    if (campaign.status !== 'scheduled') {
+      throw new CampaignValidationError([`campaign is ${campaign.status}; only scheduled campaigns can be cancelled`]);
+    }
+    campaign.status = 'cancelled';
+    campaign.updatedAt = new Date().toISOString();
+    await save();
+    return campaign;
+  };
+
+  // Scheduled campaigns whose time has come, oldest first
+  const getDueCampaigns = (now = Date.now()) => listCampaigns({ status: 'scheduled' })
+    .filter(campaign => Date.parse(campaign.scheduledAt) <= now)
+    .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+
+  // Fix the recipients and mark the campaign as sending
+  const startSending = async (id, customers) => {
+    const campaign = findCampaign(id);
+    const now = new Date().toISOString();
+    campaign.status = 'sending';
+    campaign.recipients = customers.map(customer => ({ customer, status: 'pending' }));
+    campaign.startedAt = now;
+    campaign.updatedAt = now;
+    await save();
+    return campaign;
+  };
+
+  // Record what happened to one recipient: { status: 'sent', messageId } or { status: 'failed'/'skipped', reason }
+  const recordRecipient = async (id, customer, result) => {
+    const campaign = findCampaign(id);
+    const recipient = campaign.recipients.find(entry => entry.customer === customer);
+    Object.assign(recipient, result, { at: new Date().toISOString() });
+    campaign.updatedAt = recipient.at;
+    await save();
+    return recipient;
+  };
+
+  const finishSending = async (id) => {
+    const campaign = findCampaign(id);
+    const now = new Date().toISOString();
+    campaign.status = 'sent';
+    campaign.completedAt = now;
+    campaign.updatedAt = now;
+    await save();
+    return campaign;
+  };
+
+  return {
+    getCampaign,
+    listCampaigns,
+    createCampaign,
+    updateCampaign,
+    cancelCampaign,
+    getDueCampaigns,
+    startSending,
+    recordRecipient,
+    finishSending
+  };
+};
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  AUDIENCE_FILTERS,
+  createCampaignStore,
+  CampaignValidationError,
+  CampaignNotFoundError
+};
@@ -0,0 +1,167 @@
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'campaigns' });
+
+// Meta's error when a customer has stopped marketing messages from us in WhatsApp itself
+const MARKETING_STOPPED_ERROR = 131050;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to list what one brand knows of each customer: their country and the categories and
+// products they showed interest in (orders and quote requests with that brand), by WhatsApp number
+const collectCustomers = ({ orderStore, leadStore, consentStore }, catalog, tenantId) => {
+  const customers = new Map();
+  const entry = (customer) => {
+    if (!customers.has(customer)) {
+      customers.set(customer, { customer, categories: new Set(), purchasedProducts: new Set() });
+    }
+    return customers.get(customer);
+  };
+  const addInterest = (customer, productId) => {
+    const product = catalog.getProduct(productId);
+    if (product) {
+      entry(customer).categories.add(product.category);
+    }
+  };
+
+  orderStore.listOrders({ tenantId }).filter(order => order.status !== 'Cancelled').forEach(order => {
+    order.items.forEach(item => {
+      entry(order.customer).purchasedProducts.add(item.id);
+      addInterest(order.customer, item.id);
+    });
+  });
+  leadStore.listLeads({ tenantId }).forEach(lead => addInterest(lead.customer, lead.productId));
+  // Customers who subscribed without ordering are in every audience that has no product filters
+  consentStore.listConsents({ status: 'opted_in', tenantId }).forEach(consent => entry(consent.customer));
+  return [...customers.values()];
+};
+
+// Helper function to check one customer against a campaign's audience filters
+const matchesAudience = (known, audience) => {
+  const { categories, countries, purchasedProducts } = audience;
+  if (categories && !categories.some(category => known.categories.has(category))) {
+    return false;
+  }
+  if (countries && !countries.some(code => known.customer.startsWith(code))) {
+    return false;
+  }
+  if (purchasedProducts && !purchasedProducts.some(id => known.purchasedProducts.has(id))) {
+    return false;
+  }
+  return true;
+};
+
+// Customers a campaign's audience covers among its brand's customers, leaving out everyone who opted out
+// of that brand's messages. stores: { orderStore, leadStore, consentStore, runtimeFor } (runtimeFor(tenantId)
+// gives the brand's catalog).
+const findAudience = ({ audience, tenantId = DEFAULT_TENANT_ID }, stores) => (
+  collectCustomers(stores, stores.runtimeFor(tenantId).catalog, tenantId)
+    .filter(known => matchesAudience(known, audience))
+    .map(known => known.customer)
+    .filter(customer => !stores.consentStore.isOptedOut(customer, tenantId))
+    .sort()
+);
+
+// Delivery stats for a campaign: recipients by what happened to them, with the latest status webhook
+// (sent/delivered/read/failed) for messages the Cloud API accepted
+const summarizeCampaign = (campaign, messageStatusStore) => {
+  const counts = { recipients: campaign.recipients.length, pending: 0, skipped: 0, accepted: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+  campaign.recipients.forEach(recipient => {
+    const message = recipient.messageId && messageStatusStore.getMessage(recipient.messageId);
+    const status = recipient.status === 'sent' ? (message ? message.status : 'accepted') : recipient.status;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return counts;
+};
+
+// Sends due campaigns in the background: the audience is fixed when sending starts, then one template
+// message goes out at a time, at most ratePerSecond per second, from the number of the campaign's brand.
+// Customers who opt out while a campaign is sending are skipped. Campaigns that were sending when the
+// process stopped carry on at startup. stores: as for findAudience; runtimeFor(tenantId) also gives the
+// brand's messenger.
+const createCampaignRunner = ({ campaignStore, stores, ratePerSecond = 10, checkIntervalMs = 30 * 1000 }) => {
+  const { consentStore, runtimeFor } = stores;
+  const running = new Map();
+  let checkTimer = null;
+
+  const send = async (campaignId) => {
+    let campaign = campaignStore.getCampaign(campaignId);
+    if (campaign.status === 'sent' || campaign.status === 'cancelled') {
+      return campaign;
+    }
+    const tenantId = campaign.tenantId || DEFAULT_TENANT_ID;
+    if (campaign.status === 'scheduled') {
+      campaign = await campaignStore.startSending(campaign.id, findAudience(campaign, stores));
+      log.info('Campaign started', { campaignId: campaign.id, tenant: tenantId, recipients: campaign.recipients.length });
+    }
+    const { messenger } = runtimeFor(tenantId);
+    const { name, language, parameters } = campaign.template;
+    const intervalMs = ratePerSecond > 0 ? 1000 / ratePerSecond : 0;
+
+    for (const { customer } of campaign.recipients.filter(recipient => recipient.status === 'pending')) {
+      if (consentStore.isOptedOut(customer, tenantId)) {
+        await campaignStore.recordRecipient(campaign.id, customer, { status: 'skipped', reason: 'opted_out' });
+        continue;
+      }
+      const started = Date.now();
+      try {
+        const result = await messenger.sendTemplateMessage(customer, name, language, parameters);
+        await campaignStore.recordRecipient(campaign.id, customer, { status: 'sent', messageId: result?.messages?.[0]?.id || null });
+      } catch (error) {
+        log.warn('Campaign message not sent', { campaignId: campaign.id, customer, error });
+        await campaignStore.recordRecipient(campaign.id, customer, { status: 'failed', reason: error.reason || error.message });
+      }
+      await sleep(Math.max(0, intervalMs - (Date.now() - started)));
+    }
+
+    campaign = await campaignStore.finishSending(campaign.id);
+    log.info('Campaign sent', { campaignId: campaign.id, recipients: campaign.recipients.length });
+    return campaign;
+  };
+
+  // Start sending a campaign now (scheduled or interrupted); resolves when it is done
+  const sendCampaign = (campaignId) => {
+    if (!running.has(campaignId)) {
+      running.set(campaignId, send(campaignId).finally(() => running.delete(campaignId)));
+    }
+    return running.get(campaignId);
+  };
+
+  // Start every campaign that is due, or was interrupted while sending
+  const runDue = () => [...campaignStore.listCampaigns({ status: 'sending' }), ...campaignStore.getDueCampaigns()]
+    .map(campaign => sendCampaign(campaign.id).catch(error => log.error('Error sending campaign', { campaignId: campaign.id, error })));
+
+  // Settles once no campaign is sending (used by the test harness)
+  const whenIdle = () => Promise.allSettled([...running.values()]);
+
+  const start = () => {
+    if (checkTimer || checkIntervalMs <= 0) {
+      return;
+    }
+    runDue();
+    checkTimer = setInterval(runDue, checkIntervalMs);
+    // Do not keep the process alive just for the schedule
+    checkTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  };
+
+  return {
+    sendCampaign,
+    runDue,
+    whenIdle,
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  MARKETING_STOPPED_ERROR,
+  findAudience,
+  summarizeCampaign,
+  createCampaignRunner
+};
@@ -0,0 +1,97 @@
+const { parseWeight, parsePackaging, parseQuantity, formatKg } = require('./quantity');
+
+// Helper function to describe how a product is packed; products without a readable packaging sell per kg
+const getPackInfo = (product) => {
+  const pack = parsePackaging(product.packaging);
+  if (!pack) {
+    return { sizeKg: 1, name: 'kg', singular: 'kg' };
+  }
+  return { sizeKg: pack.sizeKg, name: pack.name, singular: pack.name.replace(/s$/, '') };
+};
+
+// Helper function to work out the smallest whole number of packs that meets the MOQ
+const getMoqPacks = (product) => {
+  const pack = getPackInfo(product);
+  const moqKg = parseWeight(product.moq) || pack.sizeKg;
+  return Math.ceil(moqKg / pack.sizeKg);
+};
+
+// Turn a customer's quantity answer into whole packs, checked against the MOQ.
+// Returns { value: { packs, kg, rounded } } or { error, params } where error is a message key.
+const resolveCartQuantity = (input, product) => {
+  const quantity = parseQuantity(input, product);
+  if (!quantity) {
+    return { error: 'errors.quantity_unclear' };
+  }
+
+  const pack = getPackInfo(product);
+  // Small epsilon so 200 kg in 25 kg drums is exactly 8 drums, not 9
+  const packs = quantity.packs ? Math.ceil(quantity.packs) : Math.ceil(quantity.kg / pack.sizeKg - 1e-9);
+  const kg = packs * pack.sizeKg;
+
+  const moqKg = parseWeight(product.moq);
+  if (moqKg && kg < moqKg) {
+    return { error: 'errors.cart_below_moq', params: { name: product.name, moq: product.moq, packs: getMoqPacks(product), pack: pack.name } };
+  }
+
+  return { value: { packs, kg, rounded: Math.abs(kg - quantity.kg) > 1e-9 } };
+};
+
+// Helper function to build a cart line for a number of packs of a product
+const createCartLine = (product, packs) => {
+  const pack = getPackInfo(product);
+  return {
+    id: product.id,
+    name: product.name,
+    // Kept in case the product leaves the catalog while it is in the cart; prices come from pricing.priceCart
+    pricePerKg: product.pricePerKg,
+    packs,
+    packSizeKg: pack.sizeKg,
+    packName: pack.name,
+    quantityKg: packs * pack.sizeKg
+  };
+};
+
+// Helper function to change the number of packs on an existing cart line
+const setCartLinePacks = (item, packs) => {
+  item.packs = packs;
+  item.quantityKg = packs * item.packSizeKg;
+  return item;
+};
+
+// Helper function to describe a line's quantity ('8 drums (200 kg)')
+const describeCartQuantity = (item) => item.packName === 'kg'
+  ? formatKg(item.quantityKg)
+  : `${item.packs} ${item.packs === 1 ? item.packName.replace(/s$/, '') : item.packName} (${formatKg(item.quantityKg)})`;
+
+// Helper function to format one priced cart line (from pricing.priceCart) with weight, pack count and line total
+const formatCartLine = (line, index, t, currency) => {
+  const discount = line.discountPercent > 0 ? ` ${t('cart.volume_discount', { percent: line.discountPercent })}` : '';
+  return `${index + 1}. *${line.name}*\n` +
+    `    ${describeCartQuantity(line)}\n` +
+    `    ${t('cart.line_price', {
+      quantity: formatKg(line.quantityKg),
+      price: t.formatMoney(line.unitPrice, currency),
+      total: t.formatMoney(line.lineTotal, currency)
+    })}${discount}`;
+};
+
+// Helper function to format a priced cart's subtotal, tax and total lines
+const formatCartTotals = (quote, t) => {
+  let text = `${t('cart.subtotal', { subtotal: t.formatMoney(quote.subtotal, quote.currency) })}\n`;
+  if (quote.tax) {
+    text += `${t('cart.tax', { name: quote.tax.name, rate: quote.tax.ratePercent, amount: t.formatMoney(quote.tax.amount, quote.currency) })}\n`;
+  }
+  return text + t('cart.total', { total: t.formatMoney(quote.total, quote.currency) });
+};
+
+module.exports = {
+  getPackInfo,
+  getMoqPacks,
+  resolveCartQuantity,
+  createCartLine,
+  setCartLinePacks,
+  describeCartQuantity,
+  formatCartLine,
+  formatCartTotals
+};
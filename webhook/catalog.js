@@ -0,0 +1,503 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { logger } = require('./logger');
+const { getMediaType } = require('./media_store');
+const { validateHazard } = require('./compliance');
+
+const log = logger.child({ component: 'catalog' });
+
+const PRODUCT_FIELDS = ['id', 'name', 'type', 'category', 'application', 'packaging', 'pricePerKg', 'moq', 'description', 'cas', 'inStock', 'aliases', 'translations', 'media', 'hazard'];
+const REQUIRED_PRODUCT_FIELDS = ['id', 'name', 'type', 'category', 'pricePerKg', 'moq', 'cas'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const CAS_PATTERN = /^\d{2,7}-\d{2}-\d$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+// Customer-facing fields that may be given per language: { translations: { hi: { name, description } } }
+const TRANSLATABLE_PRODUCT_FIELDS = ['name', 'type', 'application', 'description'];
+const TRANSLATABLE_CATEGORY_FIELDS = ['name', 'description'];
+
+// Files a product can carry: { media: { image: 'rr120.jpg', tds: 'https://example.com/rr120-tds.pdf' } }.
+// Values are https links or file names under MEDIA_DIR; image must be a picture, tds and sds documents.
+const PRODUCT_MEDIA_KINDS = ['image', 'shade_card', 'tds', 'sds'];
+const MEDIA_TYPES_BY_KIND = { image: ['image'], shade_card: ['image', 'document'], tds: ['document'], sds: ['document'] };
+
+// Raised when catalog data breaks the schema; carries one message per problem
+class CatalogValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid catalog data: ${errors.join('; ')}`);
+    this.name = 'CatalogValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a product or category does not exist
+class CatalogNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogNotFoundError';
+  }
+}
+
+// Raised when a change would leave the catalog inconsistent (e.g. deleting a category in use)
+class CatalogConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogConflictError';
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Check a translations map, returning a list of problems (empty when valid)
+const validateTranslations = (label, translations, fields) => {
+  if (translations === undefined) {
+    return [];
+  }
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return [`${label}: translations must be an object keyed by language code`];
+  }
+  const errors = [];
+  Object.entries(translations).forEach(([language, translation]) => {
+    if (!LANGUAGE_PATTERN.test(language)) {
+      errors.push(`${label}: '${language}' is not a language code such as hi or gu`);
+      return;
+    }
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+      errors.push(`${label}: translations.${language} must be an object`);
+      return;
+    }
+    Object.entries(translation).forEach(([field, value]) => {
+      if (!fields.includes(field)) {
+        errors.push(`${label}: translations.${language}.${field} is not translatable (use ${fields.join(', ')})`);
+      } else if (typeof value !== 'string') {
+        errors.push(`${label}: translations.${language}.${field} must be text`);
+      }
+    });
+  });
+  return errors;
+};
+
+// Check a product's media map, returning a list of problems (empty when valid)
+const validateMedia = (label, media) => {
+  if (media === undefined) {
+    return [];
+  }
+  if (!media || typeof media !== 'object' || Array.isArray(media)) {
+    return [`${label}: media must be an object such as { "image": "rr120.jpg", "tds": "rr120-tds.pdf" }`];
+  }
+  const errors = [];
+  Object.entries(media).forEach(([kind, source]) => {
+    if (!PRODUCT_MEDIA_KINDS.includes(kind)) {
+      errors.push(`${label}: media.${kind} is not a known file (use ${PRODUCT_MEDIA_KINDS.join(', ')})`);
+    } else if (typeof source !== 'string' || isBlank(source)) {
+      errors.push(`${label}: media.${kind} must be a link or a file name`);
+    } else if (!/^https?:\/\//i.test(source) && (path.isAbsolute(source) || source.split(/[\\/]/).includes('..'))) {
+      errors.push(`${label}: media.${kind} must be a link or a file name inside the media directory`);
+    } else if (!MEDIA_TYPES_BY_KIND[kind].includes(getMediaType(source))) {
+      errors.push(`${label}: media.${kind} must be ${kind === 'image' ? 'a .jpg or .png picture' : 'a document such as a .pdf'}`);
+    }
+  });
+  return errors;
+};
+
+// Check a single product against the schema, returning a list of problems (empty when valid)
+const validateProduct = (product, categories) => {
+  const errors = [];
+  const label = product && product.id ? `Product ${product.id}` : 'Product';
+
+  if (!product || typeof product !== 'object') {
+    return ['Product must be an object'];
+  }
+
+  REQUIRED_PRODUCT_FIELDS.forEach(field => {
+    if (isBlank(product[field])) {
+      errors.push(`${label}: ${field} is required`);
+    }
+  });
+
+  // Catalogs written before per-kg pricing priced each pack
+  if (product.price !== undefined) {
+    errors.push(`${label}: price (per pack) was replaced by pricePerKg; divide it by the pack size`);
+  }
+  if (!isBlank(product.id) && !ID_PATTERN.test(product.id)) {
+    errors.push(`${label}: id may only contain lowercase letters, digits and dashes`);
+  }
+  if (!isBlank(product.pricePerKg) && (typeof product.pricePerKg !== 'number' || !Number.isFinite(product.pricePerKg) || product.pricePerKg <= 0)) {
+    errors.push(`${label}: pricePerKg must be a positive number`);
+  }
+  if (!isBlank(product.cas) && !CAS_PATTERN.test(product.cas)) {
+    errors.push(`${label}: cas must look like 61951-82-4`);
+  }
+  if (!isBlank(product.category) && !categories[product.category]) {
+    errors.push(`${label}: unknown category '${product.category}'`);
+  }
+  if (product.inStock !== undefined && typeof product.inStock !== 'boolean') {
+    errors.push(`${label}: inStock must be true or false`);
+  }
+  if (product.aliases !== undefined && (!Array.isArray(product.aliases) || product.aliases.some(alias => typeof alias !== 'string' || isBlank(alias)))) {
+    errors.push(`${label}: aliases must be a list of names`);
+  }
+  errors.push(...validateTranslations(label, product.translations, TRANSLATABLE_PRODUCT_FIELDS));
+  errors.push(...validateMedia(label, product.media));
+  errors.push(...validateHazard(label, product.hazard));
+
+  return errors;
+};
+
+// Check a category definition, returning a list of problems (empty when valid)
+const validateCategory = (key, category) => {
+  const errors = [];
+  if (isBlank(key) || !ID_PATTERN.test(key)) {
+    errors.push('Category key may only contain lowercase letters, digits and dashes');
+  }
+  if (!category || isBlank(category.name)) {
+    errors.push(`Category ${key}: name is required`);
+  }
+  if (category) {
+    errors.push(...validateTranslations(`Category ${key}`, category.translations, TRANSLATABLE_CATEGORY_FIELDS));
+  }
+  return errors;
+};
+
+// Check a whole catalog document, including duplicate ids across the product list
+const validateCatalog = (data) => {
+  const errors = [];
+  const categories = data.categories || {};
+  const seenIds = new Set();
+
+  Object.entries(categories).forEach(([key, category]) => {
+    errors.push(...validateCategory(key, category));
+  });
+
+  Object.entries(data.products || {}).forEach(([key, product]) => {
+    errors.push(...validateProduct(product, categories));
+    if (product && product.id !== key) {
+      errors.push(`Product ${key}: id '${product && product.id}' does not match its key`);
+    }
+    if (product && seenIds.has(product.id)) {
+      errors.push(`Product ${product.id}: duplicate id`);
+    }
+    seenIds.add(product && product.id);
+  });
+
+  return errors;
+};
+
+// Keep only known product fields and coerce the types that CSV and forms send as strings
+const normalizeProduct = (input) => {
+  const product = {};
+  PRODUCT_FIELDS.forEach(field => {
+    if (input[field] !== undefined && input[field] !== '') {
+      product[field] = typeof input[field] === 'string' ? input[field].trim() : input[field];
+    }
+  });
+
+  // Prices are per kg in the pricing base currency (see pricing.js); CSV names the column price_per_kg
+  if (product.pricePerKg === undefined && !isBlank(input.price_per_kg)) {
+    product.pricePerKg = String(input.price_per_kg).trim();
+  }
+  if (typeof product.pricePerKg === 'string' && product.pricePerKg !== '' && !Number.isNaN(Number(product.pricePerKg))) {
+    product.pricePerKg = Number(product.pricePerKg);
+  }
+  if (typeof product.inStock === 'string') {
+    const value = product.inStock.toLowerCase();
+    if (['true', 'yes', '1'].includes(value)) product.inStock = true;
+    if (['false', 'no', '0'].includes(value)) product.inStock = false;
+  }
+  if (product.inStock === undefined) {
+    product.inStock = true;
+  }
+  // CSV sends aliases as one cell: 'RR120; Procion Red HE-3B'
+  if (typeof product.aliases === 'string') {
+    product.aliases = product.aliases.split(/[;|]/).map(alias => alias.trim()).filter(Boolean);
+  }
+
+  // CSV has no nesting, so media arrive as columns like media_image or media_tds
+  PRODUCT_MEDIA_KINDS.forEach(kind => {
+    if (!isBlank(input[`media_${kind}`])) {
+      product.media = { ...product.media, [kind]: String(input[`media_${kind}`]).trim() };
+    }
+  });
+
+  // Hazard data arrives as hazard_ghs and hazard_statements (lists like aliases), un_number and restricted
+  const hazard = {};
+  ['ghs', 'statements'].forEach(key => {
+    if (!isBlank(input[`hazard_${key}`])) {
+      hazard[key] = String(input[`hazard_${key}`]).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+    }
+  });
+  if (!isBlank(input.un_number)) {
+    hazard.unNumber = String(input.un_number).trim().toUpperCase().replace(/\s+/g, '');
+  }
+  if (!isBlank(input.restricted)) {
+    const value = String(input.restricted).trim().toLowerCase();
+    hazard.restricted = ['true', 'yes', '1'].includes(value) ? true : (['false', 'no', '0'].includes(value) ? false : value);
+  }
+  if (Object.keys(hazard).length > 0) {
+    product.hazard = { ...product.hazard, ...hazard };
+  }
+
+  // CSV has no nesting, so translations arrive as columns like name_hi or description_gu
+  Object.entries(input).forEach(([column, value]) => {
+    const match = column.match(/^([a-z]+)_([a-z]{2,3})$/);
+    if (match && TRANSLATABLE_PRODUCT_FIELDS.includes(match[1]) && !isBlank(value)) {
+      const [, field, language] = match;
+      product.translations = product.translations || {};
+      product.translations[language] = { ...product.translations[language], [field]: String(value).trim() };
+    }
+  });
+  return product;
+};
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF) returning one object per row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return records.map(record => Object.fromEntries(columns.map((column, index) => [column, record[index]])));
+};
+
+// Product catalog backed by a JSON file, reloaded automatically when the file changes
+const createCatalog = ({ filePath }) => {
+  let data = { categories: {}, products: {} };
+  let watcher = null;
+  let reloadTimer = null;
+
+  const load = () => {
+    const next = readJsonFile(filePath, { categories: {}, products: {} });
+    next.categories = next.categories || {};
+    next.products = next.products || {};
+    const errors = validateCatalog(next);
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data = next;
+    return data;
+  };
+
+  const save = () => writeJsonFile(filePath, data);
+
+  // Reload from disk, keeping the current catalog if the file on disk is broken
+  const reload = () => {
+    try {
+      load();
+      log.info('Catalog loaded', { products: Object.keys(data.products).length, filePath });
+      return true;
+    } catch (error) {
+      log.error('Catalog reload failed, keeping previous catalog', { filePath, error });
+      return false;
+    }
+  };
+
+  const watch = () => {
+    if (watcher) {
+      return;
+    }
+    try {
+      // Watch the directory rather than the file: saves replace the file (new inode) via rename
+      watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+        if (filename !== path.basename(filePath)) {
+          return;
+        }
+        // Editors fire several events per save; reload once things settle
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reload, 200);
+        reloadTimer.unref();
+      });
+      watcher.unref();
+    } catch (error) {
+      log.error('Cannot watch catalog file', { filePath, error });
+    }
+  };
+
+  const unwatch = () => {
+    clearTimeout(reloadTimer);
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+  };
+
+  const getProduct = (id) => data.products[id] || null;
+  const getProducts = () => Object.values(data.products);
+  const getProductsByCategory = (category) => getProducts().filter(product => product.category === category);
+  const getCategory = (key) => data.categories[key] || null;
+  const getCategories = () => ({ ...data.categories });
+
+  const createProduct = async (input) => {
+    const product = normalizeProduct(input);
+    const errors = validateProduct(product, data.categories);
+    if (!isBlank(product.id) && data.products[product.id]) {
+      errors.push(`Product ${product.id}: duplicate id`);
+    }
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data.products[product.id] = product;
+    await save();
+    return product;
+  };
+
+  const updateProduct = async (id, changes) => {
+    const existing = data.products[id];
+    if (!existing) {
+      throw new CatalogNotFoundError(`Product ${id} not found`);
+    }
+    const product = normalizeProduct({ ...existing, ...changes, id });
+    const errors = validateProduct(product, data.categories);
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data.products[id] = product;
+    await save();
+    return product;
+  };
+
+  const deleteProduct = async (id) => {
+    if (!data.products[id]) {
+      throw new CatalogNotFoundError(`Product ${id} not found`);
+    }
+    const product = data.products[id];
+    delete data.products[id];
+    await save();
+    return product;
+  };
+
+  const createCategory = async (key, input) => {
+    const category = { name: input.name, description: input.description || '' };
+    if (input.translations !== undefined) {
+      category.translations = input.translations;
+    }
+    const errors = validateCategory(key, category);
+    if (data.categories[key]) {
+      errors.push(`Category ${key}: duplicate key`);
+    }
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data.categories[key] = category;
+    await save();
+    return category;
+  };
+
+  const updateCategory = async (key, changes) => {
+    const existing = data.categories[key];
+    if (!existing) {
+      throw new CatalogNotFoundError(`Category ${key} not found`);
+    }
+    const category = { ...existing, ...changes };
+    const errors = validateCategory(key, category);
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data.categories[key] = category;
+    await save();
+    return category;
+  };
+
+  const deleteCategory = async (key) => {
+    if (!data.categories[key]) {
+      throw new CatalogNotFoundError(`Category ${key} not found`);
+    }
+    const inUse = getProductsByCategory(key).map(product => product.id);
+    if (inUse.length > 0) {
+      throw new CatalogConflictError(`Category ${key} still has products: ${inUse.join(', ')}`);
+    }
+    const category = data.categories[key];
+    delete data.categories[key];
+    await save();
+    return category;
+  };
+
+  // Import a batch of products (from JSON or parsed CSV); all rows must be valid or nothing changes
+  const importProducts = async (records, { replace = false } = {}) => {
+    const products = replace ? {} : { ...data.products };
+    const errors = [];
+    const seenIds = new Set();
+
+    records.map(normalizeProduct).forEach((product, index) => {
+      const rowErrors = validateProduct(product, data.categories);
+      if (seenIds.has(product.id)) {
+        rowErrors.push(`Product ${product.id}: duplicate id`);
+      }
+      seenIds.add(product.id);
+      errors.push(...rowErrors.map(error => `Row ${index + 1}: ${error}`));
+      products[product.id] = product;
+    });
+
+    if (errors.length > 0) {
+      throw new CatalogValidationError(errors);
+    }
+    data.products = products;
+    await save();
+    return { imported: records.length, total: Object.keys(products).length };
+  };
+
+  return {
+    load,
+    reload,
+    watch,
+    unwatch,
+    getProduct,
+    getProducts,
+    getProductsByCategory,
+    getCategory,
+    getCategories,
+    createProduct,
+    updateProduct,
+    deleteProduct,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    importProducts
+  };
+};
+
+module.exports = {
+  PRODUCT_MEDIA_KINDS,
+  createCatalog,
+  parseCsv,
+  validateCatalog,
+  CatalogValidationError,
+  CatalogNotFoundError,
+  CatalogConflictError
+};
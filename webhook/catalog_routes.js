@@ -0,0 +1,107 @@
+const express = require('express');
+const {
+  parseCsv,
+  CatalogValidationError,
+  CatalogNotFoundError,
+  CatalogConflictError
+} = require('./catalog');
+
+// Admin REST API for the product catalog; mount behind requireApiKey
+const createCatalogRouter = (catalog) => {
+  const router = express.Router();
+
+  router.get('/products', (req, res) => {
+    const { category } = req.query;
+    res.json({ products: category ? catalog.getProductsByCategory(category) : catalog.getProducts() });
+  });
+
+  router.get('/products/:id', (req, res) => {
+    const product = catalog.getProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: `Product ${req.params.id} not found` });
+    }
+    res.json({ product });
+  });
+
+  router.post('/products', async (req, res) => {
+    const product = await catalog.createProduct(req.body || {});
+    res.status(201).json({ product });
+  });
+
+  router.put('/products/:id', async (req, res) => {
+    const product = await catalog.updateProduct(req.params.id, req.body || {});
+    res.json({ product });
+  });
+
+  router.delete('/products/:id', async (req, res) => {
+    const product = await catalog.deleteProduct(req.params.id);
+    res.json({ deleted: product.id });
+  });
+
+  router.get('/categories', (req, res) => {
+    res.json({ categories: catalog.getCategories() });
+  });
+
+  router.post('/categories', async (req, res) => {
+    const { key, ...category } = req.body || {};
+    const created = await catalog.createCategory(key, category);
+    res.status(201).json({ key, category: created });
+  });
+
+  router.put('/categories/:key', async (req, res) => {
+    const category = await catalog.updateCategory(req.params.key, req.body || {});
+    res.json({ key: req.params.key, category });
+  });
+
+  router.delete('/categories/:key', async (req, res) => {
+    await catalog.deleteCategory(req.params.key);
+    res.json({ deleted: req.params.key });
+  });
+
+  // Bulk import: JSON array (or { products: [...] }) or CSV with a header row.
+  // Pass ?replace=true to replace the whole product list instead of merging.
+  router.post('/catalog/import', express.text({ type: ['text/csv', 'text/plain'] }), async (req, res) => {
+    let records;
+    if (typeof req.body === 'string') {
+      records = parseCsv(req.body);
+    } else if (Array.isArray(req.body)) {
+      records = req.body;
+    } else {
+      records = (req.body && req.body.products) || [];
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'No products to import' });
+    }
+
+    const result = await catalog.importProducts(records, { replace: req.query.replace === 'true' });
+    res.json(result);
+  });
+
+  router.post('/catalog/reload', (req, res) => {
+    if (!catalog.reload()) {
+      return res.status(422).json({ error: 'Catalog file is invalid; previous catalog kept' });
+    }
+    res.json({ products: catalog.getProducts().length });
+  });
+
+  // Map catalog errors to HTTP responses; anything else goes to the app error handler
+  router.use((err, req, res, next) => {
+    if (err instanceof CatalogValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof CatalogNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err instanceof CatalogConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createCatalogRouter
+};
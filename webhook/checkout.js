@@ -0,0 +1,74 @@
+const { formatCartLine, formatCartTotals } = require('./cart');
+
+// Shipping details collected during checkout, in the order we ask for them.
+// Each field's label, prompt and error text live in locales/ as checkout.<key>.label/prompt/error.
+const CHECKOUT_FIELDS = [
+  {
+    key: 'companyName',
+    validate: (value) => value.length >= 2 && value.length <= 100
+  },
+  {
+    key: 'contactName',
+    validate: (value) => value.length >= 2 && value.length <= 60 && /\p{L}/u.test(value)
+  },
+  {
+    key: 'email',
+    validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value),
+    normalize: (value) => value.toLowerCase()
+  },
+  {
+    key: 'address',
+    validate: (value) => value.length >= 10 && value.length <= 300
+  },
+  {
+    key: 'postalCode',
+    // Indian PIN codes never start with 0; US ZIP codes may carry the +4 suffix
+    validate: (value) => /^[1-9]\d{5}$/.test(value) || /^\d{5}(-\d{4})?$/.test(value),
+    normalize: (value) => value.replace(/\s+/g, '')
+  }
+];
+
+// Helper function to look up a checkout field definition by key
+const getCheckoutField = (key) => CHECKOUT_FIELDS.find(field => field.key === key) || null;
+
+// Helper function to find the first field the customer has not filled in yet
+const getNextMissingField = (details) => CHECKOUT_FIELDS.find(field => !details[field.key]) || null;
+
+// Validate and normalize a customer's answer for one field.
+// Returns { value } or { error } where error is a message key.
+const validateCheckoutField = (key, input) => {
+  const field = getCheckoutField(key);
+  const trimmed = String(input || '').trim().replace(/\s+/g, ' ');
+  const value = field.normalize ? field.normalize(trimmed) : trimmed;
+
+  if (!field.validate(value)) {
+    return { error: `checkout.${field.key}.error` };
+  }
+  return { value };
+};
+
+// Helper function to format the order summary shown before the customer confirms.
+// quote is the priced cart from pricing.priceCart; t from i18n.getTranslator.
+const formatOrderSummary = (quote, details, t) => {
+  let text = `${t('checkout.summary_title')}\n\n`;
+  quote.lines.forEach((line, index) => {
+    text += `${formatCartLine(line, index, t, quote.currency)}\n`;
+  });
+  text += `\n${formatCartTotals(quote, t)}\n\n${t('checkout.shipping_title')}\n`;
+  CHECKOUT_FIELDS.forEach(field => {
+    text += `*${t(`checkout.${field.key}.label`)}:* ${details[field.key]}\n`;
+  });
+  // Returning customers' GSTIN or VAT number, from their profile
+  if (details.taxNumber) {
+    text += `*${t('checkout.tax_number')}:* ${details.taxNumber}\n`;
+  }
+  return text.trim();
+};
+
+module.exports = {
+  CHECKOUT_FIELDS,
+  getCheckoutField,
+  getNextMissingField,
+  validateCheckoutField,
+  formatOrderSummary
+};
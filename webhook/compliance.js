@@ -0,0 +1,100 @@
+// Hazard data and the rules for selling restricted chemicals.
+// Products may carry { hazard: { ghs: ['GHS08'], statements: ['H350: May cause cancer'], unNumber: 'UN1885', restricted: true } };
+// restricted products are only sold to business customers who gave a GSTIN or CIN and accepted the end-use declaration.
+
+// GHS pictograms, shown by name in product details (locale keys ghs.GHS01 ... ghs.GHS09)
+const GHS_PICTOGRAMS = ['GHS01', 'GHS02', 'GHS03', 'GHS04', 'GHS05', 'GHS06', 'GHS07', 'GHS08', 'GHS09'];
+
+// Bump when the wording of compliance.declaration changes, so audit records say which text was accepted
+const END_USE_DECLARATION_VERSION = '2026-10';
+
+const UN_NUMBER_PATTERN = /^UN\d{4}$/;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// Corporate Identification Number: listing status, industry code, state, year, company type, sequence
+const CIN_PATTERN = /^[LU]\d{5}[A-Z]{2}\d{4}[A-Z]{3}\d{6}$/;
+const BASE36 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const isRestricted = (product) => Boolean(product && product.hazard && product.hazard.restricted);
+
+// Helper function to compute a GSTIN's last character from the first 14 (weights 1, 2, 1, 2 ... in base 36)
+const gstinCheckCharacter = (gstin) => {
+  const sum = gstin.slice(0, 14).split('').reduce((total, char, index) => {
+    const product = BASE36.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return BASE36[(36 - (sum % 36)) % 36];
+};
+
+// Validate a GSTIN or CIN typed by the customer; spaces and dashes are ignored
+const validateRegistrationNumber = (input) => {
+  const value = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (GSTIN_PATTERN.test(value)) {
+    return gstinCheckCharacter(value) === value[14]
+      ? { value, type: 'gstin' }
+      : { error: 'errors.registration_checksum' };
+  }
+  if (CIN_PATTERN.test(value)) {
+    return { value, type: 'cin' };
+  }
+  return { error: 'errors.registration_number' };
+};
+
+// Check a product's hazard data, returning a list of problems (empty when valid)
+const validateHazard = (label, hazard) => {
+  if (hazard === undefined) {
+    return [];
+  }
+  if (!hazard || typeof hazard !== 'object' || Array.isArray(hazard)) {
+    return [`${label}: hazard must be an object such as { "ghs": ["GHS08"], "statements": ["H350: May cause cancer"], "restricted": true }`];
+  }
+  const errors = [];
+  const known = ['ghs', 'statements', 'unNumber', 'restricted'];
+  Object.keys(hazard).filter(key => !known.includes(key)).forEach(key => {
+    errors.push(`${label}: hazard.${key} is not a known field (use ${known.join(', ')})`);
+  });
+  if (hazard.ghs !== undefined && (!Array.isArray(hazard.ghs) || hazard.ghs.some(code => !GHS_PICTOGRAMS.includes(code)))) {
+    errors.push(`${label}: hazard.ghs must be a list of GHS pictogram codes (GHS01 to GHS09)`);
+  }
+  if (hazard.statements !== undefined && (!Array.isArray(hazard.statements) ||
+    hazard.statements.some(statement => typeof statement !== 'string' || !/^(EU)?H\d{3}/.test(statement.trim())))) {
+    errors.push(`${label}: hazard.statements must be a list of hazard statements starting with their code, e.g. 'H350: May cause cancer'`);
+  }
+  if (hazard.unNumber !== undefined && !UN_NUMBER_PATTERN.test(hazard.unNumber)) {
+    errors.push(`${label}: hazard.unNumber must look like UN1885`);
+  }
+  if (hazard.restricted !== undefined && typeof hazard.restricted !== 'boolean') {
+    errors.push(`${label}: hazard.restricted must be true or false`);
+  }
+  return errors;
+};
+
+// Helper function to format a product's hazards for the customer, or '' when it has none
+const formatHazards = (product, t) => {
+  const hazard = product.hazard;
+  if (!hazard) {
+    return '';
+  }
+  let text = '';
+  if (hazard.ghs && hazard.ghs.length > 0) {
+    text += `*${t('product.hazards')}:* ⚠️ ${hazard.ghs.map(code => t(`ghs.${code}`)).join(', ')}\n`;
+  }
+  (hazard.statements || []).forEach(statement => {
+    text += `• ${statement}\n`;
+  });
+  if (hazard.unNumber) {
+    text += `*${t('product.un_number')}:* ${hazard.unNumber}\n`;
+  }
+  if (hazard.restricted) {
+    text += `🔒 ${t('product.restricted')}\n`;
+  }
+  return text.trim();
+};
+
+module.exports = {
+  GHS_PICTOGRAMS,
+  END_USE_DECLARATION_VERSION,
+  isRestricted,
+  validateRegistrationNumber,
+  validateHazard,
+  formatHazards
+};
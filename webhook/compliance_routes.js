@@ -0,0 +1,49 @@
+const express = require('express');
+const { VerificationValidationError, VerificationNotFoundError } = require('./verification_store');
+
+// Admin REST API for business verifications and the compliance audit log; mount behind requireApiKey
+const createComplianceRouter = (verificationStore, auditStore) => {
+  const router = express.Router();
+
+  router.get('/verifications', (req, res) => {
+    res.json({ verifications: verificationStore.listVerifications({ status: req.query.status }) });
+  });
+
+  router.get('/verifications/:customer', (req, res) => {
+    const verification = verificationStore.getVerification(req.params.customer);
+    if (!verification) {
+      throw new VerificationNotFoundError(req.params.customer);
+    }
+    res.json({ verification, audit: auditStore.listEntries({ customer: req.params.customer }) });
+  });
+
+  // Revoke (or reinstate) a customer's verification: { "status": "revoked", "note": "GSTIN cancelled" }
+  router.patch('/verifications/:customer', async (req, res) => {
+    const { status, note } = req.body || {};
+    const verification = await verificationStore.updateVerification(req.params.customer, { status, note });
+    await auditStore.record({ type: 'verification_updated', customer: verification.customer, status, ...(note && { note }) });
+    res.json({ verification });
+  });
+
+  // Filter with ?type=restricted_order and/or ?customer=919876543210
+  router.get('/audit', (req, res) => {
+    const { type, customer } = req.query;
+    res.json({ entries: auditStore.listEntries({ type, customer }) });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof VerificationValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof VerificationNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createComplianceRouter
+};
@@ -0,0 +1,52 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID, customerKey } = require('./tenant_store');
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// Marketing consent by WhatsApp number, persisted to a JSON file with every change kept in the
+// customer's history (status, where it came from, the keyword they sent and when). Customers who opted
+// out never receive campaign messages; replies to their own messages are not affected. Consent is given to
+// a brand (tenantId, see tenant_store.js): STOP to one of our numbers says nothing about the others.
+const createConsentStore = ({ filePath }) => {
+  const data = readJsonFile(filePath, { customers: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const getConsent = (customer, tenantId = DEFAULT_TENANT_ID) => data.customers[customerKey(tenantId, customer)] || null;
+
+  const isOptedOut = (customer, tenantId) => getConsent(customer, tenantId)?.status === 'opted_out';
+
+  const listConsents = ({ status, tenantId } = {}) => Object.values(data.customers)
+    .filter(consent => !status || consent.status === status)
+    .filter(consent => !tenantId || (consent.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  // Helper function to record a consent change (source: 'whatsapp', 'admin' or 'meta'; keyword: what the customer sent)
+  const setStatus = async (customer, status, { source, keyword, tenantId = DEFAULT_TENANT_ID } = {}) => {
+    const now = new Date().toISOString();
+    const key = customerKey(tenantId, customer);
+    const consent = data.customers[key] || { customer, tenantId, history: [] };
+    consent.status = status;
+    consent.updatedAt = now;
+    consent.history.push({ status, source, ...(keyword && { keyword }), at: now });
+    data.customers[key] = consent;
+    await save();
+    return consent;
+  };
+
+  const optIn = (customer, details) => setStatus(customer, 'opted_in', details);
+
+  const optOut = (customer, details) => setStatus(customer, 'opted_out', details);
+
+  return {
+    getConsent,
+    isOptedOut,
+    listConsents,
+    optIn,
+    optOut
+  };
+};
+
+module.exports = {
+  CONSENT_STATUSES,
+  createConsentStore
+};
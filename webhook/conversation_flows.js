@@ -0,0 +1,1949 @@
+const { normalizeOrderNumber } = require('./order_store');
+const {
+  getNextRfqStep,
+  validateRfqQuantity,
+  validateDeliveryLocation,
+  validateTargetDate,
+  formatRequestedQuantity
+} = require('./rfq');
+const {
+  CHECKOUT_FIELDS,
+  getCheckoutField,
+  getNextMissingField,
+  validateCheckoutField,
+  formatOrderSummary
+} = require('./checkout');
+const {
+  getPackInfo,
+  getMoqPacks,
+  resolveCartQuantity,
+  createCartLine,
+  setCartLinePacks,
+  describeCartQuantity,
+  formatCartLine,
+  formatCartTotals
+} = require('./cart');
+const { formatKg } = require('./quantity');
+const { DEFAULT_LANGUAGE, getTranslator, getLanguages, guessLanguage, isSupportedLanguage, localize } = require('./i18n');
+const { searchProducts } = require('./search');
+const { LIMITS, parseListPageId } = require('./message_builder');
+const { getMediaType, getMediaExtension, MediaDownloadError } = require('./media_store');
+const { PRODUCT_MEDIA_KINDS } = require('./catalog');
+const { DEFAULT_TENANT_ID, DEFAULT_SUPPORT } = require('./tenant_store');
+const { END_USE_DECLARATION_VERSION, isRestricted, validateRegistrationNumber, formatHazards } = require('./compliance');
+const { logger } = require('./logger');
+
+// WhatsApp lists hold 10 rows: a page of results plus 'More results' and 'Back to Main Menu'
+const SEARCH_PAGE_SIZE = 8;
+
+// Helper function to show the customer's per-kg price and what one pack costs ('₹4,175 per kg · ₹1,04,375 per drum (25 kg)')
+const formatProductPrice = (product, { pricePerKg, currency }, t) => {
+  const pack = getPackInfo(product);
+  const perKg = `${t.formatMoney(pricePerKg, currency)} ${t('product.price_per_kg')}`;
+  if (pack.name === 'kg') {
+    return perKg;
+  }
+  const packPrice = Math.round(pricePerKg * pack.sizeKg * 100) / 100;
+  return `${perKg} · ${t.formatMoney(packPrice, currency)} ${t('product.price_per_pack', { pack: pack.singular, size: formatKg(pack.sizeKg) })}`;
+};
+
+// Helper function to list volume discounts ('3% off from 500 kg, 5% off from 1,000 kg'), or '' when there are none
+const formatVolumeTiers = (tiers, t) => tiers
+  .map(tier => t('product.volume_tier', { percent: tier.discountPercent, quantity: formatKg(tier.minKg) }))
+  .join(', ');
+
+// Helper function to format product details (pass the product through i18n.localize first).
+// price is { pricePerKg, currency, volumeTiers } for the customer viewing it (see pricing.js).
+const formatProductDetails = (product, t, price) => {
+  const hazards = formatHazards(product, t);
+  const tiers = formatVolumeTiers(price.volumeTiers, t);
+  return `*${product.name}*\n\n` +
+    `*${t('product.type')}:* ${product.type}\n` +
+    `*${t('product.application')}:* ${product.application}\n` +
+    `*${t('product.packaging')}:* ${product.packaging}\n` +
+    `*${t('product.price')}:* ${formatProductPrice(product, price, t)}\n` +
+    (tiers ? `*${t('product.volume_discounts')}:* ${tiers}\n` : '') +
+    `*${t('product.moq')}:* ${product.moq}\n` +
+    `*${t('product.cas')}:* ${product.cas}\n` +
+    `*${t('product.availability')}:* ${product.inStock ? `✅ ${t('product.in_stock')}` : `❌ ${t('product.out_of_stock')}`}\n\n` +
+    (hazards ? `${hazards}\n\n` : '') +
+    `*${t('product.description')}:* ${product.description}`;
+};
+
+// Helper function to turn a shared location into an address line with a map link
+const formatLocation = ({ latitude, longitude, name, address }) => {
+  const link = `https://maps.google.com/?q=${latitude},${longitude}`;
+  const label = [name, address].filter(Boolean).join(', ');
+  return label ? `${label} (${link})` : link;
+};
+
+// Helper function to keep what orders and quote requests need to know about a received file
+const summarizeAttachment = ({ id, kind, filename, mimeType, size, caption, receivedAt }) => (
+  { id, kind, filename, mimeType, size, caption, receivedAt }
+);
+
+// Helper function to pick a tenant text in the customer's language ("Hello" or { "en": "Hello", "hi": "नमस्ते" })
+const tenantText = (value, t) => (typeof value === 'string'
+  ? value
+  : value[t.language] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0]);
+
+// Helper function to format an order's status for the customer
+const formatOrderStatus = (order, t) => {
+  let text = `${t('order.title', { orderNumber: order.orderNumber })}\n\n` +
+    `*${t('order.status')}:* ${t(`order_status.${order.status}`)}\n` +
+    `*${t('order.placed_on')}:* ${t.formatDate(order.createdAt)}\n`;
+  if (order.courier) {
+    text += `*${t('order.courier')}:* ${order.courier}\n`;
+  }
+  if (order.lrNumber) {
+    text += `*${t('order.lr_number')}:* ${order.lrNumber}\n`;
+  }
+  if (order.eta) {
+    text += `*${t('order.eta')}:* ${t.formatDate(order.eta)}\n`;
+  }
+  text += `\n*${t('order.items')}:*\n`;
+  order.items.forEach((item, index) => {
+    text += `${index + 1}. ${item.name} - ${describeCartQuantity(item)}\n`;
+  });
+  // Orders placed before multi-currency pricing have no currency
+  if (order.currency) {
+    text += `\n*${t('order.total')}:* ${t.formatMoney(order.total, order.currency)}\n`;
+  }
+  return text.trim();
+};
+
+// The customer conversation as a state machine definition (see state_machine.js).
+// Everything that talks to the outside world is passed in, so flows can be exercised with a fake messenger:
+//   messenger = { sendTextMessage(to, text), sendInteractiveMessage(to, header, body, buttons, labels), sendListMessage(to, header, body, sections, options),
+//                 sendMediaMessage(to, source, { caption, filename }) }
+// Files customers send are saved through mediaStore (see media_store.js) and kept with their order or quote request.
+// Restricted products need a verified business (verificationStore); their sales are written to auditStore.
+// Prices, currencies and taxes come from pricing (see pricing.js); cart lines store quantities only.
+// Returning customers' company details and addresses are kept in profileStore and offered at checkout.
+// STOP/unsubscribe and subscribe replies are recorded in consentStore; campaigns leave out whoever opted out.
+// tenant is the brand whose number the customer wrote to (see tenant_store.js): its welcome text and support contacts.
+// Orders, quotes, handoffs, profiles and consent are the customer's with that brand only; business verification
+// is shared by all brands (see verification_store.js).
+// Payload limits, long-list paging and the >3 buttons fallback are handled by message_builder.js.
+// Replies are written in the customer's session.language; see i18n.js and locales/.
+// track(event) counts a sales funnel step (browse, add_to_cart, checkout, ...; see metrics.js).
+const createConversationFlows = ({
+  catalog, pricing, orderStore, leadStore, handoffStore, mediaStore, verificationStore, auditStore, profileStore, consentStore, messenger,
+  tenant = {}, track = () => {}
+}) => {
+  const { sendTextMessage, sendInteractiveMessage, sendListMessage, sendMediaMessage } = messenger;
+  const tenantId = tenant.id || DEFAULT_TENANT_ID;
+  const welcome = tenant.welcome || {};
+  const support = { ...DEFAULT_SUPPORT, ...tenant.support };
+
+  // Helper function to get the translator for whoever sent the current message
+  const translatorFor = ({ session }) => getTranslator(session.language);
+
+  // List and page-navigation labels in the customer's language
+  const listLabels = (ctx) => {
+    const t = translatorFor(ctx);
+    return {
+      button: t('common.select_option'),
+      next: t('common.next_page'),
+      previous: t('common.previous_page'),
+      more: t('common.more_options')
+    };
+  };
+
+  // Helper function to send a list; lists too long for one message are kept in the session for paging,
+  // under a new id so the page rows of lists sent earlier no longer work
+  const sendList = (ctx, header, body, sections) => {
+    const rowCount = sections.reduce((count, section) => count + section.rows.length, 0);
+    if (rowCount <= LIMITS.listRows) {
+      return sendListMessage(ctx.from, header, body, sections, listLabels(ctx));
+    }
+    const id = String(Number((ctx.session.pagedList && ctx.session.pagedList.id) || 0) + 1);
+    ctx.session.pagedList = { id, header, body, sections };
+    return sendListMessage(ctx.from, header, body, sections, { ...listLabels(ctx), listId: id });
+  };
+
+  // Helper function to resend the list kept for paging at another page
+  const sendListPage = (ctx, page) => {
+    const { id, header, body, sections } = ctx.session.pagedList;
+    return sendListMessage(ctx.from, header, body, sections, { ...listLabels(ctx), listId: id, page });
+  };
+
+  // Helper function to send reply buttons (sent as a list when there are more than three)
+  const sendButtons = (ctx, header, body, buttons) => (
+    sendInteractiveMessage(ctx.from, header, body, buttons, listLabels(ctx))
+  );
+
+  // Helper function to get a product with its name and description in the customer's language
+  const getLocalizedProduct = (ctx, productId) => {
+    const product = catalog.getProduct(productId);
+    return product && localize(product, translatorFor(ctx).language);
+  };
+
+  // Cart lines keep the catalog's English name (orders are read by staff); show the translated one
+  const localizeCart = (ctx, cart) => cart.map(item => {
+    const product = getLocalizedProduct(ctx, item.id);
+    return product ? { ...item, name: product.name } : item;
+  });
+
+  // The currency the customer picked, or the one for their country (see pricing.getCurrency)
+  const currencyFor = (ctx) => pricing.getCurrency(ctx.from, ctx.session.currency);
+
+  // Helper function to price cart lines for the customer, in their currency and with their country's tax
+  const priceCartFor = (ctx, cart) => pricing.priceCart(cart, {
+    customer: ctx.from,
+    currency: currencyFor(ctx),
+    getProduct: catalog.getProduct
+  });
+
+  // Helper function to get product categories
+  const getProductCategories = () => {
+    const categories = {};
+    // Only offer categories that currently have products
+    Object.entries(catalog.getCategories()).forEach(([key, category]) => {
+      if (catalog.getProductsByCategory(key).length > 0) {
+        categories[key] = category;
+      }
+    });
+    return categories;
+  };
+
+  // Helper function to search the catalog in English and the customer's language, best matches first
+  const findProducts = (ctx, text) => searchProducts(catalog.getProducts(), text, { language: translatorFor(ctx).language });
+
+  // Helper function to offer the supported languages, each named in its own language
+  const sendLanguagePicker = async (ctx) => {
+    const t = translatorFor(ctx);
+    const rows = getLanguages().map(language => ({
+      id: `lang_${language.code}`,
+      title: language.name,
+      description: getTranslator(language.code)('language.english_name')
+    }));
+
+    return sendList(ctx,
+      t('language.picker_header'),
+      t('language.picker_body'),
+      [{ title: t('language.section'), rows }]
+    );
+  };
+
+  // Helper function to work out which language a picker reply or typed name refers to
+  const findLanguage = (input) => {
+    if (input.text.startsWith('lang_')) {
+      const code = input.text.replace('lang_', '');
+      return isSupportedLanguage(code) ? code : null;
+    }
+    const language = getLanguages().find(({ code }) => {
+      const t = getTranslator(code);
+      return [t('language.name'), t('language.english_name')].some(name => name.toLowerCase() === input.text);
+    });
+    return language ? language.code : null;
+  };
+
+  // Helper function to offer the currencies we have exchange rates for, named in the customer's language
+  const sendCurrencyPicker = async (ctx) => {
+    const t = translatorFor(ctx);
+    const names = new Intl.DisplayNames(t('language.locale'), { type: 'currency' });
+    const rows = pricing.getCurrencies().map(code => ({
+      id: `currency_${code.toLowerCase()}`,
+      title: code,
+      description: names.of(code)
+    }));
+
+    return sendList(ctx,
+      t('currency.picker_header'),
+      t('currency.picker_body', { currency: currencyFor(ctx) }),
+      [{ title: t('currency.section'), rows }]
+    );
+  };
+
+  // Helper function to switch the customer's currency, then show their cart again in it (or the menu)
+  const chooseCurrency = async (ctx) => {
+    const currency = ctx.input.text.replace('currency_', '').toUpperCase();
+    if (!pricing.isSupportedCurrency(currency)) {
+      return sendCurrencyPicker(ctx);
+    }
+    ctx.session.currency = currency;
+    await sendTextMessage(ctx.from, translatorFor(ctx)('currency.saved', { currency }));
+    if (ctx.session.cart && ctx.session.cart.length > 0) {
+      return sendCartSummary(ctx);
+    }
+    await sendWelcomeMenu(ctx);
+    return 'welcome';
+  };
+
+  // Helper function to send welcome menu
+  // Returning customers are greeted by name and can reorder or look through their past orders
+  const sendWelcomeMenu = async (ctx) => {
+    const t = translatorFor(ctx);
+    const profile = profileStore.getProfile(ctx.from, tenantId);
+    const [lastOrder] = orderStore.listOrders({ customer: ctx.from, tenantId });
+    const greeting = welcome.text ? tenantText(welcome.text, t) : t('menu.text');
+    await sendTextMessage(ctx.from, profile && profile.contactName ? t('menu.text_returning', { name: profile.contactName }) : greeting);
+
+    const orderRows = lastOrder ? [
+      { id: "reorder_last", title: t('menu.reorder.title'), description: t('menu.reorder.description', { orderNumber: lastOrder.orderNumber, date: t.formatDate(lastOrder.createdAt) }) },
+      { id: "my_orders", title: t('menu.orders.title'), description: t('menu.orders.description') }
+    ] : [];
+
+    const sections = [{
+      title: t('menu.section'),
+      rows: [
+        { id: "browse_products", title: t('menu.browse.title'), description: t('menu.browse.description') },
+        { id: "search_products", title: t('menu.search.title'), description: t('menu.search.description') },
+        { id: "request_quote", title: t('menu.quote.title'), description: t('menu.quote.description') },
+        { id: "track_order", title: t('menu.track.title'), description: t('menu.track.description') },
+        ...orderRows,
+        { id: "contact_support", title: t('menu.support.title'), description: t('menu.support.description') },
+        { id: "change_language", title: t('menu.language.title'), description: t('menu.language.description') },
+        { id: "change_currency", title: t('menu.currency.title'), description: t('menu.currency.description') }
+      ]
+    }];
+
+    return sendList(ctx,
+      welcome.header ? tenantText(welcome.header, t) : t('menu.header'),
+      t('menu.body'),
+      sections
+    );
+  };
+
+  // Helper function to send category menu
+  const sendCategoryMenu = async (ctx) => {
+    const t = translatorFor(ctx);
+    const rows = Object.entries(getProductCategories()).map(([key, category]) => {
+      const value = localize(category, t.language);
+      return {
+        id: `category_${key}`,
+        title: value.name,
+        description: value.description
+      };
+    });
+
+    const sections = [{
+      title: t('categories.section'),
+      rows: rows
+    }];
+
+    return sendList(ctx,
+      t('categories.header'),
+      t('categories.body'),
+      sections
+    );
+  };
+
+  // Helper function to describe a product in a list row ('Reactive Dye - In Stock')
+  const describeProductRow = (product, t) => t('products.row_description', {
+    type: product.type,
+    stock: product.inStock ? t('product.in_stock') : t('product.out_of_stock')
+  });
+
+  // Helper function to send product list by category; returns false if the category is empty
+  const sendProductListByCategory = async (ctx, category) => {
+    const t = translatorFor(ctx);
+    const categoryProducts = catalog.getProductsByCategory(category).map(product => localize(product, t.language));
+
+    if (categoryProducts.length === 0) {
+      await sendTextMessage(ctx.from, t('products.empty_category'));
+      await sendCategoryMenu(ctx);
+      return false;
+    }
+
+    const rows = categoryProducts.map(product => ({
+      id: `product_${product.id}`,
+      title: product.name,
+      description: describeProductRow(product, t)
+    }));
+
+    // Add back button
+    rows.push({
+      id: "back_to_categories",
+      title: t('products.back.title'),
+      description: t('products.back.description')
+    });
+
+    const sections = [{
+      title: t('products.section'),
+      rows: rows
+    }];
+
+    await sendList(ctx,
+      categoryProducts[0].type,
+      t('products.body'),
+      sections
+    );
+    return true;
+  };
+
+  // Helper function to send product details
+  const sendProductDetails = async (ctx, product) => {
+    if (product.media && product.media.image) {
+      // The details matter more than the picture, so a failed image doesn't stop them
+      await sendMediaMessage(ctx.from, product.media.image, { caption: product.name })
+        .catch(error => logger.warn('Error sending product image', { productId: product.id, error }));
+    }
+    const currency = currencyFor(ctx);
+    const price = {
+      pricePerKg: pricing.getPricePerKg(product, { customer: ctx.from, currency }),
+      currency,
+      volumeTiers: pricing.getVolumeTiers()
+    };
+    await sendTextMessage(ctx.from, formatProductDetails(product, translatorFor(ctx), price));
+    return sendProductActionButtons(ctx);
+  };
+
+  // Helper function to list the documents (shade card, TDS, SDS) a product has, in a fixed order
+  const getProductDocuments = (product) => PRODUCT_MEDIA_KINDS
+    .filter(kind => kind !== 'image' && product && product.media && product.media[kind])
+    .map(kind => ({ kind, source: product.media[kind] }));
+
+  // Helper function to send product action buttons
+  const sendProductActionButtons = async (ctx, additionalAction = null) => {
+    const t = translatorFor(ctx);
+    const buttons = [
+      { id: "add_to_cart", title: t('product_actions.add_to_cart') },
+      { id: "request_quote", title: t('product_actions.request_quote') },
+      { id: "back_to_products", title: t('product_actions.back_to_products') }
+    ];
+
+    if (getProductDocuments(catalog.getProduct(ctx.session.lastProductViewed)).length > 0) {
+      buttons.push({ id: "product_documents", title: t('product_actions.documents') });
+    }
+
+    if (additionalAction === 'view_cart') {
+      buttons.push({ id: "view_cart", title: t('product_actions.view_cart') });
+    }
+
+    return sendButtons(ctx,
+      t('product_actions.header'),
+      t('product_actions.body'),
+      buttons
+    );
+  };
+
+  // Helper function to offer the documents of the product being viewed
+  const sendDocumentMenu = async (ctx) => {
+    const t = translatorFor(ctx);
+    const product = getLocalizedProduct(ctx, ctx.session.lastProductViewed);
+    const documents = getProductDocuments(product);
+    if (documents.length === 0) {
+      return sendProductActionButtons(ctx);
+    }
+    const rows = documents.map(({ kind }) => ({
+      id: `document_${kind}`,
+      title: t(`media.${kind}`),
+      description: t('documents.description')
+    }));
+    return sendList(ctx, t('documents.header'), t('documents.body', { name: product.name }), [{ title: t('documents.section'), rows }]);
+  };
+
+  // Helper function to send the document the customer picked, as a file named after the product
+  const sendProductDocument = async (ctx) => {
+    const t = translatorFor(ctx);
+    const product = getLocalizedProduct(ctx, ctx.session.lastProductViewed);
+    const kind = ctx.input.text.replace('document_', '');
+    const document = getProductDocuments(product).find(entry => entry.kind === kind);
+    if (!document) {
+      return sendDocumentMenu(ctx);
+    }
+    const title = `${product.name} - ${t(`media.${kind}`)}`;
+    return sendMediaMessage(ctx.from, document.source, getMediaType(document.source) === 'document'
+      ? { filename: `${title}${getMediaExtension(document.source)}` }
+      : { caption: title });
+  };
+
+  // Helper function to send one page of results for the search saved in session.search
+  const sendSearchResults = async (ctx) => {
+    const t = translatorFor(ctx);
+    const { query, page } = ctx.session.search;
+    const results = findProducts(ctx, query);
+    const start = page * SEARCH_PAGE_SIZE;
+    const end = Math.min(start + SEARCH_PAGE_SIZE, results.length);
+
+    const rows = results.slice(start, end).map(product => localize(product, t.language)).map(product => ({
+      id: `product_${product.id}`,
+      title: product.name,
+      description: describeProductRow(product, t)
+    }));
+
+    if (end < results.length) {
+      rows.push({
+        id: "search_more",
+        title: t('search.more.title'),
+        description: t('search.more.description', { from: start + 1, to: end, total: results.length })
+      });
+    }
+
+    // Add back button
+    rows.push({
+      id: "main_menu",
+      title: t('search.back.title'),
+      description: t('search.back.description')
+    });
+
+    const sections = [{
+      title: t('search.section'),
+      rows: rows
+    }];
+
+    return sendList(ctx,
+      t('search.header'),
+      t('products.body'),
+      sections
+    );
+  };
+
+  // Helper function to run a new search and show its first page; returns false if nothing matched
+  const startSearch = async (ctx, query) => {
+    const results = findProducts(ctx, query);
+    track('search');
+    if (results.length === 0) {
+      track('search_no_results');
+      return false;
+    }
+    ctx.session.search = { query, page: 0 };
+    await sendTextMessage(ctx.from, translatorFor(ctx)('search.found', { count: results.length }));
+    await sendSearchResults(ctx);
+    return true;
+  };
+
+  // Helper function to send cart summary; returns the next state (the cart, or the menu if it is empty)
+  const sendCartSummary = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    if (!session.cart || session.cart.length === 0) {
+      await sendTextMessage(from, t('cart.empty'));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+
+    const cart = localizeCart(ctx, session.cart);
+    const quote = priceCartFor(ctx, cart);
+    let cartText = `${t('cart.title')}\n\n`;
+
+    quote.lines.forEach((line, index) => {
+      cartText += `${formatCartLine(line, index, t, quote.currency)}\n\n`;
+    });
+
+    cartText += formatCartTotals(quote, t);
+
+    await sendTextMessage(from, cartText);
+
+    // One row per cart line to edit or remove it, then the usual cart actions
+    const itemRows = cart.map(item => ({
+      id: `cart_item_${item.id}`,
+      title: item.name,
+      description: t('cart.item_description', { quantity: describeCartQuantity(item) })
+    }));
+
+    const sections = [{
+      title: t('cart.items_section'),
+      rows: itemRows
+    }, {
+      title: t('cart.actions_section'),
+      rows: [
+        { id: "checkout", title: t('cart.checkout.title'), description: t('cart.checkout.description') },
+        { id: "clear_cart", title: t('cart.clear.title'), description: t('cart.clear.description') },
+        { id: "continue_shopping", title: t('cart.continue.title'), description: t('cart.continue.description') }
+      ]
+    }];
+
+    await sendList(ctx,
+      t('cart.header'),
+      t('cart.body'),
+      sections
+    );
+    return 'viewing_cart';
+  };
+
+  // Helper function to offer Change Quantity / Remove for one cart line
+  const sendCartItemActions = async (ctx, productId) => {
+    const t = translatorFor(ctx);
+    const item = localizeCart(ctx, ctx.session.cart).find(cartItem => cartItem.id === productId);
+    if (!item) {
+      return sendCartSummary(ctx);
+    }
+    const quote = priceCartFor(ctx, [item]);
+
+    const buttons = [
+      { id: `cart_edit_${item.id}`, title: t('cart.change_quantity') },
+      { id: `cart_remove_${item.id}`, title: t('cart.remove_item') },
+      { id: "view_cart", title: t('cart.back') }
+    ];
+
+    await sendButtons(ctx,
+      item.name,
+      `${describeCartQuantity(item)} - ${t.formatMoney(quote.lines[0].lineTotal, quote.currency)}`,
+      buttons
+    );
+    return 'viewing_cart';
+  };
+
+  // Helper function to ask how much of a product to add ('add') or to change a cart line to ('set')
+  const askCartQuantity = async (ctx, product, mode) => {
+    const t = translatorFor(ctx);
+    const pack = getPackInfo(product);
+    ctx.session.pendingQuantity = { productId: product.id, mode };
+
+    const buttons = [
+      { id: "qty_moq", title: t('quantity.moq_button', { packs: getMoqPacks(product), pack: pack.name }) },
+      { id: "cancel_quantity", title: t('common.cancel') }
+    ];
+
+    await sendButtons(ctx,
+      product.name,
+      t('quantity.prompt', { pack: pack.name, packaging: product.packaging, moq: product.moq }),
+      buttons
+    );
+    return 'entering_quantity';
+  };
+
+  // Helper function to leave the quantity prompt without touching the cart
+  const cancelQuantity = async (ctx) => {
+    const pending = ctx.session.pendingQuantity || {};
+    const product = catalog.getProduct(pending.productId);
+    await sendTextMessage(ctx.from, translatorFor(ctx)('quantity.no_changes'));
+    if (pending.mode === 'set') {
+      return sendCartSummary(ctx);
+    }
+    if (product) {
+      await sendProductActionButtons(ctx);
+      return 'viewing_product';
+    }
+    await sendWelcomeMenu(ctx);
+    return 'welcome';
+  };
+
+  // Helper function to handle the quantity answer and update the cart
+  const handleQuantityInput = async (ctx) => {
+    const { from, session, input } = ctx;
+    const t = translatorFor(ctx);
+    const pending = session.pendingQuantity || {};
+    const product = getLocalizedProduct(ctx, pending.productId);
+    if (!product) {
+      return cancelQuantity(ctx);
+    }
+
+    const pack = getPackInfo(product);
+    const answer = input.text === 'qty_moq' ? `${getMoqPacks(product)} ${pack.name}` : input.raw;
+    const result = resolveCartQuantity(answer, product);
+    if (result.error) {
+      await sendTextMessage(from, `${t(result.error, result.params)}\n\n${t('quantity.retry', { pack: pack.name })}`);
+      return 'entering_quantity';
+    }
+
+    const { packs, rounded } = result.value;
+    const rounding = rounded ? t('quantity.rounded', { pack: pack.name }) : '';
+    const existingItem = session.cart.find(item => item.id === product.id);
+
+    if (pending.mode === 'set' && existingItem) {
+      setCartLinePacks(existingItem, packs);
+      await sendTextMessage(from, t('quantity.updated', { name: product.name, quantity: describeCartQuantity(existingItem), rounding }));
+      return sendCartSummary(ctx);
+    }
+
+    if (existingItem) {
+      setCartLinePacks(existingItem, existingItem.packs + packs);
+    } else {
+      session.cart.push(createCartLine(catalog.getProduct(product.id), packs));
+    }
+    track('add_to_cart');
+    await sendTextMessage(from, t('quantity.added', { name: product.name, quantity: describeCartQuantity(createCartLine(product, packs)), rounding }));
+    await sendProductActionButtons(ctx, 'view_cart');
+    return 'viewing_product';
+  };
+
+  // Helper function to start collecting shipping details for the current cart
+  const startCheckout = async (ctx) => {
+    const t = translatorFor(ctx);
+    if (ctx.session.cart.length === 0) {
+      await sendTextMessage(ctx.from, t('checkout.cart_empty'));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+    track('checkout');
+
+    // Returning customers start from their saved company details and pick a saved address
+    const profile = profileStore.getProfile(ctx.from, tenantId);
+    if (profile && profile.companyName) {
+      const { companyName, contactName, email, taxNumber } = profile;
+      const details = { companyName, contactName, email, ...(taxNumber && { taxNumber }) };
+      ctx.session.checkout = { step: getNextMissingField(details).key, details };
+      await sendTextMessage(ctx.from, t('checkout.start_returning', { company: companyName }));
+      if (profile.addresses.length > 0) {
+        ctx.session.checkout.step = 'address_choice';
+        await sendSavedAddresses(ctx);
+      } else {
+        await sendTextMessage(ctx.from, t(`checkout.${ctx.session.checkout.step}.prompt`));
+      }
+      return 'checkout';
+    }
+
+    // Customers verified for restricted products have a GSTIN before their first order
+    ctx.session.checkout = { step: CHECKOUT_FIELDS[0].key, details: profile && profile.taxNumber ? { taxNumber: profile.taxNumber } : {} };
+    await sendTextMessage(ctx.from, t('checkout.start'));
+    await sendTextMessage(ctx.from, t(`checkout.${CHECKOUT_FIELDS[0].key}.prompt`));
+    return 'checkout';
+  };
+
+  // Helper function to offer a returning customer's saved delivery addresses, most recently used first
+  const sendSavedAddresses = (ctx) => {
+    const t = translatorFor(ctx);
+    const profile = profileStore.getProfile(ctx.from, tenantId);
+    const rows = profile.addresses.map(saved => ({
+      id: `ship_to_${saved.id}`,
+      title: saved.address,
+      description: `${saved.address}, ${saved.postalCode}`
+    }));
+    rows.push({ id: 'ship_to_new', title: t('checkout.address_choice.new.title'), description: t('checkout.address_choice.new.description') });
+
+    return sendList(ctx,
+      t('checkout.address_choice.header'),
+      t('checkout.address_choice.body'),
+      [{ title: t('checkout.address_choice.section'), rows }]
+    );
+  };
+
+  // Helper function to use a saved address (then on to the summary), or ask for a new one
+  const chooseSavedAddress = async (ctx) => {
+    const checkout = getCheckout(ctx.session);
+    const t = translatorFor(ctx);
+    const id = ctx.input.text.replace('ship_to_', '');
+    const profile = profileStore.getProfile(ctx.from, tenantId);
+    const saved = profile && profile.addresses.find(address => String(address.id) === id);
+    if (!saved) {
+      checkout.step = 'address';
+      return sendTextMessage(ctx.from, t('checkout.address.prompt'));
+    }
+
+    checkout.details.address = saved.address;
+    checkout.details.postalCode = saved.postalCode;
+    if (saved.location) {
+      checkout.details.location = saved.location;
+    } else {
+      delete checkout.details.location;
+    }
+    const nextField = getNextMissingField(checkout.details);
+    if (nextField) {
+      checkout.step = nextField.key;
+      return sendTextMessage(ctx.from, t(`checkout.${nextField.key}.prompt`));
+    }
+    checkout.step = 'confirm';
+    return sendOrderSummary(ctx);
+  };
+
+  // Helper function to get the checkout in progress (sessions saved mid-checkout may lack it)
+  const getCheckout = (session) => {
+    session.checkout = session.checkout || { step: CHECKOUT_FIELDS[0].key, details: {} };
+    return session.checkout;
+  };
+
+  // Helper function to repeat whatever checkout is waiting for
+  const repeatCheckoutStep = async (ctx) => {
+    const checkout = getCheckout(ctx.session);
+    if (checkout.step === 'confirm') {
+      return sendOrderSummary(ctx);
+    }
+    if (checkout.step === 'address_choice') {
+      return sendSavedAddresses(ctx);
+    }
+    const field = getCheckoutField(checkout.step) || CHECKOUT_FIELDS[0];
+    return sendTextMessage(ctx.from, translatorFor(ctx)(`checkout.${field.key}.prompt`));
+  };
+
+  // Helper function to handle a typed shipping detail
+  const handleCheckoutAnswer = async (ctx) => {
+    const { from, session, input } = ctx;
+    const t = translatorFor(ctx);
+    const checkout = getCheckout(session);
+    if (checkout.step === 'confirm') {
+      return repeatCheckoutStep(ctx);
+    }
+    // Typing an address instead of picking a saved one uses the typed address
+    if (checkout.step === 'address_choice') {
+      checkout.step = 'address';
+    }
+
+    const field = getCheckoutField(checkout.step) || CHECKOUT_FIELDS[0];
+    // A location pin is only routed here for the address
+    const result = validateCheckoutField(field.key, input.location ? formatLocation(input.location) : input.raw);
+    if (result.error) {
+      return sendTextMessage(from, `${t(result.error)}\n\n${t(`checkout.${field.key}.prompt`)}`);
+    }
+    checkout.details[field.key] = result.value;
+    if (field.key === 'address') {
+      if (input.location) {
+        checkout.details.location = { latitude: input.location.latitude, longitude: input.location.longitude };
+      } else {
+        delete checkout.details.location;
+      }
+    }
+
+    const nextField = getNextMissingField(checkout.details);
+    if (nextField) {
+      checkout.step = nextField.key;
+      return sendTextMessage(from, t(`checkout.${nextField.key}.prompt`));
+    }
+
+    checkout.step = 'confirm';
+    return sendOrderSummary(ctx);
+  };
+
+  // Helper function to send the order summary with Confirm/Edit buttons
+  const sendOrderSummary = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    await sendTextMessage(from, formatOrderSummary(priceCartFor(ctx, localizeCart(ctx, session.cart)), session.checkout.details, t));
+
+    const buttons = [
+      { id: "checkout_confirm", title: t('checkout.confirm') },
+      { id: "checkout_edit", title: t('checkout.edit') },
+      { id: "checkout_cancel", title: t('common.cancel') }
+    ];
+
+    return sendButtons(ctx,
+      t('checkout.confirm_header'),
+      t('checkout.confirm_body'),
+      buttons
+    );
+  };
+
+  // Helper function to let the customer pick which shipping detail to change
+  const sendCheckoutEditMenu = async (ctx) => {
+    const t = translatorFor(ctx);
+    const details = ctx.session.checkout.details;
+    const rows = CHECKOUT_FIELDS.map(field => ({
+      id: `checkout_edit_${field.key}`,
+      title: t(`checkout.${field.key}.label`),
+      description: String(details[field.key] || '').slice(0, 72)
+    }));
+
+    const sections = [{
+      title: t('checkout.edit_section'),
+      rows: rows
+    }];
+
+    return sendList(ctx,
+      t('checkout.edit_header'),
+      t('checkout.edit_body'),
+      sections
+    );
+  };
+
+  // Helper function to turn the cart into an order and clear it
+  const placeOrder = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    if (!session.cart || session.cart.length === 0) {
+      await sendTextMessage(from, t('checkout.cart_empty'));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+    const restrictedItems = session.cart.filter(item => isRestricted(catalog.getProduct(item.id)));
+    if (restrictedItems.length > 0 && !verificationStore.isVerified(from)) {
+      logger.warn('Checkout blocked: restricted products without verification', { customer: from });
+      await sendTextMessage(from, t('compliance.checkout_blocked'));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+
+    // Orders keep the prices the customer confirmed, whatever the pricing says later
+    const { lines, currency, exchangeRate, priceList, subtotal, tax, total } = priceCartFor(ctx, session.cart);
+    const order = await orderStore.createOrder({
+      customer: from,
+      tenantId,
+      items: lines,
+      currency,
+      exchangeRate,
+      priceList,
+      subtotal,
+      tax,
+      total,
+      shipping: { ...session.checkout.details },
+      language: t.language,
+      attachments: session.checkout.attachments || []
+    });
+    logger.info('Order created', { orderNumber: order.orderNumber, customer: from });
+    await profileStore.recordOrder(from, session.checkout.details, tenantId);
+    if (restrictedItems.length > 0) {
+      await recordRestrictedSale('restricted_order', from, { orderNumber: order.orderNumber },
+        restrictedItems.map(item => ({ id: item.id, quantityKg: item.quantityKg })));
+    }
+    track('order_placed');
+
+    session.cart = [];
+
+    await sendTextMessage(from, t('order.placed', { orderNumber: order.orderNumber }));
+    await sendWelcomeMenu(ctx);
+    return 'welcome';
+  };
+
+  // Helper function to ask for an order number, offering the customer's recent orders
+  const sendTrackOrderPrompt = async (ctx) => {
+    const t = translatorFor(ctx);
+    const recentOrders = orderStore.listOrders({ customer: ctx.from, tenantId }).slice(0, 10);
+
+    if (recentOrders.length === 0) {
+      return sendTextMessage(ctx.from, t('track.prompt'));
+    }
+
+    const rows = recentOrders.map(order => ({
+      id: `track_${order.orderNumber}`,
+      title: order.orderNumber,
+      description: t('track.row_description', { status: t(`order_status.${order.status}`), date: t.formatDate(order.createdAt) })
+    }));
+
+    const sections = [{
+      title: t('track.section'),
+      rows: rows
+    }];
+
+    return sendList(ctx,
+      t('track.header'),
+      t('track.body'),
+      sections
+    );
+  };
+
+  // Helper function to look up a typed order number or a row from the recent orders list
+  const handleTrackingInput = async (ctx) => {
+    const { from, input } = ctx;
+    const t = translatorFor(ctx);
+    const orderNumber = input.text.replace(/^track_/, '');
+    const order = orderStore.getOrderForCustomer(orderNumber, from, tenantId);
+
+    if (!order) {
+      await sendTextMessage(from, t('track.not_found', { orderNumber: normalizeOrderNumber(orderNumber) }));
+    } else {
+      await sendTextMessage(from, `${formatOrderStatus(order, t)}\n\n${t('track.thanks')}`);
+    }
+    return sendWelcomeMenu(ctx);
+  };
+
+  // Helper function to list the customer's past orders, newest first, to look at or reorder
+  const sendMyOrders = async (ctx) => {
+    const t = translatorFor(ctx);
+    const orders = orderStore.listOrders({ customer: ctx.from, tenantId }).slice(0, LIMITS.listRows);
+    if (orders.length === 0) {
+      await sendTextMessage(ctx.from, t('my_orders.none'));
+      return sendWelcomeMenu(ctx);
+    }
+
+    const rows = orders.map(order => ({
+      id: `my_order_${order.orderNumber}`,
+      title: order.orderNumber,
+      description: order.currency
+        ? t('my_orders.row_description', { date: t.formatDate(order.createdAt), total: t.formatMoney(order.total, order.currency) })
+        : t.formatDate(order.createdAt)
+    }));
+
+    return sendList(ctx,
+      t('my_orders.header'),
+      t('my_orders.body'),
+      [{ title: t('my_orders.section'), rows }]
+    );
+  };
+
+  // Helper function to show one past order with Reorder / My Orders buttons
+  const sendOrderDetail = async (ctx) => {
+    const t = translatorFor(ctx);
+    const orderNumber = ctx.input.text.replace(/^my_order_/, '');
+    const order = orderStore.getOrderForCustomer(orderNumber, ctx.from, tenantId);
+    if (!order) {
+      await sendTextMessage(ctx.from, t('track.not_found', { orderNumber: normalizeOrderNumber(orderNumber) }));
+      return sendMyOrders(ctx);
+    }
+
+    await sendTextMessage(ctx.from, formatOrderStatus(order, t));
+    return sendButtons(ctx,
+      order.orderNumber,
+      t('my_orders.detail_body'),
+      [
+        { id: `reorder_${order.orderNumber}`, title: t('my_orders.reorder') },
+        { id: "my_orders", title: t('my_orders.back') },
+        { id: "main_menu", title: t('common.main_menu') }
+      ]
+    );
+  };
+
+  // Helper function to replace the cart with the items of a past order, at today's prices.
+  // Products that left the catalog, are out of stock or whose pack size no longer fits the quantity are skipped.
+  const reorder = async (ctx) => {
+    const { from, session, input } = ctx;
+    const t = translatorFor(ctx);
+    const order = input.text === 'reorder_last'
+      ? orderStore.listOrders({ customer: from, tenantId })[0]
+      : orderStore.getOrderForCustomer(input.text.replace(/^reorder_/, ''), from, tenantId);
+    if (!order) {
+      await sendTextMessage(from, t('my_orders.none'));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+
+    const cart = [];
+    const skipped = [];
+    order.items.forEach(item => {
+      const product = catalog.getProduct(item.id);
+      const result = product && product.inStock && resolveCartQuantity(`${item.quantityKg} kg`, product);
+      if (!result || result.error) {
+        skipped.push(item.name);
+        return;
+      }
+      cart.push(createCartLine(product, result.value.packs));
+    });
+
+    if (cart.length === 0) {
+      await sendTextMessage(from, t('reorder.nothing_available', { orderNumber: order.orderNumber }));
+      await sendWelcomeMenu(ctx);
+      return 'welcome';
+    }
+
+    session.cart = cart;
+    track('reorder');
+    const note = skipped.length > 0 ? `\n\n${t('reorder.skipped', { names: skipped.join(', ') })}` : '';
+    await sendTextMessage(from, `${t('reorder.done', { orderNumber: order.orderNumber })}${note}`);
+    return sendCartSummary(ctx);
+  };
+
+  // Helper function to start a quote request, pre-filling the product the customer last viewed
+  const startQuoteRequest = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    session.rfq = {};
+    track('request_quote');
+
+    const product = session.lastProductViewed && getLocalizedProduct(ctx, session.lastProductViewed);
+    if (product && needsVerification(ctx, product)) {
+      return startVerification(ctx, product, 'quote');
+    }
+    if (product) {
+      return startProductQuote(ctx, product);
+    }
+
+    await sendTextMessage(from, t('rfq.start'));
+    await sendTextMessage(from, t('rfq.product.prompt'));
+    return 'requesting_quote';
+  };
+
+  // Helper function to start a quote request for a known product, asking for the quantity
+  const startProductQuote = async (ctx, product) => {
+    const t = translatorFor(ctx);
+    ctx.session.rfq = { product: product.id };
+    await sendTextMessage(ctx.from, t('rfq.start_product', { name: product.name, moq: product.moq }));
+    await sendTextMessage(ctx.from, t('rfq.quantity.prompt'));
+    return 'requesting_quote';
+  };
+
+  // Helper function to repeat whatever the quote request is waiting for
+  const repeatQuoteStep = async (ctx) => {
+    ctx.session.rfq = ctx.session.rfq || {};
+    return sendTextMessage(ctx.from, translatorFor(ctx)(`rfq.${getNextRfqStep(ctx.session.rfq)}.prompt`));
+  };
+
+  // Helper function to confirm the product being quoted and ask for the quantity
+  const sendQuoteProductSelected = async (ctx, product) => {
+    if (needsVerification(ctx, product)) {
+      return startVerification(ctx, product, 'quote');
+    }
+    const t = translatorFor(ctx);
+    ctx.session.rfq.product = product.id;
+    return sendTextMessage(ctx.from, `${t('rfq.product_selected', { name: product.name, moq: product.moq })}\n\n${t('rfq.quantity.prompt')}`);
+  };
+
+  // Helper function to take the product picked from the 'Select Product' list
+  const pickQuoteProduct = async (ctx) => {
+    ctx.session.rfq = ctx.session.rfq || {};
+    const product = getNextRfqStep(ctx.session.rfq) === 'product' && getLocalizedProduct(ctx, ctx.input.text.replace('rfq_product_', ''));
+    if (!product) {
+      return repeatQuoteStep(ctx);
+    }
+    return sendQuoteProductSelected(ctx, product);
+  };
+
+  // Helper function to handle a typed answer while the customer is requesting a quote
+  const handleQuoteAnswer = async (ctx) => {
+    const { from, session, input } = ctx;
+    const t = translatorFor(ctx);
+    const rfq = session.rfq || {};
+    session.rfq = rfq;
+    const step = getNextRfqStep(rfq);
+
+    if (step === 'product') {
+      const matches = findProducts(ctx, input.raw).map(product => localize(product, t.language));
+      if (matches.length === 0) {
+        return sendTextMessage(from, `${t('rfq.not_found', { text: input.raw })}\n\n${t('rfq.product.prompt')}`);
+      }
+      if (matches.length > 1) {
+        const rows = matches.slice(0, 10).map(product => ({
+          id: `rfq_product_${product.id}`,
+          title: product.name,
+          description: t('rfq.row_description', { type: product.type, moq: product.moq })
+        }));
+        return sendList(ctx, t('rfq.select_header'), t('rfq.select_body'), [{ title: t('rfq.select_section'), rows }]);
+      }
+      return sendQuoteProductSelected(ctx, matches[0]);
+    }
+
+    const product = getLocalizedProduct(ctx, rfq.product);
+    if (!product) {
+      // The product was removed from the catalog while the customer was answering
+      delete rfq.product;
+      return sendTextMessage(from, `${t('rfq.product_gone')}\n\n${t('rfq.product.prompt')}`);
+    }
+
+    const validators = {
+      quantity: (answer) => validateRfqQuantity(answer, product),
+      deliveryLocation: validateDeliveryLocation,
+      targetDate: (answer) => validateTargetDate(answer)
+    };
+    const result = validators[step](input.location ? formatLocation(input.location) : input.raw);
+    if (result.error) {
+      return sendTextMessage(from, `${t(result.error, result.params)}\n\n${t(`rfq.${step}.prompt`)}`);
+    }
+    rfq[step] = result.value;
+    if (step === 'deliveryLocation') {
+      if (input.location) {
+        rfq.location = { latitude: input.location.latitude, longitude: input.location.longitude };
+      } else {
+        delete rfq.location;
+      }
+    }
+
+    const nextStep = getNextRfqStep(rfq);
+    if (nextStep) {
+      return sendTextMessage(from, t(`rfq.${nextStep}.prompt`));
+    }
+    return saveQuoteRequest(ctx, product);
+  };
+
+  // Helper function to store a completed quote request as a sales lead
+  const saveQuoteRequest = async (ctx, product) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    // The verification may have been revoked while the customer was answering
+    if (needsVerification(ctx, product)) {
+      return startVerification(ctx, product, 'quote');
+    }
+    const lead = await leadStore.createLead({
+      customer: from,
+      tenantId,
+      productId: product.id,
+      productName: catalog.getProduct(product.id).name,
+      quantity: session.rfq.quantity,
+      deliveryLocation: session.rfq.deliveryLocation,
+      targetDate: session.rfq.targetDate,
+      ...(session.rfq.location && { location: session.rfq.location }),
+      attachments: session.rfq.attachments || [],
+      language: t.language
+    });
+    logger.info('Lead created', { leadId: lead.id, customer: from });
+    if (isRestricted(product)) {
+      await recordRestrictedSale('restricted_quote', from, { leadId: lead.id }, [{ id: product.id, quantityKg: lead.quantity.kg }]);
+    }
+    track('quote_submitted');
+
+    await sendTextMessage(from, `${t('rfq.received', { id: lead.id })}\n\n` +
+      `*${t('rfq.product')}:* ${product.name}\n` +
+      `*${t('rfq.quantity')}:* ${formatRequestedQuantity(lead.quantity)}\n` +
+      `*${t('rfq.delivery_to')}:* ${lead.deliveryLocation}\n` +
+      `*${t('rfq.needed_by')}:* ${t.formatDate(lead.targetDate)}\n\n` +
+      t('rfq.follow_up'));
+    await sendWelcomeMenu(ctx);
+    return 'welcome';
+  };
+
+  // Helper function to offer the support options
+  const sendSupportMenu = async (ctx) => {
+    const t = translatorFor(ctx);
+    const buttons = [
+      { id: "talk_to_agent", title: t('support.agent') },
+      { id: "sales_inquiry", title: t('support.sales') },
+      { id: "technical_support", title: t('support.technical') }
+    ];
+    return sendButtons(ctx, t('support.header'), t('support.body'), buttons);
+  };
+
+  // Helper function to queue the customer for a human agent; the bot stays quiet until the handoff closes
+  const startHandoff = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    const handoff = await handoffStore.openHandoff({
+      customer: from,
+      tenantId,
+      reason: ctx.state,
+      language: t.language,
+      context: {
+        state: ctx.state,
+        cart: session.cart,
+        lastProductViewed: session.lastProductViewed || null
+      }
+    });
+    logger.info('Handoff opened', { handoffId: handoff.id, customer: from });
+    track('talk_to_agent');
+    return sendTextMessage(from, t('handoff.queued'));
+  };
+
+  // Helper function to show the product the customer picked from a list
+  const showProduct = async (ctx) => {
+    const product = getLocalizedProduct(ctx, ctx.input.text.replace('product_', ''));
+    if (!product) {
+      await sendTextMessage(ctx.from, translatorFor(ctx)('products.unavailable'));
+      return ctx.state;
+    }
+    ctx.session.lastProductViewed = product.id;
+    track('view_product');
+    await sendProductDetails(ctx, product);
+    return 'viewing_product';
+  };
+
+  // Fallback for browsing states: typed text is treated as a product search, anything else repeats the current screen
+  const searchOrRepeat = (repeat) => async (ctx) => {
+    if (ctx.input.raw && await startSearch(ctx, ctx.input.raw)) {
+      return 'search_results';
+    }
+    return repeat(ctx);
+  };
+
+  // Restricted products can't go into the cart or a quote until the customer is a verified business
+  const needsVerification = (ctx, product) => isRestricted(product) && !verificationStore.isVerified(ctx.from);
+
+  // Helper function to ask for a GSTIN or CIN; resume ('cart' or 'quote') is picked up again once verified
+  const startVerification = async (ctx, product, resume) => {
+    const t = translatorFor(ctx);
+    ctx.session.verification = { productId: product.id, resume };
+    await sendTextMessage(ctx.from, `${t('compliance.restricted', { name: product.name })}\n\n${t('compliance.registration_prompt')}`);
+    return 'verifying_business';
+  };
+
+  // Helper function to show the end-use declaration with Accept/Decline buttons
+  const sendDeclaration = async (ctx) => {
+    const t = translatorFor(ctx);
+    const buttons = [
+      { id: "declaration_accept", title: t('compliance.accept') },
+      { id: "declaration_decline", title: t('compliance.decline') }
+    ];
+    return sendButtons(ctx,
+      t('compliance.declaration_header'),
+      t('compliance.declaration', { registrationNumber: ctx.session.verification.registrationNumber }),
+      buttons
+    );
+  };
+
+  // Helper function to handle a typed GSTIN or CIN
+  const handleRegistrationNumber = async (ctx) => {
+    const t = translatorFor(ctx);
+    const result = validateRegistrationNumber(ctx.input.raw);
+    if (result.error) {
+      return sendTextMessage(ctx.from, `${t(result.error)}\n\n${t('compliance.registration_prompt')}`);
+    }
+    ctx.session.verification.registrationNumber = result.value;
+    ctx.session.verification.registrationType = result.type;
+    return sendDeclaration(ctx);
+  };
+
+  // Helper function to repeat whatever verification is waiting for
+  const repeatVerificationStep = async (ctx) => {
+    if (ctx.session.verification && ctx.session.verification.registrationNumber) {
+      return sendDeclaration(ctx);
+    }
+    return sendTextMessage(ctx.from, translatorFor(ctx)('compliance.registration_prompt'));
+  };
+
+  // Helper function to record the verification and carry on with the cart or quote the customer started
+  const acceptDeclaration = async (ctx) => {
+    const { from, session } = ctx;
+    const t = translatorFor(ctx);
+    const { productId, resume, registrationType, registrationNumber } = session.verification;
+    await verificationStore.verifyCustomer({
+      customer: from,
+      registrationType,
+      registrationNumber,
+      declarationVersion: END_USE_DECLARATION_VERSION,
+      language: t.language
+    });
+    await auditStore.record({
+      type: 'business_verified',
+      customer: from,
+      tenantId,
+      registrationType,
+      registrationNumber,
+      declarationVersion: END_USE_DECLARATION_VERSION
+    });
+    logger.info('Business verified', { customer: from, registrationType });
+    if (registrationType === 'gstin') {
+      await profileStore.setTaxNumber(from, registrationNumber, tenantId);
+    }
+    await sendTextMessage(from, t('compliance.verified'));
+
+    const product = getLocalizedProduct(ctx, productId);
+    if (!product) {
+      await sendTextMessage(from, t('products.unavailable'));
+      return showWelcome(ctx);
+    }
+    return resume === 'quote' ? startProductQuote(ctx, product) : askCartQuantity(ctx, product, 'add');
+  };
+
+  // Helper function to stop verifying, back to the product when the customer was adding it to the cart
+  const declineVerification = async (ctx) => {
+    const { productId, resume } = ctx.session.verification || {};
+    await sendTextMessage(ctx.from, translatorFor(ctx)('compliance.declined'));
+    if (resume === 'cart' && catalog.getProduct(productId)) {
+      await sendProductActionButtons(ctx);
+      return 'viewing_product';
+    }
+    return showWelcome(ctx);
+  };
+
+  // Helper function to write a restricted sale to the audit log, with the verification it relied on
+  const recordRestrictedSale = (type, customer, reference, items) => {
+    const verification = verificationStore.getVerification(customer);
+    return auditStore.record({
+      type,
+      customer,
+      tenantId,
+      ...reference,
+      products: items.map(({ id, quantityKg }) => {
+        const product = catalog.getProduct(id);
+        return { id, name: product.name, cas: product.cas, unNumber: product.hazard.unNumber || null, quantityKg };
+      }),
+      registrationType: verification.registrationType,
+      registrationNumber: verification.registrationNumber,
+      declarationVersion: verification.declarationVersion,
+      declarationAcceptedAt: verification.declarationAcceptedAt
+    });
+  };
+
+  // Helper function to save a file the customer sent and keep it with what they're working on:
+  // the checkout or quote request in progress, otherwise their latest order or quote request
+  const receiveAttachment = async (ctx) => {
+    const { from, session, state, input } = ctx;
+    const t = translatorFor(ctx);
+    const latestOrder = orderStore.listOrders({ customer: from, tenantId })[0];
+    const latestLead = leadStore.listLeads({ customer: from, tenantId })[0];
+    const inProgress = (state === 'checkout' && getCheckout(session)) || (state === 'requesting_quote' && session.rfq);
+    if (!inProgress && !latestOrder && !latestLead) {
+      return sendTextMessage(from, t('attachment.no_target'));
+    }
+
+    let attachment;
+    try {
+      attachment = await mediaStore.saveInbound(from, input.media);
+    } catch (error) {
+      if (error instanceof MediaDownloadError) {
+        logger.warn('Error saving attachment', { customer: from, mediaId: input.media.id, error });
+        return sendTextMessage(from, t('attachment.failed'));
+      }
+      throw error;
+    }
+    const summary = summarizeAttachment(attachment);
+    const { filename } = attachment;
+
+    if (inProgress) {
+      inProgress.attachments = [...(inProgress.attachments || []), summary];
+      return sendTextMessage(from, t(state === 'checkout' ? 'attachment.checkout' : 'attachment.quote', { filename }));
+    }
+    if (latestOrder && (!latestLead || latestOrder.createdAt >= latestLead.createdAt)) {
+      await orderStore.addAttachment(latestOrder.orderNumber, summary);
+      return sendTextMessage(from, t('attachment.order', { filename, orderNumber: latestOrder.orderNumber }));
+    }
+    await leadStore.addAttachment(latestLead.id, summary);
+    return sendTextMessage(from, t('attachment.lead', { filename, id: latestLead.id }));
+  };
+
+  const showWelcome = async (ctx) => {
+    await sendWelcomeMenu(ctx);
+    return 'welcome';
+  };
+
+  // Marketing opt-out and opt-in, honoured before anything else (even from customers we haven't met, and while
+  // an agent has the chat); the state doesn't change
+  const consentCommands = [{
+    name: 'opt_out',
+    match: ['stop', 'unsubscribe'],
+    handler: async (ctx) => {
+      await consentStore.optOut(ctx.from, { source: 'whatsapp', keyword: ctx.input.text, tenantId });
+      logger.info('Customer opted out of marketing messages', { customer: ctx.from });
+      return sendTextMessage(ctx.from, translatorFor(ctx)('consent.opted_out'));
+    }
+  }, {
+    name: 'opt_in',
+    match: 'subscribe',
+    handler: async (ctx) => {
+      await consentStore.optIn(ctx.from, { source: 'whatsapp', keyword: ctx.input.text, tenantId });
+      return sendTextMessage(ctx.from, translatorFor(ctx)('consent.opted_in'));
+    }
+  }];
+
+  // Helper function to pass a customer's message on to the agent handling their chat
+  const messageAgent = async (ctx) => {
+    const { from, input } = ctx;
+    const handoff = handoffStore.getOpenHandoff(from, tenantId);
+    if (input.media) {
+      // Global commands are off while an agent has the chat, so files for the agent are saved here
+      const attachment = await mediaStore.saveInbound(from, input.media).catch(error => {
+        logger.warn('Error saving attachment', { customer: from, mediaId: input.media.id, error });
+        return null;
+      });
+      const text = input.media.caption || `📎 ${attachment ? attachment.filename : input.media.filename || input.media.kind}`;
+      return handoffStore.addMessage(handoff.id, { from: 'customer', text, ...(attachment && { attachment: summarizeAttachment(attachment) }) });
+    }
+    const text = input.location ? formatLocation(input.location) : (input.raw || input.text);
+    if (text) {
+      await handoffStore.addMessage(handoff.id, { from: 'customer', text });
+    }
+  };
+
+  const globalCommands = [...consentCommands, {
+    // Ask new customers for their language before anything else, pre-selecting a guess from their number
+    name: 'first_contact',
+    match: (input, { session }) => !session.language,
+    to: 'choosing_language',
+    handler: (ctx) => {
+      ctx.session.language = guessLanguage(ctx.from);
+      return sendLanguagePicker(ctx);
+    }
+  }, {
+    // Photos and documents (purchase orders, specifications) from any state; the state doesn't change
+    name: 'attachment',
+    match: (input) => Boolean(input.media),
+    handler: receiveAttachment
+  }, {
+    name: 'reset',
+    match: ['reset', 'restart'],
+    to: 'welcome',
+    handler: async (ctx) => {
+      await sendTextMessage(ctx.from, translatorFor(ctx)('menu.reset'));
+      return sendWelcomeMenu(ctx);
+    }
+  }, {
+    // Whole words only: 'shipping' or 'chips' must not count as 'hi'
+    name: 'menu',
+    match: ['main_menu', 'menu', 'hi', 'hello', 'hey', 'start'],
+    to: 'welcome',
+    handler: sendWelcomeMenu
+  }, {
+    // Previous/Next rows of the last list that was split into pages; the state doesn't change.
+    // Rows from an older list don't match and are handled like any other unexpected reply.
+    name: 'list_page',
+    match: (input, { session }) => {
+      const pageId = parseListPageId(input.text);
+      return Boolean(pageId && session.pagedList && pageId.listId === session.pagedList.id);
+    },
+    handler: (ctx) => sendListPage(ctx, parseListPageId(ctx.input.text).page)
+  }, {
+    name: 'cart',
+    match: ['view_cart', 'cart'],
+    to: ['viewing_cart', 'welcome'],
+    handler: sendCartSummary
+  }, {
+    name: 'language',
+    match: ['change_language', 'language', 'भाषा', 'ભાષા'],
+    to: 'choosing_language',
+    handler: sendLanguagePicker
+  }, {
+    // Offering currencies doesn't change the state; picking one shows the cart (or the menu) in it
+    name: 'currency',
+    match: ['change_currency', 'currency'],
+    handler: sendCurrencyPicker
+  }, {
+    name: 'choose_currency',
+    match: /^currency_[a-z]{3}$/,
+    to: ['viewing_cart', 'welcome'],
+    handler: chooseCurrency
+  }, {
+    // Main menu options; list rows stay tappable in the chat history, so they work from any state
+    name: 'browse_products',
+    match: 'browse_products',
+    to: 'browsing_categories',
+    handler: (ctx) => {
+      track('browse');
+      return sendCategoryMenu(ctx);
+    }
+  }, {
+    name: 'search_products',
+    match: 'search_products',
+    to: 'searching',
+    handler: (ctx) => sendTextMessage(ctx.from, translatorFor(ctx)('search.prompt'))
+  }, {
+    name: 'request_quote',
+    match: 'request_quote',
+    to: ['requesting_quote', 'verifying_business'],
+    handler: startQuoteRequest
+  }, {
+    name: 'track_order',
+    match: 'track_order',
+    to: 'tracking_order',
+    handler: sendTrackOrderPrompt
+  }, {
+    name: 'my_orders',
+    match: 'my_orders',
+    to: 'welcome',
+    handler: sendMyOrders
+  }, {
+    name: 'order_detail',
+    match: /^my_order_/,
+    to: 'welcome',
+    handler: sendOrderDetail
+  }, {
+    // 'Reorder last order' from the menu, or Reorder on one of My Orders
+    name: 'reorder',
+    match: /^reorder_/,
+    to: ['viewing_cart', 'welcome'],
+    handler: reorder
+  }, {
+    name: 'talk_to_agent',
+    match: ['talk_to_agent', 'agent', 'human', 'talk to a human', 'talk to an agent'],
+    to: 'with_agent',
+    handler: startHandoff
+  }, {
+    name: 'contact_support',
+    match: 'contact_support',
+    to: 'contacting_support',
+    handler: sendSupportMenu
+  }];
+
+  const states = {
+    choosing_language: {
+      routes: [{
+        name: 'choose_language',
+        match: (input) => Boolean(findLanguage(input)),
+        to: 'welcome',
+        handler: async (ctx) => {
+          ctx.session.language = findLanguage(ctx.input);
+          await sendTextMessage(ctx.from, translatorFor(ctx)('language.saved'));
+          return sendWelcomeMenu(ctx);
+        }
+      }],
+      // Anything else keeps the language we guessed and carries on
+      fallback: {
+        name: 'keep_language',
+        to: 'welcome',
+        handler: sendWelcomeMenu
+      }
+    },
+
+    welcome: {
+      fallback: {
+        name: 'search_or_menu',
+        to: ['welcome', 'search_results'],
+        handler: searchOrRepeat(showWelcome)
+      }
+    },
+
+    browsing_categories: {
+      routes: [{
+        name: 'select_category',
+        match: /^category_/,
+        to: ['browsing_products', 'browsing_categories'],
+        handler: async (ctx) => {
+          const category = ctx.input.text.replace('category_', '');
+          if (!(await sendProductListByCategory(ctx, category))) {
+            return 'browsing_categories';
+          }
+          ctx.session.currentCategory = category;
+          return 'browsing_products';
+        }
+      }],
+      fallback: {
+        name: 'search_or_categories',
+        to: ['browsing_categories', 'search_results'],
+        handler: searchOrRepeat(sendCategoryMenu)
+      }
+    },
+
+    browsing_products: {
+      routes: [{
+        name: 'select_product',
+        match: /^product_/,
+        to: ['viewing_product', 'browsing_products'],
+        handler: showProduct
+      }, {
+        name: 'back_to_categories',
+        match: 'back_to_categories',
+        to: 'browsing_categories',
+        handler: sendCategoryMenu
+      }],
+      fallback: {
+        name: 'search_or_products',
+        to: ['browsing_products', 'browsing_categories', 'search_results'],
+        handler: searchOrRepeat(async (ctx) => (
+          await sendProductListByCategory(ctx, ctx.session.currentCategory) ? 'browsing_products' : 'browsing_categories'
+        ))
+      }
+    },
+
+    searching: {
+      routes: [{
+        name: 'search_query',
+        match: { freeText: true },
+        to: ['search_results', 'welcome'],
+        handler: async (ctx) => {
+          if (await startSearch(ctx, ctx.input.raw)) {
+            return 'search_results';
+          }
+          await sendTextMessage(ctx.from, translatorFor(ctx)('search.none'));
+          await sendWelcomeMenu(ctx);
+          return 'welcome';
+        }
+      }],
+      fallback: {
+        name: 'ask_for_query',
+        handler: (ctx) => sendTextMessage(ctx.from, translatorFor(ctx)('search.prompt'))
+      }
+    },
+
+    search_results: {
+      onExit: ({ session }) => {
+        delete session.search;
+      },
+      routes: [{
+        name: 'more_results',
+        match: (input, { session }) => ['search_more', 'more', 'more results'].includes(input.text) && Boolean(session.search),
+        handler: (ctx) => {
+          // Old 'More results' rows stay tappable, so don't page past the end
+          const { search } = ctx.session;
+          if ((search.page + 1) * SEARCH_PAGE_SIZE < findProducts(ctx, search.query).length) {
+            search.page += 1;
+          }
+          return sendSearchResults(ctx);
+        }
+      }, {
+        name: 'select_product',
+        match: /^product_/,
+        to: ['viewing_product', 'search_results'],
+        handler: showProduct
+      }],
+      fallback: {
+        name: 'search_or_menu',
+        to: ['search_results', 'welcome'],
+        handler: searchOrRepeat(showWelcome)
+      }
+    },
+
+    viewing_product: {
+      routes: [{
+        name: 'add_to_cart',
+        match: 'add_to_cart',
+        to: ['entering_quantity', 'verifying_business', 'welcome'],
+        handler: async (ctx) => {
+          const product = ctx.session.lastProductViewed && getLocalizedProduct(ctx, ctx.session.lastProductViewed);
+          if (!product) {
+            await sendTextMessage(ctx.from, translatorFor(ctx)('products.unavailable'));
+            return showWelcome(ctx);
+          }
+          if (needsVerification(ctx, product)) {
+            return startVerification(ctx, product, 'cart');
+          }
+          return askCartQuantity(ctx, product, 'add');
+        }
+      }, {
+        name: 'back_to_products',
+        match: 'back_to_products',
+        to: ['browsing_products', 'browsing_categories'],
+        handler: async (ctx) => (
+          await sendProductListByCategory(ctx, ctx.session.currentCategory) ? 'browsing_products' : 'browsing_categories'
+        )
+      }, {
+        name: 'show_documents',
+        match: 'product_documents',
+        handler: sendDocumentMenu
+      }, {
+        name: 'send_document',
+        match: /^document_/,
+        handler: sendProductDocument
+      }, {
+        name: 'select_product',
+        match: /^product_/,
+        to: 'viewing_product',
+        handler: showProduct
+      }],
+      fallback: {
+        name: 'search_or_actions',
+        to: ['viewing_product', 'search_results'],
+        handler: searchOrRepeat((ctx) => sendProductActionButtons(ctx))
+      }
+    },
+
+    entering_quantity: {
+      onExit: ({ session }) => {
+        delete session.pendingQuantity;
+      },
+      routes: [{
+        name: 'cancel_quantity',
+        match: ['cancel_quantity', 'cancel'],
+        to: ['viewing_product', 'viewing_cart', 'welcome'],
+        handler: cancelQuantity
+      }, {
+        name: 'quantity',
+        match: (input) => input.text === 'qty_moq' || Boolean(input.raw),
+        to: ['viewing_product', 'viewing_cart', 'welcome'],
+        handler: handleQuantityInput
+      }],
+      fallback: {
+        name: 'ask_quantity',
+        to: ['entering_quantity', 'viewing_product', 'viewing_cart', 'welcome'],
+        handler: (ctx) => {
+          const pending = ctx.session.pendingQuantity || {};
+          const product = getLocalizedProduct(ctx, pending.productId);
+          return product ? askCartQuantity(ctx, product, pending.mode) : cancelQuantity(ctx);
+        }
+      }
+    },
+
+    viewing_cart: {
+      routes: [{
+        name: 'checkout',
+        match: 'checkout',
+        to: ['checkout', 'welcome'],
+        handler: startCheckout
+      }, {
+        name: 'clear_cart',
+        match: 'clear_cart',
+        to: 'welcome',
+        handler: async (ctx) => {
+          ctx.session.cart = [];
+          await sendTextMessage(ctx.from, translatorFor(ctx)('cart.cleared'));
+          return sendWelcomeMenu(ctx);
+        }
+      }, {
+        name: 'continue_shopping',
+        match: 'continue_shopping',
+        to: 'browsing_categories',
+        handler: sendCategoryMenu
+      }, {
+        name: 'cart_item',
+        match: /^cart_item_/,
+        to: ['viewing_cart', 'welcome'],
+        handler: (ctx) => sendCartItemActions(ctx, ctx.input.text.replace('cart_item_', ''))
+      }, {
+        name: 'cart_edit',
+        match: /^cart_edit_/,
+        to: ['entering_quantity', 'viewing_cart', 'welcome'],
+        handler: (ctx) => {
+          const item = ctx.session.cart.find(cartItem => cartItem.id === ctx.input.text.replace('cart_edit_', ''));
+          const product = item && getLocalizedProduct(ctx, item.id);
+          return product ? askCartQuantity(ctx, product, 'set') : sendCartSummary(ctx);
+        }
+      }, {
+        name: 'cart_remove',
+        match: /^cart_remove_/,
+        to: ['viewing_cart', 'welcome'],
+        handler: async (ctx) => {
+          const { session } = ctx;
+          const item = session.cart.find(cartItem => cartItem.id === ctx.input.text.replace('cart_remove_', ''));
+          if (item) {
+            const [shown] = localizeCart(ctx, [item]);
+            session.cart = session.cart.filter(cartItem => cartItem !== item);
+            await sendTextMessage(ctx.from, translatorFor(ctx)('cart.removed', { name: shown.name }));
+          }
+          return sendCartSummary(ctx);
+        }
+      }],
+      fallback: {
+        name: 'show_cart',
+        to: ['viewing_cart', 'welcome'],
+        handler: sendCartSummary
+      }
+    },
+
+    // Checkout answers are free text, so only 'cancel' and the summary buttons are matched as commands
+    checkout: {
+      onExit: ({ session }) => {
+        delete session.checkout;
+      },
+      routes: [{
+        name: 'cancel_checkout',
+        match: ['cancel', 'checkout_cancel'],
+        to: 'welcome',
+        handler: async (ctx) => {
+          await sendTextMessage(ctx.from, translatorFor(ctx)('checkout.cancelled'));
+          return sendWelcomeMenu(ctx);
+        }
+      }, {
+        name: 'confirm_order',
+        match: (input, { session }) => input.text === 'checkout_confirm' && getCheckout(session).step === 'confirm',
+        to: 'welcome',
+        handler: placeOrder
+      }, {
+        name: 'edit_details',
+        match: (input, { session }) => input.text === 'checkout_edit' && getCheckout(session).step === 'confirm',
+        handler: sendCheckoutEditMenu
+      }, {
+        name: 'edit_field',
+        match: /^checkout_edit_/,
+        handler: (ctx) => {
+          // Row ids arrive lowercased, so match field keys case-insensitively
+          const key = ctx.input.text.replace('checkout_edit_', '');
+          const field = CHECKOUT_FIELDS.find(f => f.key.toLowerCase() === key);
+          if (!field) {
+            return repeatCheckoutStep(ctx);
+          }
+          const profile = profileStore.getProfile(ctx.from, tenantId);
+          if (field.key === 'address' && profile && profile.addresses.length > 0) {
+            getCheckout(ctx.session).step = 'address_choice';
+            return sendSavedAddresses(ctx);
+          }
+          getCheckout(ctx.session).step = field.key;
+          return sendTextMessage(ctx.from, translatorFor(ctx)(`checkout.${field.key}.prompt`));
+        }
+      }, {
+        name: 'saved_address',
+        match: (input, { session }) => input.text.startsWith('ship_to_') && getCheckout(session).step === 'address_choice',
+        handler: chooseSavedAddress
+      }, {
+        name: 'shipping_location',
+        match: (input, { session }) => Boolean(input.location) && ['address', 'address_choice'].includes(getCheckout(session).step),
+        handler: handleCheckoutAnswer
+      }, {
+        name: 'shipping_detail',
+        match: { freeText: true },
+        handler: handleCheckoutAnswer
+      }],
+      fallback: {
+        name: 'repeat_step',
+        handler: repeatCheckoutStep
+      }
+    },
+
+    requesting_quote: {
+      onExit: ({ session }) => {
+        delete session.rfq;
+      },
+      routes: [{
+        name: 'cancel_quote',
+        match: 'cancel',
+        to: 'welcome',
+        handler: async (ctx) => {
+          await sendTextMessage(ctx.from, translatorFor(ctx)('rfq.cancelled'));
+          return sendWelcomeMenu(ctx);
+        }
+      }, {
+        name: 'pick_product',
+        match: /^rfq_product_/,
+        to: ['requesting_quote', 'verifying_business'],
+        handler: pickQuoteProduct
+      }, {
+        name: 'quote_location',
+        match: (input, { session }) => Boolean(input.location) && getNextRfqStep(session.rfq || {}) === 'deliveryLocation',
+        to: ['requesting_quote', 'verifying_business', 'welcome'],
+        handler: handleQuoteAnswer
+      }, {
+        name: 'quote_detail',
+        match: { freeText: true },
+        to: ['requesting_quote', 'verifying_business', 'welcome'],
+        handler: handleQuoteAnswer
+      }],
+      fallback: {
+        name: 'repeat_step',
+        handler: repeatQuoteStep
+      }
+    },
+
+    // Restricted products: a GSTIN or CIN, then the end-use declaration, then back to the cart or quote
+    verifying_business: {
+      onExit: ({ session }) => {
+        delete session.verification;
+      },
+      routes: [{
+        name: 'decline_declaration',
+        match: ['cancel', 'declaration_decline'],
+        to: ['viewing_product', 'welcome'],
+        handler: declineVerification
+      }, {
+        name: 'accept_declaration',
+        match: (input, { session }) => input.text === 'declaration_accept' && Boolean(session.verification && session.verification.registrationNumber),
+        to: ['entering_quantity', 'requesting_quote', 'welcome'],
+        handler: acceptDeclaration
+      }, {
+        name: 'registration_number',
+        match: { freeText: true },
+        handler: handleRegistrationNumber
+      }],
+      fallback: {
+        name: 'repeat_step',
+        handler: repeatVerificationStep
+      }
+    },
+
+    tracking_order: {
+      routes: [{
+        name: 'order_number',
+        match: (input) => input.text.startsWith('track_') || Boolean(input.raw),
+        to: 'welcome',
+        handler: handleTrackingInput
+      }],
+      fallback: {
+        name: 'ask_order_number',
+        handler: sendTrackOrderPrompt
+      }
+    },
+
+    // A human agent has the conversation: messages go to the handoff inbox and the bot stays quiet
+    with_agent: {
+      skipGlobalCommands: true,
+      routes: [...consentCommands.map(command => ({
+        // Recorded like anywhere else, and passed on so the agent knows
+        ...command,
+        handler: async (ctx) => {
+          await command.handler(ctx);
+          if (handoffStore.getOpenHandoff(ctx.from, tenantId)) {
+            await messageAgent(ctx);
+          }
+        }
+      })), {
+        // Closed by an agent or the idle timeout since the customer's last message
+        name: 'handoff_closed',
+        match: (input, { from }) => !handoffStore.getOpenHandoff(from, tenantId),
+        to: 'welcome',
+        handler: sendWelcomeMenu
+      }, {
+        name: 'end_chat',
+        match: ['end_chat', 'end chat'],
+        to: 'welcome',
+        handler: async (ctx) => {
+          await handoffStore.closeHandoff(handoffStore.getOpenHandoff(ctx.from, tenantId).id, { reason: 'customer' });
+          await sendTextMessage(ctx.from, translatorFor(ctx)('handoff.ended'));
+          return sendWelcomeMenu(ctx);
+        }
+      }],
+      fallback: {
+        name: 'message_agent',
+        handler: messageAgent
+      }
+    },
+
+    contacting_support: {
+      routes: [{
+        name: 'sales_inquiry',
+        match: 'sales_inquiry',
+        to: 'welcome',
+        handler: async (ctx) => {
+          await sendTextMessage(ctx.from, translatorFor(ctx)('support.sales_text', support));
+          return sendWelcomeMenu(ctx);
+        }
+      }, {
+        name: 'technical_support',
+        match: 'technical_support',
+        to: 'welcome',
+        handler: async (ctx) => {
+          await sendTextMessage(ctx.from, translatorFor(ctx)('support.technical_text', support));
+          return sendWelcomeMenu(ctx);
+        }
+      }],
+      fallback: {
+        name: 'support_options',
+        handler: sendSupportMenu
+      }
+    }
+  };
+
+  return {
+    initial: 'welcome',
+    states,
+    globalCommands
+  };
+};
+
+module.exports = {
+  createConversationFlows,
+  formatProductDetails,
+  formatOrderStatus
+};
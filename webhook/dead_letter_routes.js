@@ -0,0 +1,50 @@
+const express = require('express');
+
+// Admin REST API to inspect, retry and discard undeliverable outbound messages; mount behind requireApiKey.
+// resend(payload, entry) puts a message back on the outbound queue, from the number it was first sent from.
+const createDeadLetterRouter = (deadLetterStore, { resend }) => {
+  const router = express.Router();
+
+  router.get('/dead-letters', (req, res) => {
+    const { to, reason } = req.query;
+    res.json({ deadLetters: deadLetterStore.list({ to, reason }) });
+  });
+
+  router.get('/dead-letters/:id', (req, res) => {
+    const entry = deadLetterStore.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+    }
+    res.json({ deadLetter: entry });
+  });
+
+  router.post('/dead-letters/:id/retry', async (req, res) => {
+    const entry = deadLetterStore.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+    }
+
+    try {
+      const result = await resend(entry.payload, entry);
+      await deadLetterStore.remove(entry.id);
+      res.json({ delivered: true, result });
+    } catch (error) {
+      // A failed retry is dead-lettered again by the queue under a new id
+      await deadLetterStore.remove(entry.id);
+      res.status(502).json({ delivered: false, error: error.message, reason: error.reason });
+    }
+  });
+
+  router.delete('/dead-letters/:id', async (req, res) => {
+    if (!await deadLetterStore.remove(req.params.id)) {
+      return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+    }
+    res.json({ deleted: req.params.id });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createDeadLetterRouter
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+
+// Outbound messages that could not be delivered, kept for inspection and manual retry.
+// Only the newest maxEntries are kept so a long outage cannot fill the disk.
+const createDeadLetterStore = ({ filePath, maxEntries = 1000 }) => {
+  let entries = readJsonFile(filePath, []);
+  const save = () => writeJsonFile(filePath, entries);
+
+  const add = async ({ to, phoneNumberId, payload, error }) => {
+    const entry = {
+      id: crypto.randomUUID(),
+      to,
+      ...(phoneNumberId ? { phoneNumberId } : {}),
+      payload,
+      error,
+      failedAt: new Date().toISOString()
+    };
+    entries.push(entry);
+    if (entries.length > maxEntries) {
+      entries = entries.slice(entries.length - maxEntries);
+    }
+    await save();
+    return entry;
+  };
+
+  const get = (id) => entries.find(entry => entry.id === id) || null;
+
+  const list = ({ to, reason } = {}) => entries
+    .filter(entry => !to || entry.to === to)
+    .filter(entry => !reason || entry.error.reason === reason)
+    .slice()
+    .reverse();
+
+  const remove = async (id) => {
+    const before = entries.length;
+    entries = entries.filter(entry => entry.id !== id);
+    if (entries.length === before) {
+      return false;
+    }
+    await save();
+    return true;
+  };
+
+  return {
+    add,
+    get,
+    list,
+    remove
+  };
+};
+
+module.exports = {
+  createDeadLetterStore
+};
@@ -0,0 +1,33 @@
+const express = require('express');
+
+// Admin REST API for outbound delivery state; mount behind requireApiKey.
+// ?tenant=<id> picks which brand's conversation with a customer to show (the default tenant's when not given)
+// and narrows the delivery list to one brand.
+const createDeliveryRouter = (messageStatusStore) => {
+  const router = express.Router();
+
+  // Everything sent to one customer, with per-message timelines and status counts
+  router.get('/conversations/:phone/deliveries', (req, res) => {
+    res.json(messageStatusStore.getConversation(req.params.phone, req.query.tenant));
+  });
+
+  // Filter across customers, e.g. ?status=failed to see undelivered messages and their error codes
+  router.get('/deliveries', (req, res) => {
+    const { status, to, tenant } = req.query;
+    res.json({ messages: messageStatusStore.listMessages({ status, to, tenantId: tenant }) });
+  });
+
+  router.get('/deliveries/:id', (req, res) => {
+    const message = messageStatusStore.getMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: `Message ${req.params.id} not found` });
+    }
+    res.json({ message });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createDeliveryRouter
+};
@@ -1,18 +1,64 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const axios = require('axios');
-const morgan = require('morgan');
+const { createSessionStore, createEmptySession } = require('./session_store');
+const { createCatalog } = require('./catalog');
+const { createCatalogRouter } = require('./catalog_routes');
+const { logSecurityEvent, requireApiKey } = require('./security');
+const { createOrderStore } = require('./order_store');
+const { createOrderRouter } = require('./order_routes');
+const { createLeadStore } = require('./lead_store');
+const { createLeadRouter } = require('./lead_routes');
+const { createHandoffStore } = require('./handoff_store');
+const { createHandoffRouter } = require('./handoff_routes');
+const { formatQuote } = require('./rfq');
+const { getTranslator } = require('./i18n');
+const {
+  validateMessage, buildTextMessages, buildListPages, buildButtonMessage, buildMediaMessage, buildTemplateMessage, MessageValidationError
+} = require('./message_builder');
+const { createOutboundQueue } = require('./outbound_queue');
+const { createDeadLetterStore } = require('./dead_letter_store');
+const { createDeadLetterRouter } = require('./dead_letter_routes');
+const { createMessageStatusStore } = require('./message_status_store');
+const { createDeliveryRouter } = require('./delivery_routes');
+const { createStateMachine } = require('./state_machine');
+const { createConversationFlows, formatOrderStatus } = require('./conversation_flows');
+const { createFlowRouter } = require('./flow_routes');
+const { createTranscriptStore } = require('./transcript_store');
+const { createTranscriptRouter } = require('./transcript_routes');
+const { logger, withLogContext, getLogContext } = require('./logger');
+const { createBotMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createMediaStore, getMediaType } = require('./media_store');
+const { createMediaRouter } = require('./media_routes');
+const { createVerificationStore } = require('./verification_store');
+const { createAuditStore } = require('./audit_store');
+const { createComplianceRouter } = require('./compliance_routes');
+const { createPricing } = require('./pricing');
+const { createPricingRouter } = require('./pricing_routes');
+const { createProfileStore } = require('./profile_store');
+const { createProfileRouter } = require('./profile_routes');
+const { createConsentStore } = require('./consent_store');
+const { createCampaignStore } = require('./campaign_store');
+const { createCampaignRunner, MARKETING_STOPPED_ERROR } = require('./campaigns');
+const { createCampaignRouter } = require('./campaign_routes');
+const { createJobScheduler } = require('./job_scheduler');
+const { createJobRouter } = require('./job_routes');
+const { createReminders } = require('./reminders');
+const { createTenantStore, customerKey, DEFAULT_TENANT_ID, TenantNotFoundError } = require('./tenant_store');
+const { createTenantRouter } = require('./tenant_routes');
+const { createInboundQueue } = require('./inbound_queue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Check for required environment variables
 function checkRequiredEnvVars() {
-  const requiredVars = ['WHATSAPP_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID', 'WEBHOOK_VERIFY_TOKEN'];
+  const requiredVars = ['WHATSAPP_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID', 'WEBHOOK_VERIFY_TOKEN', 'WHATSAPP_APP_SECRET'];
   const missing = requiredVars.filter(varName => !process.env[varName]);
   
   if (missing.length > 0) {
-    console.warn(`⚠️  Warning: Missing environment variables: ${missing.join(', ')}`);
-    console.warn('Using default values for development. DO NOT use in production!');
+    logger.warn('Missing environment variables; using default values for development. DO NOT use in production!', { missing });
   }
 }
 
@@ -20,9 +66,35 @@ function checkRequiredEnvVars() {
 checkRequiredEnvVars();
 
 // Middleware
-app.use(express.json());
+// Keep the raw body next to the parsed JSON so webhook signatures can be checked
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('dev')); // HTTP request logging
+
+// Every request gets a correlation ID (kept from X-Correlation-Id when the caller sends one) that all
+// log lines and transcript entries written while handling it carry, including after the response is sent
+app.use((req, res, next) => {
+  const correlationId = req.get('x-correlation-id') || crypto.randomUUID();
+  res.set('X-Correlation-Id', correlationId);
+  withLogContext({ correlationId }, next);
+});
+
+// HTTP request logging
+app.use((req, res, next) => {
+  const started = Date.now();
+  res.on('finish', () => {
+    logger.info('HTTP request', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - started
+    });
+  });
+  next();
+});
 
 // Simple rate limiting middleware
 const apiLimiter = (req, res, next) => {
@@ -59,6 +131,62 @@ const apiLimiter = (req, res, next) => {
 // Apply rate limiting to API endpoints
 app.use('/webhook', apiLimiter);
 
+// Admin endpoints require the ADMIN_API_KEY
+const requireAdminKey = requireApiKey('ADMIN_API_KEY');
+
+// Helper function to list the app secrets a delivery's signature must match: those of the tenants its changes
+// were sent to. Tenants without their own appSecret are on the default tenant's app, and so are numbers we
+// don't serve (their changes are dropped later, but still have to be signed).
+const signingSecrets = (body) => {
+  const entries = Array.isArray(body?.entry) ? body.entry : [];
+  const phoneNumberIds = entries.flatMap(entry => (Array.isArray(entry?.changes) ? entry.changes : [])
+    .map(change => change?.value?.metadata?.phone_number_id));
+  const defaultTenant = tenantStore.getDefaultTenant();
+  const tenants = phoneNumberIds.map(phoneNumberId => tenantStore.findByPhoneNumberId(phoneNumberId) || defaultTenant);
+  return [...new Set((tenants.length > 0 ? tenants : [defaultTenant]).map(tenant => tenant.appSecret || defaultTenant.appSecret))];
+};
+
+// Verify the X-Hub-Signature-256 header Meta sends with every webhook delivery
+const verifyWebhookSignature = (req, res, next) => {
+  // Local testing without a Meta app secret is only allowed in development
+  if (process.env.SKIP_WEBHOOK_SIGNATURE === 'true') {
+    if (process.env.NODE_ENV === 'development') {
+      return next();
+    }
+    logSecurityEvent('signature_bypass_refused', req, { environment: process.env.NODE_ENV || 'unset' });
+  }
+
+  // Each tenant's number only takes deliveries signed with its own app's secret, so holding one brand's
+  // secret is not enough to post messages to another brand
+  const secrets = signingSecrets(req.body);
+  if (secrets.some(secret => !secret)) {
+    logSecurityEvent('signature_secret_missing', req);
+    return res.status(500).json({ error: 'Webhook signature verification is not configured' });
+  }
+
+  const signature = req.get('x-hub-signature-256');
+  if (!signature || !signature.startsWith('sha256=')) {
+    logSecurityEvent('signature_missing', req);
+    return res.status(401).json({ error: 'Missing webhook signature' });
+  }
+
+  const receivedBuffer = Buffer.from(signature.slice('sha256='.length), 'utf8');
+  const matches = secrets.every(secret => {
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || Buffer.alloc(0))
+      .digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  });
+  if (!matches) {
+    logSecurityEvent('signature_mismatch', req);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+};
+
 // Root route
 app.get('/', (req, res) => {
   res.send(`
@@ -87,6 +215,8 @@ app.get('/status', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     memory: process.memoryUsage(),
     version: process.version,
+    outbound: outboundQueue.stats(),
+    inbound: inboundQueue.stats(),
     webhookConfigured: Boolean(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID)
   });
 });
@@ -100,649 +230,542 @@ app.get('/health', (req, res) => {
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN || 'your_whatsapp_access_token';
 const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || 'your_phone_number_id';
 const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN || 'DyesBot@2023!';
-const WHATSAPP_API_URL = `https://graph.facebook.com/v18.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
-
-// Sample product catalog (in a real app, this would come from a database)
-const products = {
-  // Reactive Dyes
-  'dye-001': {
-    id: 'dye-001',
-    name: 'Reactive Red 120',
-    type: 'Reactive Dye',
-    category: 'reactive',
-    application: 'Cotton, Silk, Wool',
-    packaging: '25 kg HDPE drums',
-    price: 1250,
-    moq: '100 kg',
-    description: 'High-quality reactive dye with excellent wash fastness and bright shade.',
-    cas: '61951-82-4',
-    inStock: true
-  },
-  'dye-002': {
-    id: 'dye-002',
-    name: 'Reactive Blue 19',
-    type: 'Reactive Dye',
-    category: 'reactive',
-    application: 'Cotton, Silk, Wool',
-    packaging: '25 kg HDPE drums',
-    price: 1350,
-    moq: '100 kg',
-    description: 'Brilliant blue reactive dye with high fixation rate and color stability.',
-    cas: '2580-78-1',
-    inStock: true
-  },
-  'dye-003': {
-    id: 'dye-003',
-    name: 'Reactive Yellow 86',
-    type: 'Reactive Dye',
-    category: 'reactive',
-    application: 'Cotton, Silk, Wool',
-    packaging: '25 kg HDPE drums',
-    price: 1150,
-    moq: '100 kg',
-    description: 'Vibrant yellow reactive dye with excellent light fastness properties.',
-    cas: '61951-86-8',
-    inStock: true
-  },
-  
-  // Direct Dyes
-  'dye-004': {
-    id: 'dye-004',
-    name: 'Direct Black 38',
-    type: 'Direct Dye',
-    category: 'direct',
-    application: 'Paper, Leather',
-    packaging: '20 kg bags',
-    price: 950,
-    moq: '80 kg',
-    description: 'Deep black direct dye with good light fastness for paper and leather applications.',
-    cas: '1937-37-7',
-    inStock: true
-  },
-  'dye-005': {
-    id: 'dye-005',
-    name: 'Direct Red 81',
-    type: 'Direct Dye',
-    category: 'direct',
-    application: 'Paper, Leather',
-    packaging: '20 kg bags',
-    price: 1050,
-    moq: '80 kg',
-    description: 'Bright red direct dye with excellent solubility and even dyeing properties.',
-    cas: '2610-11-9',
-    inStock: true
-  },
-  
-  // Acid Dyes
-  'dye-006': {
-    id: 'dye-006',
-    name: 'Acid Blue 9',
-    type: 'Acid Dye',
-    category: 'acid',
-    application: 'Nylon, Wool, Silk',
-    packaging: '15 kg cartons',
-    price: 1550,
-    moq: '60 kg',
-    description: 'Brilliant blue acid dye for protein fibers with excellent leveling properties.',
-    cas: '3844-45-9',
-    inStock: true
-  },
-  'dye-007': {
-    id: 'dye-007',
-    name: 'Acid Red 52',
-    type: 'Acid Dye',
-    category: 'acid',
-    application: 'Nylon, Wool, Silk',
-    packaging: '15 kg cartons',
-    price: 1650,
-    moq: '60 kg',
-    description: 'Bright red acid dye with high tinting strength and good light fastness.',
-    cas: '3520-42-1',
-    inStock: false
-  },
-  
-  // Intermediates
-  'int-001': {
-    id: 'int-001',
-    name: 'H-Acid',
-    type: 'Dye Intermediate',
-    category: 'intermediate',
-    application: 'Manufacturing of acid and reactive dyes',
-    packaging: '25 kg fiber drums',
-    price: 2250,
-    moq: '100 kg',
-    description: 'Key intermediate for synthesis of various acid and reactive dyes.',
-    cas: '90-20-0',
-    inStock: true
-  },
-  'int-002': {
-    id: 'int-002',
-    name: 'J-Acid',
-    type: 'Dye Intermediate',
-    category: 'intermediate',
-    application: 'Manufacturing of acid and reactive dyes',
-    packaging: '25 kg fiber drums',
-    price: 2150,
-    moq: '100 kg',
-    description: 'Essential intermediate for production of blue and navy dyes.',
-    cas: '92-70-6',
-    inStock: true
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'storage');
+// Base URL and version are configurable so the bot can talk to fake_cloud_api.js in tests and local runs
+const WHATSAPP_API_BASE_URL = (process.env.WHATSAPP_API_BASE_URL || 'https://graph.facebook.com').replace(/\/+$/, '');
+const WHATSAPP_API_VERSION = process.env.WHATSAPP_API_VERSION || 'v18.0';
+// WhatsApp documents can be up to 100 MB
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_MB || 100) * 1024 * 1024;
+
+// Product catalog, loaded from a JSON file and reloaded when the file changes
+const catalog = createCatalog({
+  filePath: process.env.CATALOG_FILE || path.join(__dirname, 'data', 'catalog.json')
+});
+catalog.load();
+catalog.watch();
+
+// Exchange rates, volume tiers, price lists and taxes (see pricing.js); reload with POST /admin/pricing/reload
+const pricing = createPricing({
+  filePath: process.env.PRICING_FILE || path.join(__dirname, 'data', 'pricing.json')
+});
+pricing.load();
+
+// Brands served from this deployment, each with its own number, credentials, catalog, welcome text and
+// support contacts (see tenant_store.js); the WHATSAPP_* configuration is the default tenant
+const tenantStore = createTenantStore({
+  filePath: process.env.TENANTS_FILE || path.join(DATA_DIR, 'tenants.json'),
+  defaultTenant: {
+    name: 'Dyes & Intermediates',
+    phoneNumberId: WHATSAPP_PHONE_NUMBER_ID,
+    accessToken: WHATSAPP_TOKEN,
+    appSecret: WHATSAPP_APP_SECRET,
+    verifyToken: WEBHOOK_VERIFY_TOKEN
   },
-  'int-003': {
-    id: 'int-003',
-    name: 'Benzidine Intermediate',
-    type: 'Chemical Intermediate',
-    category: 'intermediate',
-    application: 'Dye manufacturing',
-    packaging: '200 kg steel drums',
-    price: 850,
-    moq: '500 kg',
-    description: 'Used in the synthesis of direct dyes.',
-    cas: '92-87-5',
-    inStock: true
+  // A tenant is only taken on once its catalog loads
+  checkTenant: (tenant) => {
+    const filePath = tenantStore.getCatalogFile(tenant);
+    try {
+      if (filePath) {
+        createCatalog({ filePath }).load();
+      }
+      return [];
+    } catch (error) {
+      return (error.errors || [error.message]).map(message => `catalogFile: ${message}`);
+    }
   }
+});
+tenantStore.load();
+
+// Counters and latency histograms for GET /metrics (outbound queue stats are read when scraped)
+const metrics = createBotMetrics({ outboundStats: () => outboundQueue.stats() });
+
+// Helper function to get the Graph API URL and token of one of our numbers (account: its phone number id;
+// undefined for the main number)
+const getWhatsAppAccount = (account) => {
+  const tenant = account ? tenantStore.findByPhoneNumberId(account) : tenantStore.getDefaultTenant();
+  if (!tenant) {
+    throw new Error(`No tenant has phone number id ${account}`);
+  }
+  return {
+    url: `${WHATSAPP_API_BASE_URL}/${WHATSAPP_API_VERSION}/${tenant.phoneNumberId}`,
+    token: tenant.accessToken
+  };
 };
 
-// WhatsApp API helper functions
-const sendWhatsAppMessage = async (to, message) => {
+// WhatsApp API helper functions (options.phoneNumberId: the number to send from, default the main one)
+const postToWhatsApp = async (payload, { phoneNumberId } = {}) => {
+  const { url, token } = getWhatsAppAccount(phoneNumberId);
+  const endTimer = metrics.graphApiDuration.startTimer();
   try {
     const response = await axios.post(
-      WHATSAPP_API_URL,
-      {
-        messaging_product: "whatsapp",
-        to: to,
-        ...message
-      },
+      `${url}/messages`,
+      payload,
       {
         headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
-        }
+        },
+        timeout: 15000
       }
     );
+    endTimer({ status: response.status });
     return response.data;
   } catch (error) {
-    console.error('Error sending WhatsApp message:', error.response?.data || error.message);
+    endTimer({ status: error.response ? error.response.status : 'network_error' });
+    throw error;
   }
 };
 
-const sendTextMessage = async (to, text) => {
-  return sendWhatsAppMessage(to, {
-    type: "text",
-    text: { body: text }
-  });
+// Helper function to upload a file to WhatsApp; resolves with its media id
+const uploadWhatsAppMedia = async ({ contents, mimeType, filename }, account) => {
+  const { url, token } = getWhatsAppAccount(account);
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimeType);
+  form.append('file', new Blob([contents], { type: mimeType }), filename);
+  const response = await axios.post(
+    `${url}/media`,
+    form,
+    {
+      headers: { 'Authorization': `Bearer ${token}` },
+      timeout: 60000
+    }
+  );
+  return response.data.id;
 };
 
-const sendInteractiveMessage = async (to, header, body, buttons) => {
-  return sendWhatsAppMessage(to, {
-    type: "interactive",
-    interactive: {
-      type: "button",
-      header: { type: "text", text: header },
-      body: { text: body },
-      action: {
-        buttons: buttons.map((btn, index) => ({
-          type: "reply",
-          reply: {
-            id: btn.id,
-            title: btn.title
-          }
-        }))
-      }
-    }
+// Helper function to fetch a file a customer sent: look up its URL, then download it with our token
+const downloadWhatsAppMedia = async (mediaId, account) => {
+  const headers = { 'Authorization': `Bearer ${getWhatsAppAccount(account).token}` };
+  const { data } = await axios.get(`${WHATSAPP_API_BASE_URL}/${WHATSAPP_API_VERSION}/${encodeURIComponent(mediaId)}`, {
+    headers,
+    timeout: 15000
+  });
+  const response = await axios.get(data.url, {
+    headers,
+    responseType: 'arraybuffer',
+    maxContentLength: MEDIA_MAX_BYTES,
+    timeout: 60000
   });
+  return { contents: Buffer.from(response.data), mimeType: data.mime_type || response.headers['content-type'] };
 };
 
-const sendListMessage = async (to, header, body, sections) => {
-  return sendWhatsAppMessage(to, {
-    type: "interactive",
-    interactive: {
-      type: "list",
-      header: { type: "text", text: header },
-      body: { text: body },
-      action: {
-        button: "Select Option",
-        sections: sections
-      }
+// Messages that could not be delivered, for inspection through the admin API
+const deadLetterStore = createDeadLetterStore({ filePath: path.join(DATA_DIR, 'dead_letters.json') });
+
+// Every outbound message goes through this queue (per-recipient order, retries, dead letters)
+const outboundQueue = createOutboundQueue({
+  send: postToWhatsApp,
+  deadLetterStore,
+  maxAttempts: Number(process.env.OUTBOUND_MAX_ATTEMPTS || 5),
+  baseDelayMs: Number(process.env.OUTBOUND_RETRY_BASE_MS || 1000)
+});
+
+// Outbound message ids and their sent/delivered/read/failed timelines
+const messageStatusStore = createMessageStatusStore({ filePath: path.join(DATA_DIR, 'message_statuses.json') });
+
+// Every message to and from customers, for the admin transcript API
+const transcriptStore = createTranscriptStore({
+  filePath: path.join(DATA_DIR, 'transcripts.json'),
+  retentionDays: Number(process.env.TRANSCRIPT_RETENTION_DAYS || 90)
+});
+
+// Resolves with the Graph API response, or rejects with a WhatsAppSendError once delivery is given up
+// (options.phoneNumberId: the number to send from, default the main one; options.tenantId: the brand it belongs to)
+const sendWhatsAppMessage = async (to, message, { phoneNumberId, tenantId = DEFAULT_TENANT_ID } = {}) => {
+  // Catch payloads the API would reject before they are queued and retried
+  const errors = validateMessage(message);
+  if (errors.length > 0) {
+    metrics.outboundMessages.inc({ outcome: 'invalid' });
+    throw new MessageValidationError(errors);
+  }
+  const payload = {
+    messaging_product: "whatsapp",
+    to: to,
+    ...message
+  };
+  const endTimer = metrics.sendDuration.startTimer();
+  let result;
+  try {
+    result = await outboundQueue.enqueue(payload, { phoneNumberId });
+  } catch (error) {
+    endTimer({ outcome: 'failed' });
+    metrics.outboundMessages.inc({ outcome: 'failed', reason: error.reason || 'unknown' });
+    throw error;
+  }
+  endTimer({ outcome: 'sent' });
+  metrics.outboundMessages.inc({ outcome: 'sent' });
+  
+  // Remember the message id so status webhooks can be matched to it
+  const messageId = result?.messages?.[0]?.id;
+  if (messageId) {
+    await messageStatusStore.recordOutbound({ id: messageId, to, payload, tenantId })
+      .catch(error => logger.error('Error recording outbound message', { to, messageId, error }));
+  }
+  await transcriptStore.recordOutbound({ customer: to, messageId, payload, tenantId, correlationId: getLogContext().correlationId })
+    .catch(error => logger.error('Error recording outbound transcript entry', { to, messageId, error }));
+  logger.debug('Message sent', { to, messageId, type: payload.type });
+  return result;
+};
+
+// Marketing consent: STOP/unsubscribe replies, admin changes and customers who blocked marketing in WhatsApp
+const consentStore = createConsentStore({ filePath: path.join(DATA_DIR, 'consents.json') });
+
+// Helper function to record a status webhook (sent/delivered/read/failed) for one of our messages,
+// sent from the number of the tenant with id tenantId
+const handleMessageStatus = async (status, tenantId) => {
+  const message = await messageStatusStore.applyStatus(status, tenantId);
+  if (status.status === 'failed') {
+    const errors = (message.errors || []).map(error => `${error.code} ${error.title}${error.hint ? ` (${error.hint})` : ''}`);
+    logger.warn('Delivery failed', { messageId: status.id, to: status.recipient_id, errors });
+    // The customer turned off marketing messages from us in WhatsApp; treat it like a STOP
+    if ((message.errors || []).some(error => error.code === MARKETING_STOPPED_ERROR) && !consentStore.isOptedOut(status.recipient_id, tenantId)) {
+      await consentStore.optOut(status.recipient_id, { source: 'meta', tenantId });
     }
-  });
+  }
 };
 
-// User session tracking (in a real app, this would be in a database)
-const userSessions = {};
-
-// Helper function to get product categories
-const getProductCategories = () => {
-  const categories = {};
-  Object.values(products).forEach(product => {
-    if (!categories[product.category]) {
-      categories[product.category] = {
-        name: product.category.charAt(0).toUpperCase() + product.category.slice(1),
-        description: product.type
-      };
+// Product images and documents (catalog `media` entries) and the files customers send
+const mediaStore = createMediaStore({
+  filePath: path.join(DATA_DIR, 'media.json'),
+  mediaDir: process.env.MEDIA_DIR || path.join(__dirname, 'data', 'media'),
+  uploadDir: path.join(DATA_DIR, 'uploads'),
+  upload: uploadWhatsAppMedia,
+  download: downloadWhatsAppMedia
+});
+
+// Message senders for one of our numbers (account: its phone number id; undefined for the main number)
+// on behalf of the tenant with id tenantId
+const createMessenger = (account, tenantId) => {
+  const send = (to, message) => sendWhatsAppMessage(to, message, { phoneNumberId: account, tenantId });
+
+  // Long texts go out as several messages, in order
+  const sendTextMessage = async (to, text) => {
+    let result;
+    for (const message of buildTextMessages(text)) {
+      result = await send(to, message);
     }
-  });
-  return categories;
+    return result;
+  };
+
+  // Reply buttons; more than three are sent as a list instead (labels: the list's button text)
+  const sendInteractiveMessage = async (to, header, body, buttons, labels = {}) => {
+    return send(to, buildButtonMessage(header, body, buttons, labels));
+  };
+
+  // List message; long lists are split into pages and only the requested page is sent
+  // (options: page, listId for the navigation row ids, plus button/next/previous/more labels)
+  const sendListMessage = async (to, header, body, sections, options = {}) => {
+    const { page = 0, listId, ...labels } = options;
+    const pages = buildListPages(header, body, sections, labels, listId);
+    return send(to, pages[Math.min(Math.max(page, 0), pages.length - 1)]);
+  };
+
+  // Approved template message (the only kind allowed outside the 24-hour service window)
+  const sendTemplateMessage = async (to, name, language, parameters) => {
+    return send(to, buildTemplateMessage(name, language, parameters));
+  };
+
+  // Image or document message for a product file name under MEDIA_DIR or a link (options: caption, filename)
+  const sendMediaMessage = async (to, source, options = {}) => {
+    const type = getMediaType(source);
+    if (!type) {
+      throw new Error(`Unsupported media file: ${source}`);
+    }
+    return send(to, buildMediaMessage(type, await mediaStore.getOutboundMedia(source, account), options));
+  };
+
+  return { sendTextMessage, sendInteractiveMessage, sendListMessage, sendTemplateMessage, sendMediaMessage };
+};
+
+// User session store: 'file' survives restarts, 'memory' is handy for local development
+const sessionStore = createSessionStore({
+  backend: process.env.SESSION_STORE || 'file',
+  filePath: path.join(DATA_DIR, 'sessions.json'),
+  ttlMs: Number(process.env.SESSION_TTL_MINUTES || 24 * 60) * 60 * 1000,
+  cleanupIntervalMs: Number(process.env.SESSION_CLEANUP_INTERVAL_MINUTES || 15) * 60 * 1000
+});
+sessionStore.startCleanup();
+
+// Order store
+const orderStore = createOrderStore({ filePath: path.join(DATA_DIR, 'orders.json') });
+
+// Sales leads captured from quote requests
+const leadStore = createLeadStore({ filePath: path.join(DATA_DIR, 'leads.json') });
+
+// Business customers verified to buy restricted products, and the audit log of restricted sales
+const verificationStore = createVerificationStore({ filePath: path.join(DATA_DIR, 'verifications.json') });
+const auditStore = createAuditStore({ filePath: path.join(DATA_DIR, 'audit.json') });
+
+// Company details and delivery addresses of returning customers
+const profileStore = createProfileStore({ filePath: path.join(DATA_DIR, 'profiles.json') });
+
+// Helper function to tell a customer about their conversation with a human agent
+// (event: 'agent_joined', 'agent_left' or 'timed_out')
+const notifyHandoff = async (handoff, event) => {
+  const t = getTranslator(handoff.language);
+  return runtimeFor(handoff.tenantId).messenger.sendTextMessage(handoff.customer, t(`handoff.${event}`, { agent: handoff.agent || t('handoff.team') }));
 };
 
-// Helper function to get products by category
-const getProductsByCategory = (category) => {
-  return Object.values(products).filter(product => product.category === category);
+// Conversations handed to human agents (see handoff_routes.js for the operator inbox)
+const handoffStore = createHandoffStore({
+  filePath: path.join(DATA_DIR, 'handoffs.json'),
+  idleTimeoutMs: Number(process.env.HANDOFF_IDLE_MINUTES || 30) * 60 * 1000,
+  sweepIntervalMs: Number(process.env.HANDOFF_SWEEP_INTERVAL_SECONDS || 60) * 1000,
+  onIdleClose: (handoff) => notifyHandoff(handoff, 'timed_out')
+});
+handoffStore.startIdleSweep();
+
+// Each tenant's catalog, message senders and customer conversation, built when first needed and rebuilt
+// when its settings change (states, transitions and replies are defined in conversation_flows.js)
+const runtimes = new Map();
+
+const getRuntime = (tenant) => {
+  const current = runtimes.get(tenant.id);
+  if (current && current.tenant === tenant) {
+    return current;
+  }
+  if (current && current.catalog !== catalog) {
+    current.catalog.unwatch();
+  }
+  const catalogFile = tenantStore.getCatalogFile(tenant);
+  const tenantCatalog = catalogFile ? createCatalog({ filePath: catalogFile }) : catalog;
+  if (catalogFile) {
+    tenantCatalog.load();
+    tenantCatalog.watch();
+  }
+  // The default tenant keeps the session keys, media uploads and dead letters from before there were tenants
+  const account = tenant.id === DEFAULT_TENANT_ID ? undefined : tenant.phoneNumberId;
+  const messenger = createMessenger(account, tenant.id);
+  const runtime = {
+    tenant,
+    catalog: tenantCatalog,
+    messenger,
+    // Sessions are kept per brand: the same customer can be mid-checkout with two of them
+    sessionKey: (customer) => customerKey(tenant.id, customer),
+    conversation: createStateMachine(createConversationFlows({
+      catalog: tenantCatalog,
+      pricing,
+      orderStore,
+      leadStore,
+      handoffStore,
+      mediaStore: { ...mediaStore, saveInbound: (customer, media) => mediaStore.saveInbound(customer, media, account) },
+      verificationStore,
+      auditStore,
+      profileStore,
+      consentStore,
+      messenger,
+      tenant,
+      track: (event) => metrics.funnelEvents.inc({ event })
+    })),
+    catalogRouter: createCatalogRouter(tenantCatalog)
+  };
+  runtimes.set(tenant.id, runtime);
+  return runtime;
 };
 
-// Helper function to format product details
-const formatProductDetails = (product) => {
-  return `*${product.name}*\n\n` +
-    `*Type:* ${product.type}\n` +
-    `*Application:* ${product.application}\n` +
-    `*Packaging:* ${product.packaging}\n` +
-    `*Price:* $${product.price} per unit\n` +
-    `*MOQ:* ${product.moq}\n` +
-    `*CAS:* ${product.cas}\n` +
-    `*Availability:* ${product.inStock ? '✅ In Stock' : '❌ Out of Stock'}\n\n` +
-    `*Description:* ${product.description}`;
+// Helper function to get the runtime of a record's tenant (orders, leads and handoffs from before there were tenants have none)
+const runtimeFor = (tenantId = DEFAULT_TENANT_ID) => {
+  const tenant = tenantStore.getTenant(tenantId);
+  if (!tenant) {
+    throw new TenantNotFoundError(tenantId);
+  }
+  return getRuntime(tenant);
 };
 
-// Main message handler
-const handleIncomingMessage = async (from, message) => {
+const conversation = runtimeFor().conversation;
+
+// Template broadcasts to audiences built from each brand's orders and quote requests, sent at a throttled rate
+const campaignStore = createCampaignStore({
+  filePath: path.join(DATA_DIR, 'campaigns.json'),
+  catalogFor: (tenantId) => (tenantStore.getTenant(tenantId) ? runtimeFor(tenantId).catalog : null)
+});
+const campaignStores = { orderStore, leadStore, consentStore, runtimeFor };
+const campaignRunner = createCampaignRunner({
+  campaignStore,
+  stores: campaignStores,
+  ratePerSecond: Number(process.env.CAMPAIGN_RATE_PER_SECOND || 10),
+  checkIntervalMs: Number(process.env.CAMPAIGN_CHECK_INTERVAL_SECONDS || 30) * 1000
+});
+campaignRunner.start();
+
+// Jobs (reminders) persisted to a JSON file so they survive restarts; see job_scheduler.js
+const jobScheduler = createJobScheduler({
+  filePath: path.join(DATA_DIR, 'jobs.json'),
+  pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_SECONDS || 15) * 1000
+});
+
+// Helper function to read a comma-separated list of minutes, e.g. "60,2880", as milliseconds
+const parseDelays = (value) => String(value).split(',')
+  .map(Number)
+  .filter(minutes => minutes > 0)
+  .map(minutes => minutes * 60 * 1000);
+
+// Abandoned-cart reminders and follow-ups on unanswered quotes; set a list to "" to turn them off
+const reminders = createReminders({
+  scheduler: jobScheduler,
+  runtimeFor,
+  pricing,
+  leadStore,
+  consentStore,
+  cartDelaysMs: parseDelays(process.env.CART_REMINDER_MINUTES ?? '60,2880'),
+  quoteDelaysMs: parseDelays(process.env.QUOTE_FOLLOW_UP_MINUTES ?? '1440,4320'),
+  templates: {
+    cart: process.env.CART_REMINDER_TEMPLATE || 'cart_reminder',
+    quote: process.env.QUOTE_FOLLOW_UP_TEMPLATE || 'quote_follow_up'
+  }
+});
+jobScheduler.start();
+
+// Messages and status updates still being handled after the webhook has answered Meta (see app.locals.whenIdle)
+const pendingMessages = new Set();
+
+// Helper function to keep track of a message handler until it settles
+const trackPending = (promise) => {
+  pendingMessages.add(promise);
+  return promise.finally(() => pendingMessages.delete(promise));
+};
+
+// Resolves once every received message has been handled and its replies sent, campaigns started
+// through the admin API have finished sending and due jobs have run (used by the test harness)
+app.locals.whenIdle = async () => {
+  while (pendingMessages.size > 0) {
+    await Promise.allSettled([...pendingMessages]);
+    // Deliveries that arrived meanwhile may have queued more; check again
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await campaignRunner.whenIdle();
+  await jobScheduler.whenIdle();
+};
+
+// Main message handler (runtime: the tenant whose number the message was sent to)
+const handleIncomingMessage = async (runtime, from, message) => {
+  const sessionKey = runtime.sessionKey(from);
+  let session = null;
   try {
-    // Initialize or update user session with detailed logging
-    console.log(`[${new Date().toISOString()}] [BEFORE SESSION INIT] userSessions[${from}]:`, 
-      JSON.stringify(userSessions[from] || 'undefined'));
-    
-    if (!userSessions[from]) {
-      userSessions[from] = {
-        context: 'welcome',
-        cart: [],
-        lastInteraction: Date.now()
-      };
-      console.log(`[${new Date().toISOString()}] [NEW SESSION CREATED]`);
+    metrics.inboundMessages.inc({ type: message.type || 'unknown' });
+    await transcriptStore.recordInbound({ customer: from, message, tenantId: runtime.tenant.id, correlationId: getLogContext().correlationId })
+      .catch(error => logger.error('Error recording inbound transcript entry', { from, messageId: message.id, error }));
+
+    // Load or create the user session
+    session = await sessionStore.get(sessionKey);
+    const newSession = !session;
+    if (!session) {
+      session = createEmptySession();
     } else {
       // Update last interaction time
-      userSessions[from].lastInteraction = Date.now();
-      console.log(`[${new Date().toISOString()}] [EXISTING SESSION UPDATED]`);
+      session.lastInteraction = Date.now();
     }
-    
-    // Get reference to the session
-    const session = userSessions[from];
-    console.log(`[${new Date().toISOString()}] [SESSION REFERENCE]`, JSON.stringify(session));
-    
-    // Debug log the entire message to see its structure
-    console.log(`[${new Date().toISOString()}] [RAW MESSAGE]`, JSON.stringify(message));
+    await sessionStore.set(sessionKey, session);
     
     // Extract message text from different possible locations
+    // (rawText keeps the customer's original casing for free-text answers such as addresses)
+    const rawText = message.text?.body?.trim() || '';
     let messageText = '';
-    if (message.text?.body) {
-      messageText = message.text.body.toLowerCase();
+    if (rawText) {
+      messageText = rawText.toLowerCase();
     } else if (message.interactive?.list_reply?.id) {
       messageText = message.interactive.list_reply.id.toLowerCase();
     } else if (message.interactive?.button_reply?.id) {
       messageText = message.interactive.button_reply.id.toLowerCase();
     }
-    
-    console.log(`[${new Date().toISOString()}] [EXTRACTED MESSAGE TEXT]`, messageText);
-    
-    // Log incoming message and current context
-    console.log(`[${new Date().toISOString()}] Received message from ${from}: ${messageText}`);
-    console.log(`[${new Date().toISOString()}] Current user context: ${session.context}`);
-
-    // Main logic using if/else if for clear control flow
-    if (messageText === 'reset' || messageText === 'restart') {
-        console.log(`[${new Date().toISOString()}] [CONTROL FLOW] Matched 'reset'`);
-        session.context = 'welcome';
-        userSessions[from] = { ...session };
-        await sendTextMessage(from, "I've reset our conversation. How can I help you today?");
-        return sendWelcomeMenu(from);
-    } else if (messageText && messageText.includes('browse_products')) {
-        console.log(`[${new Date().toISOString()}] [CONTROL FLOW] Matched 'browse_products'`);
-        session.context = 'browsing_categories';
-        userSessions[from] = { ...session };
-        console.log(`[${new Date().toISOString()}] [CONTEXT SET] New context: 'browsing_categories'`);
-        return sendCategoryMenu(from);
-    } else if (messageText.includes('hi') || messageText.includes('hello') || messageText.includes('start') || messageText === 'main_menu' || session.context === 'welcome') {
-        console.log(`[${new Date().toISOString()}] [CONTROL FLOW] Matched 'welcome' condition`);
-        session.context = 'welcome'; // Explicitly set context
-        userSessions[from] = { ...session };
-        return sendWelcomeMenu(from);
-    } else if (session.context === 'browsing_categories') {
-        console.log(`[${new Date().toISOString()}] [CONTROL FLOW] Matched 'browsing_categories' context`);
-        if (messageText.startsWith('category_')) {
-            const category = messageText.replace('category_', '');
-            session.context = 'browsing_products';
-            session.currentCategory = category;
-            userSessions[from] = { ...session };
-            return sendProductListByCategory(from, category);
-        }
-    } else if (session.context === 'browsing_products') {
-        console.log(`[${new Date().toISOString()}] [CONTROL FLOW] Matched 'browsing_products' context`);
-        if (messageText.startsWith('product_')) {
-            const productId = messageText.replace('product_', '');
-            const product = products[productId];
-            if (product) {
-                session.context = 'viewing_product';
-                session.lastProductViewed = productId;
-                userSessions[from] = { ...session };
-                return sendProductDetails(from, product);
-            }
-        } else if (messageText === 'back_to_categories') {
-            session.context = 'browsing_categories';
-            userSessions[from] = { ...session };
-            return sendCategoryMenu(from);
-        }
-    }
-    
-    // Handle product detail actions
-    if (session.context === 'viewing_product') {
-      if (messageText === 'add_to_cart') {
-        if (session.lastProductViewed) {
-          const product = products[session.lastProductViewed];
-          if (product) {
-            // Check if product is already in cart
-            const existingItem = session.cart.find(item => item.id === product.id);
-            if (existingItem) {
-              existingItem.quantity += 1;
-            } else {
-              session.cart.push({
-                id: product.id,
-                name: product.name,
-                price: product.price,
-                quantity: 1
-              });
-            }
-            await sendTextMessage(from, `Added ${product.name} to your cart.`);
-            return sendProductActionButtons(from, 'view_cart');
-          }
-        }
-      } else if (messageText === 'request_quote') {
-        session.context = 'requesting_quote';
-        return sendTextMessage(from, "Please provide your contact details and quantity requirements, and our sales team will get back to you with a quote within 24 hours.");
-      } else if (messageText === 'back_to_products') {
-        session.context = 'browsing_products';
-        return sendProductListByCategory(from, session.currentCategory);
-      } else if (messageText === 'view_cart') {
-        return sendCartSummary(from);
-      }
-    }
-    
-    // Handle cart actions
-    if (messageText === 'view_cart') {
-      return sendCartSummary(from);
-    } else if (messageText === 'checkout') {
-      if (session.cart.length > 0) {
-        session.context = 'checkout';
-        return sendTextMessage(from, "Please provide your shipping details (name, address, email) to proceed with your order.");
-      } else {
-        await sendTextMessage(from, "Your cart is empty. Browse our products to add items to your cart.");
-        return sendWelcomeMenu(from);
-      }
-    } else if (messageText === 'clear_cart') {
-      session.cart = [];
-      await sendTextMessage(from, "Your cart has been cleared.");
-      return sendWelcomeMenu(from);
-    } else if (messageText === 'continue_shopping') {
-      session.context = 'browsing_categories';
-      return sendCategoryMenu(from);
-    }
-    
-    // Handle search products
-    if (messageText === 'search_products') {
-      session.context = 'searching';
-      return sendTextMessage(from, "Please type the name or type of product you're looking for.");
-    }
-    
-    // Handle search query
-    if (session.context === 'searching') {
-      const searchResults = Object.values(products).filter(product => 
-        product.name.toLowerCase().includes(messageText) || 
-        product.type.toLowerCase().includes(messageText) ||
-        (product.description && product.description.toLowerCase().includes(messageText))
-      );
-      
-      if (searchResults.length > 0) {
-        await sendTextMessage(from, `Found ${searchResults.length} products matching your search:`);
-        return sendSearchResults(from, searchResults);
-      } else {
-        await sendTextMessage(from, "No products found matching your search. Please try different keywords.");
-        return sendWelcomeMenu(from);
-      }
-    }
-    
-    // Handle direct search query (when user types a product name directly)
-    if (messageText && messageText !== 'hi' && messageText !== 'hello') {
-      const searchResults = Object.values(products).filter(product => 
-        product.name.toLowerCase().includes(messageText) ||
-        product.type.toLowerCase().includes(messageText) ||
-        (product.cas && product.cas.includes(messageText))
-      );
-
-      if (searchResults.length > 0) {
-        await sendTextMessage(from, `Found ${searchResults.length} products matching your search:`);
-        return sendSearchResults(from, searchResults);
-      }
-    }
-    
-    // Handle contact support
-    if (messageText === 'contact_support') {
-      session.context = 'contacting_support';
-      const buttons = [
-        { id: "sales_inquiry", title: "Sales Inquiry" },
-        { id: "technical_support", title: "Technical Support" },
-        { id: "main_menu", title: "Back to Main Menu" }
-      ];
-      return sendInteractiveMessage(from, "Contact Support", "How can our team help you today?", buttons);
-    }
-    
-    // Handle support options
-    if (session.context === 'contacting_support') {
-      if (messageText === 'sales_inquiry') {
-        await sendTextMessage(from, "Please provide details about your inquiry and our sales team will contact you within 24 hours. You can also reach us at sales@dyescompany.com or +1-555-123-4567.");
-        return sendWelcomeMenu(from);
-      } else if (messageText === 'technical_support') {
-        await sendTextMessage(from, "For technical assistance with our products, please describe your issue in detail. Our technical team will respond within 48 hours. For urgent matters, call our technical hotline at +1-555-987-6543.");
-        return sendWelcomeMenu(from);
-      }
-    }
-    
-    // Handle track order
-    if (messageText === 'track_order') {
-      session.context = 'tracking_order';
-      return sendTextMessage(from, "Please enter your order number to track its status.");
-    }
-    
-    // Handle order tracking input
-    if (session.context === 'tracking_order') {
-      // Simulate order tracking
-      const orderStatuses = ['Processing', 'Shipped', 'Delivered', 'On Hold'];
-      const randomStatus = orderStatuses[Math.floor(Math.random() * orderStatuses.length)];
-      const estimatedDelivery = new Date();
-      estimatedDelivery.setDate(estimatedDelivery.getDate() + Math.floor(Math.random() * 10) + 1);
-      
-      await sendTextMessage(from, `Order #${messageText}\n\nStatus: ${randomStatus}\nEstimated Delivery: ${estimatedDelivery.toDateString()}\n\nThank you for your business!`);
-      return sendWelcomeMenu(from);
-    }
-    
-    // Handle request quote
-    if (messageText === 'request_quote') {
-      session.context = 'requesting_quote';
-      return sendTextMessage(from, "Please provide the following information for a quote:\n\n1. Product name/code\n2. Quantity required\n3. Delivery location\n4. Your contact information\n\nOur team will prepare a custom quote for you within 24 hours.");
+
+    // The text itself is in the transcript store; logs only say what kind of message it was
+    logger.info('Message received', { from, tenant: runtime.tenant.id, messageId: message.id, type: message.type, state: session.context, newSession });
+
+    // Photos and documents are saved by the flows; only their ids and names are passed along
+    const file = message.image || message.document;
+    const media = file ? {
+      kind: message.image ? 'image' : 'document',
+      id: file.id,
+      mimeType: file.mime_type,
+      filename: file.filename,
+      caption: file.caption
+    } : null;
+    const location = message.location ? {
+      latitude: message.location.latitude,
+      longitude: message.location.longitude,
+      name: message.location.name,
+      address: message.location.address
+    } : null;
+
+    const transition = await runtime.conversation.dispatch({ from, session, input: { text: messageText, raw: rawText, media, location } });
+    metrics.transitions.inc({ from: transition.from, to: transition.to });
+  } catch (error) {
+    logger.error('Error handling message', { from, messageId: message.id, error });
+    // If replies themselves are failing (e.g. outside the 24-hour window), this one will fail too
+    if (error.name !== 'WhatsAppSendError') {
+      await runtime.messenger.sendTextMessage(from, getTranslator(session?.language)('common.error'))
+        .catch(sendError => logger.error('Error sending error reply', { from, error: sendError }));
     }
-    
-    // Default response if no patterns match
-    if (session.context === 'welcome' || !session.context) {
-      return sendWelcomeMenu(from);
+  } finally {
+    // Persist whatever the handlers changed (context, cart, last product viewed)
+    if (session) {
+      await sessionStore.set(sessionKey, session).catch(error => logger.error('Error saving session', { from, error }));
+      // The customer answered: pending reminders are off, and a new cart reminder starts if the cart isn't empty
+      await reminders.customerMessaged(from, session, { tenantId: runtime.tenant.id, key: sessionKey }).catch(error => logger.error('Error scheduling reminders', { from, error }));
     }
-  } catch (error) {
-    console.error('Error handling message:', error);
-    await sendTextMessage(from, "I'm sorry, I encountered an error processing your request. Please try again later.");
   }
 };
 
-// Helper function to send welcome menu
-const sendWelcomeMenu = async (from) => {
-  await sendTextMessage(from, "Welcome to Dyes & Intermediates Bot! How can I assist you today? Select an option:");
-  
-  const sections = [{
-    title: "Main Options",
-    rows: [
-      { id: "browse_products", title: "Browse Products", description: "View our range of dyes and intermediates" },
-      { id: "search_products", title: "Search Products", description: "Find specific products" },
-      { id: "request_quote", title: "Request Quote", description: "Get pricing for bulk orders" },
-      { id: "track_order", title: "Track Order", description: "Check status of your order" },
-      { id: "contact_support", title: "Contact Support", description: "Talk to our sales team" }
-    ]
-  }];
-
-  return sendListMessage(from, 
-    "🎨 Welcome to Dyes & Intermediates Bot!", 
-    "How can I assist you today? Select an option:",
-    sections
-  );
-};
-
-// Helper function to send category menu
-const sendCategoryMenu = async (from) => {
-  const categories = getProductCategories();
-  const rows = Object.entries(categories).map(([key, value]) => ({
-    id: `category_${key}`,
-    title: value.name,
-    description: value.description
-  }));
-  
-  const sections = [{
-    title: "Product Categories",
-    rows: rows
-  }];
-  
-  return sendListMessage(from, 
-    "Product Categories", 
-    "Select a category to browse products:",
-    sections
-  );
+// Helper function to tell a customer their order changed (used by the admin API)
+const notifyOrderUpdate = async (order) => {
+  const t = getTranslator(order.language);
+  return runtimeFor(order.tenantId).messenger.sendTextMessage(order.customer, t('order.update', { details: formatOrderStatus(order, t) }));
 };
 
-// Helper function to send product list by category
-const sendProductListByCategory = async (from, category) => {
-  const categoryProducts = getProductsByCategory(category);
-  
-  if (categoryProducts.length === 0) {
-    await sendTextMessage(from, "No products found in this category.");
-    return sendCategoryMenu(from);
-  }
-  
-  const rows = categoryProducts.map(product => ({
-    id: `product_${product.id}`,
-    title: product.name,
-    description: `${product.type} - ${product.inStock ? 'In Stock' : 'Out of Stock'}`
-  }));
-  
-  // Add back button
-  rows.push({
-    id: "back_to_categories",
-    title: "Back to Categories",
-    description: "Return to category list"
-  });
-  
-  const sections = [{
-    title: "Products",
-    rows: rows
-  }];
-  
-  return sendListMessage(from, 
-    categoryProducts[0].type, 
-    "Select a product to view details:",
-    sections
-  );
+// Helper function to send an admin's quote to the customer (used by the admin API)
+// (follow-ups are scheduled in case the customer doesn't answer)
+const sendLeadQuote = async (lead, quote) => {
+  const runtime = runtimeFor(lead.tenantId);
+  const result = await runtime.messenger.sendTextMessage(lead.customer, formatQuote(lead, quote, getTranslator(lead.language)));
+  const session = await sessionStore.get(runtime.sessionKey(lead.customer));
+  await reminders.quoteSent(lead, session ? session.lastInteraction : Date.parse(lead.createdAt))
+    .catch(error => logger.error('Error scheduling quote follow-ups', { leadId: lead.id, error }));
+  return result;
 };
 
-// Helper function to send product details
-const sendProductDetails = async (from, product) => {
-  await sendTextMessage(from, formatProductDetails(product));
-  return sendProductActionButtons(from);
-};
+// Customers' messages and the status updates of ours, with Meta's redeliveries dropped, handled one at a time
+// per customer (see inbound_queue.js); messages older than INBOUND_MAX_AGE_MINUTES go unanswered
+const inboundQueue = createInboundQueue({
+  filePath: path.join(DATA_DIR, 'inbound_messages.json'),
+  maxAgeMs: Number(process.env.INBOUND_MAX_AGE_MINUTES || 60) * 60 * 1000
+});
 
-// Helper function to send product action buttons
-const sendProductActionButtons = async (from, additionalAction = null) => {
-  const buttons = [
-    { id: "add_to_cart", title: "Add to Cart" },
-    { id: "request_quote", title: "Request Quote" },
-    { id: "back_to_products", title: "Back to Products" }
-  ];
-  
-  if (additionalAction === 'view_cart') {
-    buttons.push({ id: "view_cart", title: "View Cart" });
+// Helper function to queue the messages and status updates of one webhook change, routed by the number
+// they were sent to; numbers we don't serve (any more) are left alone
+const queueChange = (value) => {
+  const phoneNumberId = value.metadata?.phone_number_id;
+  const tenant = tenantStore.findByPhoneNumberId(phoneNumberId);
+  if (!tenant) {
+    logger.warn('Webhook change for an unknown phone number id', { phoneNumberId });
+    return;
   }
-  
-  return sendInteractiveMessage(from, 
-    "Product Actions", 
-    "What would you like to do next?",
-    buttons
-  );
-};
-
-// Helper function to send cart summary
-const sendCartSummary = async (from) => {
-  const session = userSessions[from];
-  
-  if (!session.cart || session.cart.length === 0) {
-    await sendTextMessage(from, "Your cart is empty.");
-    return sendWelcomeMenu(from);
+  const runtime = getRuntime(tenant);
+
+  for (const status of value.statuses || []) {
+    const { promise } = inboundQueue.enqueue({
+      key: runtime.sessionKey(status.recipient_id),
+      task: () => handleMessageStatus(status, tenant.id)
+    });
+    trackPending(promise.catch(error => logger.error('Error handling message status', { messageId: status.id, error })));
   }
-  
-  let cartText = "*Your Cart*\n\n";
-  let total = 0;
-  
-  session.cart.forEach((item, index) => {
-    const itemTotal = item.price * item.quantity;
-    total += itemTotal;
-    cartText += `${index + 1}. ${item.name} x ${item.quantity} = $${itemTotal}\n`;
-  });
-  
-  cartText += `\n*Total: $${total}*`;
-  
-  await sendTextMessage(from, cartText);
-  
-  const buttons = [
-    { id: "checkout", title: "Checkout" },
-    { id: "clear_cart", title: "Clear Cart" },
-    { id: "continue_shopping", title: "Continue Shopping" }
-  ];
-  
-  return sendInteractiveMessage(from, 
-    "Cart Actions", 
-    "What would you like to do next?",
-    buttons
-  );
-};
 
-// Helper function to send search results
-const sendSearchResults = async (from, results) => {
-  if (results.length > 10) {
-    results = results.slice(0, 10); // Limit to 10 results
+  for (const message of value.messages || []) {
+    const queued = inboundQueue.enqueue({
+      key: runtime.sessionKey(message.from),
+      id: message.id,
+      timestamp: message.timestamp,
+      task: () => handleIncomingMessage(runtime, message.from, message)
+    });
+    if (queued.dropped) {
+      metrics.inboundDropped.inc({ reason: queued.dropped });
+      logger.info('Inbound message dropped', { from: message.from, messageId: message.id, reason: queued.dropped });
+      continue;
+    }
+    trackPending(queued.promise.catch(error => logger.error('Error handling message', { from: message.from, messageId: message.id, error })));
   }
-  
-  const rows = results.map(product => ({
-    id: `product_${product.id}`,
-    title: product.name,
-    description: `${product.type} - ${product.inStock ? 'In Stock' : 'Out of Stock'}`
-  }));
-  
-  // Add back button
-  rows.push({
-    id: "main_menu",
-    title: "Back to Main Menu",
-    description: "Return to main menu"
-  });
-  
-  const sections = [{
-    title: "Search Results",
-    rows: rows
-  }];
-  
-  return sendListMessage(from, 
-    "Search Results", 
-    "Select a product to view details:",
-    sections
-  );
 };
 
 // Webhook endpoints
@@ -752,8 +775,9 @@ app.get('/webhook', (req, res) => {
   const challenge = req.query['hub.challenge'];
 
   if (mode && token) {
-    if (mode === 'subscribe' && token === WEBHOOK_VERIFY_TOKEN) {
-      console.log('Webhook verified');
+    // Any tenant's token will do: they all share this webhook URL
+    if (mode === 'subscribe' && tenantStore.listTenants().some(tenant => tenant.verifyToken === token)) {
+      logger.info('Webhook verified');
       res.status(200).send(challenge);
       return;
     }
@@ -761,71 +785,33 @@ app.get('/webhook', (req, res) => {
   res.sendStatus(403);
 });
 
-app.post('/webhook', async (req, res) => {
-  try {
-    const body = req.body;
-
-    if (body.object === 'whatsapp_business_account') {
-      body.entry?.forEach(async (entry) => {
-        const changes = entry.changes;
-        
-        changes?.forEach(async (change) => {
-          if (change.field === 'messages') {
-            const messages = change.value.messages;
-            
-            if (messages) {
-              for (const message of messages) {
-                const from = message.from;
-                console.log(`Received message from ${from}:`, message);
-                
-                await handleIncomingMessage(from, message);
-              }
-            }
-          }
-        });
-      });
-    }
+app.post('/webhook', verifyWebhookSignature, (req, res) => {
+  // Acknowledge straight away: Meta redelivers whatever isn't answered within a few seconds, and the
+  // events are handled from the inbound queue anyway
+  res.status(200).send('OK');
 
-    res.status(200).send('OK');
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send('Error');
+  const body = req.body || {};
+  if (body.object !== 'whatsapp_business_account') {
+    return;
   }
-});
-
-// Webhook endpoints
-app.post('/webhook', async (req, res) => {
   try {
-    const body = req.body;
-
-    if (body.object === 'whatsapp_business_account') {
-      body.entry?.forEach(async (entry) => {
-        const changes = entry.changes;
-        
-        changes?.forEach(async (change) => {
-          if (change.field === 'messages') {
-            const messages = change.value.messages;
-            
-            if (messages) {
-              for (const message of messages) {
-                const from = message.from;
-                console.log(`Received message from ${from}:`, message);
-                
-                await handleIncomingMessage(from, message);
-              }
-            }
-          }
-        });
-      });
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field === 'messages') {
+          queueChange(change.value || {});
+        }
+      }
     }
-
-    res.status(200).send('OK');
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).send('Error');
+    logger.error('Webhook error', { error });
   }
 });
 
+// Prometheus scrape endpoint; set METRICS_API_KEY to require it as a bearer token
+app.get('/metrics', process.env.METRICS_API_KEY ? requireApiKey('METRICS_API_KEY') : (req, res, next) => next(), (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -834,37 +820,67 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Admin API
+app.use('/admin', requireAdminKey,
+  createCatalogRouter(catalog),
+  createTenantRouter(tenantStore, { catalogRouterFor: (tenantId) => runtimeFor(tenantId).catalogRouter }),
+  createOrderRouter(orderStore, { notifyCustomer: notifyOrderUpdate }),
+  createLeadRouter(leadStore, { sendQuote: sendLeadQuote }),
+  createHandoffRouter(handoffStore, {
+    sendMessage: (handoff, text) => runtimeFor(handoff.tenantId).messenger.sendTextMessage(handoff.customer, text),
+    notifyCustomer: notifyHandoff
+  }),
+  createDeadLetterRouter(deadLetterStore, { resend: (payload, entry) => outboundQueue.enqueue(payload, { phoneNumberId: entry.phoneNumberId }) }),
+  createDeliveryRouter(messageStatusStore),
+  createFlowRouter(conversation),
+  createTranscriptRouter(transcriptStore),
+  createMediaRouter(mediaStore),
+  createComplianceRouter(verificationStore, auditStore),
+  createPricingRouter(pricing),
+  createProfileRouter(profileStore, orderStore),
+  createCampaignRouter(campaignStore, { runner: campaignRunner, messageStatusStore, stores: campaignStores }),
+  createJobRouter(jobScheduler)
+);
+
 // Error handling middleware
 app.use((req, res, next) => {
   res.status(404).json({ error: 'Not Found', path: req.path });
 });
 
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  logger.error('Server error', { method: req.method, path: req.originalUrl, error: err });
   res.status(500).json({ 
     error: 'Internal Server Error', 
     message: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : err.message 
   });
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  const actualPort = server.address().port;
-  console.log(`🚀 Dyes & Intermediates WhatsApp Bot running on port ${actualPort}`);
-  console.log(`📱 Webhook URL: ${process.env.PUBLIC_URL || 'https://your-domain.com'}/webhook`);
-  console.log('🔧 Required environment variables:');
-  console.log('   - WHATSAPP_TOKEN');
-  console.log('   - WHATSAPP_PHONE_NUMBER_ID'); 
-  console.log('   - WEBHOOK_VERIFY_TOKEN');
-});
+// Start the server when run directly; tests require the app and listen on a port of their own
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    const actualPort = server.address().port;
+    logger.info('Dyes & Intermediates WhatsApp Bot running', {
+      port: actualPort,
+      webhookUrl: `${process.env.PUBLIC_URL || 'https://your-domain.com'}/webhook`,
+      whatsappApi: `${WHATSAPP_API_BASE_URL} (${WHATSAPP_API_VERSION})`,
+      logLevel: logger.level
+    });
+  });
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    sessionStore.stopCleanup();
+    handoffStore.stopIdleSweep();
+    campaignRunner.stop();
+    jobScheduler.stop();
+    catalog.unwatch();
+    runtimes.forEach(runtime => runtime.catalog.unwatch());
+    server.close(() => {
+      logger.info('Server closed');
+      process.exit(0);
+    });
   });
-});
+}
 
 module.exports = app;
@@ -0,0 +1,129 @@
+const express = require('express');
+
+// A stand-in for the WhatsApp Cloud API (graph.facebook.com) that accepts and records outbound messages.
+// Point the bot at it with WHATSAPP_API_BASE_URL; used by the test suite and for trying the bot locally:
+//   node fake_cloud_api.js 4000  ->  WHATSAPP_API_BASE_URL=http://localhost:4000 node dyes_server.js
+const createFakeCloudApi = ({ log = () => {} } = {}) => {
+  const app = express();
+  const messages = [];
+  const failures = [];
+  // Files uploaded by the bot, and files customers "sent" (see addMedia), by media id
+  const uploads = [];
+  const media = new Map();
+  let sequence = 0;
+  let mediaSequence = 0;
+  let server = null;
+
+  app.use(express.json());
+
+  // Same path shape as the real API: /<version>/<phone number id>/messages
+  app.post('/:version/:phoneNumberId/messages', (req, res) => {
+    const failure = failures.shift();
+    if (failure) {
+      log(`[FAKE CLOUD API] Failing message to ${req.body.to} with ${failure.status}`);
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    const id = `wamid.FAKE${String(++sequence).padStart(6, '0')}`;
+    messages.push({
+      id,
+      version: req.params.version,
+      phoneNumberId: req.params.phoneNumberId,
+      authorization: req.get('authorization'),
+      payload: req.body,
+      receivedAt: new Date().toISOString()
+    });
+    log(`[FAKE CLOUD API] ${id} to ${req.body.to} (${req.body.type})`);
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: req.body.to, wa_id: req.body.to }],
+      messages: [{ id }]
+    });
+  });
+
+  // Media upload (multipart form with messaging_product, type and file); the body is kept as it arrived
+  app.post('/:version/:phoneNumberId/media', express.raw({ type: () => true, limit: '100mb' }), (req, res) => {
+    const id = `media.FAKE${String(++mediaSequence).padStart(6, '0')}`;
+    uploads.push({ id, contentType: req.get('content-type'), size: req.body.length, body: req.body, receivedAt: new Date().toISOString() });
+    log(`[FAKE CLOUD API] Uploaded ${id} (${req.body.length} bytes)`);
+    res.json({ id });
+  });
+
+  // Download of a file returned by the media lookup below (declared first so /:version/:mediaId doesn't take it)
+  app.get('/__media/:mediaId', (req, res) => {
+    const file = media.get(req.params.mediaId);
+    if (!file || !req.get('authorization')) {
+      return res.status(404).json({ error: { code: 100, message: 'Unknown media' } });
+    }
+    res.type(file.mimeType).send(file.contents);
+  });
+
+  // Media lookup: the real API answers with a short-lived URL that needs the access token
+  app.get('/:version/:mediaId', (req, res, next) => {
+    const file = media.get(req.params.mediaId);
+    if (!file) {
+      return next();
+    }
+    res.json({
+      messaging_product: 'whatsapp',
+      id: req.params.mediaId,
+      url: `${req.protocol}://${req.get('host')}/__media/${encodeURIComponent(req.params.mediaId)}`,
+      mime_type: file.mimeType,
+      file_size: file.contents.length
+    });
+  });
+
+  // Inspect and reset what has been sent, for manual testing
+  app.get('/__messages', (req, res) => {
+    res.json({ messages: req.query.to ? messages.filter(message => message.payload.to === req.query.to) : messages });
+  });
+
+  app.delete('/__messages', (req, res) => {
+    messages.length = 0;
+    res.status(204).end();
+  });
+
+  const start = (port = 0) => new Promise((resolve, reject) => {
+    server = app.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+    server.on('error', reject);
+  });
+
+  const stop = () => new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+
+  // Make the next sends fail, e.g. failNext(429, { code: 130429, message: 'Rate limit hit' })
+  const failNext = (status, error = { code: 131000, message: 'Something went wrong' }, times = 1) => {
+    for (let i = 0; i < times; i++) {
+      failures.push({ status, error });
+    }
+  };
+
+  return {
+    app,
+    start,
+    stop,
+    failNext,
+    getMessages: (to) => messages.filter(message => !to || message.payload.to === to),
+    getUploads: () => uploads,
+    // Make a file available as if a customer had sent it; use the id in an image or document message
+    addMedia: (id, contents, mimeType) => {
+      media.set(id, { contents: Buffer.from(contents), mimeType });
+    },
+    clear: () => {
+      messages.length = 0;
+      failures.length = 0;
+      uploads.length = 0;
+      media.clear();
+    }
+  };
+};
+
+if (require.main === module) {
+  const fakeApi = createFakeCloudApi({ log: console.log });
+  fakeApi.start(Number(process.argv[2] || process.env.PORT || 4000))
+    .then(url => console.log(`Fake WhatsApp Cloud API listening on ${url}`));
+}
+
+module.exports = {
+  createFakeCloudApi
+};
@@ -0,0 +1,27 @@
+const express = require('express');
+
+// Admin REST API exposing the conversation state machine; mount behind requireApiKey
+const createFlowRouter = (machine) => {
+  const router = express.Router();
+
+  // ?format=mermaid (default) or ?format=dot for Graphviz; ?format=json lists the raw edges
+  router.get('/flows/graph', (req, res) => {
+    const format = req.query.format || 'mermaid';
+    if (format === 'mermaid') {
+      return res.type('text/plain').send(machine.toMermaid());
+    }
+    if (format === 'dot') {
+      return res.type('text/vnd.graphviz').send(machine.toDot());
+    }
+    if (format === 'json') {
+      return res.json({ initial: machine.initial, states: machine.states, edges: machine.edges() });
+    }
+    res.status(400).json({ error: 'format must be one of mermaid, dot, json' });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createFlowRouter
+};
@@ -0,0 +1,115 @@
+const express = require('express');
+const {
+  HANDOFF_STATUSES,
+  HandoffValidationError,
+  HandoffNotFoundError,
+  HandoffClosedError
+} = require('./handoff_store');
+const { logger } = require('./logger');
+
+// Helper function to summarize a handoff for the inbox list (the full history is on GET /handoffs/:id)
+const summarizeHandoff = (handoff) => {
+  const { messages, ...summary } = handoff;
+  return {
+    ...summary,
+    messageCount: messages.length,
+    lastMessage: messages[messages.length - 1] || null
+  };
+};
+
+// Operator inbox for conversations handed to human agents; mount behind requireApiKey.
+// sendMessage(handoff, text) delivers an agent's reply and rejects if it could not be delivered;
+// notifyCustomer(handoff, event) tells the customer an agent joined ('agent_joined') or left ('agent_left').
+const createHandoffRouter = (handoffStore, { sendMessage, notifyCustomer }) => {
+  const router = express.Router();
+
+  // Helper function to tell the customer, without failing the agent's request if WhatsApp is down
+  const notify = (handoff, event) => notifyCustomer(handoff, event)
+    .catch(error => logger.error('Error notifying customer about handoff', { handoffId: handoff.id, customer: handoff.customer, event, error }));
+
+  router.get('/handoffs', (req, res) => {
+    const { status, customer } = req.query;
+    if (status !== undefined && status !== 'all' && !HANDOFF_STATUSES.includes(status)) {
+      throw new HandoffValidationError([`status must be one of: ${[...HANDOFF_STATUSES, 'all'].join(', ')}`]);
+    }
+    res.json({ handoffs: handoffStore.listHandoffs({ status, customer }).map(summarizeHandoff) });
+  });
+
+  router.get('/handoffs/:id', (req, res) => {
+    const handoff = handoffStore.getHandoff(req.params.id);
+    if (!handoff) {
+      throw new HandoffNotFoundError(req.params.id);
+    }
+    res.json({ handoff });
+  });
+
+  // An agent joins the conversation
+  router.post('/handoffs/:id/claim', async (req, res) => {
+    const handoff = await handoffStore.assignAgent(req.params.id, (req.body || {}).agent);
+    await notify(handoff, 'agent_joined');
+    res.json({ handoff });
+  });
+
+  // Reply to the customer as the business; replying to a waiting conversation claims it
+  router.post('/handoffs/:id/messages', async (req, res) => {
+    const { agent, text } = req.body || {};
+    const errors = [];
+    if (typeof agent !== 'string' || agent.trim() === '') {
+      errors.push('agent is required');
+    }
+    if (typeof text !== 'string' || text.trim() === '') {
+      errors.push('text is required');
+    }
+    if (errors.length > 0) {
+      throw new HandoffValidationError(errors);
+    }
+
+    let handoff = handoffStore.getHandoff(req.params.id);
+    if (!handoff) {
+      throw new HandoffNotFoundError(req.params.id);
+    }
+    if (handoff.status === 'closed') {
+      throw new HandoffClosedError(handoff.id);
+    }
+    if (handoff.agent !== agent.trim()) {
+      handoff = await handoffStore.assignAgent(handoff.id, agent);
+      await notify(handoff, 'agent_joined');
+    }
+
+    try {
+      await sendMessage(handoff, text);
+    } catch (error) {
+      return res.status(502).json({ error: 'The message could not be delivered to the customer', reason: error.reason || error.message });
+    }
+
+    handoff = await handoffStore.addMessage(handoff.id, { from: 'agent', agent: handoff.agent, text });
+    res.status(201).json({ handoff });
+  });
+
+  // Hand the conversation back to the bot
+  router.post('/handoffs/:id/close', async (req, res) => {
+    const { agent } = req.body || {};
+    const handoff = await handoffStore.closeHandoff(req.params.id, { reason: 'agent', agent });
+    await notify(handoff, 'agent_left');
+    res.json({ handoff });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof HandoffValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof HandoffNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err instanceof HandoffClosedError) {
+      return res.status(409).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createHandoffRouter
+};
@@ -0,0 +1,207 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'handoffs' });
+
+// waiting: queued for an agent, active: an agent has joined, closed: handed back to the bot
+const HANDOFF_STATUSES = ['waiting', 'active', 'closed'];
+const OPEN_STATUSES = ['waiting', 'active'];
+
+// Raised when a handoff change is malformed; carries one message per problem
+class HandoffValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid handoff update: ${errors.join('; ')}`);
+    this.name = 'HandoffValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a handoff id does not exist
+class HandoffNotFoundError extends Error {
+  constructor(id) {
+    super(`Handoff ${id} not found`);
+    this.name = 'HandoffNotFoundError';
+  }
+}
+
+// Raised when a closed handoff is changed
+class HandoffClosedError extends Error {
+  constructor(id) {
+    super(`Handoff ${id} is already closed`);
+    this.name = 'HandoffClosedError';
+  }
+}
+
+// Conversations handed from the bot to a human agent, with their message history, persisted to a JSON file.
+// Open handoffs idle for longer than idleTimeoutMs are closed by the idle sweep, which calls onIdleClose(handoff).
+const createHandoffStore = ({ filePath, idleTimeoutMs = 30 * 60 * 1000, sweepIntervalMs = 60 * 1000, onIdleClose = () => {} }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, handoffs: {} });
+  const save = () => writeJsonFile(filePath, data);
+  let sweepTimer = null;
+
+  const getHandoff = (id) => data.handoffs[String(id || '').toUpperCase()] || null;
+
+  const listHandoffs = ({ status, customer } = {}) => Object.values(data.handoffs)
+    .filter(handoff => status === 'all' || (status ? handoff.status === status : OPEN_STATUSES.includes(handoff.status)))
+    .filter(handoff => !customer || handoff.customer === customer)
+    // Oldest first: that is the order agents should pick them up in
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  // The customer's waiting or active handoff with a brand, if any (a customer has at most one per brand)
+  const getOpenHandoff = (customer, tenantId = DEFAULT_TENANT_ID) => Object.values(data.handoffs)
+    .find(handoff => handoff.customer === customer && (handoff.tenantId || DEFAULT_TENANT_ID) === tenantId &&
+      OPEN_STATUSES.includes(handoff.status)) || null;
+
+  // Helper function to look up a handoff that can still be changed
+  const getOpen = (id) => {
+    const handoff = getHandoff(id);
+    if (!handoff) {
+      throw new HandoffNotFoundError(id);
+    }
+    if (handoff.status === 'closed') {
+      throw new HandoffClosedError(handoff.id);
+    }
+    return handoff;
+  };
+
+  // Helper function to record a status change
+  const setStatus = (handoff, status, now, details = {}) => {
+    handoff.status = status;
+    handoff.statusHistory.push({ status, at: now, ...details });
+  };
+
+  // Queue a customer for an agent; context is what the bot knew (cart, last product, language)
+  const openHandoff = async ({ customer, tenantId = DEFAULT_TENANT_ID, reason, language, context = {} }) => {
+    const existing = getOpenHandoff(customer, tenantId);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const handoff = {
+      id: `HO-${String(data.nextSequence++).padStart(5, '0')}`,
+      customer,
+      tenantId,
+      reason,
+      language,
+      context,
+      status: 'waiting',
+      statusHistory: [{ status: 'waiting', at: now }],
+      agent: null,
+      messages: [],
+      createdAt: now,
+      updatedAt: now,
+      lastActivityAt: now
+    };
+    data.handoffs[handoff.id] = handoff;
+    await save();
+    return handoff;
+  };
+
+  // Add a message to the history; from is 'customer' or 'agent'
+  // attachment (optional) is a file the customer sent, from mediaStore.saveInbound
+  const addMessage = async (id, { from, text, agent, attachment }) => {
+    const handoff = getOpen(id);
+    const errors = [];
+    if (!['customer', 'agent'].includes(from)) {
+      errors.push("from must be 'customer' or 'agent'");
+    }
+    if (typeof text !== 'string' || text.trim() === '') {
+      errors.push('text is required');
+    }
+    if (errors.length > 0) {
+      throw new HandoffValidationError(errors);
+    }
+
+    const now = new Date().toISOString();
+    handoff.messages.push({ from, text, ...(agent ? { agent } : {}), ...(attachment ? { attachment } : {}), at: now });
+    handoff.updatedAt = now;
+    handoff.lastActivityAt = now;
+    await save();
+    return handoff;
+  };
+
+  // An agent joins (or takes over) the conversation
+  const assignAgent = async (id, agent) => {
+    if (typeof agent !== 'string' || agent.trim() === '') {
+      throw new HandoffValidationError(['agent is required']);
+    }
+    const handoff = getOpen(id);
+    const now = new Date().toISOString();
+    handoff.agent = agent.trim();
+    setStatus(handoff, 'active', now, { agent: handoff.agent });
+    handoff.updatedAt = now;
+    handoff.lastActivityAt = now;
+    await save();
+    return handoff;
+  };
+
+  // Hand the conversation back to the bot; reason is e.g. 'agent', 'customer' or 'idle'
+  const closeHandoff = async (id, { reason, agent } = {}) => {
+    const handoff = getOpen(id);
+    const now = new Date().toISOString();
+    setStatus(handoff, 'closed', now, { reason, ...(agent ? { agent } : {}) });
+    handoff.closedReason = reason;
+    handoff.closedAt = now;
+    handoff.updatedAt = now;
+    await save();
+    return handoff;
+  };
+
+  // Close every open handoff with no messages or agent activity for longer than the idle timeout
+  const closeIdle = async (now = Date.now()) => {
+    const idle = Object.values(data.handoffs)
+      .filter(handoff => OPEN_STATUSES.includes(handoff.status))
+      .filter(handoff => now - Date.parse(handoff.lastActivityAt) > idleTimeoutMs);
+    const closed = [];
+    for (const handoff of idle) {
+      closed.push(await closeHandoff(handoff.id, { reason: 'idle' }));
+    }
+    return closed;
+  };
+
+  const startIdleSweep = () => {
+    if (sweepTimer || sweepIntervalMs <= 0) {
+      return;
+    }
+    sweepTimer = setInterval(async () => {
+      try {
+        for (const handoff of await closeIdle()) {
+          log.info('Handoff closed after idle timeout', { handoffId: handoff.id, customer: handoff.customer });
+          await onIdleClose(handoff);
+        }
+      } catch (error) {
+        log.error('Error closing idle handoffs', { error });
+      }
+    }, sweepIntervalMs);
+    // Do not keep the process alive just for the sweep
+    sweepTimer.unref();
+  };
+
+  const stopIdleSweep = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  };
+
+  return {
+    getHandoff,
+    listHandoffs,
+    getOpenHandoff,
+    openHandoff,
+    addMessage,
+    assignAgent,
+    closeHandoff,
+    closeIdle,
+    startIdleSweep,
+    stopIdleSweep
+  };
+};
+
+module.exports = {
+  HANDOFF_STATUSES,
+  createHandoffStore,
+  HandoffValidationError,
+  HandoffNotFoundError,
+  HandoffClosedError
+};
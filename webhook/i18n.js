@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Calling codes whose buyers usually prefer a language other than English; only a first guess,
+// the customer confirms it in the language picker
+const COUNTRY_LANGUAGES = {
+  91: 'hi'
+};
+
+// Helper function to load every locales/<code>.json file; dropping in a new file adds a language
+const loadMessageCatalogs = (dir) => {
+  const catalogs = {};
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    });
+  if (!catalogs[DEFAULT_LANGUAGE]) {
+    throw new Error(`Missing ${DEFAULT_LANGUAGE}.json in ${dir}`);
+  }
+  return catalogs;
+};
+
+const catalogs = loadMessageCatalogs(path.join(__dirname, 'locales'));
+
+const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(catalogs, code);
+
+// Supported languages, English first, each with its name in its own language
+const getLanguages = () => Object.keys(catalogs)
+  .sort((a, b) => (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : a.localeCompare(b)))
+  .map(code => ({ code, name: catalogs[code]['language.name'] || code }));
+
+// Look up a message, falling back to English and then to the key itself, and fill in {placeholders}
+const translate = (language, key, params = {}) => {
+  const messages = catalogs[language] || {};
+  const template = messages[key] ?? catalogs[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+// t(key, params) bound to one language, plus t.formatDate and t.formatMoney in that language's style
+const getTranslator = (language) => {
+  const code = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  const t = (key, params) => translate(code, key, params);
+  t.language = code;
+  t.formatDate = (value) => new Date(value).toLocaleDateString(translate(code, 'language.locale'), {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+  // Whole amounts without decimals (₹4,175), anything else to the cent (₹4,050.75)
+  t.formatMoney = (amount, currency) => new Intl.NumberFormat(translate(code, 'language.locale'), {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+    maximumFractionDigits: 2
+  }).format(amount);
+  return t;
+};
+
+// Helper function to guess a customer's language from their WhatsApp number (E.164 digits, no '+')
+const guessLanguage = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const prefix = Object.keys(COUNTRY_LANGUAGES)
+    .sort((a, b) => b.length - a.length)
+    .find(code => digits.startsWith(code));
+  const language = prefix && COUNTRY_LANGUAGES[prefix];
+  return isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+};
+
+// A product or category with its catalog translations (see catalog.js) swapped in
+const localize = (item, language) => {
+  const translation = item && item.translations && item.translations[language];
+  if (!translation) {
+    return item;
+  }
+  const localized = { ...item };
+  Object.entries(translation).forEach(([field, value]) => {
+    if (value) {
+      localized[field] = value;
+    }
+  });
+  return localized;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getLanguages,
+  translate,
+  getTranslator,
+  guessLanguage,
+  localize
+};
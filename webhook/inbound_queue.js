@@ -0,0 +1,62 @@
+const { createKeyedQueue } = require('./keyed_queue');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'inbound' });
+
+// Inbound webhook events, taken in after the webhook has already answered Meta. Meta delivers at least once,
+// so message ids seen in the last maxAgeMs are remembered (in a JSON file, to catch redeliveries across restarts)
+// and repeats are dropped; anything older than maxAgeMs is dropped as stale, which also covers redeliveries of
+// ids we have forgotten. At most maxEntries ids are kept. Each customer's events run one at a time, in the order
+// they arrived, while different customers run in parallel.
+const createInboundQueue = ({ filePath, maxAgeMs = 60 * 60 * 1000, maxEntries = 10000 }) => {
+  // Message id -> when we received it (ms timestamp), oldest first
+  const seen = new Map(Object.entries(readJsonFile(filePath, { seen: {} }).seen));
+  const customers = createKeyedQueue();
+  const save = () => writeJsonFile(filePath, { seen: Object.fromEntries(seen) });
+
+  // Helper function to forget ids past the retention window, and the oldest ones past maxEntries
+  const prune = (now) => {
+    for (const [id, receivedAt] of seen) {
+      if (now - receivedAt <= maxAgeMs && seen.size <= maxEntries) {
+        break;
+      }
+      seen.delete(id);
+    }
+  };
+
+  // Queue an event for a customer (key: their session key). id and timestamp (Unix seconds, as in the
+  // webhook) come from messages; status updates have neither and are never dropped.
+  // Returns { promise } for the queued task, or { dropped: 'duplicate' | 'stale' } without running it.
+  const enqueue = ({ key, id, timestamp, task }) => {
+    const now = Date.now();
+    if (id && seen.has(id)) {
+      return { dropped: 'duplicate' };
+    }
+    if (timestamp && now - Number(timestamp) * 1000 > maxAgeMs) {
+      return { dropped: 'stale' };
+    }
+    if (id) {
+      seen.set(id, now);
+      prune(now);
+      // Remembered before the file is written, so a repeat within the same delivery is caught too
+      save().catch(error => log.error('Error saving seen message ids', { error }));
+    }
+    return { promise: customers.run(key, task) };
+  };
+
+  const stats = () => ({
+    activeCustomers: customers.activeKeys(),
+    rememberedIds: seen.size
+  });
+
+  return {
+    enqueue,
+    stats,
+    drain: customers.drain
+  };
+};
+
+module.exports = {
+  createInboundQueue
+};
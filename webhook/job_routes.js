@@ -0,0 +1,42 @@
+const express = require('express');
+const { JOB_STATUSES, JobNotFoundError } = require('./job_scheduler');
+
+// Admin REST API for scheduled jobs (cart reminders, quote follow-ups); mount behind requireApiKey
+const createJobRouter = (scheduler) => {
+  const router = express.Router();
+
+  // Filter with ?status=scheduled, ?type=cart_reminder and ?customer=<number>
+  router.get('/jobs', (req, res) => {
+    const { status, type, customer } = req.query;
+    if (status !== undefined && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Validation failed', details: [`status must be one of: ${JOB_STATUSES.join(', ')}`] });
+    }
+    res.json({ jobs: scheduler.listJobs({ status, type, customer }) });
+  });
+
+  router.get('/jobs/:id', (req, res) => {
+    const job = scheduler.getJob(req.params.id);
+    if (!job) {
+      throw new JobNotFoundError(req.params.id);
+    }
+    res.json({ job });
+  });
+
+  // Cancel a scheduled job; finished jobs are returned unchanged
+  router.delete('/jobs/:id', async (req, res) => {
+    res.json({ job: await scheduler.cancelJob(req.params.id, 'admin') });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof JobNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createJobRouter
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scheduler' });
+
+const JOB_STATUSES = ['scheduled', 'running', 'done', 'failed', 'cancelled'];
+
+// Finished jobs are kept this long for the admin API, then dropped
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Raised when a job id does not exist
+class JobNotFoundError extends Error {
+  constructor(id) {
+    super(`Job ${id} not found`);
+    this.name = 'JobNotFoundError';
+  }
+}
+
+// In-process job scheduler whose jobs are persisted to a JSON file, so they survive restarts (jobs that
+// came due while the bot was down run at startup). A job is { id, type, key, customer, runAt, payload };
+// the handler registered for its type runs it. There is at most one scheduled job per type and key:
+// scheduling again moves it. Jobs run one at a time, polled every pollIntervalMs.
+const createJobScheduler = ({ filePath, pollIntervalMs = 15 * 1000 }) => {
+  const data = readJsonFile(filePath, { jobs: {} });
+  const handlers = {};
+  const save = () => writeJsonFile(filePath, data);
+  // A job that was running when the process stopped may have done its work already; don't repeat it
+  Object.values(data.jobs).filter(job => job.status === 'running').forEach(job => {
+    Object.assign(job, { status: 'failed', error: 'Interrupted by a restart' });
+  });
+  let pollTimer = null;
+  let running = null;
+
+  // handler(job) is awaited; a job whose handler throws is marked failed and not retried
+  const register = (type, handler) => {
+    handlers[type] = handler;
+  };
+
+  const getJob = (id) => data.jobs[id] || null;
+
+  const listJobs = ({ status, type, customer } = {}) => Object.values(data.jobs)
+    .filter(job => !status || job.status === status)
+    .filter(job => !type || job.type === type)
+    .filter(job => !customer || job.customer === customer)
+    .sort((a, b) => a.runAt.localeCompare(b.runAt));
+
+  // Helper function to find the scheduled job of a type for a key
+  const findScheduled = (type, key) => Object.values(data.jobs)
+    .find(job => job.status === 'scheduled' && job.type === type && job.key === key);
+
+  // Schedule a job, or move the one already scheduled for this type and key (runAt: Date or ms timestamp)
+  const schedule = async ({ type, key, customer, runAt, payload = {} }) => {
+    if (!handlers[type]) {
+      throw new Error(`No handler for ${type} jobs`);
+    }
+    const now = new Date().toISOString();
+    const job = findScheduled(type, key) || { id: crypto.randomUUID(), type, key, customer, status: 'scheduled', createdAt: now };
+    Object.assign(job, { runAt: new Date(runAt).toISOString(), payload, updatedAt: now });
+    data.jobs[job.id] = job;
+    await save();
+    return job;
+  };
+
+  // Cancel scheduled jobs for a customer (optionally only of one type, or only those filter(job) accepts);
+  // returns the cancelled jobs
+  const cancel = async ({ customer, type, filter = () => true, reason }) => {
+    const jobs = listJobs({ status: 'scheduled', type, customer }).filter(filter);
+    if (jobs.length === 0) {
+      return [];
+    }
+    const now = new Date().toISOString();
+    jobs.forEach(job => Object.assign(job, { status: 'cancelled', reason, updatedAt: now }));
+    await save();
+    return jobs;
+  };
+
+  const cancelJob = async (id, reason) => {
+    const job = getJob(id);
+    if (!job) {
+      throw new JobNotFoundError(id);
+    }
+    if (job.status === 'scheduled') {
+      Object.assign(job, { status: 'cancelled', reason, updatedAt: new Date().toISOString() });
+      await save();
+    }
+    return job;
+  };
+
+  // Helper function to drop finished jobs past their retention
+  const prune = (now) => {
+    Object.values(data.jobs)
+      .filter(job => job.status !== 'scheduled' && now - Date.parse(job.updatedAt) > FINISHED_RETENTION_MS)
+      .forEach(job => delete data.jobs[job.id]);
+  };
+
+  const runJobs = async (now) => {
+    const due = listJobs({ status: 'scheduled' }).filter(job => Date.parse(job.runAt) <= now);
+    for (const job of due) {
+      // Cancelled (or moved) while an earlier job was running
+      if (job.status !== 'scheduled' || Date.parse(job.runAt) > Date.now()) {
+        continue;
+      }
+      // Not 'scheduled' while it runs, so the handler can schedule the next job for the same key
+      job.status = 'running';
+      try {
+        if (!handlers[job.type]) {
+          throw new Error(`No handler for ${job.type} jobs`);
+        }
+        await handlers[job.type](job);
+        Object.assign(job, { status: 'done', ranAt: new Date().toISOString() });
+      } catch (error) {
+        log.error('Scheduled job failed', { jobId: job.id, type: job.type, customer: job.customer, error });
+        Object.assign(job, { status: 'failed', ranAt: new Date().toISOString(), error: error.message });
+      }
+      job.updatedAt = job.ranAt;
+      await save();
+    }
+    prune(now);
+  };
+
+  // Run every job that is due; resolves once they have all run (a run already going is joined)
+  const runDue = (now = Date.now()) => {
+    if (!running) {
+      running = runJobs(now)
+        .catch(error => log.error('Error running scheduled jobs', { error }))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  // Settles once no jobs are running (used by the test harness)
+  const whenIdle = () => running || Promise.resolve();
+
+  const start = () => {
+    if (pollTimer || pollIntervalMs <= 0) {
+      return;
+    }
+    runDue();
+    pollTimer = setInterval(runDue, pollIntervalMs);
+    // Do not keep the process alive just for the scheduler
+    pollTimer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  return {
+    register,
+    getJob,
+    listJobs,
+    schedule,
+    cancel,
+    cancelJob,
+    runDue,
+    whenIdle,
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  JOB_STATUSES,
+  createJobScheduler,
+  JobNotFoundError
+};
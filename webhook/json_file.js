@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes in flight per file, so concurrent saves of the same file land in order
+const pendingWrites = new Map();
+
+// Read and parse a JSON file, returning the fallback when it does not exist yet
+const readJsonFile = (filePath, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// Write JSON through a temp file and rename, so a crash never leaves half a file behind
+const writeJsonFile = (filePath, data) => {
+  const contents = JSON.stringify(data, null, 2);
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+
+  const write = previous.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, filePath);
+  });
+
+  const cleanup = () => {
+    if (pendingWrites.get(filePath) === write) {
+      pendingWrites.delete(filePath);
+    }
+  };
+  pendingWrites.set(filePath, write);
+  write.then(cleanup, cleanup);
+
+  return write;
+};
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,36 @@
+// Runs tasks one at a time per key (e.g. per recipient) while different keys run in parallel
+const createKeyedQueue = () => {
+  // Last task queued per key; these promises never reject so one failure doesn't block the next task
+  const tails = new Map();
+
+  const run = (key, task) => {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+
+    return result;
+  };
+
+  // Number of keys with work queued or running
+  const activeKeys = () => tails.size;
+
+  // Resolves once everything queued so far has finished
+  const drain = () => Promise.all(Array.from(tails.values()));
+
+  return {
+    run,
+    activeKeys,
+    drain
+  };
+};
+
+module.exports = {
+  createKeyedQueue
+};
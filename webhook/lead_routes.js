@@ -0,0 +1,82 @@
+const express = require('express');
+const { LeadValidationError, LeadNotFoundError } = require('./lead_store');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to check the quote an admin wants to send, returning a list of problems
+const validateQuote = ({ pricePerKg, currency, validUntil }) => {
+  const errors = [];
+  if (typeof pricePerKg !== 'number' || !(pricePerKg > 0)) {
+    errors.push('pricePerKg must be a positive number');
+  }
+  if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) {
+    errors.push('currency must be a 3-letter code such as USD or INR');
+  }
+  if (validUntil !== undefined && (!ISO_DATE_PATTERN.test(validUntil) || Number.isNaN(Date.parse(validUntil)))) {
+    errors.push('validUntil must be a date in YYYY-MM-DD format');
+  }
+  return errors;
+};
+
+// Admin REST API for sales leads; mount behind requireApiKey.
+// sendQuote(lead, quote) delivers the quote to the customer and rejects if it could not be delivered.
+const createLeadRouter = (leadStore, { sendQuote }) => {
+  const router = express.Router();
+
+  router.get('/leads', (req, res) => {
+    const { status, customer } = req.query;
+    res.json({ leads: leadStore.listLeads({ status, customer }) });
+  });
+
+  router.get('/leads/:id', (req, res) => {
+    const lead = leadStore.getLead(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ error: `Lead ${req.params.id} not found` });
+    }
+    res.json({ lead });
+  });
+
+  router.patch('/leads/:id', async (req, res) => {
+    const lead = await leadStore.updateLead(req.params.id, { status: (req.body || {}).status });
+    res.json({ lead });
+  });
+
+  router.post('/leads/:id/quote', async (req, res) => {
+    const lead = leadStore.getLead(req.params.id);
+    if (!lead) {
+      throw new LeadNotFoundError(req.params.id);
+    }
+
+    const { pricePerKg, currency = 'USD', validUntil, leadTime, notes } = req.body || {};
+    const errors = validateQuote({ pricePerKg, currency, validUntil });
+    if (errors.length > 0) {
+      throw new LeadValidationError(errors);
+    }
+
+    const quote = { pricePerKg, currency, validUntil, leadTime, notes };
+    try {
+      await sendQuote(lead, quote);
+    } catch (error) {
+      return res.status(502).json({ error: 'The quote could not be delivered to the customer', reason: error.reason || error.message });
+    }
+
+    const updated = await leadStore.updateLead(lead.id, { status: 'quoted', quote });
+    res.json({ lead: updated });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof LeadValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof LeadNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createLeadRouter
+};
@@ -0,0 +1,101 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+const LEAD_STATUSES = ['new', 'quoted', 'won', 'lost'];
+
+// Raised when a lead update is malformed; carries one message per problem
+class LeadValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid lead update: ${errors.join('; ')}`);
+    this.name = 'LeadValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a lead id does not exist
+class LeadNotFoundError extends Error {
+  constructor(id) {
+    super(`Lead ${id} not found`);
+    this.name = 'LeadNotFoundError';
+  }
+}
+
+// Sales leads from quote requests (RFQs), persisted to a JSON file
+const createLeadStore = ({ filePath }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, leads: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const createLead = async (details) => {
+    const now = new Date().toISOString();
+    const lead = {
+      id: `RFQ-${String(data.nextSequence++).padStart(5, '0')}`,
+      ...details,
+      status: 'new',
+      statusHistory: [{ status: 'new', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    data.leads[lead.id] = lead;
+    await save();
+    return lead;
+  };
+
+  const getLead = (id) => data.leads[String(id || '').toUpperCase()] || null;
+
+  const listLeads = ({ status, customer, tenantId } = {}) => Object.values(data.leads)
+    .filter(lead => !status || lead.status === status)
+    .filter(lead => !customer || lead.customer === customer)
+    .filter(lead => !tenantId || (lead.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Change a lead's status and/or attach the quote sent to the customer
+  const updateLead = async (id, { status, quote } = {}) => {
+    const lead = getLead(id);
+    if (!lead) {
+      throw new LeadNotFoundError(id);
+    }
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      throw new LeadValidationError([`status must be one of: ${LEAD_STATUSES.join(', ')}`]);
+    }
+
+    const now = new Date().toISOString();
+    if (quote) {
+      lead.quote = { ...quote, sentAt: now };
+    }
+    if (status && status !== lead.status) {
+      lead.status = status;
+      lead.statusHistory.push({ status, at: now });
+    }
+    lead.updatedAt = now;
+
+    await save();
+    return lead;
+  };
+
+  // Keep a file the customer sent (e.g. a purchase order or specification) with the lead
+  const addAttachment = async (id, attachment) => {
+    const lead = getLead(id);
+    if (!lead) {
+      throw new LeadNotFoundError(id);
+    }
+    lead.attachments = [...(lead.attachments || []), attachment];
+    lead.updatedAt = new Date().toISOString();
+    await save();
+    return lead;
+  };
+
+  return {
+    createLead,
+    getLead,
+    listLeads,
+    updateLead,
+    addAttachment
+  };
+};
+
+module.exports = {
+  LEAD_STATUSES,
+  createLeadStore,
+  LeadValidationError,
+  LeadNotFoundError
+};
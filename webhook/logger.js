@@ -0,0 +1,124 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields holding a customer's phone number: masked down to the last four digits
+const PHONE_FIELDS = ['from', 'to', 'customer', 'phone', 'wa_id', 'recipient_id'];
+// Fields that are never logged, only noted as present
+const REDACTED_FIELDS = ['address', 'email', 'contactName', 'postalCode', 'shipping', 'raw', 'text', 'body'];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+// WhatsApp ids are bare digit runs; numbers typed by people usually start with a +
+const PHONE_PATTERN = /(\+\d[\d ()-]{7,}\d|\b\d{10,15}\b)/g;
+
+// Fields added to every line logged while handling one request or delivery (e.g. correlationId)
+const logContext = new AsyncLocalStorage();
+
+// Run fn with fields that every log line inside it (including across awaits) will carry
+const withLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+const getLogContext = () => logContext.getStore() || {};
+
+const maskPhone = (value) => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '****';
+};
+
+const maskEmail = (value) => {
+  const [name, domain] = String(value).split('@');
+  return `${name.charAt(0)}***@${domain}`;
+};
+
+// Helper function to mask emails and phone numbers wherever they appear in free text
+const redactText = (text) => text
+  .replace(EMAIL_PATTERN, maskEmail)
+  .replace(PHONE_PATTERN, maskPhone);
+
+// Helper function to copy a value with personal data masked, by field name and by content
+const redact = (value, key) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key === 'correlationId') {
+    return value;
+  }
+  if (REDACTED_FIELDS.includes(key)) {
+    return '[redacted]';
+  }
+  if (PHONE_FIELDS.includes(key) && (typeof value === 'string' || typeof value === 'number')) {
+    return maskPhone(value);
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactText(value.message),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.reason !== undefined ? { reason: value.reason } : {}),
+      ...(value.errors ? { errors: redact(value.errors) } : {}),
+      ...(value.stack ? { stack: redactText(value.stack) } : {})
+    };
+  }
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field)]));
+  }
+  return value;
+};
+
+// Helper function to write a line to stdout, or stderr for warnings and errors
+const writeLine = (level, line) => {
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// Leveled JSON logger: one line per event, { time, level, msg, ...fields }, with personal data masked.
+// level is the lowest level written (debug, info, warn, error or silent; LOG_LEVEL when not given);
+// fields are added to every line.
+const createLogger = ({ level, fields = {}, write = writeLine } = {}) => {
+  // Read LOG_LEVEL when logging rather than when required, so it can be set after this module loads
+  const getLevel = () => (LEVELS[level || process.env.LOG_LEVEL] === undefined ? 'info' : level || process.env.LOG_LEVEL);
+
+  const log = (lineLevel, msg, lineFields = {}) => {
+    if (LEVELS[lineLevel] < LEVELS[getLevel()]) {
+      return;
+    }
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+      ...getLogContext(),
+      ...lineFields
+    });
+    write(lineLevel, JSON.stringify(entry));
+  };
+
+  return {
+    get level() {
+      return getLevel();
+    },
+    debug: (msg, lineFields) => log('debug', msg, lineFields),
+    info: (msg, lineFields) => log('info', msg, lineFields),
+    warn: (msg, lineFields) => log('warn', msg, lineFields),
+    error: (msg, lineFields) => log('error', msg, lineFields),
+    // A logger that adds fields to every line, e.g. child({ component: 'catalog' })
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write })
+  };
+};
+
+// Shared logger for the app, configured by LOG_LEVEL
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  createLogger,
+  withLogContext,
+  getLogContext,
+  redact,
+  maskPhone
+};
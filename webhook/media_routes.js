@@ -0,0 +1,35 @@
+const express = require('express');
+
+// Admin REST API for files customers sent (purchase orders, photos); mount behind requireApiKey
+const createMediaRouter = (mediaStore) => {
+  const router = express.Router();
+
+  // Newest first, optionally for one customer: ?customer=919876543210
+  router.get('/attachments', (req, res) => {
+    res.json({ attachments: mediaStore.listAttachments({ customer: req.query.customer }) });
+  });
+
+  router.get('/attachments/:id', (req, res) => {
+    const attachment = mediaStore.getAttachment(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: `Attachment ${req.params.id} not found` });
+    }
+    res.json(attachment);
+  });
+
+  // The file itself, under the name the customer gave it
+  router.get('/attachments/:id/file', (req, res, next) => {
+    const attachment = mediaStore.getAttachment(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ error: `Attachment ${req.params.id} not found` });
+    }
+    res.attachment(attachment.filename);
+    res.sendFile(mediaStore.getAttachmentFile(attachment), (error) => error && next(error));
+  });
+
+  return router;
+};
+
+module.exports = {
+  createMediaRouter
+};
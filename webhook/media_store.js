@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+
+// File types we send and accept, by extension; WhatsApp sends jpg/png as image messages and the rest as documents
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Uploaded media ids expire after 30 days on Meta's side; re-upload a day early
+const UPLOAD_TTL_MS = 29 * 24 * 60 * 60 * 1000;
+
+const URL_PATTERN = /^https?:\/\//i;
+
+// Raised when a customer's file could not be fetched or stored
+class MediaDownloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaDownloadError';
+  }
+}
+
+// Helper function to get a source's extension, for file names and URLs alike ('tds.pdf?v=2' -> '.pdf')
+const extensionOf = (source) => path.extname(String(source).split(/[?#]/)[0]).toLowerCase();
+
+// 'image' or 'document' for a file name or URL we know how to send, otherwise null
+const getMediaType = (source) => {
+  const extension = extensionOf(source);
+  if (!MIME_TYPES[extension]) {
+    return null;
+  }
+  return IMAGE_EXTENSIONS.includes(extension) ? 'image' : 'document';
+};
+
+// Helper function to pick a file extension for a MIME type ('application/pdf; charset=binary' -> '.pdf')
+const extensionForMimeType = (mimeType) => {
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(MIME_TYPES).find(extension => MIME_TYPES[extension] === type) || null;
+};
+
+// Product files we send (uploaded once and their media ids cached) and files customers send us (attachments).
+// Outbound sources are links, sent as they are, or file names under mediaDir.
+//   upload({ contents, mimeType, filename }, account) resolves with a WhatsApp media id
+//   download(mediaId, account) resolves with { contents: Buffer, mimeType }
+// account is the business phone number id to upload and download with (undefined: the main number);
+// media ids only work for the number that uploaded them, so each number has its own uploads.
+const createMediaStore = ({ filePath, mediaDir, uploadDir, upload, download, uploadTtlMs = UPLOAD_TTL_MS }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, uploads: {}, attachments: {} });
+  const save = () => writeJsonFile(filePath, data);
+  // Uploads in progress, so a file sent to several customers at once is only uploaded once
+  const uploading = new Map();
+
+  // Helper function to find a product file, refusing names that point outside mediaDir
+  const resolveMediaFile = (source) => {
+    const resolved = path.resolve(mediaDir, source);
+    if (!resolved.startsWith(path.resolve(mediaDir) + path.sep)) {
+      throw new Error(`Media file ${source} is outside the media directory`);
+    }
+    return resolved;
+  };
+
+  // Helper function to key cached uploads by number ('tds.pdf', or '<phone number id>/tds.pdf')
+  const uploadKey = (source, account) => (account ? `${account}/${source}` : source);
+
+  const uploadFile = async (source, account) => {
+    const file = resolveMediaFile(source);
+    const stat = await fs.promises.stat(file);
+    const key = uploadKey(source, account);
+    const cached = data.uploads[key];
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs &&
+      Date.now() - Date.parse(cached.uploadedAt) < uploadTtlMs) {
+      return cached.id;
+    }
+
+    const id = await upload({
+      contents: await fs.promises.readFile(file),
+      mimeType: MIME_TYPES[extensionOf(source)],
+      filename: path.basename(source)
+    }, account);
+    data.uploads[key] = { id, size: stat.size, mtimeMs: stat.mtimeMs, uploadedAt: new Date().toISOString() };
+    await save();
+    return id;
+  };
+
+  // What to put in an image or document message for this source: { link } or { id }
+  const getOutboundMedia = async (source, account) => {
+    if (URL_PATTERN.test(source)) {
+      return { link: source };
+    }
+    const key = uploadKey(source, account);
+    if (!uploading.has(key)) {
+      uploading.set(key, uploadFile(source, account).finally(() => uploading.delete(key)));
+    }
+    return { id: await uploading.get(key) };
+  };
+
+  // Download a file a customer sent and keep it under uploadDir/<customer>/.
+  // media is { kind: 'image' | 'document', id, mimeType, filename, caption } from the webhook message.
+  const saveInbound = async (customer, media, account) => {
+    let file;
+    try {
+      file = await download(media.id, account);
+    } catch (error) {
+      throw new MediaDownloadError(`Could not download media ${media.id}: ${error.message}`);
+    }
+
+    const mimeType = file.mimeType || media.mimeType;
+    const id = `ATT-${String(data.nextSequence++).padStart(5, '0')}`;
+    const extension = extensionForMimeType(mimeType) || extensionOf(media.filename || '') || '.bin';
+    // WhatsApp ids are digits, but never let one name a directory elsewhere
+    const folder = String(customer).replace(/[^\w-]/g, '_');
+    const relativePath = path.join(folder, `${id}${extension}`);
+    await fs.promises.mkdir(path.join(uploadDir, folder), { recursive: true });
+    await fs.promises.writeFile(path.join(uploadDir, relativePath), file.contents);
+
+    const attachment = {
+      id,
+      customer,
+      kind: media.kind,
+      filename: media.filename || `${id}${extension}`,
+      mimeType,
+      size: file.contents.length,
+      caption: media.caption || null,
+      mediaId: media.id,
+      path: relativePath,
+      receivedAt: new Date().toISOString()
+    };
+    data.attachments[id] = attachment;
+    await save();
+    return attachment;
+  };
+
+  const getAttachment = (id) => data.attachments[String(id || '').toUpperCase()] || null;
+
+  const listAttachments = ({ customer } = {}) => Object.values(data.attachments)
+    .filter(attachment => !customer || attachment.customer === customer)
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+
+  // Where an attachment's file is on disk
+  const getAttachmentFile = (attachment) => path.join(uploadDir, attachment.path);
+
+  return {
+    getOutboundMedia,
+    saveInbound,
+    getAttachment,
+    listAttachments,
+    getAttachmentFile
+  };
+};
+
+module.exports = {
+  MIME_TYPES,
+  createMediaStore,
+  getMediaType,
+  getMediaExtension: extensionOf,
+  MediaDownloadError
+};
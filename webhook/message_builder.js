@@ -0,0 +1,321 @@
+// WhatsApp Cloud API limits for the message types we send; payloads breaking them are rejected with a 400
+const LIMITS = {
+  textBody: 4096,
+  headerText: 60,
+  interactiveBody: 1024,
+  listButton: 20,
+  listRows: 10,
+  listSections: 10,
+  sectionTitle: 24,
+  rowId: 200,
+  rowTitle: 24,
+  rowDescription: 72,
+  buttons: 3,
+  buttonId: 256,
+  buttonTitle: 20,
+  mediaCaption: 1024,
+  documentFilename: 240,
+  templateName: 512,
+  templateParameter: 1024
+};
+
+// Media message types we send; the file is an uploaded media id or a public link
+const MEDIA_TYPES = ['image', 'document'];
+
+// Approved template names are lowercase with underscores; languages are codes such as en or en_US
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]+$/;
+const TEMPLATE_LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+
+// Rows per page when a list is split; leaves room for the Previous and Next rows
+const LIST_PAGE_ROWS = 8;
+
+// Row ids for the page navigation rows ('list_page_<listId>_<page>', e.g. 'list_page_3_2'); the conversation
+// resends the saved list at that page, as long as the id is for the list it saved last
+const LIST_PAGE_PREFIX = 'list_page_';
+const LIST_PAGE_PATTERN = /^list_page_([a-z0-9]+)_(\d+)$/;
+
+// Helper function to read a page navigation row id; null for anything else
+const parseListPageId = (id) => {
+  const match = LIST_PAGE_PATTERN.exec(id || '');
+  return match ? { listId: match[1], page: Number(match[2]) } : null;
+};
+
+const DEFAULT_LIST_LABELS = {
+  button: 'Select Option',
+  next: 'Next ▶',
+  previous: '◀ Previous',
+  more: 'More Options'
+};
+
+// Raised when an outbound payload breaks the platform limits; carries one message per problem
+class MessageValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid WhatsApp message: ${errors.join('; ')}`);
+    this.name = 'MessageValidationError';
+    this.errors = errors;
+  }
+}
+
+// Helper function to shorten text to a limit, marking the cut with an ellipsis
+const truncate = (text, max) => {
+  const value = String(text ?? '');
+  return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+};
+
+// Helper function to check one text field, returning a list of problems (empty when valid)
+const checkText = (label, value, max, { required = true } = {}) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return required ? [`${label} is required`] : [];
+  }
+  if (typeof value !== 'string') {
+    return [`${label} must be text`];
+  }
+  return value.length > max ? [`${label} is ${value.length} characters (max ${max})`] : [];
+};
+
+// Helper function to check that ids are unique within one message
+const checkUniqueIds = (label, ids) => {
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  return duplicates.length > 0 ? [`${label} ids must be unique (${[...new Set(duplicates)].join(', ')})`] : [];
+};
+
+const validateButtonMessage = (interactive) => {
+  const buttons = interactive.action?.buttons || [];
+  const errors = [];
+  if (buttons.length === 0 || buttons.length > LIMITS.buttons) {
+    errors.push(`reply buttons: ${buttons.length} given (1 to ${LIMITS.buttons} allowed)`);
+  }
+  buttons.forEach((button, index) => {
+    errors.push(...checkText(`button ${index + 1} id`, button.reply?.id, LIMITS.buttonId));
+    errors.push(...checkText(`button ${index + 1} title`, button.reply?.title, LIMITS.buttonTitle));
+  });
+  errors.push(...checkUniqueIds('button', buttons.map(button => button.reply?.id)));
+  const titles = buttons.map(button => button.reply?.title);
+  if (new Set(titles).size !== titles.length) {
+    errors.push('button titles must be unique');
+  }
+  return errors;
+};
+
+const validateListMessage = (interactive) => {
+  const sections = interactive.action?.sections || [];
+  const rows = sections.flatMap(section => section.rows || []);
+  const errors = [...checkText('list button', interactive.action?.button, LIMITS.listButton)];
+  if (sections.length === 0 || sections.length > LIMITS.listSections) {
+    errors.push(`list sections: ${sections.length} given (1 to ${LIMITS.listSections} allowed)`);
+  }
+  if (rows.length === 0 || rows.length > LIMITS.listRows) {
+    errors.push(`list rows: ${rows.length} given (1 to ${LIMITS.listRows} allowed)`);
+  }
+  sections.forEach((section, index) => {
+    // Section titles are only required once there is more than one section
+    errors.push(...checkText(`section ${index + 1} title`, section.title, LIMITS.sectionTitle, { required: sections.length > 1 }));
+  });
+  rows.forEach((row, index) => {
+    errors.push(...checkText(`row ${index + 1} id`, row.id, LIMITS.rowId));
+    errors.push(...checkText(`row ${index + 1} title`, row.title, LIMITS.rowTitle));
+    errors.push(...checkText(`row ${index + 1} description`, row.description, LIMITS.rowDescription, { required: false }));
+  });
+  errors.push(...checkUniqueIds('row', rows.map(row => row.id)));
+  return errors;
+};
+
+// Helper function to check an image or document message
+const validateMediaMessage = (type, media) => {
+  const errors = [];
+  if (Boolean(media.id) === Boolean(media.link)) {
+    errors.push(`${type} needs either a media id or a link`);
+  }
+  if (media.link !== undefined && !/^https?:\/\//i.test(media.link)) {
+    errors.push(`${type} link must be an http(s) URL`);
+  }
+  errors.push(...checkText('caption', media.caption, LIMITS.mediaCaption, { required: false }));
+  if (type === 'document') {
+    errors.push(...checkText('filename', media.filename, LIMITS.documentFilename, { required: false }));
+  }
+  return errors;
+};
+
+// Helper function to check a template message: name, language and text parameters
+const validateTemplateMessage = (template) => {
+  const errors = checkText('template name', template.name, LIMITS.templateName);
+  if (typeof template.name === 'string' && !TEMPLATE_NAME_PATTERN.test(template.name)) {
+    errors.push('template name may only contain lowercase letters, digits and underscores');
+  }
+  if (!TEMPLATE_LANGUAGE_PATTERN.test(template.language?.code || '')) {
+    errors.push('template language must be a code such as en or en_US');
+  }
+  (template.components || []).forEach(component => {
+    (component.parameters || []).forEach((parameter, index) => {
+      errors.push(...checkText(`${component.type} parameter ${index + 1}`, parameter.text, LIMITS.templateParameter));
+    });
+  });
+  return errors;
+};
+
+// Check an outbound message (without messaging_product/to) against the platform limits
+const validateMessage = (message) => {
+  if (message.type === 'text') {
+    return checkText('text body', message.text?.body, LIMITS.textBody);
+  }
+  if (MEDIA_TYPES.includes(message.type)) {
+    return validateMediaMessage(message.type, message[message.type] || {});
+  }
+  if (message.type === 'template') {
+    return validateTemplateMessage(message.template || {});
+  }
+  if (message.type !== 'interactive') {
+    return [];
+  }
+
+  const interactive = message.interactive || {};
+  const errors = [
+    ...checkText('header', interactive.header?.text, LIMITS.headerText, { required: false }),
+    ...checkText('body', interactive.body?.text, LIMITS.interactiveBody)
+  ];
+  if (interactive.type === 'button') {
+    errors.push(...validateButtonMessage(interactive));
+  } else if (interactive.type === 'list') {
+    errors.push(...validateListMessage(interactive));
+  }
+  return errors;
+};
+
+// Text messages for a body of any length, split at line breaks where possible
+const buildTextMessages = (text) => {
+  const chunks = [];
+  let rest = String(text ?? '');
+  while (rest.length > LIMITS.textBody) {
+    const breakAt = rest.lastIndexOf('\n', LIMITS.textBody);
+    const end = breakAt > LIMITS.textBody / 2 ? breakAt : LIMITS.textBody;
+    chunks.push(rest.slice(0, end));
+    rest = rest.slice(end).replace(/^\n+/, '');
+  }
+  chunks.push(rest);
+  return chunks.map(body => ({ type: 'text', text: { body } }));
+};
+
+// Helper function for the header and body every interactive message shares
+const buildInteractive = (type, header, body, action) => {
+  const interactive = { type };
+  if (header) {
+    interactive.header = { type: 'text', text: truncate(header, LIMITS.headerText) };
+  }
+  interactive.body = { text: truncate(body, LIMITS.interactiveBody) };
+  interactive.action = action;
+  return { type: 'interactive', interactive };
+};
+
+// Helper function to fit a list row to the limits
+const fitRow = (row) => {
+  const fitted = { id: String(row.id), title: truncate(row.title, LIMITS.rowTitle) };
+  if (row.description) {
+    fitted.description = truncate(row.description, LIMITS.rowDescription);
+  }
+  return fitted;
+};
+
+// One list message per page of rows. Lists over 10 rows are split into pages of LIST_PAGE_ROWS with
+// Previous/Next rows (ids from LIST_PAGE_PREFIX and listId); an empty list falls back to a text message.
+const buildListPages = (header, body, sections, labels = {}, listId = '0') => {
+  const { button, next, previous, more } = { ...DEFAULT_LIST_LABELS, ...labels };
+  const rows = sections.flatMap(section => (section.rows || []).map(row => ({ section: section.title, row: fitRow(row) })));
+  if (rows.length === 0) {
+    return [buildTextMessages(body)[0]];
+  }
+
+  const pageSize = rows.length > LIMITS.listRows ? LIST_PAGE_ROWS : LIMITS.listRows;
+  const pageCount = Math.ceil(rows.length / pageSize);
+  const pages = [];
+
+  for (let page = 0; page < pageCount; page++) {
+    // Regroup this page's rows under their original section titles
+    const pageSections = [];
+    rows.slice(page * pageSize, (page + 1) * pageSize).forEach(({ section, row }) => {
+      const last = pageSections[pageSections.length - 1];
+      if (last && last.title === section) {
+        last.rows.push(row);
+      } else {
+        pageSections.push({ title: section, rows: [row] });
+      }
+    });
+
+    const navigation = [];
+    if (page > 0) {
+      navigation.push({ id: `${LIST_PAGE_PREFIX}${listId}_${page - 1}`, title: truncate(previous, LIMITS.rowTitle), description: `${page}/${pageCount}` });
+    }
+    if (page < pageCount - 1) {
+      navigation.push({ id: `${LIST_PAGE_PREFIX}${listId}_${page + 1}`, title: truncate(next, LIMITS.rowTitle), description: `${page + 2}/${pageCount}` });
+    }
+    if (navigation.length > 0) {
+      pageSections.push({ title: more, rows: navigation });
+    }
+
+    // Titles are required once there are several sections; fall back to the list header
+    const fittedSections = pageSections.map(section => ({
+      title: truncate(section.title || header || more, LIMITS.sectionTitle),
+      rows: section.rows
+    }));
+
+    pages.push(buildInteractive('list', header, body, {
+      button: truncate(button, LIMITS.listButton),
+      sections: fittedSections
+    }));
+  }
+  return pages;
+};
+
+// Reply buttons, or a list with the same options when there are more than three
+const buildButtonMessage = (header, body, buttons, labels = {}) => {
+  if (buttons.length > LIMITS.buttons) {
+    return buildListPages(header, body, [{ title: header, rows: buttons }], labels)[0];
+  }
+  return buildInteractive('button', header, body, {
+    buttons: buttons.map(button => ({
+      type: 'reply',
+      reply: {
+        id: String(button.id),
+        title: truncate(button.title, LIMITS.buttonTitle)
+      }
+    }))
+  });
+};
+
+// Image or document message; media is { id } or { link }, filename only applies to documents
+const buildMediaMessage = (type, media, { caption, filename } = {}) => {
+  const content = { ...media };
+  if (caption) {
+    content.caption = truncate(caption, LIMITS.mediaCaption);
+  }
+  if (type === 'document' && filename) {
+    content.filename = truncate(filename, LIMITS.documentFilename);
+  }
+  return { type, [type]: content };
+};
+
+// Approved template message; parameters fill the body's {{1}}, {{2}}, ... in order.
+// Templates are the only messages that may start a conversation outside the 24-hour window.
+const buildTemplateMessage = (name, language, parameters = []) => {
+  const template = { name, language: { code: language } };
+  if (parameters.length > 0) {
+    template.components = [{
+      type: 'body',
+      parameters: parameters.map(text => ({ type: 'text', text: String(text) }))
+    }];
+  }
+  return { type: 'template', template };
+};
+
+module.exports = {
+  LIMITS,
+  LIST_PAGE_PREFIX,
+  parseListPageId,
+  MessageValidationError,
+  truncate,
+  validateMessage,
+  buildTextMessages,
+  buildListPages,
+  buildButtonMessage,
+  buildMediaMessage,
+  buildTemplateMessage
+};
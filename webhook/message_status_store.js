@@ -0,0 +1,167 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+// Later statuses win; webhooks can arrive out of order (read before delivered)
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Error codes worth explaining to whoever reads the delivery log
+const FAILURE_HINTS = {
+  131047: 'More than 24 hours since the customer last messaged; a template message is required',
+  131026: 'Message undeliverable (number not on WhatsApp or app too old)',
+  131049: 'Meta chose not to deliver this message to keep engagement healthy',
+  131050: 'The customer has stopped marketing messages',
+  131021: 'Recipient cannot be the sender'
+};
+
+// Helper function to keep a short, readable version of an outbound payload
+const summarizePayload = (payload) => {
+  if (payload.type === 'text') {
+    return payload.text.body.slice(0, 120);
+  }
+  if (payload.type === 'interactive') {
+    const interactive = payload.interactive;
+    return `[${interactive.type}] ${(interactive.header && interactive.header.text) || interactive.body.text}`.slice(0, 120);
+  }
+  if (payload.type === 'template') {
+    return `[template] ${payload.template.name}`;
+  }
+  return `[${payload.type}]`;
+};
+
+// Outbound message ids and their delivery timelines (sent/delivered/read/failed), persisted to a JSON file.
+// Each record carries the tenantId of the brand it was sent for. Only the newest maxMessages are kept.
+const createMessageStatusStore = ({ filePath, maxMessages = 5000 }) => {
+  const data = readJsonFile(filePath, { messages: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const prune = () => {
+    const ids = Object.keys(data.messages);
+    if (ids.length <= maxMessages) {
+      return;
+    }
+    ids
+      .sort((a, b) => data.messages[a].createdAt.localeCompare(data.messages[b].createdAt))
+      .slice(0, ids.length - maxMessages)
+      .forEach(id => delete data.messages[id]);
+  };
+
+  // Remember a message we just sent, so its status callbacks can be matched up. Meta's sent/delivered
+  // callbacks can beat the API response here; their record keeps its timeline and status, and gets the details.
+  const recordOutbound = async ({ id, to, payload, tenantId = DEFAULT_TENANT_ID }) => {
+    const now = new Date().toISOString();
+    const existing = data.messages[id];
+    if (existing) {
+      const acceptedAt = existing.timeline.length > 0 && existing.timeline[0].at < now ? existing.timeline[0].at : now;
+      Object.assign(existing, {
+        to,
+        tenantId,
+        type: payload.type,
+        summary: summarizePayload(payload),
+        timeline: [{ status: 'accepted', at: acceptedAt }, ...existing.timeline],
+        createdAt: acceptedAt < existing.createdAt ? acceptedAt : existing.createdAt,
+        updatedAt: now
+      });
+    } else {
+      data.messages[id] = {
+        id,
+        to,
+        tenantId,
+        type: payload.type,
+        summary: summarizePayload(payload),
+        status: 'accepted',
+        timeline: [{ status: 'accepted', at: now }],
+        createdAt: now,
+        updatedAt: now
+      };
+    }
+    prune();
+    await save();
+    return data.messages[id];
+  };
+
+  // Apply one entry from change.value.statuses, received on the number of the tenant with id tenantId;
+  // returns the updated message record
+  const applyStatus = async (event, tenantId = DEFAULT_TENANT_ID) => {
+    const at = event.timestamp ? new Date(Number(event.timestamp) * 1000).toISOString() : new Date().toISOString();
+    let message = data.messages[event.id];
+    if (!message) {
+      // Sent before we kept records, or by another system using the same number
+      message = {
+        id: event.id,
+        to: event.recipient_id,
+        tenantId,
+        type: 'unknown',
+        summary: null,
+        status: 'accepted',
+        timeline: [],
+        createdAt: at
+      };
+      data.messages[event.id] = message;
+    }
+
+    const entry = { status: event.status, at };
+    if (event.errors && event.errors.length > 0) {
+      entry.errors = event.errors.map(error => ({
+        code: error.code,
+        title: error.title,
+        message: error.message,
+        details: error.error_data && error.error_data.details,
+        hint: FAILURE_HINTS[error.code]
+      }));
+    }
+    message.timeline.push(entry);
+    message.timeline.sort((a, b) => a.at.localeCompare(b.at));
+
+    if ((STATUS_RANK[event.status] ?? -1) >= (STATUS_RANK[message.status] ?? -1)) {
+      message.status = event.status;
+    }
+    if (entry.errors) {
+      message.errors = entry.errors;
+    }
+    if (event.conversation && event.conversation.expiration_timestamp) {
+      message.conversationExpiresAt = new Date(Number(event.conversation.expiration_timestamp) * 1000).toISOString();
+    }
+    message.updatedAt = new Date().toISOString();
+
+    prune();
+    await save();
+    return message;
+  };
+
+  const getMessage = (id) => data.messages[id] || null;
+
+  const listMessages = ({ to, status, tenantId } = {}) => Object.values(data.messages)
+    .filter(message => !to || message.to === to)
+    .filter(message => !tenantId || (message.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .filter(message => !status || message.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  // Delivery state of everything one brand sent to one customer
+  const getConversation = (to, tenantId = DEFAULT_TENANT_ID) => {
+    const messages = listMessages({ to, tenantId });
+    const counts = { accepted: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+    messages.forEach(message => {
+      counts[message.status] = (counts[message.status] || 0) + 1;
+    });
+    const lastRead = messages.filter(message => message.status === 'read').pop();
+    return {
+      to,
+      tenantId,
+      counts,
+      lastReadAt: lastRead ? lastRead.timeline.find(entry => entry.status === 'read').at : null,
+      messages
+    };
+  };
+
+  return {
+    recordOutbound,
+    applyStatus,
+    getMessage,
+    listMessages,
+    getConversation
+  };
+};
+
+module.exports = {
+  createMessageStatusStore
+};
@@ -0,0 +1,202 @@
+// Prometheus metrics in the text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Counters, histograms and gauges are kept in memory and reset when the process restarts, as Prometheus expects.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; Graph API calls usually take 100-500ms, retries with backoff push sends into seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Helper function to render {a="1",b="2"}; labels are written in the order they were declared
+const formatLabels = (labelNames, labels, extra = {}) => {
+  const pairs = [
+    ...labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]),
+    ...Object.entries(extra)
+  ];
+  return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+const formatNumber = (value) => (value === Infinity ? '+Inf' : String(value));
+
+// Helper function to key a series by its label values
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+
+const createMetricsRegistry = () => {
+  const metrics = [];
+
+  // Helper function to keep one series per combination of label values
+  const seriesStore = (labelNames, create) => {
+    const series = new Map();
+    return {
+      get: (labels = {}) => {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, ...create() });
+        }
+        return series.get(key);
+      },
+      all: () => Array.from(series.values())
+    };
+  };
+
+  // A value that only goes up, e.g. messages received
+  const counter = ({ name, help, labelNames = [] }) => {
+    const series = seriesStore(labelNames, () => ({ value: 0 }));
+    metrics.push({
+      name,
+      help,
+      type: 'counter',
+      render: () => series.all().map(entry => `${name}${formatLabels(labelNames, entry.labels)} ${formatNumber(entry.value)}`)
+    });
+    return {
+      inc: (labels = {}, amount = 1) => {
+        series.get(labels).value += amount;
+      }
+    };
+  };
+
+  // Observations counted into buckets, e.g. request latency in seconds
+  const histogram = ({ name, help, labelNames = [], buckets = LATENCY_BUCKETS }) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = seriesStore(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+
+    const observe = (labels, value) => {
+      const entry = series.get(labels);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    };
+
+    metrics.push({
+      name,
+      help,
+      type: 'histogram',
+      render: () => series.all().flatMap(entry => [
+        ...bounds.map((bound, index) => `${name}_bucket${formatLabels(labelNames, entry.labels, { le: formatNumber(bound) })} ${entry.counts[index]}`),
+        `${name}_bucket${formatLabels(labelNames, entry.labels, { le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(labelNames, entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`
+      ])
+    });
+
+    return {
+      observe: (labels = {}, value) => observe(labels, value),
+      // Returns end(labels), which records the seconds since the timer started and returns them
+      startTimer: (startLabels = {}) => {
+        const started = process.hrtime.bigint();
+        return (endLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+          observe({ ...startLabels, ...endLabels }, seconds);
+          return seconds;
+        };
+      }
+    };
+  };
+
+  // A value read when metrics are scraped; collect() returns a number or [{ labels, value }]
+  const gauge = ({ name, help, labelNames = [], collect }) => {
+    metrics.push({
+      name,
+      help,
+      type: 'gauge',
+      render: () => {
+        const value = collect();
+        const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return samples.map(sample => `${name}${formatLabels(labelNames, sample.labels)} ${formatNumber(sample.value)}`);
+      }
+    });
+  };
+
+  // Everything in the text format; metrics without samples yet still get their HELP and TYPE lines
+  const render = () => metrics
+    .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join('\n'))
+    .join('\n') + '\n';
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render
+  };
+};
+
+// The bot's metrics. outboundStats (optional) returns outboundQueue.stats(), for the recipients with messages in flight.
+const createBotMetrics = ({ outboundStats } = {}) => {
+  const registry = createMetricsRegistry();
+
+  const metrics = {
+    registry,
+    inboundMessages: registry.counter({
+      name: 'dyes_inbound_messages_total',
+      help: 'Messages received from customers, by WhatsApp message type',
+      labelNames: ['type']
+    }),
+    inboundDropped: registry.counter({
+      name: 'dyes_inbound_dropped_total',
+      help: 'Messages from customers left unanswered, by reason (duplicate: redelivered by Meta, stale: too old)',
+      labelNames: ['reason']
+    }),
+    outboundMessages: registry.counter({
+      name: 'dyes_outbound_messages_total',
+      help: 'Messages sent to customers, by outcome (sent, failed, invalid) and failure reason',
+      labelNames: ['outcome', 'reason']
+    }),
+    sendDuration: registry.histogram({
+      name: 'dyes_whatsapp_send_duration_seconds',
+      help: 'Time to send one message, including queueing and retries, by outcome',
+      labelNames: ['outcome']
+    }),
+    graphApiDuration: registry.histogram({
+      name: 'dyes_graph_api_request_duration_seconds',
+      help: 'Latency of single Graph API requests, by HTTP status (network_error when there was no response)',
+      labelNames: ['status']
+    }),
+    transitions: registry.counter({
+      name: 'dyes_state_transitions_total',
+      help: 'Conversation state changes, by state left and state entered',
+      labelNames: ['from', 'to']
+    }),
+    funnelEvents: registry.counter({
+      name: 'dyes_funnel_events_total',
+      help: 'Sales funnel steps: browse, view_product, search, search_no_results, add_to_cart, checkout, order_placed, reorder, request_quote, quote_submitted, talk_to_agent',
+      labelNames: ['event']
+    })
+  };
+
+  registry.gauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: () => Math.round(process.uptime())
+  });
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss
+  });
+  registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap in use in bytes',
+    collect: () => process.memoryUsage().heapUsed
+  });
+  if (outboundStats) {
+    registry.gauge({
+      name: 'dyes_outbound_active_recipients',
+      help: 'Recipients with outbound messages queued or being sent',
+      collect: () => outboundStats().activeRecipients
+    });
+  }
+
+  return metrics;
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  LATENCY_BUCKETS,
+  createMetricsRegistry,
+  createBotMetrics
+};
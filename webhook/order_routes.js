@@ -0,0 +1,56 @@
+const express = require('express');
+const { OrderValidationError, OrderNotFoundError } = require('./order_store');
+const { logger } = require('./logger');
+
+// Admin REST API for orders; mount behind requireApiKey.
+// notifyCustomer(order) is called after every change so the buyer hears about it on WhatsApp.
+const createOrderRouter = (orderStore, { notifyCustomer }) => {
+  const router = express.Router();
+
+  router.get('/orders', (req, res) => {
+    const { customer, status } = req.query;
+    res.json({ orders: orderStore.listOrders({ customer, status }) });
+  });
+
+  router.get('/orders/:orderNumber', (req, res) => {
+    const order = orderStore.getOrder(req.params.orderNumber);
+    if (!order) {
+      return res.status(404).json({ error: `Order ${req.params.orderNumber} not found` });
+    }
+    res.json({ order });
+  });
+
+  router.patch('/orders/:orderNumber', async (req, res) => {
+    const { status, courier, lrNumber, eta, note } = req.body || {};
+    const order = await orderStore.updateOrder(req.params.orderNumber, { status, courier, lrNumber, eta, note });
+
+    // The update is saved either way; report whether the customer could be told about it
+    let notified = false;
+    let notificationError;
+    try {
+      await notifyCustomer(order);
+      notified = true;
+    } catch (error) {
+      notificationError = error.reason || error.message;
+      logger.error('Error notifying customer about order', { orderNumber: order.orderNumber, customer: order.customer, error });
+    }
+
+    res.json({ order, notified, notificationError });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof OrderValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof OrderNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createOrderRouter
+};
@@ -0,0 +1,154 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+const ORDER_STATUSES = ['Received', 'Processing', 'On Hold', 'Shipped', 'Delivered', 'Cancelled'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Raised when an order update is malformed; carries one message per problem
+class OrderValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid order update: ${errors.join('; ')}`);
+    this.name = 'OrderValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when an order number does not exist
+class OrderNotFoundError extends Error {
+  constructor(orderNumber) {
+    super(`Order ${orderNumber} not found`);
+    this.name = 'OrderNotFoundError';
+  }
+}
+
+// Helper function to clean up an order number as customers type it ("#dy2026 42" -> "DY2026-00042")
+const normalizeOrderNumber = (input) => {
+  const cleaned = String(input || '').trim().toUpperCase().replace(/^#/, '').replace(/\s+/g, '-');
+  return cleaned.replace(/^([A-Z]+\d{4})-?(\d+)$/, (match, prefix, sequence) => `${prefix}-${sequence.padStart(5, '0')}`);
+};
+
+// Orders persisted to a JSON file, keyed by their human-readable order number
+const createOrderStore = ({ filePath, prefix = 'DY' }) => {
+  const data = readJsonFile(filePath, { nextSequence: 1, orders: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  // Order numbers look like DY2026-00042: prefix, year and a sequence that never repeats
+  const nextOrderNumber = () => {
+    const sequence = data.nextSequence++;
+    return `${prefix}${new Date().getFullYear()}-${String(sequence).padStart(5, '0')}`;
+  };
+
+  // Prices are in currency: items carry unitPrice (per kg) and lineTotal, tax is { name, ratePercent, amount } or null
+  const createOrder = async ({
+    customer, tenantId = DEFAULT_TENANT_ID, items, currency, exchangeRate, priceList = null, subtotal, tax = null, total, shipping, language,
+    attachments = []
+  }) => {
+    const now = new Date().toISOString();
+    const order = {
+      orderNumber: nextOrderNumber(),
+      customer,
+      tenantId,
+      items,
+      currency,
+      exchangeRate,
+      priceList,
+      subtotal,
+      tax,
+      total,
+      shipping,
+      language,
+      attachments,
+      status: 'Received',
+      statusHistory: [{ status: 'Received', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+    data.orders[order.orderNumber] = order;
+    await save();
+    return order;
+  };
+
+  const getOrder = (orderNumber) => data.orders[normalizeOrderNumber(orderNumber)] || null;
+
+  // Only return the order to the customer who placed it, through the brand they ordered from
+  const getOrderForCustomer = (orderNumber, customer, tenantId = DEFAULT_TENANT_ID) => {
+    const order = getOrder(orderNumber);
+    return order && order.customer === customer && (order.tenantId || DEFAULT_TENANT_ID) === tenantId ? order : null;
+  };
+
+  const listOrders = ({ customer, status, tenantId } = {}) => Object.values(data.orders)
+    .filter(order => !customer || order.customer === customer)
+    .filter(order => !tenantId || (order.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .filter(order => !status || order.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  // Move an order to a new status and/or attach shipment details; returns the updated order
+  const updateOrder = async (orderNumber, { status, courier, lrNumber, eta, note } = {}) => {
+    const order = getOrder(orderNumber);
+    if (!order) {
+      throw new OrderNotFoundError(orderNumber);
+    }
+
+    const errors = [];
+    if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+    if (eta !== undefined && eta !== null && (!ISO_DATE_PATTERN.test(eta) || Number.isNaN(Date.parse(eta)))) {
+      errors.push('eta must be a date in YYYY-MM-DD format');
+    }
+    if (status === undefined && courier === undefined && lrNumber === undefined && eta === undefined) {
+      errors.push('nothing to update: pass status, courier, lrNumber or eta');
+    }
+    if (errors.length > 0) {
+      throw new OrderValidationError(errors);
+    }
+
+    const now = new Date().toISOString();
+    if (courier !== undefined) order.courier = courier;
+    if (lrNumber !== undefined) order.lrNumber = lrNumber;
+    if (eta !== undefined) order.eta = eta;
+    order.status = status || order.status;
+    order.statusHistory.push({
+      status: order.status,
+      at: now,
+      ...(courier !== undefined && { courier }),
+      ...(lrNumber !== undefined && { lrNumber }),
+      ...(eta !== undefined && { eta }),
+      ...(note && { note })
+    });
+    order.updatedAt = now;
+
+    await save();
+    return order;
+  };
+
+  // Keep a file the customer sent (e.g. a purchase order) with the order
+  const addAttachment = async (orderNumber, attachment) => {
+    const order = getOrder(orderNumber);
+    if (!order) {
+      throw new OrderNotFoundError(orderNumber);
+    }
+    // Orders placed before attachments existed have no list yet
+    order.attachments = [...(order.attachments || []), attachment];
+    order.updatedAt = new Date().toISOString();
+    await save();
+    return order;
+  };
+
+  return {
+    createOrder,
+    getOrder,
+    getOrderForCustomer,
+    listOrders,
+    updateOrder,
+    addAttachment
+  };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  createOrderStore,
+  normalizeOrderNumber,
+  OrderValidationError,
+  OrderNotFoundError
+};
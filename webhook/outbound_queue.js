@@ -0,0 +1,188 @@
+const { createKeyedQueue } = require('./keyed_queue');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'outbound' });
+
+// Graph API error codes that will fail again no matter how often we retry
+const PERMANENT_ERROR_CODES = {
+  10: 'permission_denied',
+  100: 'invalid_parameter',
+  190: 'access_token_expired',
+  131008: 'invalid_parameter',
+  131009: 'invalid_parameter',
+  131021: 'invalid_recipient',
+  131026: 'invalid_recipient',
+  131030: 'recipient_not_allowed',
+  131047: 'reengagement_required',
+  131051: 'unsupported_message_type'
+};
+
+// Graph API error codes for throttling: retry, but after waiting
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131048, 131056];
+
+// Graph API error codes for temporary trouble on Meta's side
+const TRANSIENT_ERROR_CODES = [1, 2, 131000, 131016];
+
+// Raised when an outbound message is given up on, either straight away (permanent) or after retries
+class WhatsAppSendError extends Error {
+  constructor(failure, attempts) {
+    super(`WhatsApp send failed (${failure.reason}): ${failure.message}`);
+    this.name = 'WhatsAppSendError';
+    this.reason = failure.reason;
+    this.permanent = failure.permanent;
+    this.status = failure.status;
+    this.code = failure.code;
+    this.details = failure.details;
+    this.attempts = attempts;
+  }
+}
+
+// Helper function to read how long Meta wants us to back off, in ms (null if it didn't say)
+const parseRetryAfter = (headers = {}) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // Business use case throttling reports minutes until access is regained
+  const usage = headers['x-business-use-case-usage'];
+  if (usage) {
+    try {
+      const minutes = Object.values(JSON.parse(usage))
+        .flat()
+        .map(entry => Number(entry.estimated_time_to_regain_access) || 0);
+      const longest = Math.max(0, ...minutes);
+      return longest > 0 ? longest * 60 * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+// Sort an axios error into permanent or transient, with the reason and any back-off hint
+const classifySendError = (error) => {
+  const response = error.response;
+  if (!response) {
+    // Timeouts, DNS failures, dropped connections: the request may never have arrived
+    return { permanent: false, reason: 'network_error', message: error.message, code: error.code };
+  }
+
+  const graphError = (response.data && response.data.error) || {};
+  const code = graphError.code;
+  const failure = {
+    status: response.status,
+    code,
+    message: graphError.message || `HTTP ${response.status}`,
+    details: graphError.error_data && graphError.error_data.details
+  };
+
+  if (response.status === 429 || RATE_LIMIT_ERROR_CODES.includes(code)) {
+    return { ...failure, permanent: false, reason: 'rate_limited', retryAfterMs: parseRetryAfter(response.headers) };
+  }
+  if (PERMANENT_ERROR_CODES[code]) {
+    return { ...failure, permanent: true, reason: PERMANENT_ERROR_CODES[code] };
+  }
+  if (response.status >= 500 || TRANSIENT_ERROR_CODES.includes(code)) {
+    return { ...failure, permanent: false, reason: 'server_error' };
+  }
+  return { ...failure, permanent: true, reason: response.status === 401 ? 'unauthorized' : 'bad_request' };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Outbound message queue: keeps each recipient's messages in order, retries transient
+// failures with exponential backoff, and dead-letters whatever cannot be delivered
+const createOutboundQueue = ({
+  send,
+  deadLetterStore,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000
+}) => {
+  const recipients = createKeyedQueue();
+  // Set when Meta rate-limits us; every send waits until then
+  let pausedUntil = 0;
+
+  // Exponential backoff with jitter: ~1s, 2s, 4s, ... capped at maxDelayMs
+  const backoffDelay = (attempt) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  };
+
+  const deliver = async (payload, options) => {
+    for (let attempt = 1; ; attempt++) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+
+      try {
+        return await send(payload, options);
+      } catch (error) {
+        const failure = classifySendError(error);
+        if (failure.permanent || attempt >= maxAttempts) {
+          throw new WhatsAppSendError(failure, attempt);
+        }
+
+        const delay = Math.min(maxDelayMs, failure.retryAfterMs || backoffDelay(attempt));
+        if (failure.reason === 'rate_limited') {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        log.warn('Retrying outbound message', { to: payload.to, reason: failure.reason, attempt, maxAttempts, delayMs: delay });
+        await sleep(delay);
+      }
+    }
+  };
+
+  // Queue a Graph API message payload; resolves with the API response or rejects with WhatsAppSendError.
+  // options.phoneNumberId is the business number to send from (default: the main one) and is passed on to send().
+  const enqueue = (payload, options = {}) => recipients.run(payload.to, async () => {
+    try {
+      return await deliver(payload, options);
+    } catch (error) {
+      log.error('Outbound message failed', { to: payload.to, error });
+      if (deadLetterStore) {
+        await deadLetterStore.add({
+          to: payload.to,
+          phoneNumberId: options.phoneNumberId,
+          payload,
+          error: {
+            reason: error.reason,
+            permanent: error.permanent,
+            status: error.status,
+            code: error.code,
+            message: error.message,
+            details: error.details,
+            attempts: error.attempts
+          }
+        }).catch(storeError => log.error('Error recording dead letter', { error: storeError }));
+      }
+      throw error;
+    }
+  });
+
+  const stats = () => ({
+    activeRecipients: recipients.activeKeys(),
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+  });
+
+  return {
+    enqueue,
+    stats,
+    drain: recipients.drain
+  };
+};
+
+module.exports = {
+  createOutboundQueue,
+  classifySendError,
+  WhatsAppSendError
+};
@@ -0,0 +1,255 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'pricing' });
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const GROUP_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Raised when pricing data breaks the schema; carries one message per problem
+class PricingValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid pricing data: ${errors.join('; ')}`);
+    this.name = 'PricingValidationError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isPercent = (value) => typeof value === 'number' && value >= 0 && value < 100;
+
+// Amounts are kept to the cent in every currency
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Check pricing data, returning a list of problems (empty when valid). Shape (see data/pricing.json):
+//   baseCurrency             currency of catalog pricePerKg and price list prices, e.g. "USD"
+//   exchangeRates            units of each currency per unit of the base currency: { "USD": 1, "INR": 83.5 }
+//   currencyByCallingCode    default display currency by phone country code: { "91": "INR" }
+//   volumeTiers              [{ minKg, discountPercent }], applied per cart line
+//   priceLists               per customer group: { name, discountPercent, prices: { productId: pricePerKg } }
+//   customerGroups           WhatsApp number -> price list key
+//   taxes                    by phone country code, plus "default": { name, ratePercent }
+const validatePricing = (data) => {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return ['pricing must be an object'];
+  }
+
+  const rates = isPlainObject(data.exchangeRates) ? data.exchangeRates : {};
+  if (!isPlainObject(data.exchangeRates)) {
+    errors.push('exchangeRates must be an object such as { "USD": 1, "INR": 83.5 }');
+  }
+  Object.entries(rates).forEach(([currency, rate]) => {
+    if (!CURRENCY_PATTERN.test(currency)) {
+      errors.push(`exchangeRates: '${currency}' is not a currency code such as INR`);
+    } else if (typeof rate !== 'number' || !(rate > 0)) {
+      errors.push(`exchangeRates.${currency} must be a positive number`);
+    }
+  });
+  if (!CURRENCY_PATTERN.test(data.baseCurrency || '')) {
+    errors.push('baseCurrency must be a currency code such as USD');
+  } else if (rates[data.baseCurrency] !== 1) {
+    errors.push(`exchangeRates.${data.baseCurrency} must be 1 (the base currency)`);
+  }
+
+  Object.entries(data.currencyByCallingCode || {}).forEach(([code, currency]) => {
+    if (!/^\d{1,4}$/.test(code)) {
+      errors.push(`currencyByCallingCode: '${code}' is not a country calling code such as 91`);
+    } else if (!rates[currency]) {
+      errors.push(`currencyByCallingCode.${code}: no exchange rate for ${currency}`);
+    }
+  });
+
+  const tiers = data.volumeTiers || [];
+  if (!Array.isArray(tiers) || tiers.some(tier => !isPlainObject(tier) || typeof tier.minKg !== 'number' || !(tier.minKg > 0) || !isPercent(tier.discountPercent))) {
+    errors.push('volumeTiers must be a list of { "minKg": 500, "discountPercent": 3 }');
+  }
+
+  Object.entries(data.priceLists || {}).forEach(([key, list]) => {
+    if (!GROUP_PATTERN.test(key)) {
+      errors.push(`priceLists: '${key}' may only contain lowercase letters, digits and dashes`);
+      return;
+    }
+    if (!isPlainObject(list) || typeof list.name !== 'string' || list.name.trim() === '') {
+      errors.push(`priceLists.${key}: name is required`);
+      return;
+    }
+    if (list.discountPercent !== undefined && !isPercent(list.discountPercent)) {
+      errors.push(`priceLists.${key}: discountPercent must be between 0 and 100`);
+    }
+    Object.entries(list.prices || {}).forEach(([productId, price]) => {
+      if (typeof price !== 'number' || !(price > 0)) {
+        errors.push(`priceLists.${key}: price for ${productId} must be a positive number`);
+      }
+    });
+  });
+
+  Object.entries(data.customerGroups || {}).forEach(([customer, group]) => {
+    if (!(data.priceLists || {})[group]) {
+      errors.push(`customerGroups.${customer}: unknown price list '${group}'`);
+    }
+  });
+
+  Object.entries(data.taxes || {}).forEach(([code, tax]) => {
+    if (code !== 'default' && !/^\d{1,4}$/.test(code)) {
+      errors.push(`taxes: '${code}' is not a country calling code such as 91 (or "default")`);
+    } else if (!isPlainObject(tax) || typeof tax.name !== 'string' || tax.name.trim() === '' || !isPercent(tax.ratePercent)) {
+      errors.push(`taxes.${code} must be { "name": "GST", "ratePercent": 18 }`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to find the longest calling code in a table that a WhatsApp number starts with
+const matchCallingCode = (table, phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return Object.keys(table || {})
+    .filter(code => code !== 'default')
+    .sort((a, b) => b.length - a.length)
+    .find(code => digits.startsWith(code));
+};
+
+// Prices, currencies and taxes, loaded from a JSON file. Catalog prices are per kg in the base currency;
+// a customer's price is their price list's price (or the catalog price less the list's discount),
+// less the volume discount for the line's quantity, converted to the display currency.
+const createPricing = ({ filePath }) => {
+  let data = null;
+
+  const load = () => {
+    const next = readJsonFile(filePath, null);
+    if (!next) {
+      throw new PricingValidationError([`${filePath} is missing`]);
+    }
+    const errors = validatePricing(next);
+    if (errors.length > 0) {
+      throw new PricingValidationError(errors);
+    }
+    data = next;
+    return data;
+  };
+
+  // Reload from disk, keeping the current pricing if the file on disk is broken
+  const reload = () => {
+    try {
+      load();
+      log.info('Pricing loaded', { filePath });
+      return true;
+    } catch (error) {
+      log.error('Pricing not reloaded', { filePath, error });
+      return false;
+    }
+  };
+
+  const getPricing = () => data;
+
+  // Replace the whole pricing file (admin API); rejects with PricingValidationError
+  const updatePricing = async (next) => {
+    const errors = validatePricing(next);
+    if (errors.length > 0) {
+      throw new PricingValidationError(errors);
+    }
+    data = next;
+    await writeJsonFile(filePath, data);
+    return data;
+  };
+
+  // Put a customer on a price list, or back on catalog prices with group null
+  const setCustomerGroup = async (customer, group) => {
+    if (group !== null && !(data.priceLists || {})[group]) {
+      throw new PricingValidationError([`unknown price list '${group}'`]);
+    }
+    const customerGroups = { ...data.customerGroups };
+    if (group === null) {
+      delete customerGroups[customer];
+    } else {
+      customerGroups[customer] = group;
+    }
+    return updatePricing({ ...data, customerGroups });
+  };
+
+  const getCustomerGroup = (customer) => (data.customerGroups || {})[customer] || null;
+
+  const getCurrencies = () => Object.keys(data.exchangeRates);
+
+  const isSupportedCurrency = (currency) => Boolean(currency && data.exchangeRates[currency]);
+
+  // The customer's chosen currency if we still support it, otherwise the one for their country
+  const getCurrency = (customer, chosen) => {
+    if (isSupportedCurrency(chosen)) {
+      return chosen;
+    }
+    const code = matchCallingCode(data.currencyByCallingCode, customer);
+    return code ? data.currencyByCallingCode[code] : data.baseCurrency;
+  };
+
+  // Tax for the customer's country, or null when none is configured
+  const getTax = (customer) => {
+    const taxes = data.taxes || {};
+    const code = matchCallingCode(taxes, customer);
+    return (code ? taxes[code] : taxes.default) || null;
+  };
+
+  const getVolumeTiers = () => [...(data.volumeTiers || [])].sort((a, b) => a.minKg - b.minKg);
+
+  // The discount of the largest volume break the quantity reaches
+  const getVolumeDiscount = (quantityKg) => {
+    const tier = getVolumeTiers().filter(({ minKg }) => quantityKg >= minKg).pop();
+    return tier ? tier.discountPercent : 0;
+  };
+
+  // Per-kg price in the display currency, before volume discounts, for one customer
+  const getPricePerKg = (product, { customer, currency }) => {
+    const list = (data.priceLists || {})[getCustomerGroup(customer)];
+    const listPrice = list && list.prices && list.prices[product.id];
+    const base = listPrice || product.pricePerKg * (1 - ((list && list.discountPercent) || 0) / 100);
+    return roundMoney(base * data.exchangeRates[currency]);
+  };
+
+  // Price a cart for a customer: lines with unitPrice (per kg, after volume discount) and lineTotal,
+  // then subtotal, tax ({ name, ratePercent, amount } or null) and total, all in currency.
+  // Lines whose product has left the catalog keep the pricePerKg they were added with.
+  const priceCart = (cart, { customer, currency, getProduct }) => {
+    const lines = cart.map(item => {
+      const product = getProduct(item.id) || item;
+      const listPricePerKg = getPricePerKg(product, { customer, currency });
+      const discountPercent = getVolumeDiscount(item.quantityKg);
+      const unitPrice = roundMoney(listPricePerKg * (1 - discountPercent / 100));
+      return { ...item, listPricePerKg, discountPercent, unitPrice, lineTotal: roundMoney(unitPrice * item.quantityKg) };
+    });
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const taxRule = getTax(customer);
+    const tax = taxRule ? { name: taxRule.name, ratePercent: taxRule.ratePercent, amount: roundMoney(subtotal * taxRule.ratePercent / 100) } : null;
+    return {
+      currency,
+      exchangeRate: data.exchangeRates[currency],
+      priceList: getCustomerGroup(customer),
+      lines,
+      subtotal,
+      tax,
+      total: roundMoney(subtotal + (tax ? tax.amount : 0))
+    };
+  };
+
+  return {
+    load,
+    reload,
+    getPricing,
+    updatePricing,
+    setCustomerGroup,
+    getCustomerGroup,
+    getCurrencies,
+    isSupportedCurrency,
+    getCurrency,
+    getTax,
+    getVolumeTiers,
+    getPricePerKg,
+    priceCart
+  };
+};
+
+module.exports = {
+  createPricing,
+  validatePricing,
+  PricingValidationError
+};
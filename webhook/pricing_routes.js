@@ -0,0 +1,47 @@
+const express = require('express');
+const { PricingValidationError } = require('./pricing');
+
+// Admin REST API for exchange rates, volume tiers, price lists and taxes; mount behind requireApiKey
+const createPricingRouter = (pricing) => {
+  const router = express.Router();
+
+  router.get('/pricing', (req, res) => {
+    res.json({ pricing: pricing.getPricing() });
+  });
+
+  // Replace the whole pricing document (see data/pricing.json for its shape)
+  router.put('/pricing', async (req, res) => {
+    res.json({ pricing: await pricing.updatePricing(req.body) });
+  });
+
+  // Pick up a pricing file edited on disk
+  router.post('/pricing/reload', (req, res) => {
+    if (!pricing.reload()) {
+      return res.status(400).json({ error: 'Pricing file is invalid; the previous pricing is still in use' });
+    }
+    res.json({ pricing: pricing.getPricing() });
+  });
+
+  // Put a customer on a price list: { "group": "distributor" }, or back on catalog prices with { "group": null }
+  router.put('/pricing/customers/:customer', async (req, res) => {
+    const { group } = req.body || {};
+    if (group === undefined) {
+      throw new PricingValidationError(['group is required (a price list key, or null)']);
+    }
+    await pricing.setCustomerGroup(req.params.customer, group);
+    res.json({ customer: req.params.customer, group: pricing.getCustomerGroup(req.params.customer) });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof PricingValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createPricingRouter
+};
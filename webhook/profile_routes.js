@@ -0,0 +1,47 @@
+const express = require('express');
+const { ProfileValidationError, ProfileNotFoundError } = require('./profile_store');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+// Admin REST API for customer profiles and their order history; mount behind requireApiKey.
+// ?tenant=<id> narrows the list to one brand, and picks which brand's profile of a customer the other routes use
+// (the default tenant's when not given).
+const createProfileRouter = (profileStore, orderStore) => {
+  const router = express.Router();
+
+  router.get('/profiles', (req, res) => {
+    res.json({ profiles: profileStore.listProfiles({ tenantId: req.query.tenant }) });
+  });
+
+  router.get('/profiles/:customer', (req, res) => {
+    const profile = profileStore.getProfile(req.params.customer, req.query.tenant);
+    if (!profile) {
+      throw new ProfileNotFoundError(`No profile for ${req.params.customer}`);
+    }
+    res.json({ profile, orders: orderStore.listOrders({ customer: req.params.customer, tenantId: profile.tenantId || DEFAULT_TENANT_ID }) });
+  });
+
+  // Correct company details: { "companyName": "...", "contactName": "...", "email": "...", "taxNumber": "..." }
+  router.patch('/profiles/:customer', async (req, res) => {
+    res.json({ profile: await profileStore.updateProfile(req.params.customer, req.body || {}, req.query.tenant) });
+  });
+
+  router.delete('/profiles/:customer/addresses/:addressId', async (req, res) => {
+    res.json({ profile: await profileStore.removeAddress(req.params.customer, req.params.addressId, req.query.tenant) });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof ProfileValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof ProfileNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createProfileRouter
+};
@@ -0,0 +1,157 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { validateCheckoutField } = require('./checkout');
+const { validateRegistrationNumber } = require('./compliance');
+const { DEFAULT_TENANT_ID, customerKey } = require('./tenant_store');
+
+// A WhatsApp list holds 10 rows: saved addresses plus 'New address'
+const MAX_ADDRESSES = 9;
+
+// Company details customers can keep on their profile; the rest (addresses, timestamps) the bot maintains
+const PROFILE_FIELDS = ['companyName', 'contactName', 'email', 'taxNumber'];
+
+// EU and UK VAT numbers: country prefix then 2 to 13 letters and digits
+const VAT_PATTERN = /^[A-Z]{2}[0-9A-Z]{2,13}$/;
+
+// Raised when profile changes are malformed; carries one message per problem
+class ProfileValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid customer profile: ${errors.join('; ')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a customer (or one of their addresses) has no profile entry
+class ProfileNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileNotFoundError';
+  }
+}
+
+// Helper function to check a GST or VAT number; GSTINs must also pass their check character
+const validateTaxNumber = (input) => {
+  const value = String(input || '').toUpperCase().replace(/[\s.-]/g, '');
+  const registration = validateRegistrationNumber(value);
+  if (registration.type === 'gstin') {
+    return { value };
+  }
+  if (registration.error === 'errors.registration_checksum') {
+    return { error: 'taxNumber is not a valid GSTIN (check the last character)' };
+  }
+  return VAT_PATTERN.test(value) ? { value } : { error: 'taxNumber must be a GSTIN or VAT number such as 24AAACC1206D1ZM or DE123456789' };
+};
+
+// Helper function to compare addresses regardless of spacing and case
+const addressKey = ({ address, postalCode }) => `${address}|${postalCode}`.toLowerCase().replace(/\s+/g, ' ');
+
+// Customer profiles keyed by WhatsApp number and persisted to a JSON file: company details and
+// delivery addresses, most recently used first. Profiles are filled in from placed orders and business
+// verification; order history comes from the order store. Each brand (tenantId, see tenant_store.js)
+// keeps its own profile of a customer: what they told one brand is not shown by another.
+const createProfileStore = ({ filePath }) => {
+  const data = readJsonFile(filePath, { profiles: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const getProfile = (customer, tenantId = DEFAULT_TENANT_ID) => data.profiles[customerKey(tenantId, customer)] || null;
+
+  const listProfiles = ({ tenantId } = {}) => Object.values(data.profiles)
+    .filter(profile => !tenantId || (profile.tenantId || DEFAULT_TENANT_ID) === tenantId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  // Helper function to get a customer's profile, creating an empty one
+  const ensureProfile = (customer, tenantId = DEFAULT_TENANT_ID) => {
+    const key = customerKey(tenantId, customer);
+    if (!data.profiles[key]) {
+      const now = new Date().toISOString();
+      data.profiles[key] = { customer, tenantId, addresses: [], nextAddressId: 1, createdAt: now, updatedAt: now };
+    }
+    return data.profiles[key];
+  };
+
+  // Remember the details from a placed order: company details are overwritten, the address is
+  // added (or moved to the top if we already have it)
+  const recordOrder = async (customer, { companyName, contactName, email, address, postalCode, location }, tenantId) => {
+    const profile = ensureProfile(customer, tenantId);
+    const now = new Date().toISOString();
+    Object.assign(profile, { companyName, contactName, email });
+
+    const key = addressKey({ address, postalCode });
+    const existing = profile.addresses.find(saved => addressKey(saved) === key);
+    const saved = existing || { id: profile.nextAddressId++, address, postalCode };
+    if (location) {
+      saved.location = location;
+    }
+    saved.lastUsedAt = now;
+    profile.addresses = [saved, ...profile.addresses.filter(other => other !== saved)].slice(0, MAX_ADDRESSES);
+    profile.updatedAt = now;
+    await save();
+    return profile;
+  };
+
+  // Keep the GSTIN a customer gave when verifying their business
+  const setTaxNumber = async (customer, taxNumber, tenantId) => {
+    const profile = ensureProfile(customer, tenantId);
+    profile.taxNumber = taxNumber;
+    profile.updatedAt = new Date().toISOString();
+    await save();
+    return profile;
+  };
+
+  // Change company details (admin API); only PROFILE_FIELDS may be given
+  const updateProfile = async (customer, changes = {}, tenantId) => {
+    const profile = getProfile(customer, tenantId);
+    if (!profile) {
+      throw new ProfileNotFoundError(`No profile for ${customer}`);
+    }
+
+    const errors = [];
+    const updates = {};
+    Object.keys(changes).filter(key => !PROFILE_FIELDS.includes(key)).forEach(key => {
+      errors.push(`${key} is not a profile field (use ${PROFILE_FIELDS.join(', ')})`);
+    });
+    PROFILE_FIELDS.filter(key => changes[key] !== undefined).forEach(key => {
+      const result = key === 'taxNumber' ? validateTaxNumber(changes[key]) : validateCheckoutField(key, changes[key]);
+      if (result.error) {
+        errors.push(key === 'taxNumber' ? result.error : `${key} is not valid`);
+      } else {
+        updates[key] = result.value;
+      }
+    });
+    if (errors.length > 0) {
+      throw new ProfileValidationError(errors);
+    }
+
+    Object.assign(profile, updates, { updatedAt: new Date().toISOString() });
+    await save();
+    return profile;
+  };
+
+  const removeAddress = async (customer, addressId, tenantId) => {
+    const profile = getProfile(customer, tenantId);
+    const address = profile && profile.addresses.find(saved => saved.id === Number(addressId));
+    if (!address) {
+      throw new ProfileNotFoundError(`No address ${addressId} for ${customer}`);
+    }
+    profile.addresses = profile.addresses.filter(saved => saved !== address);
+    profile.updatedAt = new Date().toISOString();
+    await save();
+    return profile;
+  };
+
+  return {
+    getProfile,
+    listProfiles,
+    recordOrder,
+    setTaxNumber,
+    updateProfile,
+    removeAddress
+  };
+};
+
+module.exports = {
+  PROFILE_FIELDS,
+  createProfileStore,
+  ProfileValidationError,
+  ProfileNotFoundError
+};
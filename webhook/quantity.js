@@ -0,0 +1,74 @@
+// Weight units customers use, as a multiplier to kilograms
+const UNIT_FACTORS = {
+  g: 0.001, gm: 0.001, gms: 0.001, gram: 0.001, grams: 0.001,
+  kg: 1, kgs: 1, kilo: 1, kilos: 1, kilogram: 1, kilograms: 1,
+  t: 1000, mt: 1000, ton: 1000, tons: 1000, tonne: 1000, tonnes: 1000
+};
+
+// Words that mean "a number of packs" rather than a weight
+const PACK_WORDS = [
+  'pack', 'packs', 'drum', 'drums', 'bag', 'bags', 'carton', 'cartons',
+  'pail', 'pails', 'box', 'boxes', 'container', 'containers'
+];
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+const toNumber = (value) => Number(String(value).replace(',', '.'));
+
+// Helper function to turn a weight such as '100 kg' or '1.5 MT' into kilograms (null if it isn't one)
+const parseWeight = (text) => {
+  const match = String(text || '').trim().toLowerCase().match(new RegExp(`^${NUMBER}\\s*([a-z]+)\\.?$`));
+  if (!match || !UNIT_FACTORS[match[2]]) {
+    return null;
+  }
+  return toNumber(match[1]) * UNIT_FACTORS[match[2]];
+};
+
+// Helper function to read the pack size from a packaging description ('25 kg HDPE drums' -> 25 kg drums)
+const parsePackaging = (packaging) => {
+  const match = String(packaging || '').toLowerCase().match(new RegExp(`${NUMBER}\\s*([a-z]+)\\b\\s*(.*)$`));
+  if (!match || !UNIT_FACTORS[match[2]]) {
+    return null;
+  }
+  const words = match[3].trim().split(/\s+/).filter(Boolean);
+  return {
+    sizeKg: toNumber(match[1]) * UNIT_FACTORS[match[2]],
+    name: words.length > 0 ? words[words.length - 1] : 'packs'
+  };
+};
+
+// Helper function to parse a customer's quantity answer: a weight ('500 kg', '2 MT'),
+// a number of packs ('8 drums') or a bare number, which is taken as kilograms
+const parseQuantity = (text, product) => {
+  const match = String(text || '').trim().toLowerCase().match(new RegExp(`^${NUMBER}\\s*([a-z]*)\\.?$`));
+  if (!match) {
+    return null;
+  }
+
+  const value = toNumber(match[1]);
+  const unit = match[2] || 'kg';
+  if (!(value > 0)) {
+    return null;
+  }
+
+  if (UNIT_FACTORS[unit]) {
+    return { kg: value * UNIT_FACTORS[unit], value, unit };
+  }
+
+  const pack = product && parsePackaging(product.packaging);
+  if (pack && (PACK_WORDS.includes(unit) || unit === pack.name)) {
+    return { kg: value * pack.sizeKg, packs: value, value, unit: pack.name };
+  }
+
+  return null;
+};
+
+// Helper function to format kilograms for display (1500 -> '1,500 kg')
+const formatKg = (kg) => `${Number(kg.toFixed(2)).toLocaleString('en-IN')} kg`;
+
+module.exports = {
+  parseWeight,
+  parsePackaging,
+  parseQuantity,
+  formatKg
+};
@@ -0,0 +1,130 @@
+const { getTranslator } = require('./i18n');
+const { formatCartLine, formatCartTotals, describeCartQuantity } = require('./cart');
+const { LIMITS, truncate } = require('./message_builder');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'reminders' });
+
+// Free-form messages are only allowed within 24 hours of the customer's last message; after that,
+// only approved templates can be sent
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Abandoned-cart reminders and follow-ups on quotes the customer hasn't answered, run by the job scheduler.
+// One reminder per delay, counted from the customer's last message (carts) or from when the quote was sent.
+// Any message the customer sends to a brand cancels that brand's reminders; a checkout empties the cart, so
+// no new cart reminder follows.
+// Reminders inside the service window are plain messages, later ones use the approved templates named in
+// templates { cart, quote }. Customers who opted out of marketing get none.
+// runtimeFor(tenantId) gives the { catalog, messenger } of the brand the customer wrote to; messenger is
+// { sendTextMessage, sendInteractiveMessage, sendTemplateMessage }.
+const createReminders = ({
+  scheduler, runtimeFor, pricing, leadStore, consentStore, cartDelaysMs = [], quoteDelaysMs = [], templates
+}) => {
+  const inServiceWindow = (lastMessageAt) => Date.now() - lastMessageAt < SERVICE_WINDOW_MS;
+
+  // Helper function to schedule the next reminder of a series, if there is one
+  const scheduleStep = (job, step) => {
+    const delays = job.type === 'cart_reminder' ? cartDelaysMs : quoteDelaysMs;
+    if (step >= delays.length) {
+      return null;
+    }
+    return scheduler.schedule({
+      type: job.type,
+      key: job.key,
+      customer: job.customer,
+      runAt: job.payload.startedAt + delays[step],
+      payload: { ...job.payload, step }
+    });
+  };
+
+  const sendCartReminder = async (job) => {
+    const { customer, payload } = job;
+    if (consentStore.isOptedOut(customer, payload.tenantId)) {
+      return;
+    }
+    const { catalog, messenger } = runtimeFor(payload.tenantId);
+    const t = getTranslator(payload.language);
+    const quote = pricing.priceCart(payload.cart, {
+      customer,
+      currency: pricing.getCurrency(customer, payload.currency),
+      getProduct: catalog.getProduct
+    });
+
+    if (inServiceWindow(payload.lastMessageAt)) {
+      const lines = quote.lines.map((line, index) => formatCartLine(line, index, t, quote.currency)).join('\n\n');
+      await messenger.sendInteractiveMessage(customer, t('cart.header'), `${t('reminder.cart')}\n\n${lines}\n\n${formatCartTotals(quote, t)}`, [
+        { id: 'view_cart', title: t('product_actions.view_cart') },
+        { id: 'main_menu', title: t('common.main_menu') }
+      ]);
+    } else {
+      const items = quote.lines.map(line => `${line.name} - ${describeCartQuantity(line)}`).join(', ');
+      await messenger.sendTemplateMessage(customer, templates.cart, t.language, [
+        truncate(items, LIMITS.templateParameter),
+        t.formatMoney(quote.total, quote.currency)
+      ]);
+    }
+    log.info('Cart reminder sent', { customer, step: payload.step });
+    await scheduleStep(job, payload.step + 1);
+  };
+
+  const sendQuoteFollowUp = async (job) => {
+    const { customer, payload } = job;
+    const lead = leadStore.getLead(payload.leadId);
+    // Won, lost or requoted in the meantime
+    if (!lead || lead.status !== 'quoted' || consentStore.isOptedOut(customer, lead.tenantId)) {
+      return;
+    }
+    const { messenger } = runtimeFor(lead.tenantId);
+    const t = getTranslator(payload.language);
+    if (inServiceWindow(payload.lastMessageAt)) {
+      await messenger.sendTextMessage(customer, t('reminder.quote', { id: lead.id, product: lead.productName }));
+    } else {
+      await messenger.sendTemplateMessage(customer, templates.quote, t.language, [lead.id, lead.productName]);
+    }
+    log.info('Quote follow-up sent', { customer, leadId: lead.id, step: payload.step });
+    await scheduleStep(job, payload.step + 1);
+  };
+
+  scheduler.register('cart_reminder', sendCartReminder);
+  scheduler.register('quote_follow_up', sendQuoteFollowUp);
+
+  // Helper function to tell which brand a reminder is from: the cart's, or the quoted lead's
+  const tenantOf = (job) => (job.type === 'quote_follow_up'
+    ? (leadStore.getLead(job.payload.leadId) || {}).tenantId
+    : job.payload.tenantId) || DEFAULT_TENANT_ID;
+
+  // Call after every customer message: cancels their reminders from the brand they wrote to, then starts
+  // cart reminders from now if they still have something in the cart (key: the session's key, one cart per brand)
+  const customerMessaged = async (customer, session, { tenantId = DEFAULT_TENANT_ID, key = customer } = {}) => {
+    await scheduler.cancel({ customer, filter: job => tenantOf(job) === tenantId, reason: 'customer_replied' });
+    if (!session.cart || session.cart.length === 0 || session.context === 'with_agent') {
+      return null;
+    }
+    const now = Date.now();
+    return scheduleStep({
+      type: 'cart_reminder',
+      key,
+      customer,
+      payload: { tenantId, cart: session.cart, language: session.language, currency: session.currency, lastMessageAt: now, startedAt: now }
+    }, 0);
+  };
+
+  // Call once a quote has gone to the customer; lastMessageAt is when they last wrote to us (ms timestamp)
+  const quoteSent = async (lead, lastMessageAt) => scheduleStep({
+    type: 'quote_follow_up',
+    key: lead.id,
+    customer: lead.customer,
+    payload: { leadId: lead.id, language: lead.language, lastMessageAt, startedAt: Date.now() }
+  }, 0);
+
+  return {
+    customerMessaged,
+    quoteSent
+  };
+};
+
+module.exports = {
+  SERVICE_WINDOW_MS,
+  createReminders
+};
@@ -0,0 +1,92 @@
+const { parseWeight, parseQuantity, formatKg } = require('./quantity');
+
+// Questions asked during a quote request, in order (the product may be pre-filled).
+// Each step's question lives in locales/ as rfq.<step>.prompt.
+const RFQ_STEPS = ['product', 'quantity', 'deliveryLocation', 'targetDate'];
+
+// Helper function to find the first RFQ question still unanswered
+const getNextRfqStep = (rfq) => RFQ_STEPS.find(step => !rfq[step]) || null;
+
+// Validate a quantity answer against the product's minimum order quantity.
+// Like the other validators here, returns { value } or { error, params } where error is a message key.
+const validateRfqQuantity = (input, product) => {
+  const quantity = parseQuantity(input, product);
+  if (!quantity) {
+    return { error: 'errors.quantity_unclear' };
+  }
+  const moqKg = parseWeight(product.moq);
+  if (moqKg && quantity.kg < moqKg) {
+    return { error: 'errors.rfq_below_moq', params: { name: product.name, moq: product.moq, quantity: formatKg(quantity.kg) } };
+  }
+  return { value: quantity };
+};
+
+// Validate the delivery location (free text, but it has to say something)
+const validateDeliveryLocation = (input) => {
+  const value = String(input || '').trim().replace(/\s+/g, ' ');
+  if (value.length < 3 || value.length > 200 || !/\p{L}/u.test(value)) {
+    return { error: 'errors.delivery_location' };
+  }
+  return { value };
+};
+
+// Validate the target date: DD/MM/YYYY, DD-MM-YYYY or YYYY-MM-DD, and not in the past
+const validateTargetDate = (input, today = new Date()) => {
+  const text = String(input || '').trim();
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  let year, month, day;
+  if (match) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    return { error: 'errors.date_format' };
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return { error: 'errors.date_invalid' };
+  }
+  const startOfToday = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+  if (date.getTime() < startOfToday) {
+    return { error: 'errors.date_past' };
+  }
+  return { value: date.toISOString().slice(0, 10) };
+};
+
+// Helper function to describe a requested quantity ('20 drums (500 kg)' or '500 kg')
+const formatRequestedQuantity = (quantity) => quantity.packs
+  ? `${quantity.packs} ${quantity.unit} (${formatKg(quantity.kg)})`
+  : formatKg(quantity.kg);
+
+// Helper function to format the quote we send back to the customer (t from i18n.getTranslator)
+const formatQuote = (lead, quote, t) => {
+  const total = quote.pricePerKg * lead.quantity.kg;
+  let text = `${t('quote.title', { id: lead.id })}\n\n` +
+    `*${t('rfq.product')}:* ${lead.productName}\n` +
+    `*${t('rfq.quantity')}:* ${formatRequestedQuantity(lead.quantity)}\n` +
+    `*${t('quote.price')}:* ${t('quote.price_value', { price: t.formatMoney(quote.pricePerKg, quote.currency) })}\n` +
+    `*${t('quote.total')}:* ${t.formatMoney(Number(total.toFixed(2)), quote.currency)}\n` +
+    `*${t('rfq.delivery_to')}:* ${lead.deliveryLocation}\n`;
+  if (quote.leadTime) {
+    text += `*${t('quote.lead_time')}:* ${quote.leadTime}\n`;
+  }
+  if (quote.validUntil) {
+    text += `*${t('quote.valid_until')}:* ${t.formatDate(quote.validUntil)}\n`;
+  }
+  if (quote.notes) {
+    text += `\n${quote.notes}\n`;
+  }
+  text += `\n${t('quote.footer')}`;
+  return text;
+};
+
+module.exports = {
+  RFQ_STEPS,
+  getNextRfqStep,
+  validateRfqQuantity,
+  validateDeliveryLocation,
+  validateTargetDate,
+  formatRequestedQuantity,
+  formatQuote
+};
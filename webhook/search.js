@@ -0,0 +1,184 @@
+const { localize } = require('./i18n');
+
+// Words customers spell more than one way; each is searched as the catalog's spelling
+const SEARCH_SYNONYMS = {
+  color: 'colour',
+  gray: 'grey',
+  sulfur: 'sulphur',
+  sulfonic: 'sulphonic',
+  naphtol: 'naphthol'
+};
+
+// Words that only decorate a query ('C.I. Reactive Blue 19', 'colour index 61200')
+const NOISE_WORDS = ['c', 'i', 'ci', 'colour', 'index', 'no'];
+
+// How much a hit counts depending on where it is found
+const FIELD_WEIGHTS = {
+  name: 3,
+  aliases: 3,
+  type: 2,
+  application: 1,
+  description: 1
+};
+
+// Points for how well a query word matches a product word
+const EXACT_MATCH = 3;
+const PREFIX_MATCH = 2;
+const FUZZY_MATCH = 1;
+const PHRASE_BONUS = 100;
+
+// Helper function to split text into lowercase words, with letters and digits apart ('RR120' -> rr 120)
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFC')
+  .replace(/(\p{L})(\p{N})|(\p{N})(\p{L})/gu, '$1$3 $2$4')
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(Boolean)
+  .map(word => SEARCH_SYNONYMS[word] || word);
+
+// Helper function to join words so 'H Acid', 'h-acid' and 'HAcid' compare equal
+const compact = (words) => words.join('');
+
+// Helper function to count edits (insert, delete, substitute, swap neighbours) between two words
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed for a word of this length; short words must be spelt right
+const allowedEdits = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+// Helper function to score one query word against one product word (0 when they don't match)
+const matchWord = (query, word) => {
+  if (query === word) {
+    return EXACT_MATCH;
+  }
+  // Numbers must match exactly: Reactive Red 12 is not Reactive Red 120
+  if (/^\d+$/.test(query)) {
+    return 0;
+  }
+  if (query.length >= 3 && word.startsWith(query)) {
+    return PREFIX_MATCH;
+  }
+  const edits = allowedEdits(query);
+  if (edits > 0 && Math.abs(query.length - word.length) <= edits && editDistance(query, word) <= edits) {
+    return FUZZY_MATCH;
+  }
+  return 0;
+};
+
+// Helper function to get a CAS number's digits when the whole query is one ('61951 82 4', '2580–78–1')
+const parseCas = (query) => {
+  const text = String(query || '').trim();
+  if (!/^\d[\d\s.\-‐-―]*\d$/.test(text)) {
+    return null;
+  }
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 5 && digits.length <= 10 ? digits : null;
+};
+
+// Helper function to build abbreviations from a name: 'Reactive Red 120' -> 'rr120'
+const abbreviate = (name) => {
+  const words = tokenize(name);
+  const letters = words.filter(word => !/^\d+$/.test(word)).map(word => word[0]).join('');
+  const numbers = words.filter(word => /^\d+$/.test(word)).join('');
+  return letters.length >= 2 ? `${letters}${numbers}` : null;
+};
+
+// Helper function to collect a product's searchable words by field, in English and the given language
+const buildSearchDocument = (product, language) => {
+  const versions = language ? [product, localize(product, language)] : [product];
+  const fields = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const values = versions.flatMap(version => (field === 'aliases' ? version.aliases || [] : [version[field]]));
+    fields[field] = [...new Set(values.flatMap(tokenize))];
+  });
+
+  const phrases = versions.flatMap(version => [version.name, ...(version.aliases || [])]);
+  const compactNames = new Set(phrases.map(phrase => compact(tokenize(phrase))));
+  phrases.map(abbreviate).filter(Boolean).forEach(abbreviation => {
+    compactNames.add(abbreviation);
+    fields.aliases.push(abbreviation);
+  });
+
+  return { fields, compactNames };
+};
+
+// Helper function to score one query word against a product: its best hit, weighted by field
+const scoreWord = (word, document) => {
+  let best = 0;
+  Object.entries(document.fields).forEach(([field, words]) => {
+    words.forEach(candidate => {
+      best = Math.max(best, matchWord(word, candidate) * FIELD_WEIGHTS[field]);
+    });
+  });
+  return best;
+};
+
+// Search products by name, alias, abbreviation, type or description, tolerating typos, best matches first.
+// A CAS number (any dashes or spaces) returns just that product. Words that match nothing in the
+// catalog ('please', 'need') are ignored, every other word must match.
+const searchProducts = (products, query, { language } = {}) => {
+  const cas = parseCas(query);
+  if (cas) {
+    const exact = products.filter(product => product.cas && product.cas.replace(/\D/g, '') === cas);
+    if (exact.length > 0) {
+      return exact;
+    }
+  }
+
+  const words = tokenize(query).filter(word => !NOISE_WORDS.includes(word));
+  if (words.length === 0) {
+    return [];
+  }
+
+  const documents = products.map(product => ({ product, document: buildSearchDocument(product, language) }));
+  const scored = documents.map(({ product, document }) => ({
+    product,
+    document,
+    scores: words.map(word => scoreWord(word, document))
+  }));
+
+  // Numbers are never noise: 'reactive red 999' should find nothing rather than every red
+  const meaningful = words.map((word, index) => /^\d+$/.test(word) || scored.some(entry => entry.scores[index] > 0));
+  if (!meaningful.some(Boolean)) {
+    return [];
+  }
+  const phrase = compact(words.filter((word, index) => meaningful[index]));
+
+  return scored
+    .filter(entry => entry.scores.every((score, index) => score > 0 || !meaningful[index]))
+    .map(entry => ({
+      product: entry.product,
+      score: entry.scores.reduce((sum, score) => sum + score, 0) +
+        (entry.document.compactNames.has(phrase) ? PHRASE_BONUS : 0)
+    }))
+    .sort((a, b) => (
+      b.score - a.score ||
+      Number(b.product.inStock !== false) - Number(a.product.inStock !== false) ||
+      a.product.name.localeCompare(b.product.name)
+    ))
+    .map(entry => entry.product);
+};
+
+module.exports = {
+  SEARCH_SYNONYMS,
+  tokenize,
+  editDistance,
+  searchProducts
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Helper function to log security-relevant events; filter on component 'security' to find them
+const logSecurityEvent = (event, req, details = {}) => {
+  logger.warn(event, {
+    component: 'security',
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl,
+    userAgent: req.get('user-agent'),
+    ...details
+  });
+};
+
+// Constant-time string comparison that also copes with different lengths
+const safeEqual = (a, b) => {
+  const aBuffer = Buffer.from(String(a), 'utf8');
+  const bBuffer = Buffer.from(String(b), 'utf8');
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+};
+
+// Middleware factory: accept requests carrying the key from the given env var,
+// either as an `X-API-Key` header or as `Authorization: Bearer <key>`
+const requireApiKey = (envVar) => (req, res, next) => {
+  const expected = process.env[envVar];
+  if (!expected) {
+    logSecurityEvent('api_key_not_configured', req, { envVar });
+    return res.status(503).json({ error: `API disabled: ${envVar} is not configured` });
+  }
+
+  const authorization = req.get('authorization') || '';
+  const provided = req.get('x-api-key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '');
+
+  if (!provided || !safeEqual(provided, expected)) {
+    logSecurityEvent(provided ? 'api_key_invalid' : 'api_key_missing', req, { envVar });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+module.exports = {
+  logSecurityEvent,
+  safeEqual,
+  requireApiKey
+};
@@ -0,0 +1,169 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'sessions' });
+
+// Build a fresh session for a customer we have not seen (or whose session expired)
+const createEmptySession = () => ({
+  context: 'welcome',
+  cart: [],
+  lastInteraction: Date.now()
+});
+
+// Sessions are copied in and out of the store so callers cannot mutate stored state by accident
+const cloneSession = (session) => JSON.parse(JSON.stringify(session));
+
+// Memory backend: fast, but everything is lost on restart
+const createMemoryBackend = () => {
+  const sessions = new Map();
+
+  return {
+    name: 'memory',
+    get: async (id) => sessions.get(id),
+    set: async (id, session) => {
+      sessions.set(id, session);
+    },
+    delete: async (id) => {
+      sessions.delete(id);
+    },
+    entries: async () => Array.from(sessions.entries())
+  };
+};
+
+// File backend: keeps a memory copy and writes the whole set to a JSON file after changes.
+// Changes made while a write is in flight are saved together by the next one, so a busy bot writes the
+// file back to back rather than once per message. Every write is the whole file, though: it suits a few
+// thousand active sessions (a few MB); beyond that, use a database-backed store.
+const createFileBackend = (filePath) => {
+  const sessions = new Map(Object.entries(readJsonFile(filePath, {})));
+  let writing = Promise.resolve();
+  let nextWrite = null;
+
+  // Resolves once the file holds every change made before the call
+  const persist = () => {
+    if (!nextWrite) {
+      nextWrite = writing.catch(() => {}).then(() => {
+        nextWrite = null;
+        writing = writeJsonFile(filePath, Object.fromEntries(sessions));
+        return writing;
+      });
+    }
+    return nextWrite;
+  };
+
+  return {
+    name: 'file',
+    get: async (id) => sessions.get(id),
+    set: async (id, session) => {
+      sessions.set(id, session);
+      await persist();
+    },
+    delete: async (id) => {
+      if (sessions.delete(id)) {
+        await persist();
+      }
+    },
+    entries: async () => Array.from(sessions.entries())
+  };
+};
+
+const backends = {
+  memory: () => createMemoryBackend(),
+  file: (options) => createFileBackend(options.filePath)
+};
+
+// Session store with idle expiry on top of a pluggable backend
+const createSessionStore = (options = {}) => {
+  const {
+    backend = 'memory',
+    ttlMs = 24 * 60 * 60 * 1000,
+    cleanupIntervalMs = 15 * 60 * 1000
+  } = options;
+
+  if (!backends[backend]) {
+    throw new Error(`Unknown session store backend: ${backend}`);
+  }
+  if (backend === 'file' && !options.filePath) {
+    throw new Error('The file session store needs a filePath');
+  }
+
+  const storage = backends[backend](options);
+  let cleanupTimer = null;
+
+  const isExpired = (session, now = Date.now()) =>
+    ttlMs > 0 && now - (session.lastInteraction || 0) > ttlMs;
+
+  const get = async (id) => {
+    const session = await storage.get(id);
+    if (!session) {
+      return null;
+    }
+    if (isExpired(session)) {
+      await storage.delete(id);
+      return null;
+    }
+    return cloneSession(session);
+  };
+
+  const set = async (id, session) => {
+    await storage.set(id, cloneSession(session));
+  };
+
+  const remove = async (id) => {
+    await storage.delete(id);
+  };
+
+  // Evict every session idle for longer than the TTL, returning how many were removed
+  const cleanup = async () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, session] of await storage.entries()) {
+      if (isExpired(session, now)) {
+        await storage.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  const size = async () => (await storage.entries()).length;
+
+  const startCleanup = () => {
+    if (cleanupTimer || cleanupIntervalMs <= 0) {
+      return;
+    }
+    cleanupTimer = setInterval(async () => {
+      try {
+        const removed = await cleanup();
+        if (removed > 0) {
+          log.info('Expired sessions removed', { removed });
+        }
+      } catch (error) {
+        log.error('Error cleaning up sessions', { error });
+      }
+    }, cleanupIntervalMs);
+    // Do not keep the process alive just for cleanup
+    cleanupTimer.unref();
+  };
+
+  const stopCleanup = () => {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  };
+
+  return {
+    backend: storage.name,
+    get,
+    set,
+    delete: remove,
+    cleanup,
+    size,
+    startCleanup,
+    stopCleanup
+  };
+};
+
+module.exports = {
+  createSessionStore,
+  createEmptySession
+};
@@ -0,0 +1,162 @@
+// Declarative conversation state machine.
+//
+// A machine is a set of named states. Each state lists routes; a route matches the customer's
+// input and names the states it may lead to (`to`). Its handler does the work (send replies,
+// update the session) and returns the next state's name; any other return value takes the route's
+// only target, or stays put when the route has several. Global commands are checked before any state's routes,
+// except in states with skipGlobalCommands (e.g. while a human agent has the conversation).
+// Staying in the current state is always allowed.
+//
+//   route = { name, match, to, handler }
+//   match = 'exact_id' | ['id_a', 'id_b'] | /^prefix_/ | (input, ctx) => boolean | { freeText: true }
+//   state = { routes: [route], fallback: route, onExit: (ctx) => void, skipGlobalCommands: boolean }
+
+const { logger } = require('./logger');
+
+// Raised when a handler returns a state its route does not declare; always a bug in the flow definition
+class InvalidTransitionError extends Error {
+  constructor(from, to, routeName) {
+    super(`Invalid transition ${from} -> ${to} via '${routeName}'`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+    this.route = routeName;
+  }
+}
+
+const targetsOf = (route) => [].concat(route.to || []);
+
+// Helper function to test a route's match rule against the normalized input
+const routeMatches = (route, input, ctx) => {
+  const { match } = route;
+  if (typeof match === 'string') {
+    return input.text === match;
+  }
+  if (Array.isArray(match)) {
+    return match.includes(input.text);
+  }
+  if (match instanceof RegExp) {
+    return match.test(input.text);
+  }
+  if (typeof match === 'function') {
+    return Boolean(match(input, ctx));
+  }
+  if (match && match.freeText) {
+    return Boolean(input.raw);
+  }
+  return false;
+};
+
+// log is a logger (see logger.js); transitions are logged at info level
+const createStateMachine = ({ initial, states, globalCommands = [], defaultFallback, log = logger }) => {
+  // Check the definition up front so a typo in a target fails at startup, not mid-conversation
+  const allRoutes = [
+    ...globalCommands,
+    ...Object.values(states).flatMap(state => [...(state.routes || []), ...(state.fallback ? [state.fallback] : [])]),
+    ...(defaultFallback ? [defaultFallback] : [])
+  ];
+  if (!states[initial]) {
+    throw new Error(`Unknown initial state: ${initial}`);
+  }
+  allRoutes.forEach(route => {
+    targetsOf(route).forEach(target => {
+      if (!states[target]) {
+        throw new Error(`Route '${route.name}' targets unknown state: ${target}`);
+      }
+    });
+  });
+
+  // Find the route for this input: global commands, then the state's routes, then fallbacks
+  const resolve = (stateName, input, ctx) => {
+    const state = states[stateName];
+    const globalRoute = !state.skipGlobalCommands && globalCommands.find(route => routeMatches(route, input, ctx));
+    if (globalRoute) {
+      return { route: globalRoute, layer: 'global' };
+    }
+    const stateRoute = (state.routes || []).find(route => routeMatches(route, input, ctx));
+    if (stateRoute) {
+      return { route: stateRoute, layer: 'state' };
+    }
+    const fallback = state.fallback || defaultFallback;
+    return fallback ? { route: fallback, layer: 'fallback' } : null;
+  };
+
+  // Handle one input: run the matching route and move the session to the next state.
+  // ctx must carry { session, input }; anything else on it is passed through to handlers.
+  const dispatch = async (ctx) => {
+    const { session, input } = ctx;
+    const current = states[session.context] ? session.context : initial;
+    const resolved = resolve(current, input, ctx);
+    if (!resolved) {
+      log.info('No route for input', { state: current });
+      return { from: current, to: current, route: null };
+    }
+
+    const { route, layer } = resolved;
+    const targets = targetsOf(route);
+    // Handlers often end with `return send...()`; only a string counts as a chosen state
+    const result = await route.handler({ ...ctx, state: current });
+    const next = typeof result === 'string' ? result : (targets.length === 1 ? targets[0] : current);
+
+    if (next !== current && !targets.includes(next)) {
+      throw new InvalidTransitionError(current, next, route.name);
+    }
+    if (next !== current && states[current].onExit) {
+      states[current].onExit({ ...ctx, state: current });
+    }
+    session.context = next;
+
+    log.info('Transition', { fromState: current, toState: next, layer, route: route.name });
+    return { from: current, to: next, route: route.name, layer };
+  };
+
+  // Every possible edge, for documentation and graph export
+  const edges = () => {
+    const list = [];
+    Object.entries(states).forEach(([name, state]) => {
+      const routes = [...(state.routes || []), ...(state.fallback ? [state.fallback] : [])];
+      routes.forEach(route => {
+        const targets = targetsOf(route);
+        (targets.length > 0 ? targets : [name]).forEach(target => list.push({ from: name, to: target, label: route.name }));
+      });
+    });
+    globalCommands.forEach(route => {
+      targetsOf(route).forEach(target => list.push({ from: '*', to: target, label: route.name }));
+    });
+    return list;
+  };
+
+  const toMermaid = () => {
+    const lines = ['stateDiagram-v2', `  [*] --> ${initial}`];
+    edges().forEach(edge => {
+      const from = edge.from === '*' ? 'any' : edge.from;
+      lines.push(`  ${from} --> ${edge.to}: ${edge.label}`);
+    });
+    return lines.join('\n');
+  };
+
+  const toDot = () => {
+    const lines = ['digraph conversation {', '  rankdir=LR;', `  "${initial}" [shape=doublecircle];`];
+    edges().forEach(edge => {
+      const from = edge.from === '*' ? 'any' : edge.from;
+      lines.push(`  "${from}" -> "${edge.to}" [label="${edge.label}"];`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+  };
+
+  return {
+    initial,
+    states: Object.keys(states),
+    dispatch,
+    resolve,
+    edges,
+    toMermaid,
+    toDot
+  };
+};
+
+module.exports = {
+  createStateMachine,
+  InvalidTransitionError
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+const { redactTenant, TenantValidationError, TenantNotFoundError } = require('./tenant_store');
+
+// Admin REST API for tenants (brands with their own WhatsApp number); mount behind requireApiKey.
+// Credentials are write-only. Each tenant's catalog is managed under /tenants/:id, e.g. GET /tenants/acme/products;
+// catalogRouterFor(tenantId) returns that tenant's catalog router (see catalog_routes.js).
+const createTenantRouter = (tenantStore, { catalogRouterFor }) => {
+  const router = express.Router();
+
+  // Helper function to get a tenant or raise TenantNotFoundError
+  const findTenant = (id) => {
+    const tenant = tenantStore.getTenant(id);
+    if (!tenant) {
+      throw new TenantNotFoundError(id);
+    }
+    return tenant;
+  };
+
+  router.get('/tenants', (req, res) => {
+    res.json({ tenants: tenantStore.listTenants().map(redactTenant) });
+  });
+
+  // { "id": "acme", "name": "Acme Pigments", "phoneNumberId": "...", "accessToken": "...", "catalogFile": "acme_catalog.json",
+  //   "welcome": { "header": "...", "text": { "en": "...", "hi": "..." } }, "support": { "salesEmail": "..." } }
+  // The tenant starts answering its number straight away
+  router.post('/tenants', async (req, res) => {
+    const tenant = await tenantStore.addTenant(req.body || {});
+    res.status(201).json({ tenant: redactTenant(tenant) });
+  });
+
+  router.get('/tenants/:id', (req, res) => {
+    res.json({ tenant: redactTenant(findTenant(req.params.id)) });
+  });
+
+  // Change some settings; a field set to null is removed (e.g. "welcome": null for the standard welcome)
+  router.patch('/tenants/:id', async (req, res) => {
+    const changes = Object.fromEntries(Object.entries(req.body || {}).map(([key, value]) => [key, value ?? undefined]));
+    const tenant = await tenantStore.updateTenant(req.params.id, changes);
+    res.json({ tenant: redactTenant(tenant) });
+  });
+
+  router.use('/tenants/:tenantId', (req, res, next) => {
+    catalogRouterFor(findTenant(req.params.tenantId).id)(req, res, next);
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof TenantValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    if (err instanceof TenantNotFoundError) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createTenantRouter
+};
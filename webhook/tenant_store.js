@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json_file');
+
+// The tenant configured with WHATSAPP_* environment variables; it can't be changed through the admin API
+const DEFAULT_TENANT_ID = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const TENANT_FIELDS = ['id', 'name', 'phoneNumberId', 'accessToken', 'appSecret', 'verifyToken', 'catalogFile', 'welcome', 'support'];
+const SECRET_FIELDS = ['accessToken', 'appSecret', 'verifyToken'];
+const SUPPORT_FIELDS = ['salesEmail', 'salesPhone', 'technicalPhone'];
+
+// Contact details quoted in the support replies when a tenant doesn't set its own
+const DEFAULT_SUPPORT = {
+  salesEmail: 'sales@dyescompany.com',
+  salesPhone: '+1-555-123-4567',
+  technicalPhone: '+1-555-987-6543'
+};
+
+// Raised when a tenant definition is malformed; carries one message per problem
+class TenantValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid tenant: ${errors.join('; ')}`);
+    this.name = 'TenantValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a tenant id does not exist
+class TenantNotFoundError extends Error {
+  constructor(id) {
+    super(`Tenant ${id} not found`);
+    this.name = 'TenantNotFoundError';
+  }
+}
+
+// Key for data kept per brand and customer (sessions, profiles, consent); the default tenant keeps the bare
+// numbers from before there were tenants
+const customerKey = (tenantId, customer) => (!tenantId || tenantId === DEFAULT_TENANT_ID ? customer : `${tenantId}:${customer}`);
+
+const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+// Helper function to check a text that may be given per language: "Hello" or { "en": "Hello", "hi": "नमस्ते" }
+const isLocalizedText = (value) => (typeof value === 'string' && value.trim() !== '') ||
+  (Boolean(value) && typeof value === 'object' && !Array.isArray(value) && Object.values(value).length > 0 && Object.values(value).every(text => !isBlank(text)));
+
+// Check a tenant, returning a list of problems (empty when valid). Shape:
+//   id              lowercase letters, digits and dashes, e.g. "acme-pigments"
+//   name            brand name, for the admin API and logs
+//   phoneNumberId   WhatsApp phone number id that webhook changes are routed by
+//   accessToken     Graph API token for that number
+//   appSecret       Meta app secret, if the number belongs to a different app (deliveries to the number must be signed with it)
+//   verifyToken     webhook verification token, if the number belongs to a different app
+//   catalogFile     product catalog (same format as data/catalog.json), relative to the tenants file; default: the main catalog
+//   welcome         { header, text }: the welcome menu's title and greeting, each a text or { language: text }
+//   support         { salesEmail, salesPhone, technicalPhone } quoted in the support replies
+const validateTenant = (tenant, { resolveFile }) => {
+  const errors = [];
+  Object.keys(tenant).filter(key => !TENANT_FIELDS.includes(key)).forEach(key => {
+    errors.push(`${key} is not a tenant field (use ${TENANT_FIELDS.join(', ')})`);
+  });
+  if (!TENANT_ID_PATTERN.test(tenant.id || '')) {
+    errors.push('id may only contain lowercase letters, digits and dashes');
+  }
+  ['name', 'accessToken'].filter(key => isBlank(tenant[key])).forEach(key => errors.push(`${key} is required`));
+  if (typeof tenant.phoneNumberId !== 'string' || !/^\d+$/.test(tenant.phoneNumberId)) {
+    errors.push('phoneNumberId must be the WhatsApp phone number id (digits)');
+  }
+  ['appSecret', 'verifyToken'].filter(key => tenant[key] !== undefined && isBlank(tenant[key])).forEach(key => {
+    errors.push(`${key} must be text`);
+  });
+  if (tenant.catalogFile !== undefined && (isBlank(tenant.catalogFile) || !fs.existsSync(resolveFile(tenant.catalogFile)))) {
+    errors.push(`catalogFile ${tenant.catalogFile} does not exist`);
+  }
+  const welcome = tenant.welcome || {};
+  Object.keys(welcome).filter(key => !['header', 'text'].includes(key)).forEach(key => {
+    errors.push(`welcome.${key} is not a welcome field (use header, text)`);
+  });
+  ['header', 'text'].filter(key => welcome[key] !== undefined && !isLocalizedText(welcome[key])).forEach(key => {
+    errors.push(`welcome.${key} must be a text or { "en": "...", "hi": "..." }`);
+  });
+  Object.entries(tenant.support || {}).forEach(([key, value]) => {
+    if (!SUPPORT_FIELDS.includes(key)) {
+      errors.push(`support.${key} is not a support field (use ${SUPPORT_FIELDS.join(', ')})`);
+    } else if (isBlank(value)) {
+      errors.push(`support.${key} must be text`);
+    }
+  });
+  return errors;
+};
+
+// Helper function to hide credentials from admin API responses
+const redactTenant = (tenant) => Object.fromEntries(Object.entries(tenant)
+  .map(([key, value]) => [key, SECRET_FIELDS.includes(key) && value ? '********' : value]));
+
+// Brands served from this deployment, each with its own WhatsApp number and credentials, catalog, welcome
+// text and support contacts. Tenants are defined in a JSON file ({ "tenants": [...] }) that the admin API
+// writes to; the default tenant comes from the environment. checkTenant(tenant) may return extra problems
+// (e.g. a catalog that doesn't load) before a tenant is accepted.
+const createTenantStore = ({ filePath, defaultTenant, checkTenant = () => [] }) => {
+  const data = readJsonFile(filePath, { tenants: [] });
+  const save = () => writeJsonFile(filePath, data);
+  const resolveFile = (file) => path.resolve(path.dirname(filePath), file);
+  const defaults = { ...defaultTenant, id: DEFAULT_TENANT_ID };
+
+  const listTenants = () => [defaults, ...data.tenants];
+
+  const getTenant = (id) => listTenants().find(tenant => tenant.id === id) || null;
+
+  const getDefaultTenant = () => defaults;
+
+  const findByPhoneNumberId = (phoneNumberId) => listTenants().find(tenant => tenant.phoneNumberId === String(phoneNumberId)) || null;
+
+  // The catalog file of a tenant as an absolute path, or null for the main catalog
+  const getCatalogFile = (tenant) => (tenant.catalogFile ? resolveFile(tenant.catalogFile) : null);
+
+  // Helper function to check a tenant against the schema and the other tenants
+  const check = ({ createdAt, updatedAt, ...tenant }) => {
+    const errors = validateTenant(tenant, { resolveFile });
+    const others = listTenants().filter(other => other.id !== tenant.id);
+    if (others.some(other => other.phoneNumberId === tenant.phoneNumberId)) {
+      errors.push(`phoneNumberId ${tenant.phoneNumberId} already belongs to another tenant`);
+    }
+    if (errors.length > 0) {
+      throw new TenantValidationError(errors);
+    }
+    const extra = checkTenant(tenant);
+    if (extra.length > 0) {
+      throw new TenantValidationError(extra);
+    }
+  };
+
+  // Check every tenant in the file; a deployment with a broken tenants file should not start
+  const load = () => {
+    const ids = new Set([DEFAULT_TENANT_ID]);
+    data.tenants.forEach(tenant => {
+      if (ids.has(tenant.id)) {
+        throw new TenantValidationError([`${filePath}: tenant id ${tenant.id} is used twice`]);
+      }
+      ids.add(tenant.id);
+      check(tenant);
+    });
+    return listTenants();
+  };
+
+  const addTenant = async (input = {}) => {
+    if (getTenant(input.id)) {
+      throw new TenantValidationError([`tenant ${input.id} already exists`]);
+    }
+    const now = new Date().toISOString();
+    const tenant = { ...input, createdAt: now, updatedAt: now };
+    check(input);
+    data.tenants.push(tenant);
+    await save();
+    return tenant;
+  };
+
+  // Change a tenant's settings; the tenant is replaced, so anything holding the old object can tell it changed
+  const updateTenant = async (id, changes = {}) => {
+    if (id === DEFAULT_TENANT_ID) {
+      throw new TenantValidationError(['the default tenant is configured with environment variables']);
+    }
+    const index = data.tenants.findIndex(tenant => tenant.id === id);
+    if (index === -1) {
+      throw new TenantNotFoundError(id);
+    }
+    const { createdAt, updatedAt, ...current } = data.tenants[index];
+    const next = { ...current, ...changes, id };
+    check(next);
+    data.tenants[index] = { ...next, createdAt, updatedAt: new Date().toISOString() };
+    await save();
+    return data.tenants[index];
+  };
+
+  return {
+    load,
+    listTenants,
+    getTenant,
+    getDefaultTenant,
+    findByPhoneNumberId,
+    getCatalogFile,
+    addTenant,
+    updateTenant
+  };
+};
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  DEFAULT_SUPPORT,
+  customerKey,
+  createTenantStore,
+  redactTenant,
+  TenantValidationError,
+  TenantNotFoundError
+};
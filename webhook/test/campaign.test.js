@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, describeReply } = require('./harness');
+
+const OPTED_OUT = "You won't receive offers or announcements from us any more. You can still message us at any time. Reply *SUBSCRIBE* to get them again.";
+const OPTED_IN = "✅ You're subscribed to our price updates and new product announcements. Reply *STOP* at any time to unsubscribe.";
+
+const TEMPLATE = { name: 'new_shades', language: 'en', parameters: ['Reactive Red 195', '1 July'] };
+const TOMORROW = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+let bot;
+
+// Helper function to order the MOQ of one product as a first-time customer
+const placeOrder = async (customer, search, productId) => {
+  const { chat } = await bot.startChat({ customer });
+  await chat.say(search);
+  await chat.choose(`product_${productId}`);
+  await chat.press('add_to_cart');
+  await chat.press('qty_moq');
+  await chat.choose('view_cart');
+  await chat.choose('checkout');
+  await chat.say('Acme Textiles');
+  await chat.say('Priya Shah');
+  await chat.say('buyer@acme.example');
+  await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+  await chat.say('394210');
+  await chat.press('checkout_confirm');
+  return chat;
+};
+
+// Helper function to deliver status webhooks for messages we sent
+const postStatuses = (statuses) => bot.postWebhook({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: 'test-waba',
+    changes: [{
+      field: 'messages',
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '15550000000', phone_number_id: '100000000000001' },
+        statuses: statuses.map(status => ({ timestamp: String(Math.floor(Date.now() / 1000)), ...status }))
+      }
+    }]
+  }]
+});
+
+// Helper function to get the campaign messages a customer received, as transcript lines
+const templatesTo = (customer) => bot.fakeApi.getMessages(customer)
+  .filter(message => message.payload.type === 'template')
+  .map(message => describeReply(message.payload));
+
+before(async () => {
+  bot = await startTestBot({ env: { CAMPAIGN_RATE_PER_SECOND: '20', CAMPAIGN_CHECK_INTERVAL_SECONDS: '0.1' } });
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('marketing consent', () => {
+  it('records STOP and SUBSCRIBE, even from customers the bot has not met', async () => {
+    const customer = '919825020001';
+    const chat = bot.conversation(customer);
+    assert.deepStrictEqual(await chat.say('STOP'), [OPTED_OUT]);
+    assert.deepStrictEqual(await chat.say('Subscribe'), [OPTED_IN]);
+    assert.deepStrictEqual(await chat.say('unsubscribe'), [OPTED_OUT]);
+
+    const { body } = await bot.admin('GET', '/consents?status=opted_out');
+    const consent = body.consents.find(entry => entry.customer === customer);
+    assert.deepStrictEqual(consent.history.map(({ status, source, keyword }) => ({ status, source, keyword })), [
+      { status: 'opted_out', source: 'whatsapp', keyword: 'stop' },
+      { status: 'opted_in', source: 'whatsapp', keyword: 'subscribe' },
+      { status: 'opted_out', source: 'whatsapp', keyword: 'unsubscribe' }
+    ]);
+  });
+});
+
+describe('campaigns', () => {
+  const RR120_INDIA = '919825030001';
+  const ACID_INDIA = '919825030002';
+  const RR120_UK = '447700903003';
+  const SUBSCRIBER_INDIA = '919825030004';
+
+  before(async () => {
+    await placeOrder(RR120_INDIA, 'RR120', 'dye-001');
+    await placeOrder(ACID_INDIA, 'Acid Blue 9', 'dye-006');
+    await placeOrder(RR120_UK, 'RR120', 'dye-001');
+    await bot.conversation(SUBSCRIBER_INDIA).say('subscribe');
+  });
+
+  // Helper function to create a campaign and return the customers it would go to now
+  const previewAudience = async (audience) => {
+    const created = await bot.admin('POST', '/campaigns', { name: 'Preview', template: TEMPLATE, audience, scheduledAt: TOMORROW });
+    assert.strictEqual(created.status, 201);
+    const { body } = await bot.admin('GET', `/campaigns/${created.body.campaign.id}/audience`);
+    await bot.admin('POST', `/campaigns/${created.body.campaign.id}/cancel`);
+    return body.customers;
+  };
+
+  it('builds audiences from category interest, country and past purchases', async () => {
+    assert.deepStrictEqual(await previewAudience({ categories: ['reactive'] }), [RR120_UK, RR120_INDIA]);
+    assert.deepStrictEqual(await previewAudience({ countries: ['91'] }), [RR120_INDIA, ACID_INDIA, SUBSCRIBER_INDIA]);
+    assert.deepStrictEqual(await previewAudience({ countries: ['91'], purchasedProducts: ['dye-006', 'dye-002'] }), [ACID_INDIA]);
+    assert.deepStrictEqual(await previewAudience({}), [RR120_UK, RR120_INDIA, ACID_INDIA, SUBSCRIBER_INDIA]);
+  });
+
+  it('sends the template at the throttled rate, leaves out opted-out customers and reports delivery stats', async () => {
+    await bot.conversation(ACID_INDIA).say('STOP');
+    const { body: { campaign } } = await bot.admin('POST', '/campaigns', {
+      name: 'New shades', template: TEMPLATE, audience: { countries: ['91'] }, scheduledAt: TOMORROW
+    });
+
+    const started = await bot.admin('POST', `/campaigns/${campaign.id}/send`);
+    assert.strictEqual(started.status, 202);
+    await bot.app.locals.whenIdle();
+
+    assert.deepStrictEqual(templatesTo(RR120_INDIA), ['[template] new_shades: Reactive Red 195, 1 July']);
+    assert.deepStrictEqual(templatesTo(SUBSCRIBER_INDIA), ['[template] new_shades: Reactive Red 195, 1 July']);
+    assert.deepStrictEqual(templatesTo(ACID_INDIA), []);
+    const [first, second] = [RR120_INDIA, SUBSCRIBER_INDIA].map(customer => Date.parse(bot.fakeApi.getMessages(customer).at(-1).receivedAt));
+    assert.ok(second - first >= 40, `sent ${second - first} ms apart at 20 per second`);
+
+    const { body: { campaign: sent } } = await bot.admin('GET', `/campaigns/${campaign.id}`);
+    assert.strictEqual(sent.status, 'sent');
+    assert.deepStrictEqual(sent.stats, { recipients: 2, pending: 0, skipped: 0, accepted: 2, sent: 0, delivered: 0, read: 0, failed: 0 });
+
+    const [toCustomer, toSubscriber] = sent.recipients.map(recipient => recipient.messageId);
+    await postStatuses([
+      { id: toCustomer, status: 'delivered', recipient_id: RR120_INDIA },
+      { id: toCustomer, status: 'read', recipient_id: RR120_INDIA },
+      { id: toSubscriber, status: 'failed', recipient_id: SUBSCRIBER_INDIA, errors: [{ code: 131050, title: 'Unable to deliver the message' }] }
+    ]);
+    const { body: { campaigns } } = await bot.admin('GET', '/campaigns?status=sent');
+    assert.deepStrictEqual(campaigns.find(entry => entry.id === campaign.id).stats,
+      { recipients: 2, pending: 0, skipped: 0, accepted: 0, sent: 0, delivered: 0, read: 1, failed: 1 });
+
+    // Blocking marketing in WhatsApp counts as opting out
+    const { body: { consents } } = await bot.admin('GET', '/consents?status=opted_out');
+    assert.strictEqual(consents.find(entry => entry.customer === SUBSCRIBER_INDIA).history.at(-1).source, 'meta');
+  });
+
+  it('sends scheduled campaigns when they are due and validates new ones', async () => {
+    const { body: { campaign } } = await bot.admin('POST', '/campaigns', {
+      name: 'Price update', template: { name: 'price_update', parameters: ['5%'] }, audience: { countries: ['44'] },
+      scheduledAt: new Date(Date.now() + 150).toISOString()
+    });
+    assert.strictEqual(campaign.template.language, 'en');
+
+    await new Promise(resolve => setTimeout(resolve, 400));
+    await bot.app.locals.whenIdle();
+    assert.deepStrictEqual(templatesTo(RR120_UK), ['[template] price_update: 5%']);
+    const { body: { campaign: sent } } = await bot.admin('GET', `/campaigns/${campaign.id}`);
+    assert.strictEqual(sent.status, 'sent');
+
+    const late = await bot.admin('POST', `/campaigns/${campaign.id}/cancel`);
+    assert.strictEqual(late.status, 400);
+    assert.deepStrictEqual(late.body.details, ['campaign is sent; only scheduled campaigns can be cancelled']);
+
+    const invalid = await bot.admin('POST', '/campaigns', {
+      name: ' ',
+      template: { name: 'New Shades', language: 'english', parameters: [''] },
+      audience: { categories: ['pigments'], region: ['EU'] },
+      scheduledAt: 'next week'
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, [
+      'name is required',
+      'template name may only contain lowercase letters, digits and underscores',
+      'template language must be a code such as en or en_US',
+      'body parameter 1 is required',
+      'audience.region is not a filter (use categories, countries, purchasedProducts)',
+      "audience.categories: unknown category 'pigments'",
+      'scheduledAt must be a date and time such as 2024-06-01T09:00:00+05:30'
+    ]);
+
+    const missing = await bot.admin('GET', '/campaigns/CMP-09999');
+    assert.strictEqual(missing.status, 404);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestBot } = require('./harness');
+const { parseCsv } = require('../catalog');
+
+const PIGMENT = {
+  id: 'pig-001',
+  name: 'Pigment Blue 15:3',
+  type: 'Organic Pigment',
+  category: 'reactive',
+  pricePerKg: 12,
+  moq: '50 kg',
+  cas: '147-14-8'
+};
+
+let bot;
+
+// Helper function to post a CSV file to the import endpoint
+const importCsv = async (csv, query = '') => {
+  const response = await fetch(`${bot.baseUrl}/admin/catalog/import${query}`, {
+    method: 'POST',
+    headers: { 'content-type': 'text/csv', 'x-api-key': 'test-admin-key' },
+    body: csv
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Helper function to wait for the catalog watcher, which reloads 200 ms after the file settles
+const waitForReload = () => new Promise(resolve => setTimeout(resolve, 600));
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('CSV parsing', () => {
+  it('reads quoted fields with commas, quotes and line breaks, and skips blank lines', () => {
+    const csv = 'id,name,application\r\n' +
+      'dye-101,"Reactive Red 195, 150%","Cotton, Viscose"\r\n' +
+      '\r\n' +
+      'dye-102,"The ""Navy"" one","Line one\nLine two"';
+    assert.deepStrictEqual(parseCsv(csv), [
+      { id: 'dye-101', name: 'Reactive Red 195, 150%', application: 'Cotton, Viscose' },
+      { id: 'dye-102', name: 'The "Navy" one', application: 'Line one\nLine two' }
+    ]);
+    assert.deepStrictEqual(parseCsv(''), []);
+  });
+});
+
+describe('catalog admin API', () => {
+  it('creates, reads, updates and deletes products', async () => {
+    const created = await bot.admin('POST', '/products', { ...PIGMENT, pricePerKg: '12', inStock: 'no', extra: 'dropped' });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.body.product, { ...PIGMENT, inStock: false });
+
+    assert.deepStrictEqual((await bot.admin('GET', '/products/pig-001')).body.product, { ...PIGMENT, inStock: false });
+    const inCategory = await bot.admin('GET', '/products?category=reactive');
+    assert.ok(inCategory.body.products.some(product => product.id === 'pig-001'));
+
+    const updated = await bot.admin('PUT', '/products/pig-001', { pricePerKg: 14, inStock: true });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.product.pricePerKg, 14);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(bot.dataDir, 'catalog.json'), 'utf8')).products['pig-001'].pricePerKg, 14);
+
+    assert.deepStrictEqual((await bot.admin('DELETE', '/products/pig-001')).body, { deleted: 'pig-001' });
+    assert.strictEqual((await bot.admin('GET', '/products/pig-001')).status, 404);
+    assert.strictEqual((await bot.admin('PUT', '/products/pig-001', { pricePerKg: 14 })).status, 404);
+    assert.strictEqual((await bot.admin('DELETE', '/products/pig-001')).status, 404);
+  });
+
+  it('rejects duplicate ids, missing CAS numbers and bad prices', async () => {
+    const duplicate = await bot.admin('POST', '/products', { ...PIGMENT, id: 'dye-001' });
+    assert.strictEqual(duplicate.status, 400);
+    assert.deepStrictEqual(duplicate.body.details, ['Product dye-001: duplicate id']);
+
+    const { cas, ...withoutCas } = PIGMENT;
+    const invalid = await bot.admin('POST', '/products', { ...withoutCas, pricePerKg: 'twelve' });
+    assert.deepStrictEqual(invalid.body.details, [
+      'Product pig-001: cas is required',
+      'Product pig-001: pricePerKg must be a positive number'
+    ]);
+    const malformed = await bot.admin('POST', '/products', { ...PIGMENT, cas: '147148', pricePerKg: -3, category: 'pigments' });
+    assert.deepStrictEqual(malformed.body.details, [
+      'Product pig-001: pricePerKg must be a positive number',
+      'Product pig-001: cas must look like 61951-82-4',
+      "Product pig-001: unknown category 'pigments'"
+    ]);
+    const update = await bot.admin('PUT', '/products/dye-001', { pricePerKg: 0 });
+    assert.deepStrictEqual(update.body.details, ['Product dye-001: pricePerKg must be a positive number']);
+    assert.strictEqual((await bot.admin('GET', '/products/pig-001')).status, 404);
+  });
+
+  it('manages categories, refusing to delete one that still has products', async () => {
+    const created = await bot.admin('POST', '/categories', { key: 'pigments', name: 'Pigments' });
+    assert.strictEqual(created.status, 201);
+    assert.deepStrictEqual(created.body, { key: 'pigments', category: { name: 'Pigments', description: '' } });
+    assert.strictEqual((await bot.admin('POST', '/categories', { key: 'pigments', name: 'Again' })).status, 400);
+
+    const renamed = await bot.admin('PUT', '/categories/pigments', { description: 'Organic Pigments' });
+    assert.deepStrictEqual(renamed.body.category, { name: 'Pigments', description: 'Organic Pigments' });
+
+    const inUse = await bot.admin('DELETE', '/categories/reactive');
+    assert.strictEqual(inUse.status, 409);
+    assert.match(inUse.body.error, /^Category reactive still has products: dye-001, /);
+    assert.deepStrictEqual((await bot.admin('DELETE', '/categories/pigments')).body, { deleted: 'pigments' });
+    assert.strictEqual((await bot.admin('DELETE', '/categories/pigments')).status, 404);
+  });
+
+  it('imports CSV rows, or none of them when a row is invalid', async () => {
+    const header = 'id,name,type,category,price_per_kg,moq,cas,aliases,application\n';
+    const rejected = await importCsv(header +
+      'dye-101,"Reactive Red 195, 150%",Reactive Dye,reactive,48,100 kg,93050-79-4,RR195; Red ME4BL,"Cotton, Viscose"\n' +
+      'dye-102,Reactive Navy,Reactive Dye,reactive,free,100 kg,,,\n' +
+      'dye-101,Reactive Red 195 again,Reactive Dye,reactive,48,100 kg,93050-79-4,,\n');
+    assert.strictEqual(rejected.status, 400);
+    assert.deepStrictEqual(rejected.body.details, [
+      'Row 2: Product dye-102: cas is required',
+      'Row 2: Product dye-102: pricePerKg must be a positive number',
+      'Row 3: Product dye-101: duplicate id'
+    ]);
+    assert.strictEqual((await bot.admin('GET', '/products/dye-101')).status, 404);
+
+    const imported = await importCsv(header +
+      'dye-101,"Reactive Red 195, 150%",Reactive Dye,reactive,48,100 kg,93050-79-4,RR195; Red ME4BL,"Cotton, Viscose"\n');
+    assert.deepStrictEqual(imported.body, { imported: 1, total: 11 });
+    const { body: { product } } = await bot.admin('GET', '/products/dye-101');
+    assert.strictEqual(product.name, 'Reactive Red 195, 150%');
+    assert.strictEqual(product.application, 'Cotton, Viscose');
+    assert.strictEqual(product.pricePerKg, 48);
+    assert.deepStrictEqual(product.aliases, ['RR195', 'Red ME4BL']);
+
+    assert.deepStrictEqual((await importCsv(header)).body, { error: 'No products to import' });
+  });
+});
+
+describe('catalog file', () => {
+  it('reloads when the file changes and keeps the last good catalog when it breaks', async () => {
+    const catalogFile = path.join(bot.dataDir, 'catalog.json');
+    const data = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+    data.products['dye-001'].pricePerKg = 55;
+    fs.writeFileSync(catalogFile, JSON.stringify(data, null, 2));
+    await waitForReload();
+    assert.strictEqual((await bot.admin('GET', '/products/dye-001')).body.product.pricePerKg, 55);
+
+    data.products['dye-001'].cas = 'unknown';
+    fs.writeFileSync(catalogFile, JSON.stringify(data, null, 2));
+    await waitForReload();
+    assert.strictEqual((await bot.admin('GET', '/products/dye-001')).body.product.cas, '61951-82-4');
+    assert.deepStrictEqual((await bot.admin('POST', '/catalog/reload')).body, { error: 'Catalog file is invalid; previous catalog kept' });
+
+    // The bot answers from the reloaded catalog too: $55 a kg, quoted in pounds to a UK number
+    data.products['dye-001'].cas = '61951-82-4';
+    fs.writeFileSync(catalogFile, JSON.stringify(data, null, 2));
+    const reloaded = await bot.admin('POST', '/catalog/reload');
+    assert.strictEqual(reloaded.status, 200);
+    const { chat } = await bot.startChat();
+    await chat.say('61951-82-4');
+    const [details] = await chat.choose('product_dye-001');
+    assert.match(details, /\*Price:\* £43\.45 per kg/);
+  });
+});
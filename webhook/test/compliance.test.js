@@ -0,0 +1,169 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript, WELCOME, MAIN_MENU } = require('./harness');
+const { validateRegistrationNumber } = require('../compliance');
+
+const GSTIN = '24AAACC1206D1ZM';
+
+let bot;
+
+// Each test chats from its own number and opens Benzidine Intermediate, a restricted product
+const viewBenzidine = async () => {
+  const { chat, customer } = await bot.startChat();
+  await chat.say('92-87-5');
+  const details = await chat.choose('product_int-003');
+  return { chat, customer, details };
+};
+
+// Helper function to get through verification from the registration prompt
+const verify = async (chat) => {
+  await chat.say(GSTIN);
+  return chat.press('declaration_accept');
+};
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('hazard data', () => {
+  it('shows GHS hazards, hazard statements and the UN number in product details', async () => {
+    const { details } = await viewBenzidine();
+    assert.match(details[0], /\*Hazards:\* ⚠️ Harmful\/Irritant, Health hazard, Environmental hazard\n• H302: Harmful if swallowed\n• H350: May cause cancer\n/);
+    assert.match(details[0], /\*UN number:\* UN1885\n🔒 Restricted: sold only to verified businesses/);
+  });
+
+  it('rejects malformed hazard data in the catalog', async () => {
+    const { status, body } = await bot.admin('POST', '/products', {
+      id: 'int-099',
+      name: 'Test Intermediate',
+      type: 'Chemical Intermediate',
+      category: 'intermediate',
+      pricePerKg: 10,
+      moq: '25 kg',
+      cas: '92-87-5',
+      hazard: { ghs: ['GHS10'], statements: ['May cause cancer'], unNumber: '1885', restricted: 'yes' }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, [
+      'Product int-099: hazard.ghs must be a list of GHS pictogram codes (GHS01 to GHS09)',
+      "Product int-099: hazard.statements must be a list of hazard statements starting with their code, e.g. 'H350: May cause cancer'",
+      'Product int-099: hazard.unNumber must look like UN1885',
+      'Product int-099: hazard.restricted must be true or false'
+    ]);
+  });
+});
+
+describe('restricted products', () => {
+  it('asks for a GSTIN and the end-use declaration before adding to the cart, and audits the order', async () => {
+    const { chat, customer } = await viewBenzidine();
+    assertTranscript(assert, await chat.press('add_to_cart'), [
+      /^🔒 \*Benzidine Intermediate\* is a restricted chemical\.[\s\S]*\*GSTIN\*/
+    ]);
+    assertTranscript(assert, await chat.say('24AAACC1206D1ZX'), [/^That GSTIN's last character doesn't match/]);
+    assertTranscript(assert, await chat.say('24aaacc1206d1zm'), ['[buttons] End-Use Declaration: declaration_accept, declaration_decline']);
+    assert.match(chat.sent().at(-1).interactive.body.text, /registered as 24AAACC1206D1ZM/);
+
+    assertTranscript(assert, await chat.press('declaration_accept'), [
+      '✅ Thank you. Your business is verified for restricted products.',
+      /^\[buttons\] Benzidine Intermediate: qty_moq, cancel_quantity$/
+    ]);
+    await chat.press('qty_moq');
+    await chat.choose('view_cart');
+    await chat.choose('checkout');
+    await chat.say('Acme Dyestuff Ltd');
+    await chat.say('Priya Shah');
+    await chat.say('buyer@acme.example');
+    await chat.say('Plot 42, GIDC Vatva, Ahmedabad, Gujarat');
+    await chat.say('382445');
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+
+    const { body } = await bot.admin('GET', `/audit?customer=${customer}`);
+    assert.deepStrictEqual(body.entries.map(entry => entry.type), ['restricted_order', 'business_verified']);
+    const [sale] = body.entries;
+    assert.strictEqual(sale.orderNumber, orderNumber);
+    assert.strictEqual(sale.registrationNumber, GSTIN);
+    assert.strictEqual(sale.declarationVersion, body.entries[1].declarationVersion);
+    assert.deepStrictEqual(sale.products, [
+      { id: 'int-003', name: 'Benzidine Intermediate', cas: '92-87-5', unNumber: 'UN1885', quantityKg: 600 }
+    ]);
+  });
+
+  it('goes straight to the quantity once the customer is verified', async () => {
+    const { chat } = await viewBenzidine();
+    await chat.press('add_to_cart');
+    await verify(chat);
+    await chat.press('cancel_quantity');
+    assertTranscript(assert, await chat.press('add_to_cart'), [/^\[buttons\] Benzidine Intermediate: qty_moq/]);
+  });
+
+  it('returns to the product when the declaration is declined', async () => {
+    const { chat, customer } = await viewBenzidine();
+    await chat.press('add_to_cart');
+    await chat.say(GSTIN);
+    assertTranscript(assert, await chat.press('declaration_decline'), [
+      "Without the end-use declaration we can't sell restricted products. You can still order our other products.",
+      '[buttons] Product Actions: add_to_cart, request_quote, back_to_products'
+    ]);
+    const { status } = await bot.admin('GET', `/verifications/${customer}`);
+    assert.strictEqual(status, 404);
+  });
+
+  it('verifies before quoting a restricted product and audits the quote request', async () => {
+    const { chat, customer } = await viewBenzidine();
+    assertTranscript(assert, await chat.choose('request_quote'), [/^🔒 \*Benzidine Intermediate\* is a restricted chemical/]);
+    assertTranscript(assert, await verify(chat), [
+      '✅ Thank you. Your business is verified for restricted products.',
+      /^Let's prepare a quote for \*Benzidine Intermediate\*/,
+      /^How much do you need\?/
+    ]);
+    await chat.say('1000 kg');
+    await chat.say('Ahmedabad, Gujarat');
+    const received = await chat.say('31/12/2099');
+    const leadId = received[0].match(/RFQ-\d{5}/)[0];
+
+    const { body } = await bot.admin('GET', `/audit?customer=${customer}&type=restricted_quote`);
+    assert.strictEqual(body.entries.length, 1);
+    assert.strictEqual(body.entries[0].leadId, leadId);
+    assert.strictEqual(body.entries[0].products[0].quantityKg, 1000);
+  });
+
+  it('blocks checkout once an admin revokes the verification', async () => {
+    const { chat, customer } = await viewBenzidine();
+    await chat.press('add_to_cart');
+    await verify(chat);
+    await chat.press('qty_moq');
+
+    const revoked = await bot.admin('PATCH', `/verifications/${customer}`, { status: 'revoked', note: 'GSTIN cancelled' });
+    assert.strictEqual(revoked.status, 200);
+    assert.strictEqual(revoked.body.verification.status, 'revoked');
+
+    await chat.choose('view_cart');
+    await chat.choose('checkout');
+    await chat.say('Acme Dyestuff Ltd');
+    await chat.say('Priya Shah');
+    await chat.say('buyer@acme.example');
+    await chat.say('Plot 42, GIDC Vatva, Ahmedabad, Gujarat');
+    await chat.say('382445');
+    assertTranscript(assert, await chat.press('checkout_confirm'), [
+      /^Your cart has restricted products, and your business is no longer verified/,
+      WELCOME,
+      MAIN_MENU
+    ]);
+    const { body } = await bot.admin('GET', `/audit?customer=${customer}`);
+    assert.deepStrictEqual(body.entries.map(entry => entry.type), ['verification_updated', 'business_verified']);
+    const { body: orders } = await bot.admin('GET', `/orders?customer=${customer}`);
+    assert.deepStrictEqual(orders.orders, []);
+  });
+
+  it('validates GSTIN check characters and CIN numbers', () => {
+    assert.deepStrictEqual(validateRegistrationNumber('24 AAACC 1206 D1ZM'), { value: GSTIN, type: 'gstin' });
+    assert.deepStrictEqual(validateRegistrationNumber('L17110MH1973PLC019786'), { value: 'L17110MH1973PLC019786', type: 'cin' });
+    assert.deepStrictEqual(validateRegistrationNumber('24AAACC1206D1ZN'), { error: 'errors.registration_checksum' });
+    assert.deepStrictEqual(validateRegistrationNumber('ACME123'), { error: 'errors.registration_number' });
+  });
+});
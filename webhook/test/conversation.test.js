@@ -0,0 +1,218 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript, WELCOME, MAIN_MENU } = require('./harness');
+
+const PRODUCT_ACTIONS = '[buttons] Product Actions: add_to_cart, request_quote, back_to_products';
+
+let bot;
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('browsing', () => {
+  it('walks from categories to a product and back', async () => {
+    const { chat, picker, replies } = await bot.startChat();
+    assertTranscript(assert, picker, ['[list] Choose your language: lang_en, lang_gu, lang_hi']);
+    assertTranscript(assert, replies, ["Okay, I'll reply in English.", WELCOME, MAIN_MENU]);
+
+    assertTranscript(assert, await chat.choose('browse_products'), [
+      '[list] Product Categories: category_reactive, category_direct, category_acid, category_intermediate'
+    ]);
+    assertTranscript(assert, await chat.choose('category_reactive'), [
+      '[list] Reactive Dye: product_dye-001, product_dye-002, product_dye-003, back_to_categories'
+    ]);
+    assertTranscript(assert, await chat.choose('product_dye-002'), [
+      /^\*Reactive Blue 19\*\n\n\*Type:\* Reactive Dye\n/,
+      PRODUCT_ACTIONS
+    ]);
+    assertTranscript(assert, await chat.press('back_to_products'), [
+      '[list] Reactive Dye: product_dye-001, product_dye-002, product_dye-003, back_to_categories'
+    ]);
+    assertTranscript(assert, await chat.choose('back_to_categories'), [
+      '[list] Product Categories: category_reactive, category_direct, category_acid, category_intermediate'
+    ]);
+  });
+
+  it('asks new customers for their language, guessing from the country code', async () => {
+    const chat = bot.conversation('919800000001');
+    await chat.say('hello');
+    const picker = chat.sent().pop();
+    assert.strictEqual(picker.interactive.header.text, 'अपनी भाषा चुनें');
+
+    assertTranscript(assert, await chat.choose('lang_gu'), [
+      'બરાબર, હું ગુજરાતીમાં જવાબ આપીશ.',
+      /^ડાઇઝ એન્ડ ઇન્ટરમીડિએટ્સ/,
+      /: browse_products, search_products, request_quote, track_order, contact_support, change_language, change_currency$/
+    ]);
+  });
+});
+
+describe('cart', () => {
+  it('adds a product, checks the MOQ and shows the cart', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('browse_products');
+    await chat.choose('category_reactive');
+    await chat.choose('product_dye-001');
+
+    assertTranscript(assert, await chat.press('add_to_cart'), ['[buttons] Reactive Red 120: qty_moq, cancel_quantity']);
+    assertTranscript(assert, await chat.say('2 drums'), [
+      /^The minimum order quantity for Reactive Red 120 is 100 kg \(4 drums\)\./
+    ]);
+    assertTranscript(assert, await chat.say('200 kg'), [
+      'Added 8 drums (200 kg) of Reactive Red 120 to your cart.',
+      // A fourth button doesn't fit, so the actions come as a list
+      '[list] Product Actions: add_to_cart, request_quote, back_to_products, view_cart'
+    ]);
+    assertTranscript(assert, await chat.choose('view_cart'), [
+      // UK numbers see pounds and pay no Indian GST on exports
+      /^\*Your Cart\*\n\n1\. \*Reactive Red 120\*\n {4}8 drums \(200 kg\)\n {4}200 kg x £39\.50\/kg = £7,900\n\nSubtotal: £7,900\nGST \(export, zero-rated\) @ 0%: £0\n\*Total: £7,900\*$/,
+      '[list] Your Cart: cart_item_dye-001, checkout, clear_cart, continue_shopping'
+    ]);
+  });
+
+  it('checks out with shipping details and tracks the order', async () => {
+    const { chat } = await bot.startChat();
+    await chat.say('RR120');
+    await chat.choose('product_dye-001');
+    await chat.press('add_to_cart');
+    await chat.press('qty_moq');
+    await chat.choose('view_cart');
+
+    assertTranscript(assert, await chat.choose('checkout'), [/^Let's place your order\./, 'Please enter your *company name*.']);
+    assertTranscript(assert, await chat.say('Acme Textiles'), ["Please enter the *contact person's name*."]);
+    assertTranscript(assert, await chat.say('Priya Shah'), [/email address/]);
+    assertTranscript(assert, await chat.say('not-an-email'), [/^That does not look like a valid email address/]);
+    await chat.say('buyer@acme.example');
+    await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+    assertTranscript(assert, await chat.say('394210'), [
+      /^\*Order Summary\*[\s\S]*Acme Textiles/,
+      '[buttons] Confirm Order: checkout_confirm, checkout_edit, checkout_cancel'
+    ]);
+
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+    // The customer has a profile and an order now, so the menu greets them and offers to reorder
+    const returningMenu = MAIN_MENU.replace('track_order', 'track_order, reorder_last, my_orders');
+    assertTranscript(assert, placed, [/has been placed/, 'Welcome back, Priya Shah! How can I assist you today? Select an option:', returningMenu]);
+
+    assertTranscript(assert, await chat.choose('track_order'), [`[list] Track Order: track_${orderNumber}`]);
+    assertTranscript(assert, await chat.choose(`track_${orderNumber}`), [
+      new RegExp(`^\\*Order ${orderNumber}\\*\\n\\n\\*Status:\\* Received[\\s\\S]*\\n\\n\\*Total:\\* £3,950\\n\\nThank you for your business!$`),
+      /^Welcome back, Priya Shah!/,
+      returningMenu
+    ]);
+  });
+});
+
+describe('order updates', () => {
+  // Helper function to order the MOQ of Reactive Red 120, returning the order number
+  const placeOrder = async (chat) => {
+    await chat.say('RR120');
+    await chat.choose('product_dye-001');
+    await chat.press('add_to_cart');
+    await chat.press('qty_moq');
+    await chat.choose('view_cart');
+    await chat.choose('checkout');
+    for (const answer of ['Acme Textiles', 'Priya Shah', 'buyer@acme.example', '12 Ring Road, Udhna, Surat, Gujarat', '394210']) {
+      await chat.say(answer);
+    }
+    const [placed] = await chat.press('checkout_confirm');
+    return placed.match(/\*(DY\d{4}-\d{5})\*/)[1];
+  };
+
+  it('lets an admin move an order on and tells the buyer', async () => {
+    const { chat } = await bot.startChat();
+    const orderNumber = await placeOrder(chat);
+    const before = chat.sent().length;
+
+    const shipped = await bot.admin('PATCH', `/orders/${orderNumber}`, { status: 'Shipped', courier: 'Blue Dart', lrNumber: 'BD123456', note: 'Left Surat' });
+    assert.strictEqual(shipped.status, 200);
+    assert.strictEqual(shipped.body.notified, true);
+    assert.strictEqual(shipped.body.order.status, 'Shipped');
+    assert.deepStrictEqual(shipped.body.order.statusHistory.map(entry => entry.status), ['Received', 'Shipped']);
+
+    const notifications = chat.sent().slice(before).map(payload => payload.text.body);
+    assert.strictEqual(notifications.length, 1);
+    assert.match(notifications[0], new RegExp(`^📦 Update on your order\\n\\n\\*Order ${orderNumber}\\*\\n\\n\\*Status:\\* Shipped\\n`));
+    assert.match(notifications[0], /\*Courier:\* Blue Dart\n\*LR\/Tracking No:\* BD123456\n/);
+  });
+
+  it('rejects unknown statuses and orders, and reports a buyer it could not tell', async () => {
+    const { chat } = await bot.startChat();
+    const orderNumber = await placeOrder(chat);
+    const before = chat.sent().length;
+
+    const invalid = await bot.admin('PATCH', `/orders/${orderNumber}`, { status: 'Lost' });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, ['status must be one of: Received, Processing, On Hold, Shipped, Delivered, Cancelled']);
+    assert.deepStrictEqual((await bot.admin('PATCH', `/orders/${orderNumber}`, {})).body.details, ['nothing to update: pass status, courier, lrNumber or eta']);
+    assert.strictEqual((await bot.admin('PATCH', '/orders/DY0000-00000', { status: 'Shipped' })).status, 404);
+    assert.strictEqual((await bot.admin('GET', `/orders/${orderNumber}`)).body.order.status, 'Received');
+    assert.strictEqual(chat.sent().length, before);
+
+    bot.fakeApi.failNext(400, { code: 131026, message: 'Message undeliverable' });
+    const cancelled = await bot.admin('PATCH', `/orders/${orderNumber}`, { status: 'Cancelled' });
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(cancelled.body.order.status, 'Cancelled');
+    assert.deepStrictEqual([cancelled.body.notified, cancelled.body.notificationError], [false, 'invalid_recipient']);
+  });
+});
+
+describe('search', () => {
+  it('finds products despite typos', async () => {
+    const { chat } = await bot.startChat();
+    assertTranscript(assert, await chat.choose('search_products'), ["Please type the name or type of product you're looking for."]);
+    assertTranscript(assert, await chat.say('reactve red'), [
+      'Found 1 products matching your search:',
+      '[list] Search Results: product_dye-001, main_menu'
+    ]);
+  });
+
+  it('finds a product by CAS number with any dashes', async () => {
+    const { chat } = await bot.startChat();
+    assertTranscript(assert, await chat.say('61951 82 4'), [
+      'Found 1 products matching your search:',
+      '[list] Search Results: product_dye-001, main_menu'
+    ]);
+  });
+
+  it('pages through long result lists', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('search_products');
+    const [found, firstPage] = await chat.say('dye');
+    assert.strictEqual(found, 'Found 10 products matching your search:');
+    assert.match(firstPage, /^\[list\] Search Results: (product_[\w-]+, ){8}search_more, main_menu$/);
+    assert.match((await chat.choose('search_more'))[0], /^\[list\] Search Results: (product_[\w-]+, ){2}main_menu$/);
+  });
+
+  it('tells the customer when nothing matches', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('search_products');
+    assertTranscript(assert, await chat.say('zzzz'), [
+      'No products found matching your search. Please try different keywords.',
+      WELCOME,
+      MAIN_MENU
+    ]);
+  });
+});
+
+describe('support', () => {
+  it('offers sales and technical contacts', async () => {
+    const { chat } = await bot.startChat();
+    assertTranscript(assert, await chat.choose('contact_support'), [
+      '[buttons] Contact Support: talk_to_agent, sales_inquiry, technical_support'
+    ]);
+    assertTranscript(assert, await chat.press('technical_support'), [/^For technical assistance/, WELCOME, MAIN_MENU]);
+  });
+
+  it('returns to the main menu', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('contact_support');
+    assertTranscript(assert, await chat.say('menu'), [WELCOME, MAIN_MENU]);
+  });
+});
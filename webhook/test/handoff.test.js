@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestBot, assertTranscript, WELCOME, MAIN_MENU } = require('./harness');
+const { createHandoffStore } = require('../handoff_store');
+
+const QUEUED = /^I've asked our team to join this chat\./;
+
+let bot;
+
+// Each test chats from its own number and asks for a person
+const startHandoff = async () => {
+  const { chat, customer } = await bot.startChat();
+  assertTranscript(assert, await chat.choose('contact_support'), [
+    '[buttons] Contact Support: talk_to_agent, sales_inquiry, technical_support'
+  ]);
+  assertTranscript(assert, await chat.press('talk_to_agent'), [QUEUED]);
+  const { body } = await bot.admin('GET', `/handoffs?customer=${customer}`);
+  return { chat, customer, handoff: body.handoffs[0] };
+};
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('handoff to a human agent', () => {
+  it('queues the conversation and passes messages on without bot replies', async () => {
+    const { chat, handoff } = await startHandoff();
+    assert.strictEqual(handoff.status, 'waiting');
+    assert.strictEqual(handoff.reason, 'contacting_support');
+
+    assertTranscript(assert, await chat.say('Can you do 5 MT of H-Acid?'), []);
+    // Bot commands are passed on too while an agent has the chat
+    assertTranscript(assert, await chat.say('menu'), []);
+
+    const { body } = await bot.admin('GET', `/handoffs/${handoff.id}`);
+    assert.deepStrictEqual(body.handoff.messages.map(message => [message.from, message.text]), [
+      ['customer', 'Can you do 5 MT of H-Acid?'],
+      ['customer', 'menu']
+    ]);
+  });
+
+  it('records STOP and SUBSCRIBE while an agent has the chat, and passes them on', async () => {
+    const { chat, customer, handoff } = await startHandoff();
+    assertTranscript(assert, await chat.say('STOP'), [/^You won't receive offers or announcements from us any more\./]);
+    const { body: { consents } } = await bot.admin('GET', '/consents?status=opted_out');
+    assert.strictEqual(consents.find(entry => entry.customer === customer).history.at(-1).keyword, 'stop');
+
+    assertTranscript(assert, await chat.say('subscribe'), [/^✅ You're subscribed/]);
+    const { body } = await bot.admin('GET', `/handoffs/${handoff.id}`);
+    assert.deepStrictEqual(body.handoff.messages.map(message => message.text), ['STOP', 'subscribe']);
+    assert.strictEqual(body.handoff.status, 'waiting');
+  });
+
+  it('lets an agent reply, which tells the customer they joined', async () => {
+    const { chat, customer, handoff } = await startHandoff();
+    const before = chat.sent().length;
+
+    const reply = await bot.admin('POST', `/handoffs/${handoff.id}/messages`, { agent: 'Asha', text: 'Yes, we can. Which port?' });
+    assert.strictEqual(reply.status, 201);
+    assert.strictEqual(reply.body.handoff.status, 'active');
+    assert.strictEqual(reply.body.handoff.agent, 'Asha');
+
+    assert.deepStrictEqual(chat.sent().slice(before).map(payload => payload.text.body), [
+      '👋 Asha from our team has joined the chat.',
+      'Yes, we can. Which port?'
+    ]);
+
+    await chat.say('Nhava Sheva');
+    const { body } = await bot.admin('GET', `/handoffs?customer=${customer}`);
+    assert.strictEqual(body.handoffs[0].messageCount, 2);
+    assert.strictEqual(body.handoffs[0].lastMessage.text, 'Nhava Sheva');
+  });
+
+  it('hands the conversation back to the bot when the agent closes it', async () => {
+    const { chat, handoff } = await startHandoff();
+    await bot.admin('POST', `/handoffs/${handoff.id}/claim`, { agent: 'Ravi' });
+    const before = chat.sent().length;
+
+    const closed = await bot.admin('POST', `/handoffs/${handoff.id}/close`, { agent: 'Ravi' });
+    assert.strictEqual(closed.body.handoff.status, 'closed');
+    assert.match(chat.sent().slice(before)[0].text.body, /^Ravi has left the chat\./);
+
+    assertTranscript(assert, await chat.say('thanks'), [WELCOME, MAIN_MENU]);
+    assert.strictEqual((await bot.admin('POST', `/handoffs/${handoff.id}/messages`, { agent: 'Ravi', text: 'hello?' })).status, 409);
+  });
+
+  it('lets the customer end the chat', async () => {
+    const { chat, handoff } = await startHandoff();
+    assertTranscript(assert, await chat.say('end chat'), ["You've left the chat with our team.", WELCOME, MAIN_MENU]);
+
+    const { body } = await bot.admin('GET', `/handoffs/${handoff.id}`);
+    assert.strictEqual(body.handoff.closedReason, 'customer');
+  });
+
+  it('rejects unknown handoffs and incomplete replies', async () => {
+    const { handoff } = await startHandoff();
+    assert.strictEqual((await bot.admin('GET', '/handoffs/HO-99999')).status, 404);
+    assert.strictEqual((await bot.admin('GET', '/handoffs?status=lost')).status, 400);
+
+    const invalid = await bot.admin('POST', `/handoffs/${handoff.id}/messages`, { text: '' });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, ['agent is required', 'text is required']);
+  });
+});
+
+describe('handoff idle timeout', () => {
+  it('closes handoffs with no activity for longer than the timeout', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-handoff-test-'));
+    try {
+      const store = createHandoffStore({ filePath: path.join(dir, 'handoffs.json'), idleTimeoutMs: 60 * 1000 });
+      const quiet = await store.openHandoff({ customer: '447700900201', language: 'en' });
+      const busy = await store.openHandoff({ customer: '447700900202', language: 'en' });
+
+      const later = Date.parse(quiet.lastActivityAt) + 90 * 1000;
+      busy.lastActivityAt = new Date(later - 1000).toISOString();
+
+      const closed = await store.closeIdle(later);
+      assert.deepStrictEqual(closed.map(handoff => handoff.id), [quiet.id]);
+      assert.strictEqual(store.getHandoff(quiet.id).closedReason, 'idle');
+      assert.strictEqual(store.getOpenHandoff('447700900202').id, busy.id);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeCloudApi } = require('../fake_cloud_api');
+
+const APP_SECRET = 'test-app-secret';
+const PHONE_NUMBER_ID = '100000000000001';
+
+// The main brand's welcome text and menu, as a first-time customer sees them in English
+const WELCOME = 'Welcome to Dyes & Intermediates Bot! How can I assist you today? Select an option:';
+const MAIN_MENU = '[list] 🎨 Welcome to Dyes & Intermediates Bot!: browse_products, search_products, request_quote, track_order, contact_support, change_language, change_currency';
+
+// Helper function to turn an outbound payload into one transcript line:
+//   text       -> the text itself
+//   list       -> '[list] Header: row_id, row_id'
+//   buttons    -> '[buttons] Header: button_id, button_id'
+//   image/doc  -> '[image] caption' / '[document] filename'
+//   template   -> '[template] name: parameter, parameter'
+const describeReply = (payload) => {
+  if (payload.type === 'text') {
+    return payload.text.body;
+  }
+  if (payload.type === 'interactive') {
+    const { type, header, action } = payload.interactive;
+    const ids = type === 'list'
+      ? action.sections.flatMap(section => section.rows.map(row => row.id))
+      : action.buttons.map(button => button.reply.id);
+    return `[${type === 'list' ? 'list' : 'buttons'}] ${header ? header.text : ''}: ${ids.join(', ')}`;
+  }
+  if (payload.type === 'image' || payload.type === 'document') {
+    const media = payload[payload.type];
+    return `[${payload.type}] ${media.filename || media.caption || ''}`.trim();
+  }
+  if (payload.type === 'template') {
+    const parameters = (payload.template.components || []).flatMap(component => component.parameters.map(parameter => parameter.text));
+    return `[template] ${payload.template.name}: ${parameters.join(', ')}`;
+  }
+  return `[${payload.type}]`;
+};
+
+// Start the bot against a fake Cloud API with its own data directory and copies of the seed catalog and pricing.
+// dataFiles are written to the data directory first, as if left by an earlier run: { 'jobs.json': {...} }.
+// dyes_server.js reads its configuration when first required, so use one bot per test file.
+const startTestBot = async ({
+  catalogFile = path.join(__dirname, '..', 'data', 'catalog.json'),
+  pricingFile = path.join(__dirname, '..', 'data', 'pricing.json'),
+  dataFiles = {},
+  env = {}
+} = {}) => {
+  const fakeApi = createFakeCloudApi();
+  const apiUrl = await fakeApi.start();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-bot-test-'));
+  fs.copyFileSync(catalogFile, path.join(dataDir, 'catalog.json'));
+  fs.copyFileSync(pricingFile, path.join(dataDir, 'pricing.json'));
+  Object.entries(dataFiles).forEach(([name, contents]) => {
+    fs.writeFileSync(path.join(dataDir, name), JSON.stringify(contents, null, 2));
+  });
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    WHATSAPP_API_BASE_URL: apiUrl,
+    WHATSAPP_TOKEN: 'test-token',
+    WHATSAPP_PHONE_NUMBER_ID: PHONE_NUMBER_ID,
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    WEBHOOK_VERIFY_TOKEN: 'test-verify-token',
+    ADMIN_API_KEY: 'test-admin-key',
+    DATA_DIR: dataDir,
+    CATALOG_FILE: path.join(dataDir, 'catalog.json'),
+    PRICING_FILE: path.join(dataDir, 'pricing.json'),
+    OUTBOUND_RETRY_BASE_MS: '10',
+    // The bot logs every request, message and transition; set TEST_LOGS=1 to see them
+    LOG_LEVEL: process.env.TEST_LOGS ? 'debug' : 'silent',
+    ...env
+  });
+
+  const app = require('../dyes_server');
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  // POST a webhook body the way Meta does, signed with the app secret (or the secret given).
+  // signature replaces the X-Hub-Signature-256 header; null leaves it out.
+  const postWebhook = async (body, { secret = APP_SECRET, signature } = {}) => {
+    const raw = JSON.stringify(body);
+    const header = signature !== undefined ? signature : `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}`;
+    const response = await fetch(`${baseUrl}/webhook`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(header === null ? {} : { 'x-hub-signature-256': header }) },
+      body: raw
+    });
+    await app.locals.whenIdle();
+    return response;
+  };
+
+  // Helper function to wrap messages in a webhook delivery from one customer (to our main number by default)
+  const buildDelivery = (from, messages, phoneNumberId = PHONE_NUMBER_ID) => ({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'test-waba',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '15550000000', phone_number_id: phoneNumberId },
+          contacts: [{ profile: { name: 'Test Customer' }, wa_id: from }],
+          messages
+        }
+      }]
+    }]
+  });
+
+  let messageCount = 0;
+
+  // A customer chatting with the bot; each call resolves with the bot's replies as transcript lines.
+  // phoneNumberId picks which of our numbers they write to (see tenant_store.js).
+  const conversation = (from, { phoneNumberId } = {}) => {
+    const send = async (message) => {
+      const before = fakeApi.getMessages(from).length;
+      const response = await postWebhook(buildDelivery(from, [{
+        from,
+        id: `wamid.TEST${String(++messageCount).padStart(6, '0')}`,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...message
+      }], phoneNumberId));
+      if (response.status !== 200) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+      return fakeApi.getMessages(from).slice(before).map(sent => describeReply(sent.payload));
+    };
+
+    return {
+      say: (text) => send({ type: 'text', text: { body: text } }),
+      choose: (id, title = id) => send({ type: 'interactive', interactive: { type: 'list_reply', list_reply: { id, title } } }),
+      press: (id, title = id) => send({ type: 'interactive', interactive: { type: 'button_reply', button_reply: { id, title } } }),
+      // file = { id, mime_type, filename, caption }; make the id downloadable first with fakeApi.addMedia
+      sendDocument: (file) => send({ type: 'document', document: file }),
+      sendImage: (file) => send({ type: 'image', image: file }),
+      shareLocation: (location) => send({ type: 'location', location }),
+      // Payloads as sent to the Cloud API, for assertions beyond the transcript
+      sent: () => fakeApi.getMessages(from).map(sent => sent.payload)
+    };
+  };
+
+  let customerCount = 0;
+
+  // Helper function for a number no other chat in this bot has used: prefix (country code and the start of the
+  // number; UK by default) padded to 12 digits with a counter
+  const nextCustomer = (prefix = '44770099') => `${prefix}${String(++customerCount).padStart(12 - prefix.length, '0')}`;
+
+  // A customer past the language picker, in English: a fresh UK number unless customer is given, writing to
+  // phoneNumberId (our main number by default). Resolves with the chat, the number, the language picker and
+  // the replies to choosing English.
+  const startChat = async ({ customer = nextCustomer(), phoneNumberId } = {}) => {
+    const chat = conversation(customer, { phoneNumberId });
+    const picker = await chat.say('hi');
+    const replies = await chat.choose('lang_en');
+    return { chat, customer, picker, replies };
+  };
+
+  // Helper function to call the admin API
+  const admin = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}/admin${urlPath}`, {
+      method,
+      headers: { 'content-type': 'application/json', 'x-api-key': 'test-admin-key' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const stop = async () => {
+    await app.locals.whenIdle();
+    await new Promise(resolve => server.close(resolve));
+    await fakeApi.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return { app, fakeApi, baseUrl, dataDir, conversation, startChat, nextCustomer, postWebhook, buildDelivery, admin, stop };
+};
+
+// Check a transcript line by line; expected lines are exact strings or patterns
+const assertTranscript = (assert, actual, expected) => {
+  assert.strictEqual(actual.length, expected.length, `expected ${expected.length} replies, got:\n${actual.join('\n---\n')}`);
+  expected.forEach((line, index) => {
+    if (line instanceof RegExp) {
+      assert.match(actual[index], line);
+    } else {
+      assert.strictEqual(actual[index], line);
+    }
+  });
+};
+
+module.exports = {
+  WELCOME,
+  MAIN_MENU,
+  startTestBot,
+  describeReply,
+  assertTranscript
+};
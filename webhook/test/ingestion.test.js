@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, describeReply, assertTranscript } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+
+let bot;
+let messageCount = 0;
+
+// Helper function for a message as Meta sends it (sentAt: ms timestamp)
+const inbound = (from, content, { id = `wamid.INGEST${String(++messageCount).padStart(6, '0')}`, sentAt = Date.now() } = {}) => ({
+  from,
+  id,
+  timestamp: String(Math.floor(sentAt / 1000)),
+  ...content
+});
+
+const text = (body) => ({ type: 'text', text: { body } });
+const listReply = (id) => ({ type: 'interactive', interactive: { type: 'list_reply', list_reply: { id, title: id } } });
+
+const repliesTo = (customer) => bot.fakeApi.getMessages(customer).map(sent => describeReply(sent.payload));
+
+// Helper function to read one sample from /metrics, e.g. 'dyes_inbound_dropped_total{reason="stale"}'
+const sample = async (series) => {
+  const text = await (await fetch(`${bot.baseUrl}/metrics`)).text();
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+before(async () => {
+  bot = await startTestBot({
+    // Seen just before the restart that started this bot
+    dataFiles: { 'inbound_messages.json': { seen: { 'wamid.BEFORE_RESTART': Date.now() - 60 * 1000 } } }
+  });
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('webhook ingestion', () => {
+  it("handles each customer's messages one at a time, in the order they arrived", async () => {
+    const first = '447700906001';
+    const second = '447700906002';
+    const [one, two] = await Promise.all([
+      bot.postWebhook(bot.buildDelivery(first, [inbound(first, text('hi')), inbound(first, listReply('lang_en'))])),
+      bot.postWebhook(bot.buildDelivery(second, [inbound(second, text('hi'))]))
+    ]);
+    assert.strictEqual(one.status, 200);
+    assert.strictEqual(two.status, 200);
+
+    // The language is picked from the list the first message was answered with
+    assertTranscript(assert, repliesTo(first), [
+      /^\[list\] .*: lang_en/,
+      "Okay, I'll reply in English.",
+      /^Welcome to Dyes & Intermediates Bot!/,
+      /^\[list\] .*: browse_products/
+    ]);
+    assertTranscript(assert, repliesTo(second), [/^\[list\] .*: lang_en/]);
+  });
+
+  it("drops Meta's redeliveries, including ones from before a restart", async () => {
+    const customer = '447700906003';
+    const message = inbound(customer, text('hi'));
+    await bot.postWebhook(bot.buildDelivery(customer, [message, message]));
+    await bot.postWebhook(bot.buildDelivery(customer, [message]));
+    await bot.postWebhook(bot.buildDelivery(customer, [inbound(customer, text('hi'), { id: 'wamid.BEFORE_RESTART' })]));
+
+    assert.strictEqual(repliesTo(customer).length, 1);
+    assert.strictEqual(await sample('dyes_inbound_dropped_total{reason="duplicate"}'), 3);
+  });
+
+  it('leaves messages too old to answer', async () => {
+    const customer = '447700906004';
+    const response = await bot.postWebhook(bot.buildDelivery(customer, [inbound(customer, text('hi'), { sentAt: Date.now() - 2 * HOUR })]));
+    assert.strictEqual(response.status, 200);
+
+    assertTranscript(assert, repliesTo(customer), []);
+    assert.strictEqual(await sample('dyes_inbound_dropped_total{reason="stale"}'), 1);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestBot, assertTranscript } = require('./harness');
+
+let bot;
+let catalogDir;
+
+before(async () => {
+  // The seed catalog plus a category of twelve pigments, too many for one list message
+  catalogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-bot-paging-'));
+  const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'catalog.json'), 'utf8'));
+  catalog.categories.pigments = { name: 'Pigments', description: 'Organic Pigments' };
+  for (let n = 1; n <= 12; n++) {
+    const id = `pig-${String(n).padStart(3, '0')}`;
+    catalog.products[id] = { ...catalog.products['dye-001'], id, name: `Pigment ${n}`, type: 'Organic Pigment', category: 'pigments' };
+  }
+  const catalogFile = path.join(catalogDir, 'catalog.json');
+  fs.writeFileSync(catalogFile, JSON.stringify(catalog));
+
+  bot = await startTestBot({ catalogFile });
+});
+
+after(async () => {
+  await bot.stop();
+  fs.rmSync(catalogDir, { recursive: true, force: true });
+});
+
+describe('long lists', () => {
+  it('pages through a long list and ignores the page rows of an older one', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('browse_products');
+
+    assertTranscript(assert, await chat.choose('category_pigments'), [
+      /^\[list\] Organic Pigment: (product_pig-\d+, ){8}list_page_1_1$/
+    ]);
+    assertTranscript(assert, await chat.choose('list_page_1_1'), [
+      /^\[list\] Organic Pigment: (product_pig-\d+, ){4}back_to_categories, list_page_1_0$/
+    ]);
+
+    await chat.choose('back_to_categories');
+    assertTranscript(assert, await chat.choose('category_pigments'), [/, list_page_2_1$/]);
+    // A Previous/Next row from the first list is answered like any other unexpected reply
+    assertTranscript(assert, await chat.choose('list_page_1_1'), [/^\[list\] Organic Pigment: (product_pig-\d+, ){8}list_page_3_1$/]);
+    assertTranscript(assert, await chat.choose('list_page_3_1'), [/, back_to_categories, list_page_3_0$/]);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestBot, assertTranscript } = require('./harness');
+
+const PDF = '%PDF-1.4 purchase order';
+
+let bot;
+let mediaDir;
+
+// Helper function to put a product in the cart and answer checkout up to the address
+const checkoutToAddress = async (chat) => {
+  await chat.say('RR120');
+  await chat.choose('product_dye-001');
+  await chat.press('add_to_cart');
+  await chat.press('qty_moq');
+  await chat.choose('view_cart');
+  await chat.choose('checkout');
+  await chat.say('Acme Textiles');
+  await chat.say('Priya Shah');
+  await chat.say('buyer@acme.example');
+};
+
+before(async () => {
+  // The seed catalog, with a picture and data sheets for Reactive Red 120
+  mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-bot-media-'));
+  fs.writeFileSync(path.join(mediaDir, 'rr120.jpg'), 'jpeg bytes');
+  fs.writeFileSync(path.join(mediaDir, 'rr120-tds.pdf'), '%PDF-1.4 tds');
+  const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'catalog.json'), 'utf8'));
+  catalog.products['dye-001'].media = {
+    image: 'rr120.jpg',
+    tds: 'rr120-tds.pdf',
+    sds: 'https://example.com/sds/rr120.pdf'
+  };
+  const catalogFile = path.join(mediaDir, 'catalog.json');
+  fs.writeFileSync(catalogFile, JSON.stringify(catalog));
+
+  bot = await startTestBot({ catalogFile, env: { MEDIA_DIR: mediaDir } });
+});
+
+after(async () => {
+  await bot.stop();
+  fs.rmSync(mediaDir, { recursive: true, force: true });
+});
+
+describe('product media', () => {
+  it('sends the product picture and its data sheets, uploading each file once', async () => {
+    const { chat } = await bot.startChat();
+    await chat.say('RR120');
+    assertTranscript(assert, await chat.choose('product_dye-001'), [
+      '[image] Reactive Red 120',
+      /^\*Reactive Red 120\*/,
+      '[list] Product Actions: add_to_cart, request_quote, back_to_products, product_documents'
+    ]);
+    assertTranscript(assert, await chat.press('product_documents'), [
+      '[list] Product Documents: document_tds, document_sds'
+    ]);
+    assertTranscript(assert, await chat.choose('document_tds'), ['[document] Reactive Red 120 - Technical data sheet.pdf']);
+    assertTranscript(assert, await chat.choose('document_sds'), ['[document] Reactive Red 120 - Safety data sheet.pdf']);
+
+    // Viewing the product again reuses the uploaded picture
+    await chat.choose('product_dye-001');
+    const sent = chat.sent().filter(payload => payload.type === 'image' || payload.type === 'document');
+    const uploads = bot.fakeApi.getUploads();
+    assert.strictEqual(uploads.length, 2);
+    assert.deepStrictEqual(sent.map(payload => payload[payload.type].id || payload[payload.type].link), [
+      sent[0].image.id,
+      sent[1].document.id,
+      'https://example.com/sds/rr120.pdf',
+      sent[0].image.id
+    ]);
+    assert.match(sent[0].image.id, /^media\.FAKE/);
+  });
+
+  it('shows products without media as before', async () => {
+    const { chat } = await bot.startChat();
+    await chat.choose('browse_products');
+    await chat.choose('category_reactive');
+    const replies = await chat.choose('product_dye-002');
+    assert.strictEqual(replies.length, 2);
+    assert.match(replies[1], /: add_to_cart, request_quote, back_to_products$/);
+  });
+
+  it('rejects media entries the bot cannot send', async () => {
+    const { status, body } = await bot.admin('POST', '/products', {
+      id: 'dye-099',
+      name: 'Test Dye',
+      type: 'Reactive Dye',
+      cas: '12226-45-8',
+      category: 'reactive',
+      application: 'Cotton',
+      packaging: '25 kg HDPE drums',
+      pricePerKg: 10,
+      moq: '25 kg',
+      description: 'A dye for testing.',
+      media: { image: 'card.pdf', tds: '../secret.pdf', brochure: 'x.pdf' }
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, [
+      'Product dye-099: media.image must be a .jpg or .png picture',
+      'Product dye-099: media.tds must be a link or a file name inside the media directory',
+      'Product dye-099: media.brochure is not a known file (use image, shade_card, tds, sds)'
+    ]);
+  });
+});
+
+describe('files and locations from customers', () => {
+  it('keeps a purchase order sent during checkout with the order', async () => {
+    const { chat } = await bot.startChat();
+    await checkoutToAddress(chat);
+    bot.fakeApi.addMedia('media.PO1', PDF, 'application/pdf');
+    assertTranscript(assert, await chat.sendDocument({ id: 'media.PO1', mime_type: 'application/pdf', filename: 'PO-7781.pdf' }), [
+      "📎 Got PO-7781.pdf. We'll keep it with this order."
+    ]);
+
+    await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+    await chat.say('394210');
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+
+    const { body: { order } } = await bot.admin('GET', `/orders/${orderNumber}`);
+    assert.deepStrictEqual(order.attachments.map(({ filename, kind, size }) => ({ filename, kind, size })), [
+      { filename: 'PO-7781.pdf', kind: 'document', size: PDF.length }
+    ]);
+
+    const { body: list } = await bot.admin('GET', `/attachments?customer=${order.customer}`);
+    assert.strictEqual(list.attachments.length, 1);
+    const response = await fetch(`${bot.baseUrl}/admin/attachments/${order.attachments[0].id}/file`, {
+      headers: { 'x-api-key': 'test-admin-key' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), PDF);
+    assert.match(response.headers.get('content-disposition'), /PO-7781\.pdf/);
+  });
+
+  it('adds a file sent later to the latest order', async () => {
+    const { chat } = await bot.startChat();
+    await checkoutToAddress(chat);
+    await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+    await chat.say('394210');
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+
+    bot.fakeApi.addMedia('media.PHOTO1', 'jpeg bytes', 'image/jpeg');
+    assertTranscript(assert, await chat.sendImage({ id: 'media.PHOTO1', mime_type: 'image/jpeg', caption: 'Signed PO' }), [
+      new RegExp(`^📎 Got ATT-\\d{5}\\.jpg and added it to order \\*${orderNumber}\\*\\.$`)
+    ]);
+    const { body: { order } } = await bot.admin('GET', `/orders/${orderNumber}`);
+    assert.strictEqual(order.attachments[0].caption, 'Signed PO');
+  });
+
+  it('explains where to send files when there is nothing to attach them to, and reports failed downloads', async () => {
+    const { chat } = await bot.startChat();
+    assertTranscript(assert, await chat.sendDocument({ id: 'media.NOPE', filename: 'PO.pdf' }), [/^Thanks for the file\./]);
+
+    await checkoutToAddress(chat);
+    assertTranscript(assert, await chat.sendDocument({ id: 'media.NOPE', filename: 'PO.pdf' }), [
+      "Sorry, we couldn't receive that file. Please try sending it again."
+    ]);
+  });
+
+  it('takes a shared location as the delivery address', async () => {
+    const { chat } = await bot.startChat();
+    await checkoutToAddress(chat);
+    assertTranscript(assert, await chat.shareLocation({ latitude: 21.1702, longitude: 72.8311, name: 'Acme Textiles', address: 'Ring Road, Surat' }), [
+      'Please enter the *PIN or ZIP code* for delivery.'
+    ]);
+    await chat.say('394210');
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+
+    const { body: { order } } = await bot.admin('GET', `/orders/${orderNumber}`);
+    assert.strictEqual(order.shipping.address, 'Acme Textiles, Ring Road, Surat (https://maps.google.com/?q=21.1702,72.8311)');
+    assert.deepStrictEqual(order.shipping.location, { latitude: 21.1702, longitude: 72.8311 });
+  });
+});
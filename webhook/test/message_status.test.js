@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestBot } = require('./harness');
+const { createMessageStatusStore } = require('../message_status_store');
+
+const ACME_NUMBER = '100000000000002';
+const ACME = { id: 'acme', name: 'Acme Pigments', phoneNumberId: ACME_NUMBER, accessToken: 'acme-token' };
+
+let dataDir;
+let bot;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-status-test-'));
+  bot = await startTestBot({ dataFiles: { 'tenants.json': { tenants: [ACME] } } });
+});
+
+after(async () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  await bot.stop();
+});
+
+// Helper function to post status callbacks for our messages, received on one of our numbers
+const postStatuses = (phoneNumberId, statuses) => {
+  const delivery = bot.buildDelivery(statuses[0].recipient_id, [], phoneNumberId);
+  const { value } = delivery.entry[0].changes[0];
+  delete value.messages;
+  value.statuses = statuses;
+  return bot.postWebhook(delivery);
+};
+
+describe('message status store', () => {
+  it('keeps callbacks that arrive before the send call has returned', async () => {
+    const store = createMessageStatusStore({ filePath: path.join(dataDir, 'statuses.json') });
+    const sentAt = Math.floor(Date.now() / 1000);
+    await store.applyStatus({ id: 'wamid.EARLY', recipient_id: '447700907001', status: 'sent', timestamp: String(sentAt) });
+    await store.applyStatus({ id: 'wamid.EARLY', recipient_id: '447700907001', status: 'delivered', timestamp: String(sentAt + 1) });
+    await store.recordOutbound({ id: 'wamid.EARLY', to: '447700907001', payload: { type: 'text', text: { body: 'Your order has shipped' } } });
+
+    const message = store.getMessage('wamid.EARLY');
+    assert.strictEqual(message.status, 'delivered');
+    assert.strictEqual(message.type, 'text');
+    assert.strictEqual(message.summary, 'Your order has shipped');
+    assert.deepStrictEqual(message.timeline.map(entry => entry.status), ['accepted', 'sent', 'delivered']);
+  });
+});
+
+describe('delivery admin API', () => {
+  it("shows each brand's deliveries to a customer apart, with their timelines", async () => {
+    const customer = '447700907101';
+    await bot.conversation(customer).say('hi');
+    await bot.conversation(customer, { phoneNumberId: ACME_NUMBER }).say('hi');
+    const [mainId, acmeId] = bot.fakeApi.getMessages(customer).map(message => message.id);
+
+    const now = Math.floor(Date.now() / 1000);
+    await postStatuses('100000000000001', [
+      { id: mainId, recipient_id: customer, status: 'delivered', timestamp: String(now + 1) },
+      { id: mainId, recipient_id: customer, status: 'read', timestamp: String(now + 5) }
+    ]);
+    await postStatuses(ACME_NUMBER, [
+      { id: acmeId, recipient_id: customer, status: 'failed', timestamp: String(now + 1), errors: [{ code: 131026, title: 'Message undeliverable' }] }
+    ]);
+
+    const main = await bot.admin('GET', `/conversations/${customer}/deliveries`);
+    assert.strictEqual(main.body.tenantId, 'default');
+    assert.deepStrictEqual(main.body.messages.map(message => [message.id, message.status]), [[mainId, 'read']]);
+    assert.deepStrictEqual(main.body.counts, { accepted: 0, sent: 0, delivered: 0, read: 1, failed: 0 });
+    assert.strictEqual(main.body.lastReadAt, new Date((now + 5) * 1000).toISOString());
+    assert.deepStrictEqual(main.body.messages[0].timeline.map(entry => entry.status), ['accepted', 'delivered', 'read']);
+
+    const acme = await bot.admin('GET', `/conversations/${customer}/deliveries?tenant=acme`);
+    assert.deepStrictEqual(acme.body.messages.map(message => [message.id, message.tenantId, message.status]), [[acmeId, 'acme', 'failed']]);
+    assert.strictEqual(acme.body.messages[0].errors[0].hint, 'Message undeliverable (number not on WhatsApp or app too old)');
+    assert.strictEqual(acme.body.lastReadAt, null);
+
+    const failed = await bot.admin('GET', `/deliveries?status=failed&to=${customer}`);
+    assert.deepStrictEqual(failed.body.messages.map(message => message.id), [acmeId]);
+    assert.deepStrictEqual((await bot.admin('GET', `/deliveries?to=${customer}&tenant=default`)).body.messages.map(message => message.id), [mainId]);
+    assert.strictEqual((await bot.admin('GET', `/deliveries/${acmeId}`)).body.message.summary, '[list] Choose your language');
+    assert.strictEqual((await bot.admin('GET', '/deliveries/wamid.UNKNOWN')).status, 404);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./harness');
+const { createMetricsRegistry } = require('../metrics');
+
+let bot;
+
+// Helper function to scrape /metrics and read one sample, e.g. sample(text, 'dyes_funnel_events_total{event="search"}')
+const scrape = async () => {
+  const response = await fetch(`${bot.baseUrl}/metrics`);
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  return response.text();
+};
+
+const sample = (text, series) => {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('/metrics', () => {
+  it('counts messages, transitions and sales funnel steps', async () => {
+    const { chat, customer } = await bot.startChat();
+    await chat.choose('browse_products');
+    await chat.choose('category_reactive');
+    await chat.choose('product_dye-001');
+    await chat.press('add_to_cart');
+    await chat.press('qty_moq');
+    await chat.choose('view_cart');
+    await chat.choose('checkout');
+    await chat.say('Acme Textiles');
+
+    const text = await scrape();
+    assert.strictEqual(sample(text, 'dyes_inbound_messages_total{type="text"}'), 2);
+    assert.strictEqual(sample(text, 'dyes_inbound_messages_total{type="interactive"}'), 8);
+    assert.strictEqual(sample(text, 'dyes_state_transitions_total{from="welcome",to="choosing_language"}'), 1);
+    assert.strictEqual(sample(text, 'dyes_state_transitions_total{from="viewing_product",to="entering_quantity"}'), 1);
+    for (const event of ['browse', 'view_product', 'add_to_cart', 'checkout']) {
+      assert.strictEqual(sample(text, `dyes_funnel_events_total{event="${event}"}`), 1, event);
+    }
+    assert.strictEqual(sample(text, 'dyes_funnel_events_total{event="order_placed"}'), undefined);
+
+    const sent = sample(text, 'dyes_outbound_messages_total{outcome="sent",reason=""}');
+    assert.strictEqual(sent, bot.fakeApi.getMessages(customer).length);
+    assert.strictEqual(sample(text, 'dyes_whatsapp_send_duration_seconds_count{outcome="sent"}'), sent);
+    assert.strictEqual(sample(text, 'dyes_graph_api_request_duration_seconds_bucket{status="200",le="+Inf"}'), sent);
+  });
+
+  it('counts searches that find nothing', async () => {
+    const { chat } = await bot.startChat();
+    const before = sample(await scrape(), 'dyes_funnel_events_total{event="search_no_results"}') || 0;
+
+    await chat.choose('search_products');
+    await chat.say('zzzz');
+    const text = await scrape();
+    assert.strictEqual(sample(text, 'dyes_funnel_events_total{event="search_no_results"}'), before + 1);
+  });
+
+  it('records failed sends and Graph API errors', async () => {
+    const chat = bot.conversation('447700930003');
+    bot.fakeApi.failNext(400, { code: 100, message: 'Invalid parameter' });
+    await chat.say('hi');
+
+    const text = await scrape();
+    assert.strictEqual(sample(text, 'dyes_outbound_messages_total{outcome="failed",reason="invalid_parameter"}'), 1);
+    assert.strictEqual(sample(text, 'dyes_graph_api_request_duration_seconds_count{status="400"}'), 1);
+    assert.strictEqual(sample(text, 'dyes_whatsapp_send_duration_seconds_count{outcome="failed"}'), 1);
+  });
+});
+
+describe('metrics registry', () => {
+  it('renders counters and cumulative histogram buckets in the text format', () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['path'] });
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+    requests.inc({ path: '/a "quoted"' });
+    requests.inc({ path: '/a "quoted"' }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 3);
+
+    assert.strictEqual(registry.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{path="/a \\"quoted\\""} 3',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 2',
+      'latency_seconds_bucket{le="+Inf"} 3',
+      'latency_seconds_sum 3.55',
+      'latency_seconds_count 3',
+      ''
+    ].join('\n'));
+  });
+});
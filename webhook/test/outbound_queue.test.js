@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript } = require('./harness');
+const { createOutboundQueue, classifySendError, WhatsAppSendError } = require('../outbound_queue');
+
+let bot;
+
+// Helper function for the error axios raises when the Graph API answers with an error
+const apiError = (status, error, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { error }, headers }
+});
+
+// Helper function for a send() that fails with the given errors in turn, then succeeds; calls are recorded
+const sendFailing = (...errors) => {
+  const calls = [];
+  const send = async (payload, options) => {
+    calls.push({ to: payload.to, options, at: Date.now() });
+    const error = errors.shift();
+    if (error) {
+      throw error;
+    }
+    return { messages: [{ id: `wamid.${payload.to}.${calls.length}` }] };
+  };
+  return { send, calls };
+};
+
+// Helper function for a dead letter store that keeps its entries in memory
+const memoryDeadLetters = () => {
+  const entries = [];
+  return { entries, add: async (entry) => entries.push(entry) };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('send error classification', () => {
+  it('sorts Graph API errors into permanent and transient ones', () => {
+    const classify = (...args) => {
+      const { permanent, reason } = classifySendError(apiError(...args));
+      return [permanent, reason];
+    };
+    assert.deepStrictEqual(classify(400, { code: 131026, message: 'Message undeliverable' }), [true, 'invalid_recipient']);
+    assert.deepStrictEqual(classify(401, { code: 190, message: 'Token expired' }), [true, 'access_token_expired']);
+    assert.deepStrictEqual(classify(401, {}), [true, 'unauthorized']);
+    assert.deepStrictEqual(classify(400, { code: 33, message: 'Unknown' }), [true, 'bad_request']);
+    assert.deepStrictEqual(classify(503, {}), [false, 'server_error']);
+    assert.deepStrictEqual(classify(400, { code: 131000, message: 'Something went wrong' }), [false, 'server_error']);
+    assert.deepStrictEqual(classify(400, { code: 130429, message: 'Rate limit hit' }), [false, 'rate_limited']);
+
+    const network = classifySendError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+    assert.deepStrictEqual(network, { permanent: false, reason: 'network_error', message: 'socket hang up', code: 'ECONNRESET' });
+  });
+
+  it('reads how long to back off from Retry-After or the business use case usage header', () => {
+    const retryAfter = (headers) => classifySendError(apiError(429, { code: 130429 }, headers)).retryAfterMs;
+    assert.strictEqual(retryAfter({ 'retry-after': '30' }), 30 * 1000);
+    const inAMinute = retryAfter({ 'retry-after': new Date(Date.now() + 60 * 1000).toUTCString() });
+    assert.ok(inAMinute > 58 * 1000 && inAMinute <= 60 * 1000, `expected about a minute, got ${inAMinute} ms`);
+    const usage = { 123: [{ type: 'whatsapp', estimated_time_to_regain_access: 5 }, { type: 'whatsapp', estimated_time_to_regain_access: 12 }] };
+    assert.strictEqual(retryAfter({ 'x-business-use-case-usage': JSON.stringify(usage) }), 12 * 60 * 1000);
+    assert.strictEqual(retryAfter({ 'x-business-use-case-usage': 'not json' }), null);
+    assert.strictEqual(retryAfter({}), null);
+  });
+});
+
+describe('outbound queue', () => {
+  it('pauses every send after a 429 for as long as Meta asks, then retries', async () => {
+    const { send, calls } = sendFailing(apiError(429, { code: 130429, message: 'Rate limit hit' }, { 'retry-after': '0.3' }));
+    const queue = createOutboundQueue({ send, baseDelayMs: 10 });
+
+    const first = queue.enqueue({ to: '447700908101' });
+    await sleep(20);
+    assert.ok(queue.stats().pausedUntil, 'the queue should report the pause');
+    const second = queue.enqueue({ to: '447700908102' });
+
+    await Promise.all([first, second]);
+    assert.deepStrictEqual(calls.map(call => call.to), ['447700908101', '447700908101', '447700908102']);
+    assert.ok(calls[1].at - calls[0].at >= 290, 'the rate-limited message waits out the pause');
+    assert.ok(calls[2].at - calls[0].at >= 290, 'other recipients wait out the pause too');
+  });
+
+  it('retries server errors with growing delays until the message goes through', async () => {
+    const serverError = () => apiError(500, { code: 1, message: 'An unknown error occurred' });
+    const { send, calls } = sendFailing(serverError(), serverError());
+    const deadLetters = memoryDeadLetters();
+    const queue = createOutboundQueue({ send, deadLetterStore: deadLetters, baseDelayMs: 40 });
+
+    const result = await queue.enqueue({ to: '447700908103' }, { phoneNumberId: '100000000000001' });
+    assert.deepStrictEqual(result, { messages: [{ id: 'wamid.447700908103.3' }] });
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(calls[2].options, { phoneNumberId: '100000000000001' });
+    // Backoff with jitter: 20-40 ms before the second attempt, 40-80 ms before the third
+    assert.ok(calls[1].at - calls[0].at >= 18);
+    assert.ok(calls[2].at - calls[1].at >= 38);
+    assert.deepStrictEqual(deadLetters.entries, []);
+  });
+
+  it('dead-letters permanent failures straight away and transient ones once out of attempts', async () => {
+    const { send, calls } = sendFailing(
+      apiError(400, { code: 131026, message: 'Message undeliverable' }),
+      ...Array.from({ length: 3 }, () => apiError(503, {}))
+    );
+    const deadLetters = memoryDeadLetters();
+    const queue = createOutboundQueue({ send, deadLetterStore: deadLetters, maxAttempts: 3, baseDelayMs: 5 });
+
+    const payload = { to: '447700908104', type: 'text', text: { body: 'Hello' } };
+    await assert.rejects(queue.enqueue(payload, { phoneNumberId: '100000000000002' }), (error) =>
+      error instanceof WhatsAppSendError && error.permanent && error.reason === 'invalid_recipient' && error.attempts === 1);
+    assert.strictEqual(calls.length, 1);
+    await assert.rejects(queue.enqueue(payload), (error) => error.reason === 'server_error' && error.attempts === 3);
+    assert.strictEqual(calls.length, 4);
+
+    assert.deepStrictEqual(deadLetters.entries.map(({ to, phoneNumberId, payload: sent, error }) => [to, phoneNumberId, sent, error.reason, error.permanent, error.code]), [
+      ['447700908104', '100000000000002', payload, 'invalid_recipient', true, 131026],
+      ['447700908104', undefined, payload, 'server_error', false, undefined]
+    ]);
+  });
+});
+
+describe('outbound messages through the Cloud API', () => {
+  it('gets replies through a rate limit and server errors', async () => {
+    bot.fakeApi.failNext(429, { code: 130429, message: 'Rate limit hit' });
+    bot.fakeApi.failNext(500, { code: 131000, message: 'Something went wrong' }, 2);
+    const chat = bot.conversation(bot.nextCustomer());
+    assertTranscript(assert, await chat.say('hi'), ['[list] Choose your language: lang_en, lang_gu, lang_hi']);
+    assert.deepStrictEqual((await bot.admin('GET', '/dead-letters')).body.deadLetters, []);
+  });
+
+  it('dead-letters a rejected reply, and lets an admin retry or discard it', async () => {
+    const customer = bot.nextCustomer();
+    const chat = bot.conversation(customer);
+    bot.fakeApi.failNext(400, { code: 131026, message: 'Message undeliverable' });
+    assertTranscript(assert, await chat.say('hi'), []);
+
+    const { body: { deadLetters: [deadLetter] } } = await bot.admin('GET', `/dead-letters?to=${customer}`);
+    assert.strictEqual(deadLetter.error.reason, 'invalid_recipient');
+    assert.strictEqual(deadLetter.error.attempts, 1);
+    assert.strictEqual(deadLetter.payload.interactive.type, 'list');
+    assert.deepStrictEqual((await bot.admin('GET', `/dead-letters/${deadLetter.id}`)).body.deadLetter, deadLetter);
+    assert.deepStrictEqual((await bot.admin('GET', '/dead-letters?reason=rate_limited')).body.deadLetters, []);
+
+    const retried = await bot.admin('POST', `/dead-letters/${deadLetter.id}/retry`);
+    assert.strictEqual(retried.status, 200);
+    assert.strictEqual(retried.body.delivered, true);
+    assertTranscript(assert, chat.sent().map(payload => payload.interactive.header.text), ['Choose your language']);
+    assert.deepStrictEqual((await bot.admin('GET', `/dead-letters?to=${customer}`)).body.deadLetters, []);
+    assert.strictEqual((await bot.admin('POST', `/dead-letters/${deadLetter.id}/retry`)).status, 404);
+
+    // A retry that fails again is dead-lettered under a new id; that one is discarded
+    bot.fakeApi.failNext(400, { code: 131026, message: 'Message undeliverable' });
+    await chat.say('hi');
+    const { body: { deadLetters: [again] } } = await bot.admin('GET', `/dead-letters?to=${customer}`);
+    bot.fakeApi.failNext(400, { code: 131026, message: 'Message undeliverable' });
+    const failed = await bot.admin('POST', `/dead-letters/${again.id}/retry`);
+    assert.deepStrictEqual([failed.status, failed.body.delivered, failed.body.reason], [502, false, 'invalid_recipient']);
+    const { body: { deadLetters: [last] } } = await bot.admin('GET', `/dead-letters?to=${customer}`);
+    assert.notStrictEqual(last.id, again.id);
+
+    assert.deepStrictEqual((await bot.admin('DELETE', `/dead-letters/${last.id}`)).body, { deleted: last.id });
+    assert.strictEqual((await bot.admin('DELETE', `/dead-letters/${last.id}`)).status, 404);
+    assert.strictEqual((await bot.admin('GET', `/dead-letters/${last.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript } = require('./harness');
+
+let bot;
+
+// Each test chats from its own Indian number (INR prices, 18% GST), in English
+const startChat = () => bot.startChat({ customer: bot.nextCustomer('9198250') });
+
+// Helper function to put 600 kg of Reactive Red 120 (over the 500 kg volume break) in the cart
+const addRR120 = async (chat) => {
+  await chat.say('RR120');
+  await chat.choose('product_dye-001');
+  await chat.press('add_to_cart');
+  await chat.say('600 kg');
+};
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('prices', () => {
+  it('shows per-kg and per-pack prices in the currency for the customer\'s country, with volume discounts', async () => {
+    const { chat } = await startChat();
+    await chat.say('RR120');
+    const [details] = await chat.choose('product_dye-001');
+    assert.match(details, /\*Price:\* ₹4,175 per kg · ₹1,04,375 per drum \(25 kg\)\n/);
+    assert.match(details, /\*Volume discounts:\* 3% off from 500 kg, 5% off from 1,000 kg, 8% off from 5,000 kg\n/);
+  });
+
+  it('applies the volume discount and GST in the cart and keeps the confirmed prices with the order', async () => {
+    const { chat } = await startChat();
+    await addRR120(chat);
+    assertTranscript(assert, await chat.choose('view_cart'), [
+      '*Your Cart*\n\n1. *Reactive Red 120*\n    24 drums (600 kg)\n    600 kg x ₹4,049.75/kg = ₹24,29,850 (incl. 3% volume discount)\n\n' +
+        'Subtotal: ₹24,29,850\nGST @ 18%: ₹4,37,373\n*Total: ₹28,67,223*',
+      /^\[list\] Your Cart: /
+    ]);
+
+    await chat.choose('checkout');
+    await chat.say('Acme Textiles');
+    await chat.say('Priya Shah');
+    await chat.say('buyer@acme.example');
+    await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+    const [summary] = await chat.say('394210');
+    assert.match(summary, /Subtotal: ₹24,29,850\nGST @ 18%: ₹4,37,373\n\*Total: ₹28,67,223\*/);
+
+    const placed = await chat.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+    const { body: { order } } = await bot.admin('GET', `/orders/${orderNumber}`);
+    assert.strictEqual(order.currency, 'INR');
+    assert.strictEqual(order.exchangeRate, 83.5);
+    assert.strictEqual(order.subtotal, 2429850);
+    assert.deepStrictEqual(order.tax, { name: 'GST', ratePercent: 18, amount: 437373 });
+    assert.strictEqual(order.total, 2867223);
+    assert.strictEqual(order.items[0].unitPrice, 4049.75);
+    assert.strictEqual(order.items[0].discountPercent, 3);
+  });
+
+  it('lets the customer pick another currency; tax still follows their country', async () => {
+    const { chat } = await startChat();
+    await addRR120(chat);
+    assertTranscript(assert, await chat.choose('change_currency'), [
+      '[list] Choose your currency: currency_usd, currency_inr, currency_eur, currency_gbp, currency_aed'
+    ]);
+    assert.match(chat.sent().at(-1).interactive.body.text, /^Prices are shown in INR\./);
+    assert.strictEqual(chat.sent().at(-1).interactive.action.sections[0].rows[1].description, 'Indian Rupee');
+
+    assertTranscript(assert, await chat.choose('currency_usd'), [
+      'Okay, prices are now shown in USD.',
+      /\n {4}600 kg x \$48\.50\/kg = \$29,100 \(incl\. 3% volume discount\)\n\nSubtotal: \$29,100\nGST @ 18%: \$5,238\n\*Total: \$34,338\*$/,
+      /^\[list\] Your Cart: /
+    ]);
+  });
+});
+
+describe('pricing admin API', () => {
+  it('puts a customer on a price list', async () => {
+    const { chat, customer } = await startChat();
+    const { status, body } = await bot.admin('PUT', `/pricing/customers/${customer}`, { group: 'distributor' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { customer, group: 'distributor' });
+
+    // Distributors get 10% off catalog prices, and their own price for Benzidine Intermediate
+    await chat.say('RR120');
+    assert.match((await chat.choose('product_dye-001'))[0], /\*Price:\* ₹3,757\.50 per kg/);
+    await chat.say('92-87-5');
+    assert.match((await chat.choose('product_int-003'))[0], /\*Price:\* ₹317\.30 per kg/);
+
+    const unknown = await bot.admin('PUT', `/pricing/customers/${customer}`, { group: 'wholesale' });
+    assert.strictEqual(unknown.status, 400);
+    assert.deepStrictEqual(unknown.body.details, ["unknown price list 'wholesale'"]);
+  });
+
+  it('validates pricing updates and applies new exchange rates straight away', async () => {
+    const { body: { pricing } } = await bot.admin('GET', '/pricing');
+
+    const invalid = await bot.admin('PUT', '/pricing', {
+      ...pricing,
+      exchangeRates: { ...pricing.exchangeRates, USD: 2, inr: 80 },
+      volumeTiers: [{ minKg: 500 }]
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, [
+      "exchangeRates: 'inr' is not a currency code such as INR",
+      'exchangeRates.USD must be 1 (the base currency)',
+      'volumeTiers must be a list of { "minKg": 500, "discountPercent": 3 }'
+    ]);
+
+    const updated = await bot.admin('PUT', '/pricing', { ...pricing, exchangeRates: { ...pricing.exchangeRates, INR: 85 } });
+    assert.strictEqual(updated.status, 200);
+    const { chat } = await startChat();
+    await chat.say('RR120');
+    assert.match((await chat.choose('product_dye-001'))[0], /\*Price:\* ₹4,250 per kg/);
+  });
+});
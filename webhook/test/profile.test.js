@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript } = require('./harness');
+
+const GREETING = 'Welcome back, Priya Shah! How can I assist you today? Select an option:';
+const RETURNING_MENU = '[list] 🎨 Welcome to Dyes & Intermediates Bot!: browse_products, search_products, request_quote, track_order, ' +
+  'reorder_last, my_orders, contact_support, change_language, change_currency';
+
+let bot;
+
+// Helper function to put the MOQ of a product in the cart from its search term
+const addToCart = async (chat, search, productId) => {
+  await chat.say(search);
+  await chat.choose(`product_${productId}`);
+  await chat.press('add_to_cart');
+  await chat.press('qty_moq');
+};
+
+// Helper function to check out as a first-time customer; returns the order number
+const placeFirstOrder = async (chat) => {
+  await chat.choose('view_cart');
+  await chat.choose('checkout');
+  await chat.say('Acme Textiles');
+  await chat.say('Priya Shah');
+  await chat.say('buyer@acme.example');
+  await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+  await chat.say('394210');
+  const placed = await chat.press('checkout_confirm');
+  return placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+};
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('customer profiles', () => {
+  it('remembers company details and addresses from the first order and offers them at the next checkout', async () => {
+    const { chat, customer } = await bot.startChat();
+    await addToCart(chat, 'RR120', 'dye-001');
+    const orderNumber = await placeFirstOrder(chat);
+
+    const { body } = await bot.admin('GET', `/profiles/${customer}`);
+    assert.strictEqual(body.profile.companyName, 'Acme Textiles');
+    assert.strictEqual(body.profile.email, 'buyer@acme.example');
+    assert.deepStrictEqual(body.profile.addresses.map(({ id, address, postalCode }) => ({ id, address, postalCode })), [
+      { id: 1, address: '12 Ring Road, Udhna, Surat, Gujarat', postalCode: '394210' }
+    ]);
+    assert.deepStrictEqual(body.orders.map(order => order.orderNumber), [orderNumber]);
+
+    await addToCart(chat, 'RR120', 'dye-001');
+    await chat.choose('view_cart');
+    assertTranscript(assert, await chat.choose('checkout'), [
+      /^Welcome back! I've filled in the details for \*Acme Textiles\*/,
+      '[list] Delivery Address: ship_to_1, ship_to_new'
+    ]);
+    assertTranscript(assert, await chat.choose('ship_to_1'), [
+      /^\*Order Summary\*[\s\S]*\*Company:\* Acme Textiles[\s\S]*394210$/,
+      '[buttons] Confirm Order: checkout_confirm, checkout_edit, checkout_cancel'
+    ]);
+
+    // Changing the address offers the saved ones again; typing one adds it
+    await chat.press('checkout_edit');
+    assertTranscript(assert, await chat.choose('checkout_edit_address'), ['[list] Delivery Address: ship_to_1, ship_to_new']);
+    assertTranscript(assert, await chat.say('Plot 7, Sachin GIDC, Surat, Gujarat'), [
+      /\*Address:\* Plot 7, Sachin GIDC, Surat, Gujarat\n\*PIN\/ZIP:\* 394210$/,
+      /^\[buttons\] Confirm Order/
+    ]);
+    await chat.press('checkout_confirm');
+
+    const { body: { profile } } = await bot.admin('GET', `/profiles/${customer}`);
+    assert.deepStrictEqual(profile.addresses.map(address => address.address), [
+      'Plot 7, Sachin GIDC, Surat, Gujarat',
+      '12 Ring Road, Udhna, Surat, Gujarat'
+    ]);
+  });
+
+  it('greets returning customers by name and rebuilds the cart from their last order', async () => {
+    const { chat } = await bot.startChat();
+    await addToCart(chat, 'RR120', 'dye-001');
+    await chat.choose('continue_shopping');
+    await addToCart(chat, 'Reactive Blue 19', 'dye-002');
+    const orderNumber = await placeFirstOrder(chat);
+
+    assertTranscript(assert, await chat.say('hi'), [GREETING, RETURNING_MENU]);
+    const [done, cart] = await chat.choose('reorder_last');
+    assert.strictEqual(done, `🔁 Your cart now has the items from order *${orderNumber}*, at today's prices.`);
+    assert.match(cart, /^\*Your Cart\*\n\n1\. \*Reactive Red 120\*\n {4}4 drums \(100 kg\)[\s\S]*2\. \*Reactive Blue 19\*/);
+  });
+
+  it('lists past orders and reorders one, leaving out products that are out of stock', async () => {
+    const { chat } = await bot.startChat();
+    await addToCart(chat, 'RR120', 'dye-001');
+    await chat.choose('continue_shopping');
+    await addToCart(chat, 'Reactive Blue 19', 'dye-002');
+    const orderNumber = await placeFirstOrder(chat);
+
+    assertTranscript(assert, await chat.choose('my_orders'), [`[list] My Orders: my_order_${orderNumber}`]);
+    assert.match(chat.sent().at(-1).interactive.action.sections[0].rows[0].description, / - £\d/);
+    assertTranscript(assert, await chat.choose(`my_order_${orderNumber}`), [
+      new RegExp(`^\\*Order ${orderNumber}\\*`),
+      `[buttons] ${orderNumber}: reorder_${orderNumber}, my_orders, main_menu`
+    ]);
+
+    const { status } = await bot.admin('PUT', '/products/dye-002', { inStock: false });
+    assert.strictEqual(status, 200);
+    const replies = await chat.press(`reorder_${orderNumber}`);
+    assert.match(replies[0], /\n\nThese are no longer available and were left out: Reactive Blue 19$/);
+    assert.doesNotMatch(replies[1], /Reactive Blue 19/);
+    await bot.admin('PUT', '/products/dye-002', { inStock: true });
+  });
+
+  it('lets admins correct company details and validates GST and VAT numbers', async () => {
+    const { chat, customer } = await bot.startChat();
+    const missing = await bot.admin('PATCH', `/profiles/${customer}`, { companyName: 'Acme' });
+    assert.strictEqual(missing.status, 404);
+
+    await addToCart(chat, 'RR120', 'dye-001');
+    await placeFirstOrder(chat);
+
+    const invalid = await bot.admin('PATCH', `/profiles/${customer}`, { taxNumber: '24AAACC1206D1ZN', email: 'nope', phone: '1' });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, [
+      'phone is not a profile field (use companyName, contactName, email, taxNumber)',
+      'email is not valid',
+      'taxNumber is not a valid GSTIN (check the last character)'
+    ]);
+
+    const updated = await bot.admin('PATCH', `/profiles/${customer}`, { taxNumber: 'de 123 456 789' });
+    assert.strictEqual(updated.status, 200);
+    assert.strictEqual(updated.body.profile.taxNumber, 'DE123456789');
+
+    await addToCart(chat, 'RR120', 'dye-001');
+    await chat.choose('view_cart');
+    await chat.choose('checkout');
+    const [summary] = await chat.choose('ship_to_1');
+    assert.match(summary, /\*GST\/VAT number:\* DE123456789$/);
+  });
+});
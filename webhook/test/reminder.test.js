@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+const LEFT_BEHIND = '447700904001';
+
+// Helper function for a job left by an earlier run of the bot
+const leftoverJob = (id, status, payload) => ({
+  id,
+  type: 'cart_reminder',
+  key: LEFT_BEHIND,
+  customer: LEFT_BEHIND,
+  status,
+  runAt: new Date(Date.now() - HOUR).toISOString(),
+  payload,
+  createdAt: new Date(Date.now() - 48 * HOUR).toISOString(),
+  updatedAt: new Date(Date.now() - 48 * HOUR).toISOString()
+});
+
+const twoDaysAgo = Date.now() - 48 * HOUR;
+const LEFTOVER_CART = {
+  cart: [{ id: 'dye-001', name: 'Reactive Red 120', pricePerKg: 50, packs: 4, packSizeKg: 25, packName: 'drums', quantityKg: 100 }],
+  language: 'en',
+  lastMessageAt: twoDaysAgo,
+  startedAt: twoDaysAgo,
+  step: 1
+};
+
+let bot;
+
+// Helper function to stay quiet long enough for reminders to come due, then let them finish
+const waitFor = async (ms) => {
+  await new Promise(resolve => setTimeout(resolve, ms));
+  await bot.app.locals.whenIdle();
+};
+
+const jobsFor = async (customer) => (await bot.admin('GET', `/jobs?customer=${customer}`)).body.jobs;
+
+before(async () => {
+  bot = await startTestBot({
+    env: { CART_REMINDER_MINUTES: '0.01,0.02', QUOTE_FOLLOW_UP_MINUTES: '0.01', JOB_POLL_INTERVAL_SECONDS: '0.05' },
+    dataFiles: {
+      'jobs.json': {
+        jobs: {
+          'leftover-cart': leftoverJob('leftover-cart', 'scheduled', LEFTOVER_CART),
+          'interrupted-cart': leftoverJob('interrupted-cart', 'running', { ...LEFTOVER_CART, step: 0 })
+        }
+      }
+    }
+  });
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('reminders', () => {
+  it('reminds customers of their cart while they are quiet and stops once they reply or check out', async () => {
+    const { chat, customer } = await bot.startChat();
+    await chat.say('RR120');
+    await chat.choose('product_dye-001');
+    await chat.press('add_to_cart');
+    await chat.press('qty_moq');
+
+    await waitFor(900);
+    const [reminder] = chat.sent().slice(-1);
+    assert.strictEqual(reminder.interactive.header.text, 'Your Cart');
+    assert.match(reminder.interactive.body.text, /^🛒 You left these in your cart\. They're still waiting for you:\n\n1\. \*Reactive Red 120\*\n {4}4 drums \(100 kg\)[\s\S]*\*Total: £3,950\*$/);
+    assert.deepStrictEqual(reminder.interactive.action.buttons.map(button => button.reply.id), ['view_cart', 'main_menu']);
+    assert.deepStrictEqual((await jobsFor(customer)).map(job => `${job.status} ${job.payload.step}`), ['done 0', 'scheduled 1']);
+
+    // Replying cancels the second reminder and starts over from this message
+    await chat.choose('view_cart');
+    assert.deepStrictEqual((await jobsFor(customer)).map(job => `${job.status} ${job.payload.step}`), ['done 0', 'cancelled 1', 'scheduled 0']);
+
+    await chat.choose('checkout');
+    await chat.say('Acme Textiles');
+    await chat.say('Priya Shah');
+    await chat.say('buyer@acme.example');
+    await chat.say('12 Ring Road, Udhna, Surat, Gujarat');
+    await chat.say('394210');
+    await chat.press('checkout_confirm');
+    const sentBefore = chat.sent().length;
+    await waitFor(900);
+    assert.strictEqual(chat.sent().length, sentBefore);
+    assert.deepStrictEqual((await jobsFor(customer)).filter(job => job.status === 'scheduled'), []);
+  });
+
+  it('follows up on a quote the customer has not answered', async () => {
+    const { chat, customer } = await bot.startChat();
+    await chat.choose('request_quote');
+    await chat.say('H-Acid');
+    await chat.say('500 kg');
+    await chat.say('Surat, Gujarat');
+    const [received] = await chat.say('31/12/2099');
+    const leadId = received.match(/RFQ-\d{5}/)[0];
+
+    const quoted = await bot.admin('POST', `/leads/${leadId}/quote`, { pricePerKg: 7.2, currency: 'USD' });
+    assert.strictEqual(quoted.status, 200);
+    assert.match(chat.sent().at(-1).text.body, /\n\*Price:\* \$7\.20 per kg\n\*Total:\* \$3,600\n/);
+    const [job] = await jobsFor(customer);
+    assert.strictEqual(job.type, 'quote_follow_up');
+    assert.strictEqual(job.key, leadId);
+
+    await waitFor(900);
+    assertTranscript(assert, chat.sent().slice(-1).map(payload => payload.text.body), [
+      `Did you have a chance to look at our quote *${leadId}* for H-Acid? Reply here with any questions, or to confirm the order.`
+    ]);
+  });
+
+  it('runs jobs left from before a restart, with a template once the 24-hour window has closed', async () => {
+    const sent = bot.fakeApi.getMessages(LEFT_BEHIND).map(message => message.payload);
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0].template, {
+      name: 'cart_reminder',
+      language: { code: 'en' },
+      components: [{ type: 'body', parameters: [{ type: 'text', text: 'Reactive Red 120 - 4 drums (100 kg)' }, { type: 'text', text: '£3,950' }] }]
+    });
+
+    const { body: { job: interrupted } } = await bot.admin('GET', '/jobs/interrupted-cart');
+    assert.strictEqual(interrupted.status, 'failed');
+    assert.strictEqual(interrupted.error, 'Interrupted by a restart');
+    const cancelled = await bot.admin('DELETE', '/jobs/no-such-job');
+    assert.strictEqual(cancelled.status, 404);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, createEmptySession } = require('../session_store');
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dyes-session-test-'));
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('file session store', () => {
+  it('saves changes made while a write is in flight together in the next write', async () => {
+    const filePath = path.join(dataDir, 'sessions.json');
+    const store = createSessionStore({ backend: 'file', filePath });
+    const rename = fs.promises.rename;
+    let writes = 0;
+    fs.promises.rename = (...args) => {
+      writes++;
+      return rename(...args);
+    };
+    try {
+      const customers = Array.from({ length: 20 }, (_, n) => `4477009070${String(n).padStart(2, '0')}`);
+      await Promise.all(customers.map(customer => store.set(customer, { ...createEmptySession(), context: 'browsing_categories' })));
+      assert.strictEqual(writes, 1);
+
+      const reloaded = createSessionStore({ backend: 'file', filePath });
+      assert.strictEqual(await reloaded.size(), 20);
+      assert.strictEqual((await reloaded.get(customers[19])).context, 'browsing_categories');
+    } finally {
+      fs.promises.rename = rename;
+    }
+  });
+});
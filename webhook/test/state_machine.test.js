@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createStateMachine, InvalidTransitionError } = require('../state_machine');
+const { createLogger } = require('../logger');
+
+// Helper function for a logger that keeps its lines instead of writing them
+const recordingLogger = () => {
+  const lines = [];
+  const log = createLogger({ level: 'info', write: (level, line) => lines.push(JSON.parse(line)) });
+  return { log, lines };
+};
+
+// A small shop: browse a catalog and pick a product, with 'menu' and 'stop' available everywhere but the product page
+const createShop = ({ log = createLogger({ level: 'silent' }), handled = [] } = {}) => createStateMachine({
+  initial: 'main_menu',
+  log,
+  states: {
+    main_menu: {
+      routes: [
+        { name: 'browse', match: 'browse', to: 'browsing', handler: () => handled.push('browse') },
+        { name: 'wander', match: 'wander', to: 'browsing', handler: () => 'product' }
+      ]
+    },
+    browsing: {
+      routes: [
+        { name: 'pick_product', match: /^product_/, to: ['product', 'browsing'], handler: ({ input }) => (input.text === 'product_none' ? 'browsing' : 'product') }
+      ],
+      fallback: { name: 'browsing_help', handler: () => handled.push('browsing_help') }
+    },
+    product: {
+      routes: [
+        { name: 'stop_here', match: 'stop', handler: () => handled.push('stop_here') }
+      ],
+      skipGlobalCommands: true
+    }
+  },
+  globalCommands: [
+    { name: 'menu', match: ['menu', 'hi'], to: 'main_menu', handler: () => handled.push('menu') },
+    { name: 'stop', match: 'stop', handler: () => handled.push('stop') }
+  ],
+  defaultFallback: { name: 'not_understood', handler: () => handled.push('not_understood') }
+});
+
+const input = (text) => ({ text, raw: text });
+
+describe('state machine', () => {
+  it('follows a route to its only target and records the layer it came from', async () => {
+    const handled = [];
+    const machine = createShop({ handled });
+    const session = {};
+
+    const result = await machine.dispatch({ session, input: input('browse') });
+    assert.deepStrictEqual(result, { from: 'main_menu', to: 'browsing', route: 'browse', layer: 'state' });
+    assert.strictEqual(session.context, 'browsing');
+
+    await machine.dispatch({ session, input: input('product_none') });
+    assert.strictEqual(session.context, 'browsing');
+    await machine.dispatch({ session, input: input('product_42') });
+    assert.strictEqual(session.context, 'product');
+    assert.deepStrictEqual(handled, ['browse']);
+  });
+
+  it('throws when a handler picks a state its route does not lead to', async () => {
+    const session = {};
+    await assert.rejects(
+      createShop().dispatch({ session, input: input('wander') }),
+      (error) => error instanceof InvalidTransitionError && error.from === 'main_menu' && error.to === 'product' && error.route === 'wander'
+    );
+    assert.strictEqual(session.context, undefined);
+  });
+
+  it('rejects definitions that point at unknown states', () => {
+    assert.throws(() => createStateMachine({ initial: 'nowhere', states: { start: {} } }), /Unknown initial state: nowhere/);
+    assert.throws(
+      () => createStateMachine({ initial: 'start', states: { start: { routes: [{ name: 'go', match: 'go', to: 'finish' }] } } }),
+      /Route 'go' targets unknown state: finish/
+    );
+  });
+
+  it("checks global commands before a state's own routes, except where the state opts out", async () => {
+    const handled = [];
+    const machine = createShop({ handled });
+
+    const fromBrowsing = { context: 'browsing' };
+    assert.strictEqual((await machine.dispatch({ session: fromBrowsing, input: input('hi') })).layer, 'global');
+    assert.strictEqual(fromBrowsing.context, 'main_menu');
+
+    const fromProduct = { context: 'product' };
+    await machine.dispatch({ session: fromProduct, input: input('stop') });
+    await machine.dispatch({ session: fromProduct, input: input('menu') });
+    assert.strictEqual(fromProduct.context, 'product');
+    assert.deepStrictEqual(handled, ['menu', 'stop_here', 'not_understood']);
+  });
+
+  it("falls back to the state's fallback, then the default one, and starts unknown sessions at the initial state", async () => {
+    const handled = [];
+    const machine = createShop({ handled });
+
+    assert.strictEqual((await machine.dispatch({ session: { context: 'browsing' }, input: input('what?') })).layer, 'fallback');
+    const stale = { context: 'removed_state' };
+    const result = await machine.dispatch({ session: stale, input: input('what?') });
+    assert.deepStrictEqual(result, { from: 'main_menu', to: 'main_menu', route: 'not_understood', layer: 'fallback' });
+    assert.strictEqual(stale.context, 'main_menu');
+    assert.deepStrictEqual(handled, ['browsing_help', 'not_understood']);
+
+    const bare = createStateMachine({ initial: 'start', states: { start: {} } });
+    assert.deepStrictEqual(await bare.dispatch({ session: {}, input: input('hello') }), { from: 'start', to: 'start', route: null });
+  });
+
+  it('logs each transition at info level', async () => {
+    const { log, lines } = recordingLogger();
+    await createShop({ log }).dispatch({ session: {}, input: input('browse') });
+    assert.deepStrictEqual(lines.map(({ level, msg, fromState, toState, layer, route }) => ({ level, msg, fromState, toState, layer, route })), [
+      { level: 'info', msg: 'Transition', fromState: 'main_menu', toState: 'browsing', layer: 'state', route: 'browse' }
+    ]);
+  });
+
+  it('exports its edges as JSON, Mermaid and DOT', () => {
+    const machine = createShop();
+    assert.deepStrictEqual(machine.states, ['main_menu', 'browsing', 'product']);
+    assert.deepStrictEqual(machine.edges(), [
+      { from: 'main_menu', to: 'browsing', label: 'browse' },
+      { from: 'main_menu', to: 'browsing', label: 'wander' },
+      { from: 'browsing', to: 'product', label: 'pick_product' },
+      { from: 'browsing', to: 'browsing', label: 'pick_product' },
+      { from: 'browsing', to: 'browsing', label: 'browsing_help' },
+      { from: 'product', to: 'product', label: 'stop_here' },
+      { from: '*', to: 'main_menu', label: 'menu' }
+    ]);
+    assert.strictEqual(machine.toMermaid(), [
+      'stateDiagram-v2',
+      '  [*] --> main_menu',
+      '  main_menu --> browsing: browse',
+      '  main_menu --> browsing: wander',
+      '  browsing --> product: pick_product',
+      '  browsing --> browsing: pick_product',
+      '  browsing --> browsing: browsing_help',
+      '  product --> product: stop_here',
+      '  any --> main_menu: menu'
+    ].join('\n'));
+    assert.strictEqual(machine.toDot(), [
+      'digraph conversation {',
+      '  rankdir=LR;',
+      '  "main_menu" [shape=doublecircle];',
+      '  "main_menu" -> "browsing" [label="browse"];',
+      '  "main_menu" -> "browsing" [label="wander"];',
+      '  "browsing" -> "product" [label="pick_product"];',
+      '  "browsing" -> "browsing" [label="pick_product"];',
+      '  "browsing" -> "browsing" [label="browsing_help"];',
+      '  "product" -> "product" [label="stop_here"];',
+      '  "any" -> "main_menu" [label="menu"];',
+      '}'
+    ].join('\n'));
+  });
+});
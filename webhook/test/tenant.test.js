@@ -0,0 +1,234 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot, assertTranscript } = require('./harness');
+
+const MAIN_NUMBER = '100000000000001';
+const ACME_NUMBER = '100000000000002';
+const INDIGO_NUMBER = '100000000000003';
+const CUSTOMER = '447700905001';
+
+// A second brand with a one-product catalog of its own
+const ACME_CATALOG = {
+  categories: {
+    pigments: { name: 'Pigments', description: 'Organic Pigments' }
+  },
+  products: {
+    'pig-001': {
+      id: 'pig-001',
+      name: 'Pigment Blue 15:3',
+      type: 'Organic Pigment',
+      category: 'pigments',
+      application: 'Inks, Plastics',
+      packaging: '25 kg bags',
+      pricePerKg: 12,
+      moq: '50 kg',
+      description: 'Phthalocyanine blue for printing inks.',
+      cas: '147-14-8',
+      inStock: true
+    }
+  }
+};
+
+const ACME = {
+  id: 'acme',
+  name: 'Acme Pigments',
+  phoneNumberId: ACME_NUMBER,
+  accessToken: 'acme-token',
+  catalogFile: 'acme_catalog.json',
+  welcome: { header: '🔵 Acme Pigments', text: { en: 'Welcome to Acme Pigments! What can we do for you?' } },
+  support: { salesEmail: 'sales@acme.example', salesPhone: '+91-261-555-0100' }
+};
+
+let bot;
+
+// Helper function to get past the language picker on one of our numbers
+const startChat = (phoneNumberId) => bot.startChat({ customer: CUSTOMER, phoneNumberId });
+
+// Helper function to see which number and token the replies to our customer went out with
+const sentFrom = () => bot.fakeApi.getMessages(CUSTOMER).map(message => `${message.phoneNumberId} ${message.authorization}`);
+
+before(async () => {
+  bot = await startTestBot({
+    dataFiles: {
+      'tenants.json': { tenants: [ACME] },
+      'acme_catalog.json': ACME_CATALOG
+    }
+  });
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('tenants', () => {
+  it('answers each number as its own brand, with its own credentials, catalog, contacts and session', async () => {
+    const { chat, replies } = await startChat(ACME_NUMBER);
+    assertTranscript(assert, replies, [
+      "Okay, I'll reply in English.",
+      'Welcome to Acme Pigments! What can we do for you?',
+      /^\[list\] 🔵 Acme Pigments: browse_products, search_products/
+    ]);
+    assert.deepStrictEqual([...new Set(sentFrom())], [`${ACME_NUMBER} Bearer acme-token`]);
+
+    const [categories] = await chat.choose('browse_products');
+    assert.strictEqual(categories, '[list] Product Categories: category_pigments');
+    await chat.choose('contact_support');
+    const [salesText] = await chat.press('sales_inquiry');
+    assert.match(salesText, /sales@acme\.example or \+91-261-555-0100\./);
+
+    // The same customer on the main number starts afresh, with the main brand's welcome and contacts
+    const sentBefore = sentFrom().length;
+    const main = bot.conversation(CUSTOMER);
+    const [picker] = await main.say('hi');
+    assert.match(picker, /^\[list\] .*: lang_en/);
+    const [, mainWelcome] = await main.choose('lang_en');
+    assert.match(mainWelcome, /^Welcome to Dyes & Intermediates Bot!/);
+    await main.choose('contact_support');
+    const [mainSales] = await main.press('sales_inquiry');
+    assert.match(mainSales, /sales@dyescompany\.com or \+1-555-123-4567\./);
+    assert.deepStrictEqual([...new Set(sentFrom().slice(sentBefore))], [`${MAIN_NUMBER} Bearer test-token`]);
+
+    const products = await bot.admin('GET', '/tenants/acme/products');
+    assert.deepStrictEqual(products.body.products.map(product => product.id), ['pig-001']);
+  });
+
+  it("keeps a customer's orders, profile, handoffs and consent with each brand apart", async () => {
+    const customer = '447700905002';
+    const acme = bot.conversation(customer, { phoneNumberId: ACME_NUMBER });
+    await acme.say('hi');
+    await acme.choose('lang_en');
+    await acme.say('pigment blue');
+    await acme.choose('product_pig-001');
+    await acme.press('add_to_cart');
+    await acme.say('50 kg');
+    await acme.choose('view_cart');
+    await acme.choose('checkout');
+    await acme.say('Acme Textiles');
+    await acme.say('Priya Shah');
+    await acme.say('buyer@acme.example');
+    await acme.say('12 Ring Road, Udhna, Surat, Gujarat');
+    await acme.say('394210');
+    const placed = await acme.press('checkout_confirm');
+    const orderNumber = placed[0].match(/\*(DY\d{4}-\d{5})\*/)[1];
+    assert.match(placed[1], /^Welcome back, Priya Shah!/);
+    assert.match(placed[2], /: browse_products, search_products, request_quote, track_order, reorder_last, my_orders,/);
+    await acme.say('STOP');
+    await acme.choose('contact_support');
+    await acme.press('talk_to_agent');
+
+    // The main brand has never seen this customer: no greeting by name, no orders, no chat with an agent
+    const main = bot.conversation(customer);
+    await main.say('hi');
+    const [, welcome, menu] = await main.choose('lang_en');
+    assert.match(welcome, /^Welcome to Dyes & Intermediates Bot!/);
+    assert.doesNotMatch(menu, /reorder_last|my_orders/);
+    assertTranscript(assert, await main.choose('track_order'), ['Please enter your order number to track its status.']);
+    assertTranscript(assert, await main.say(orderNumber), [/^We couldn't find order /, /^Welcome to Dyes & Intermediates Bot!/, /^\[list\] /]);
+    assertTranscript(assert, await main.choose('reorder_last'), ["You haven't placed any orders with us yet.", /^Welcome to Dyes & Intermediates Bot!/, /^\[list\] /]);
+
+    assert.strictEqual((await bot.admin('GET', `/profiles/${customer}`)).status, 404);
+    const profile = await bot.admin('GET', `/profiles/${customer}?tenant=acme`);
+    assert.strictEqual(profile.body.profile.companyName, 'Acme Textiles');
+    assert.deepStrictEqual(profile.body.orders.map(order => order.orderNumber), [orderNumber]);
+
+    const optedOut = await bot.admin('GET', '/consents?status=opted_out');
+    assert.deepStrictEqual(optedOut.body.consents.filter(entry => entry.customer === customer).map(entry => entry.tenantId), ['acme']);
+    const handoffs = await bot.admin('GET', `/handoffs?customer=${customer}`);
+    assert.deepStrictEqual(handoffs.body.handoffs.map(handoff => handoff.tenantId), ['acme']);
+
+    // Each brand's operators see only their own side of the conversation
+    const transcript = async (query = '') => (await bot.admin('GET', `/conversations/${customer}/transcript${query}`)).body.messages
+      .filter(entry => entry.direction === 'inbound').map(entry => entry.text);
+    assert.deepStrictEqual(await transcript('?tenant=acme'), [
+      'hi', 'lang_en', 'pigment blue', 'product_pig-001', 'add_to_cart', '50 kg', 'view_cart', 'checkout',
+      'Acme Textiles', 'Priya Shah', 'buyer@acme.example', '12 Ring Road, Udhna, Surat, Gujarat', '394210', 'checkout_confirm',
+      'STOP', 'contact_support', 'talk_to_agent'
+    ]);
+    assert.deepStrictEqual(await transcript(), ['hi', 'lang_en', 'track_order', orderNumber, 'reorder_last']);
+    const { body: { messages } } = await bot.admin('GET', `/conversations/${customer}/transcript`);
+    assert.ok(messages.every(entry => entry.tenantId === 'default' && !/Acme/.test(entry.text)));
+  });
+
+  it("leaves a brand's cart reminders alone when the customer writes to another brand", async () => {
+    const customer = '447700905004';
+    const acme = bot.conversation(customer, { phoneNumberId: ACME_NUMBER });
+    await acme.say('hi');
+    await acme.choose('lang_en');
+    await acme.say('pigment blue');
+    await acme.choose('product_pig-001');
+    await acme.press('add_to_cart');
+    await acme.say('50 kg');
+    await bot.conversation(customer).say('hi');
+
+    const { body: { jobs } } = await bot.admin('GET', `/jobs?customer=${customer}&status=scheduled`);
+    assert.deepStrictEqual(jobs.map(({ type, key }) => [type, key]), [['cart_reminder', `acme:${customer}`]]);
+  });
+
+  it("sends a brand's campaigns to that brand's customers, from its own number", async () => {
+    const subscriber = '447700905003';
+    await bot.conversation(subscriber, { phoneNumberId: ACME_NUMBER }).say('subscribe');
+    const template = { name: 'new_shades', language: 'en', parameters: ['Pigment Blue 15:3'] };
+
+    const rejected = await bot.admin('POST', '/campaigns', { name: 'Reactive', tenantId: 'acme', template, audience: { categories: ['reactive'] } });
+    assert.deepStrictEqual(rejected.body.details, ["audience.categories: unknown category 'reactive'"]);
+    const unknown = await bot.admin('POST', '/campaigns', { name: 'Nobody', tenantId: 'nope', template });
+    assert.deepStrictEqual(unknown.body.details, ["tenantId: unknown tenant 'nope'"]);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const { body: { campaign: mainCampaign } } = await bot.admin('POST', '/campaigns', { name: 'Main', template, scheduledAt: tomorrow });
+    assert.deepStrictEqual((await bot.admin('GET', `/campaigns/${mainCampaign.id}/audience`)).body.customers, []);
+
+    // The customer who ordered from Acme sent STOP there, so only the subscriber is left
+    const { body: { campaign } } = await bot.admin('POST', '/campaigns', {
+      name: 'Blues', tenantId: 'acme', template, audience: { countries: ['44'] }, scheduledAt: tomorrow
+    });
+    assert.strictEqual(campaign.tenantId, 'acme');
+    assert.deepStrictEqual((await bot.admin('GET', `/campaigns/${campaign.id}/audience`)).body.customers, [subscriber]);
+
+    await bot.admin('POST', `/campaigns/${campaign.id}/send`);
+    await bot.app.locals.whenIdle();
+    const [sent] = bot.fakeApi.getMessages(subscriber).filter(message => message.payload.type === 'template');
+    assert.strictEqual(`${sent.phoneNumberId} ${sent.authorization}`, `${ACME_NUMBER} Bearer acme-token`);
+    const listed = await bot.admin('GET', '/campaigns?tenant=acme');
+    assert.deepStrictEqual(listed.body.campaigns.map(({ name, status }) => [name, status]), [['Blues', 'sent']]);
+  });
+
+  it('adds tenants through the admin API and starts answering their number', async () => {
+    const indigo = { id: 'indigo', name: 'Indigo Chemicals', phoneNumberId: INDIGO_NUMBER, accessToken: 'indigo-token' };
+    const created = await bot.admin('POST', '/tenants', indigo);
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.tenant.accessToken, '********');
+
+    const listed = await bot.admin('GET', '/tenants');
+    assert.deepStrictEqual(listed.body.tenants.map(tenant => tenant.id), ['default', 'acme', 'indigo']);
+    assert.ok(listed.body.tenants.every(tenant => !tenant.accessToken || tenant.accessToken === '********'));
+
+    const sentBefore = sentFrom().length;
+    const { replies } = await startChat(INDIGO_NUMBER);
+    assert.match(replies[1], /^Welcome to Dyes & Intermediates Bot!/);
+    assert.deepStrictEqual([...new Set(sentFrom().slice(sentBefore))], [`${INDIGO_NUMBER} Bearer indigo-token`]);
+
+    const renamed = await bot.admin('PATCH', '/tenants/indigo', { welcome: { text: 'Indigo Chemicals here. How can we help?' } });
+    assert.strictEqual(renamed.status, 200);
+    const [welcome] = await bot.conversation(CUSTOMER, { phoneNumberId: INDIGO_NUMBER }).choose('main_menu');
+    assert.strictEqual(welcome, 'Indigo Chemicals here. How can we help?');
+  });
+
+  it('rejects broken tenants and ignores numbers it does not serve', async () => {
+    const duplicate = await bot.admin('POST', '/tenants', { ...ACME, id: 'acme-two', catalogFile: 'missing.json', support: { fax: '123' } });
+    assert.strictEqual(duplicate.status, 400);
+    assert.deepStrictEqual(duplicate.body.details, [
+      'catalogFile missing.json does not exist',
+      'support.fax is not a support field (use salesEmail, salesPhone, technicalPhone)',
+      `phoneNumberId ${ACME_NUMBER} already belongs to another tenant`
+    ]);
+    const changeDefault = await bot.admin('PATCH', '/tenants/default', { name: 'Other' });
+    assert.strictEqual(changeDefault.status, 400);
+    assert.strictEqual((await bot.admin('GET', '/tenants/nope')).status, 404);
+    assert.strictEqual((await bot.admin('GET', '/tenants/nope/products')).status, 404);
+
+    const stranger = '447700905099';
+    const replies = await bot.conversation(stranger, { phoneNumberId: '199999999999999' }).say('hi');
+    assertTranscript(assert, replies, []);
+  });
+});
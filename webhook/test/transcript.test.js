@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./harness');
+const { createLogger, withLogContext } = require('../logger');
+
+let bot;
+
+before(async () => {
+  bot = await startTestBot();
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('conversation transcripts', () => {
+  it('keeps what the customer sent and what the bot replied, in order', async () => {
+    const customer = '447700920001';
+    const chat = bot.conversation(customer);
+    await chat.say('hi');
+    await chat.choose('lang_en', 'English');
+
+    const { status, body } = await bot.admin('GET', `/conversations/${customer}/transcript`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.messages.map(entry => [entry.direction, entry.type, entry.text]), [
+      ['inbound', 'text', 'hi'],
+      ['outbound', 'list', 'Which language would you like me to use? You can change it later from the main menu.'],
+      ['inbound', 'list_reply', 'English'],
+      ['outbound', 'text', "Okay, I'll reply in English."],
+      ['outbound', 'text', 'Welcome to Dyes & Intermediates Bot! How can I assist you today? Select an option:'],
+      ['outbound', 'list', 'How can I assist you today? Select an option:']
+    ]);
+    assert.strictEqual(body.messages[2].replyId, 'lang_en');
+    assert.deepStrictEqual(body.messages[1].options, ['English', 'ગુજરાતી', 'हिन्दी']);
+    // Replies carry the correlation ID of the delivery that caused them
+    assert.strictEqual(body.messages[3].correlationId, body.messages[2].correlationId);
+    assert.notStrictEqual(body.messages[2].correlationId, body.messages[0].correlationId);
+  });
+
+  it('filters by date range', async () => {
+    const customer = '447700920002';
+    await bot.conversation(customer).say('hi');
+
+    const today = new Date().toISOString().slice(0, 10);
+    const included = await bot.admin('GET', `/conversations/${customer}/transcript?from=${today}&to=${today}`);
+    assert.strictEqual(included.body.messages.length, 2);
+
+    const earlier = await bot.admin('GET', `/conversations/${customer}/transcript?to=2020-01-31`);
+    assert.deepStrictEqual(earlier.body.messages, []);
+  });
+
+  it('rejects malformed dates', async () => {
+    const { status, body } = await bot.admin('GET', '/conversations/447700920003/transcript?from=yesterday&to=2024-01-01');
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details, ['from must be a date (YYYY-MM-DD) or an ISO timestamp']);
+  });
+});
+
+describe('structured logging', () => {
+  // Helper function to collect the lines a logger writes
+  const captureLogger = (level = 'debug') => {
+    const lines = [];
+    const log = createLogger({ level, write: (lineLevel, line) => lines.push(JSON.parse(line)) });
+    return { log, lines };
+  };
+
+  it('masks phone numbers, emails and addresses', () => {
+    const { log, lines } = captureLogger();
+    log.info('Order created', {
+      customer: '919876543210',
+      shipping: { address: '12 Ring Road, Surat' },
+      note: 'Call +91 98765 43210 or mail buyer@acme.example'
+    });
+    assert.strictEqual(lines[0].customer, '********3210');
+    assert.strictEqual(lines[0].shipping, '[redacted]');
+    assert.strictEqual(lines[0].note, 'Call ********3210 or mail b***@acme.example');
+  });
+
+  it('adds the correlation ID of the surrounding context and skips lines below the level', async () => {
+    const { log, lines } = captureLogger('info');
+    await withLogContext({ correlationId: 'delivery-1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      log.debug('Transition');
+      log.warn('Retrying outbound message', { attempt: 2 });
+    });
+    assert.strictEqual(lines.length, 1);
+    assert.deepStrictEqual({ ...lines[0], time: undefined }, {
+      time: undefined,
+      level: 'warn',
+      msg: 'Retrying outbound message',
+      correlationId: 'delivery-1',
+      attempt: 2
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestBot } = require('./harness');
+
+const ACME_NUMBER = '100000000000002';
+const INDIGO_NUMBER = '100000000000003';
+const CUSTOMER = '447700906001';
+
+const ACME = { id: 'acme', name: 'Acme Pigments', phoneNumberId: ACME_NUMBER, accessToken: 'acme-token', appSecret: 'acme-secret' };
+
+let bot;
+let messageCount = 0;
+
+// Helper function for a delivery of one text message from our customer to one of our numbers
+const delivery = (phoneNumberId, text = 'hi') => bot.buildDelivery(CUSTOMER, [{
+  from: CUSTOMER,
+  id: `wamid.SIGNATURE${String(++messageCount).padStart(4, '0')}`,
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  type: 'text',
+  text: { body: text }
+}], phoneNumberId);
+
+before(async () => {
+  // The main number has no app secret here; Acme and Indigo are on Meta apps of their own
+  bot = await startTestBot({
+    env: { WHATSAPP_APP_SECRET: '' },
+    dataFiles: { 'tenants.json': { tenants: [ACME] } }
+  });
+});
+
+after(async () => {
+  await bot.stop();
+});
+
+describe('webhook signatures', () => {
+  it('turns away deliveries without a valid signature', async () => {
+    const missing = await bot.postWebhook(delivery(ACME_NUMBER), { signature: null });
+    assert.strictEqual(missing.status, 401);
+    assert.deepStrictEqual(await missing.json(), { error: 'Missing webhook signature' });
+
+    const wrong = await bot.postWebhook(delivery(ACME_NUMBER), { signature: `sha256=${'0'.repeat(64)}` });
+    assert.strictEqual(wrong.status, 401);
+    assert.deepStrictEqual(await wrong.json(), { error: 'Invalid webhook signature' });
+    assert.strictEqual((await bot.postWebhook(delivery(ACME_NUMBER), { secret: 'test-app-secret' })).status, 401);
+    assert.deepStrictEqual(bot.fakeApi.getMessages(CUSTOMER), []);
+  });
+
+  it('fails closed when the number has no app secret to check against', async () => {
+    const response = await bot.postWebhook(delivery('100000000000001'));
+    assert.strictEqual(response.status, 500);
+    assert.deepStrictEqual(await response.json(), { error: 'Webhook signature verification is not configured' });
+  });
+
+  it('skips the check for SKIP_WEBHOOK_SIGNATURE only in development', async () => {
+    const environment = process.env.NODE_ENV;
+    process.env.SKIP_WEBHOOK_SIGNATURE = 'true';
+    try {
+      assert.strictEqual((await bot.postWebhook(delivery(ACME_NUMBER), { signature: null })).status, 401);
+      process.env.NODE_ENV = 'production';
+      assert.strictEqual((await bot.postWebhook(delivery(ACME_NUMBER), { signature: null })).status, 401);
+      assert.deepStrictEqual(bot.fakeApi.getMessages(CUSTOMER), []);
+
+      process.env.NODE_ENV = 'development';
+      assert.strictEqual((await bot.postWebhook(delivery(ACME_NUMBER), { signature: null })).status, 200);
+      assert.ok(bot.fakeApi.getMessages(CUSTOMER).length > 0);
+    } finally {
+      process.env.NODE_ENV = environment;
+      delete process.env.SKIP_WEBHOOK_SIGNATURE;
+    }
+  });
+
+  it("only takes deliveries to a brand's number that are signed with that brand's app secret", async () => {
+    const indigo = { id: 'indigo', name: 'Indigo Chemicals', phoneNumberId: INDIGO_NUMBER, accessToken: 'indigo-token', appSecret: 'indigo-secret' };
+    assert.strictEqual((await bot.admin('POST', '/tenants', indigo)).status, 201);
+
+    const sentBefore = bot.fakeApi.getMessages(CUSTOMER).length;
+    const forged = await bot.postWebhook(delivery(INDIGO_NUMBER), { secret: 'acme-secret' });
+    assert.strictEqual(forged.status, 401);
+    const mixed = delivery(ACME_NUMBER);
+    mixed.entry[0].changes.push(delivery(INDIGO_NUMBER).entry[0].changes[0]);
+    assert.strictEqual((await bot.postWebhook(mixed, { secret: 'acme-secret' })).status, 401);
+    assert.strictEqual(bot.fakeApi.getMessages(CUSTOMER).length, sentBefore);
+
+    const signed = await bot.postWebhook(delivery(INDIGO_NUMBER), { secret: 'indigo-secret' });
+    assert.strictEqual(signed.status, 200);
+    assert.deepStrictEqual([...new Set(bot.fakeApi.getMessages(CUSTOMER).slice(sentBefore).map(message => message.phoneNumberId))], [INDIGO_NUMBER]);
+  });
+});
@@ -0,0 +1,29 @@
+const express = require('express');
+const { TranscriptValidationError } = require('./transcript_store');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+// Admin REST API for conversation transcripts; mount behind requireApiKey
+const createTranscriptRouter = (transcriptStore) => {
+  const router = express.Router();
+
+  // Everything one customer sent and received, e.g. ?from=2024-05-01&to=2024-05-31 (dates are inclusive).
+  // ?tenant=<id> picks the brand the conversation was with (the default tenant when not given).
+  router.get('/conversations/:phone/transcript', (req, res) => {
+    const { from, to, tenant = DEFAULT_TENANT_ID } = req.query;
+    const messages = transcriptStore.getTranscript(req.params.phone, { from, to, tenantId: tenant });
+    res.json({ customer: req.params.phone, tenantId: tenant, from: from || null, to: to || null, messages });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof TranscriptValidationError) {
+      return res.status(400).json({ error: 'Validation failed', details: err.errors });
+    }
+    next(err);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createTranscriptRouter
+};
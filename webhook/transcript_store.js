@@ -0,0 +1,144 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+const { DEFAULT_TENANT_ID } = require('./tenant_store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised when a transcript query is malformed; carries one message per problem
+class TranscriptValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid transcript query: ${errors.join('; ')}`);
+    this.name = 'TranscriptValidationError';
+    this.errors = errors;
+  }
+}
+
+// Helper function to keep what a customer sent: the text, or the title and id of the option they picked
+const describeInbound = (message) => {
+  const reply = message.interactive && (message.interactive.list_reply || message.interactive.button_reply);
+  if (reply) {
+    return { type: message.interactive.type, text: reply.title, replyId: reply.id };
+  }
+  if (message.type === 'text' && message.text) {
+    return { type: 'text', text: message.text.body };
+  }
+  if (message.type === 'location' && message.location) {
+    const { latitude, longitude, name, address } = message.location;
+    return { type: 'location', text: [name, address].filter(Boolean).join(', ') || null, location: { latitude, longitude } };
+  }
+  // Media and the like: keep the caption and file name if there are any
+  const media = message[message.type] || {};
+  return { type: message.type, text: media.caption || null, ...(media.filename ? { filename: media.filename } : {}) };
+};
+
+// Helper function to keep what the bot sent: the text, or the body and the options it offered
+const describeOutbound = (payload) => {
+  if (payload.type === 'text') {
+    return { type: 'text', text: payload.text.body };
+  }
+  if (payload.type === 'interactive') {
+    const { type, header, body, action } = payload.interactive;
+    const options = type === 'list'
+      ? action.sections.flatMap(section => section.rows.map(row => row.title))
+      : action.buttons.map(button => button.reply.title);
+    return { type, header: header ? header.text : null, text: body.text, options };
+  }
+  if (payload.type === 'image' || payload.type === 'document') {
+    const media = payload[payload.type];
+    return { type: payload.type, text: media.caption || null, ...(media.filename ? { filename: media.filename } : {}) };
+  }
+  if (payload.type === 'template') {
+    const { name, components = [] } = payload.template;
+    const parameters = components.flatMap(component => (component.parameters || []).map(parameter => parameter.text));
+    return { type: 'template', template: name, text: null, parameters };
+  }
+  return { type: payload.type, text: null };
+};
+
+// Helper function to read a ?from= / ?to= bound; a bare date as the upper bound covers that whole day
+const parseBound = (value, name, endOfDay, errors) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    errors.push(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    return null;
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+};
+
+// Inbound and outbound messages per customer, persisted to a JSON file. Each entry carries the tenantId of
+// the brand the conversation was with. Entries older than retentionDays are dropped whenever the store is written.
+const createTranscriptStore = ({ filePath, retentionDays = 90 }) => {
+  const data = readJsonFile(filePath, { customers: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const prune = (now = Date.now()) => {
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    Object.keys(data.customers).forEach(customer => {
+      const kept = data.customers[customer].filter(entry => entry.at >= cutoff);
+      if (kept.length > 0) {
+        data.customers[customer] = kept;
+      } else {
+        delete data.customers[customer];
+      }
+    });
+  };
+
+  const record = async (customer, entry) => {
+    const stored = { at: new Date().toISOString(), ...entry };
+    (data.customers[customer] = data.customers[customer] || []).push(stored);
+    prune();
+    await save();
+    return stored;
+  };
+
+  // A message the customer sent us (message as it arrived in the webhook)
+  const recordInbound = ({ customer, message, correlationId, tenantId = DEFAULT_TENANT_ID }) => record(customer, {
+    direction: 'inbound',
+    tenantId,
+    messageId: message.id,
+    ...describeInbound(message),
+    ...(correlationId ? { correlationId } : {})
+  });
+
+  // A message we sent the customer (payload as posted to the Graph API, id as returned by it)
+  const recordOutbound = ({ customer, messageId, payload, correlationId, tenantId = DEFAULT_TENANT_ID }) => record(customer, {
+    direction: 'outbound',
+    tenantId,
+    messageId: messageId || null,
+    ...describeOutbound(payload),
+    ...(correlationId ? { correlationId } : {})
+  });
+
+  // One customer's messages with one brand in order, optionally between from and to (inclusive)
+  const getTranscript = (customer, { from, to, tenantId = DEFAULT_TENANT_ID } = {}) => {
+    const errors = [];
+    const fromTime = parseBound(from, 'from', false, errors);
+    const toTime = parseBound(to, 'to', true, errors);
+    if (fromTime !== null && toTime !== null && fromTime > toTime) {
+      errors.push('from must not be after to');
+    }
+    if (errors.length > 0) {
+      throw new TranscriptValidationError(errors);
+    }
+
+    return (data.customers[customer] || [])
+      .filter(entry => (entry.tenantId || DEFAULT_TENANT_ID) === tenantId)
+      .filter(entry => fromTime === null || Date.parse(entry.at) >= fromTime)
+      .filter(entry => toTime === null || Date.parse(entry.at) <= toTime)
+      .sort((a, b) => a.at.localeCompare(b.at));
+  };
+
+  return {
+    recordInbound,
+    recordOutbound,
+    getTranscript,
+    prune
+  };
+};
+
+module.exports = {
+  createTranscriptStore,
+  TranscriptValidationError
+};
@@ -0,0 +1,111 @@
+const { readJsonFile, writeJsonFile } = require('./json_file');
+
+const VERIFICATION_STATUSES = ['verified', 'revoked'];
+
+// Raised when a verification or status change is malformed; carries one message per problem
+class VerificationValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid business verification: ${errors.join('; ')}`);
+    this.name = 'VerificationValidationError';
+    this.errors = errors;
+  }
+}
+
+// Raised when a customer has never been verified
+class VerificationNotFoundError extends Error {
+  constructor(customer) {
+    super(`No business verification for ${customer}`);
+    this.name = 'VerificationNotFoundError';
+  }
+}
+
+// Business customers cleared to buy restricted products, keyed by WhatsApp number and persisted to a JSON file.
+// A customer is verified once they give a GSTIN or CIN and accept the end-use declaration; admins can revoke it.
+// Verifications are shared by all brands (tenants): the registration is a fact about the customer's business
+// and the declaration is made to us, the seller behind every brand. The audit log notes which brand sold.
+const createVerificationStore = ({ filePath }) => {
+  const data = readJsonFile(filePath, { verifications: {} });
+  const save = () => writeJsonFile(filePath, data);
+
+  const getVerification = (customer) => data.verifications[customer] || null;
+
+  const isVerified = (customer) => {
+    const verification = getVerification(customer);
+    return Boolean(verification && verification.status === 'verified');
+  };
+
+  const listVerifications = ({ status } = {}) => Object.values(data.verifications)
+    .filter(verification => !status || verification.status === status)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  // Record a customer's registration number and accepted declaration; verifying again replaces the details
+  const verifyCustomer = async ({ customer, registrationType, registrationNumber, declarationVersion, language }) => {
+    const errors = [];
+    if (!customer) {
+      errors.push('customer is required');
+    }
+    if (!['gstin', 'cin'].includes(registrationType)) {
+      errors.push("registrationType must be 'gstin' or 'cin'");
+    }
+    if (!registrationNumber) {
+      errors.push('registrationNumber is required');
+    }
+    if (!declarationVersion) {
+      errors.push('declarationVersion is required');
+    }
+    if (errors.length > 0) {
+      throw new VerificationValidationError(errors);
+    }
+
+    const now = new Date().toISOString();
+    const previous = getVerification(customer);
+    const verification = {
+      customer,
+      registrationType,
+      registrationNumber,
+      declarationVersion,
+      declarationAcceptedAt: now,
+      language,
+      status: 'verified',
+      statusHistory: [...(previous ? previous.statusHistory : []), { status: 'verified', at: now }],
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now
+    };
+    data.verifications[customer] = verification;
+    await save();
+    return verification;
+  };
+
+  // Revoke a verification (or reinstate it); note says why
+  const updateVerification = async (customer, { status, note } = {}) => {
+    const verification = getVerification(customer);
+    if (!verification) {
+      throw new VerificationNotFoundError(customer);
+    }
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      throw new VerificationValidationError([`status must be one of: ${VERIFICATION_STATUSES.join(', ')}`]);
+    }
+
+    const now = new Date().toISOString();
+    verification.status = status;
+    verification.statusHistory.push({ status, at: now, ...(note && { note }) });
+    verification.updatedAt = now;
+    await save();
+    return verification;
+  };
+
+  return {
+    getVerification,
+    isVerified,
+    listVerifications,
+    verifyCustomer,
+    updateVerification
+  };
+};
+
+module.exports = {
+  VERIFICATION_STATUSES,
+  createVerificationStore,
+  VerificationValidationError,
+  VerificationNotFoundError
+};